@@ -25,8 +25,20 @@ if (!config.validateConfig()) {
 dbConnection.connect().then(() => {
   // Create indexes after successful connection
   dbConnection.createIndexes();
+
+  // Expire idle complaint sessions from their persisted expires_at
+  require('./services/session_timeout_sweeper').start();
+
+  // Purge records past their retention period (legal holds excepted)
+  require('./services/data_retention_service').start();
+
+  // Work the AI analysis job queue
+  require('./services/ai_job_queue').start();
 });
 
+// Client IPs for audit events come from X-Forwarded-For when set by a trusted proxy
+app.set('trust proxy', config.app.trustProxy);
+
 // Security middleware
 app.use(helmet());
 
@@ -70,6 +82,7 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Routes
 const lineRoutes = require('./routes/line_routes');
+const attachmentRoutes = require('./routes/attachment_routes');
 
 // tRPC setup (will be enabled after installing dependencies)
 try {
@@ -92,6 +105,7 @@ try {
 
 // API Routes
 app.use('/api/line', lineRoutes);
+app.use('/api/attachments', attachmentRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -29,8 +29,9 @@ const config = {
       secret: process.env.BETTER_AUTH_SECRET,
       url: process.env.BETTER_AUTH_URL
     },
+    // HR session token key shared with the web app; tokens are neither issued nor accepted without it
     session: {
-      secret: process.env.SESSION_SECRET || 'fallback-session-secret-change-in-production'
+      secret: process.env.SESSION_SECRET || ''
     }
   },
 
@@ -39,7 +40,67 @@ const config = {
     port: process.env.PORT || 3001,
     nodeEnv: process.env.NODE_ENV || 'development',
     frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
-    backendUrl: process.env.BACKEND_URL || 'http://localhost:3001'
+    backendUrl: process.env.BACKEND_URL || 'http://localhost:3001',
+    // Express 'trust proxy' setting (hop count or address list) so req.ip is the client address
+    // behind a proxy and behind the web app; defaults to trusting loopback only
+    trustProxy: /^\d+$/.test(process.env.TRUST_PROXY || '')
+      ? parseInt(process.env.TRUST_PROXY, 10)
+      : (process.env.TRUST_PROXY || 'loopback')
+  },
+
+  // Complaint sessions
+  sessions: {
+    timeoutMinutes: parseInt(process.env.SESSION_TIMEOUT_MINUTES || '10', 10),
+    sweepIntervalSeconds: parseInt(process.env.SESSION_SWEEP_INTERVAL_SECONDS || '60', 10),
+    sweepLockSeconds: parseInt(process.env.SESSION_SWEEP_LOCK_SECONDS || '120', 10)
+  },
+
+  // LINE webhook events: a 'processing' event older than the lease is taken to be abandoned by a
+  // crashed handler and can be claimed again by a redelivery or a replay
+  lineEvents: {
+    processingLeaseSeconds: parseInt(process.env.LINE_EVENT_PROCESSING_LEASE_SECONDS || '300', 10)
+  },
+
+  // AI analysis job queue (per-instance worker concurrency, retries with exponential backoff)
+  aiQueue: {
+    concurrency: parseInt(process.env.AI_QUEUE_CONCURRENCY || '2', 10),
+    pollIntervalSeconds: parseInt(process.env.AI_QUEUE_POLL_INTERVAL_SECONDS || '5', 10),
+    maxAttempts: parseInt(process.env.AI_QUEUE_MAX_ATTEMPTS || '5', 10),
+    backoffBaseSeconds: parseInt(process.env.AI_QUEUE_BACKOFF_BASE_SECONDS || '30', 10),
+    backoffMaxSeconds: parseInt(process.env.AI_QUEUE_BACKOFF_MAX_SECONDS || '3600', 10),
+    lockSeconds: parseInt(process.env.AI_QUEUE_LOCK_SECONDS || '300', 10)
+  },
+
+  // Complaint IDs: <prefix>-YYYY-MM-DD-#### numbered per day, with the day taken in this timezone
+  complaintIds: {
+    prefix: process.env.COMPLAINT_ID_PREFIX || 'CMP',
+    timezone: process.env.COMPLAINT_ID_TIMEZONE || 'Asia/Bangkok'
+  },
+
+  // Data retention (days to keep each kind of record; 0 keeps it forever) and erasure reports.
+  // Complaints under legal hold are never purged. LINE raw events expire via their 60-day TTL index.
+  retention: {
+    sweepIntervalMinutes: parseInt(process.env.RETENTION_SWEEP_INTERVAL_MINUTES || '1440', 10),
+    cancelledSessionDays: parseInt(process.env.RETENTION_CANCELLED_SESSION_DAYS || '30', 10),
+    closedCaseDays: parseInt(process.env.RETENTION_CLOSED_CASE_DAYS || '0', 10),
+    inactiveEmployeeDays: parseInt(process.env.RETENTION_INACTIVE_EMPLOYEE_DAYS || '0', 10),
+    // HMAC key signing erasure reports (falls back to the shared session secret)
+    reportSigningSecret: process.env.ERASURE_REPORT_SECRET || process.env.SESSION_SECRET
+  },
+
+  // Attachment storage (LINE images, files, video, audio)
+  attachments: {
+    storageBackend: process.env.ATTACHMENT_STORAGE_BACKEND || 'local',
+    localDir: process.env.ATTACHMENT_LOCAL_DIR || path.join(__dirname, '../../storage/attachments'),
+    maxBytes: parseInt(process.env.ATTACHMENT_MAX_BYTES || String(50 * 1024 * 1024), 10)
+  },
+
+  // Field-level encryption of complaint content at rest (AES-256-GCM)
+  // FIELD_ENCRYPTION_KEYS="v1:<base64 32-byte key>,v2:<base64 32-byte key>"; new writes use
+  // FIELD_ENCRYPTION_KEY_VERSION (default: the last key listed), older keys stay for decryption
+  encryption: {
+    keys: process.env.FIELD_ENCRYPTION_KEYS || '',
+    currentKeyVersion: process.env.FIELD_ENCRYPTION_KEY_VERSION || ''
   },
 
   // CORS
@@ -70,9 +131,32 @@ const config = {
   },
 
   // AI Configuration
+  // AI_PROVIDER selects the LLM used for complaint analysis: gemini, openai (any OpenAI-compatible
+  // chat completions endpoint, e.g. vLLM or Ollama on-prem) or heuristic (offline keyword rules, no network)
   ai: {
-    geminiApiKey: process.env.GEMINI_API_KEY,
-    googleApiKey: process.env.GOOGLE_API_KEY
+    provider: process.env.AI_PROVIDER || 'gemini',
+    requestTimeoutSeconds: parseInt(process.env.AI_REQUEST_TIMEOUT_SECONDS || '120', 10),
+    // Classify with the offline Thai/English keyword classifier when the LLM fails (queued jobs: on their last attempt)
+    heuristicFallback: process.env.AI_HEURISTIC_FALLBACK !== 'false',
+    // Times the model is asked again, with the validation errors, when its answer doesn't match the schema
+    maxRepairAttempts: parseInt(process.env.AI_MAX_REPAIR_ATTEMPTS || '2', 10),
+    // Estimated tokens of a conversation above which it is analyzed in parts and the results merged
+    maxConversationTokens: parseInt(process.env.AI_MAX_CONVERSATION_TOKENS || '8000', 10),
+    // Estimated LLM spend per calendar month (in usageTimezone) before queued analysis pauses; 0 = no budget
+    monthlyBudgetUsd: parseFloat(process.env.AI_MONTHLY_BUDGET_USD || '0'),
+    // JSON price table overrides, USD per million tokens: {"model-prefix": {"input": 0.15, "output": 0.6}}
+    pricing: process.env.AI_PRICING,
+    usageTimezone: process.env.AI_USAGE_TIMEZONE || process.env.COMPLAINT_ID_TIMEZONE || 'Asia/Bangkok',
+    googleApiKey: process.env.GOOGLE_API_KEY,
+    gemini: {
+      apiKey: process.env.GEMINI_API_KEY,
+      model: process.env.GEMINI_MODEL || 'gemini-1.5-flash'
+    },
+    openai: {
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+    }
   }
 };
 
@@ -82,7 +166,8 @@ const validateConfig = () => {
     'MONGODB_URI',
     'LINE_CHANNEL_SECRET', 
     'LINE_CHANNEL_ACCESS_TOKEN',
-    'BETTER_AUTH_SECRET'
+    'BETTER_AUTH_SECRET',
+    'SESSION_SECRET'
   ];
 
   const missing = required.filter(key => !process.env[key]);
@@ -153,14 +153,48 @@ class DatabaseConnection {
         { received_at: 1 }, 
         { expireAfterSeconds: 60 * 60 * 24 * 60 }
       );
+      await db.collection('line_events_raw').createIndex({ processing_status: 1, received_at: -1 });
       
       // HR Allowlist indexes
       await db.collection('hr_allowlist').createIndex({ email: 1 });
       await db.collection('hr_allowlist').createIndex({ roles: 1 });
       
-      // Audit Reads indexes (optional)
-      await db.collection('audit_reads').createIndex({ when: -1 });
-      await db.collection('audit_reads').createIndex({ hr_subject: 1, when: -1 });
+      // HR Actions indexes
+      await db.collection('hr_actions').createIndex({ complaint_session_id: 1, created_at: -1 });
+      await db.collection('hr_actions').createIndex({ complaint_id: 1, created_at: -1 });
+      
+      // Audit Events indexes (_id is the hash chain sequence)
+      await db.collection('audit_events').createIndex({ occurred_at: -1 });
+      await db.collection('audit_events').createIndex({ 'actor.email': 1, occurred_at: -1 });
+      await db.collection('audit_events').createIndex({ complaint_id: 1, occurred_at: -1 });
+      await db.collection('audit_events').createIndex({ action: 1, occurred_at: -1 });
+      
+      // Retention sweeps look up sessions by status and last update
+      await db.collection('complaint_sessions').createIndex({ status: 1, updated_at: 1 });
+      
+      // AI job queue indexes (active_key keeps one queued/running job per complaint)
+      await db.collection('ai_jobs').createIndex({ active_key: 1 }, { unique: true, sparse: true });
+      await db.collection('ai_jobs').createIndex({ status: 1, run_at: 1 });
+      await db.collection('ai_jobs').createIndex({ status: 1, updated_at: -1 });
+      await db.collection('ai_jobs').createIndex({ complaint_session_id: 1 });
+      
+      // AI analyses are versioned: unique per version, one current version per complaint.
+      // The unique index from the 1:1 schema would block re-analysis, so it is dropped.
+      await db.collection('ai_complaint_tags').dropIndex('complaint_session_id_1').catch(() => {});
+      await db.collection('ai_complaint_tags').createIndex({ complaint_session_id: 1, version: 1 }, { unique: true });
+      await db.collection('ai_complaint_tags').createIndex(
+        { complaint_session_id: 1 },
+        { unique: true, partialFilterExpression: { is_current: true }, name: 'complaint_session_id_current' }
+      );
+
+      // LLM usage indexes (monthly budget, daily reports)
+      await db.collection('llm_usage').createIndex({ month: 1 });
+      await db.collection('llm_usage').createIndex({ day: 1, model: 1 });
+      await db.collection('llm_usage').createIndex({ complaint_session_id: 1 });
+
+      // Erasure Reports indexes
+      await db.collection('erasure_reports').createIndex({ subject_hash: 1 });
+      await db.collection('erasure_reports').createIndex({ executed_at: -1 });
       
       console.log('✅ Database indexes created successfully');
       
@@ -1,14 +1,26 @@
 /**
  * LINE Webhook Handler
- * Processes incoming LINE webhook events and manages bot interactions
+ * The complaint conversation engine: command parsing, session lifecycle and bot replies.
+ * Both webhook entry points (backend /api/line/webhook and the web app's /api/line/webhook,
+ * which forwards here) run through this handler.
  */
 
 const lineService = require('../services/line_service');
-const { Employee, ComplaintSession, LineEventsRaw } = require('../models');
+const attachmentService = require('../services/attachment_service');
+const fieldEncryption = require('../services/field_encryption');
+const aiJobQueue = require('../services/ai_job_queue');
+const config = require('../config');
+const { Employee, ComplaintSession, LineEventsRaw, HrAction } = require('../models');
+
+// Slash commands understood by the bot (anything else starting with "/" gets the default reply)
+const COMMANDS = ['complain', 'submit', 'cancel', 'status', 'help'];
+
+// <prefix>-YYYY-MM-DD-####; the sequence widens past 9999 (see ComplaintCounter.nextComplaintId)
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const COMPLAINT_ID_PATTERN = new RegExp(`${escapeRegExp(config.complaintIds.prefix)}-\\d{4}-\\d{2}-\\d{2}-\\d{4,}`, 'i');
 
 class LineWebhookHandler {
   constructor() {
-    this.activeComplaintSessions = new Map(); // userId -> timeout
     console.log('🎯 LineWebhookHandler initialized with database integration');
   }
 
@@ -32,19 +44,48 @@ class LineWebhookHandler {
 
   /**
    * Handles a single LINE webhook event
+   * Each delivery is claimed by its webhookEventId first, so LINE redeliveries (and the same
+   * payload arriving through both webhook entry points) are processed once.
    * @param {Object} event - LINE webhook event
    * @returns {Promise<void>}
    */
   async handle_single_event(event) {
+    if (!event || !event.type) {
+      console.error('❌ Invalid webhook event:', event);
+      return;
+    }
+    
     console.log(`🔄 Processing event type: ${event.type}`);
     
+    let claim;
     try {
-      // Save raw event to database for audit
-      await this.save_raw_event(event);
+      claim = await LineEventsRaw.claimEvent(event);
     } catch (rawEventError) {
+      // Without the raw record there is no duplicate check, but the employee still gets an answer
       console.error(`❌ RAW EVENT SAVE FAILED:`, rawEventError);
+      claim = { claimed: true, eventId: null };
     }
     
+    if (!claim.claimed) {
+      console.log(`⏭️ Skipping duplicate delivery of event ${claim.eventId}`);
+      return;
+    }
+    
+    await this.dispatch_event(claim.eventId, event);
+  }
+
+  /**
+   * Runs the handler for an event and records the outcome on its raw event
+   * Handlers rethrow their errors (after replying to the employee), so a failed write is recorded as
+   * failed and can be replayed instead of being marked processed.
+   * @param {string|null} eventId - Raw event _id (null if the raw event could not be saved)
+   * @param {Object} event - LINE webhook event
+   * @returns {Promise<string>} - processed or skipped (failures are recorded and rethrown)
+   */
+  async dispatch_event(eventId, event) {
+    let outcome = 'processed';
+    let reason;
+    
     try {
       switch (event.type) {
         case 'message':
@@ -65,11 +106,61 @@ class LineWebhookHandler {
         
         default:
           console.log(`⚠️ Unhandled event type: ${event.type}`);
+          outcome = 'skipped';
+          reason = `Unsupported event type: ${event.type}`;
       }
     } catch (error) {
       console.error(`❌ Error handling event ${event.type}:`, error);
+      await this.record_outcome(eventId, 'failed', { error });
       throw error;
     }
+    
+    await this.record_outcome(eventId, outcome, { reason });
+    return outcome;
+  }
+
+  /**
+   * Records an event's processing outcome without letting bookkeeping errors escape
+   * @param {string|null} eventId - Raw event _id
+   * @param {string} status - processed, skipped or failed
+   * @param {Object} details - { error, reason }
+   * @returns {Promise<void>}
+   */
+  async record_outcome(eventId, status, details) {
+    if (!eventId) {
+      return;
+    }
+    
+    try {
+      await LineEventsRaw.recordOutcome(eventId, status, details);
+    } catch (error) {
+      console.error(`❌ Error recording outcome for event ${eventId}:`, error);
+    }
+  }
+
+  /**
+   * Replays a failed event
+   * The reply token expired long ago, so the handler runs without one and replies are skipped.
+   * @param {string} eventId - Raw event _id
+   * @returns {Promise<Object>} - { eventId, status, error? }
+   */
+  async replay_event(eventId) {
+    const rawEvent = await LineEventsRaw.claimForReplay(eventId);
+    
+    if (!rawEvent) {
+      return { eventId, status: 'not_replayable' };
+    }
+    
+    console.log(`🔁 Replaying event ${eventId} (attempt ${rawEvent.attempts})`);
+    const event = LineEventsRaw.openPayload(rawEvent.payload);
+    delete event.replyToken;
+    
+    try {
+      const status = await this.dispatch_event(eventId, event);
+      return { eventId, status };
+    } catch (error) {
+      return { eventId, status: 'failed', error: error.message };
+    }
   }
 
   /**
@@ -95,6 +186,7 @@ class LineWebhookHandler {
     } catch (error) {
       console.error('❌ Error handling message event:', error);
       await this.send_error_message(replyToken);
+      throw error;
     }
   }
 
@@ -110,29 +202,44 @@ class LineWebhookHandler {
     
     console.log(`🔍 Processing text: "${normalizedText}"`);
     
+    // Slash commands always act as commands, even in the middle of a complaint
+    const command = this.parse_command(normalizedText);
+    if (command) {
+      await this.run_command(replyToken, userId, command, text, timestamp);
+      return;
+    }
+    
     // Check if user has active complaint session
     const activeSession = await ComplaintSession.findActiveSession(userId);
     
-    // Command routing based on text content
-    if (normalizedText.startsWith('/complain')) {
-      await this.start_complaint_session(replyToken, userId, timestamp);
-    }
-    else if (normalizedText.startsWith('/submit')) {
-      await this.submit_complaint_session(replyToken, userId, timestamp);
-    }
-    else if (activeSession) {
+    if (activeSession) {
       // User has active complaint session - capture all messages
       await this.add_message_to_session(activeSession, 'user', 'text', text, timestamp);
       await this.acknowledge_complaint_message(replyToken);
+      return;
+    }
+    
+    // Replies to an HR follow-up go back into the same case, even when they contain a keyword
+    // ("help", "status", "ร้องเรียน"); slash commands above still work during the thread
+    const hrThread = await ComplaintSession.findOpenHrThread(userId);
+    if (hrThread) {
+      await this.add_reply_to_hr_thread(replyToken, hrThread, 'text', text);
+      return;
     }
-    else if (normalizedText.includes('สวัสดี') || normalizedText.includes('hello') || normalizedText === 'hi') {
+    
+    // Keyword routing based on text content
+    if (normalizedText.includes('สวัสดี') || normalizedText.includes('hello') || normalizedText === 'hi') {
       await this.send_welcome_message(replyToken, userId);
     } 
+    else if (normalizedText.startsWith('สถานะ') || normalizedText.startsWith('status')) {
+      // Checked before the complaint keywords so "สถานะการร้องเรียน" doesn't open a new session
+      await this.check_complaint_status(replyToken, userId, text);
+    }
     else if (normalizedText.includes('ร้องเรียน') || normalizedText.includes('complaint')) {
       await this.start_complaint_session(replyToken, userId, timestamp);
     }
     else if (normalizedText.includes('สถานะ') || normalizedText.includes('status')) {
-      await this.check_complaint_status(replyToken, userId);
+      await this.check_complaint_status(replyToken, userId, text);
     }
     else if (normalizedText.includes('ช่วยเหลือ') || normalizedText.includes('help')) {
       await this.send_help_message(replyToken);
@@ -142,6 +249,89 @@ class LineWebhookHandler {
     }
   }
 
+  /**
+   * Parses a slash command
+   * @param {string} normalizedText - Lower-cased, trimmed message text
+   * @returns {Object|null} - { name, anonymous } or null when the text is not a command
+   */
+  parse_command(normalizedText) {
+    const match = normalizedText.match(/^\/([a-z]+)(?:\s|$)/);
+    if (!match) {
+      return null;
+    }
+
+    const name = COMMANDS.includes(match[1]) ? match[1] : 'unknown';
+    return {
+      name,
+      anonymous: name === 'complain' && this.is_anonymous_request(normalizedText)
+    };
+  }
+
+  /**
+   * Runs a parsed slash command
+   * @param {string} replyToken - Reply token for response
+   * @param {string} userId - LINE user ID
+   * @param {Object} command - Parsed command ({ name, anonymous })
+   * @param {string} text - Original message text
+   * @param {number} timestamp - Event timestamp
+   * @returns {Promise<void>}
+   */
+  async run_command(replyToken, userId, command, text, timestamp) {
+    console.log(`⌨️ Command: /${command.name}`);
+    
+    switch (command.name) {
+      case 'complain':
+        await this.start_complaint_session(replyToken, userId, timestamp, { anonymous: command.anonymous });
+        break;
+      
+      case 'submit':
+        await this.submit_complaint_session(replyToken, userId, timestamp);
+        break;
+      
+      case 'cancel':
+        await this.cancel_complaint_session(replyToken, userId);
+        break;
+      
+      case 'status':
+        await this.check_complaint_status(replyToken, userId, text);
+        break;
+      
+      case 'help':
+        await this.send_help_message(replyToken);
+        break;
+      
+      default:
+        await this.send_default_response(replyToken, text);
+    }
+  }
+
+  /**
+   * Threads an employee reply into a submitted case that HR has followed up on
+   * @param {string} replyToken - Reply token
+   * @param {Object} session - Submitted complaint session with an open HR thread
+   * @param {string} messageType - Type of message
+   * @param {string} message - Message content
+   * @param {Object} [options] - Extra chat log fields ({ attachment })
+   * @returns {Promise<void>}
+   */
+  async add_reply_to_hr_thread(replyToken, session, messageType, message, options = {}) {
+    console.log(`↩️ Threading employee reply into ${session.complaint_id}`);
+    
+    try {
+      await session.addChatLog('user', messageType, message, options);
+      
+      const ackMessage = `📨 ส่งข้อความของคุณถึงทีมงานแล้ว
+เรื่อง: ${session.complaint_id}
+
+ทีมงานจะติดต่อกลับโดยเร็วที่สุดค่ะ 🙏`;
+      
+      await lineService.reply_message(replyToken, ackMessage);
+    } catch (error) {
+      console.error('❌ Error threading reply to HR:', error);
+      throw error;
+    }
+  }
+
   /**
    * Sends welcome message to new or returning users
    * @param {string} replyToken - Reply token
@@ -170,35 +360,7 @@ class LineWebhookHandler {
       await lineService.reply_message(replyToken, welcomeMessage);
     } catch (error) {
       console.error('❌ Error sending welcome message:', error);
-      await this.send_error_message(replyToken);
-    }
-  }
-
-  /**
-   * Saves raw LINE event to database for audit
-   * @param {Object} event - LINE webhook event
-   * @returns {Promise<void>}
-   */
-  async save_raw_event(event) {
-    try {
-      if (!event || !event.type) {
-        console.error('❌ Invalid event data for raw event logging:', event);
-        return;
-      }
-      
-      const eventId = `evt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      const userId = event.source ? event.source.userId : null;
-      
-      await LineEventsRaw.create({
-        _id: eventId,
-        received_at: new Date(),
-        user_id: userId,
-        event_type: event.type,
-        payload: event
-      });
-      console.log(`✅ Raw event saved: ${event.type} (${eventId})`);
-    } catch (error) {
-      console.error('❌ Error saving raw event:', error);
+      throw error;
     }
   }
 
@@ -225,6 +387,7 @@ class LineWebhookHandler {
         console.log(`✅ User ${userId} registered as new employee`);
       }
     } catch (error) {
+      // Best effort: the message is still handled and registration is retried on the next one
       console.error('❌ Error registering new user:', error);
     }
   }
@@ -234,9 +397,11 @@ class LineWebhookHandler {
    * @param {string} replyToken - Reply token
    * @param {string} userId - LINE user ID
    * @param {number} timestamp - Event timestamp
+   * @param {Object} [options]
+   * @param {boolean} [options.anonymous] - Hide the reporter's identity from HR
    * @returns {Promise<void>}
    */
-  async start_complaint_session(replyToken, userId, timestamp) {
+  async start_complaint_session(replyToken, userId, timestamp, { anonymous = false } = {}) {
     console.log(`📝 Starting complaint session for user: ${userId}`);
     
     try {
@@ -258,15 +423,10 @@ class LineWebhookHandler {
       const employee = await Employee.findById(userId);
       const department = employee ? employee.department : null;
       
-      // Create new complaint session
-      const session = await ComplaintSession.createNewSession(userId, department);
-      
-      // Add initial command to chat log
-      await session.addChatLog('user', 'command', '/complain');
-      
-      // Set up 10-minute timeout
-      this.setup_session_timeout(userId);
+      // Create new complaint session (records the /complain command as its first chat log)
+      const session = await ComplaintSession.createNewSession(userId, department, { anonymous });
       
+      // Session expiry is persisted on the session (expires_at) and enforced by the sweeper
       const startMessage = `✅ เริ่มการร้องเรียนแล้ว
 รหัสการร้องเรียน: ${session.complaint_id}
 
@@ -274,9 +434,22 @@ class LineWebhookHandler {
 📝 คุณสามารถส่งข้อความได้หลายครั้ง
 📤 เมื่อเสร็จสิ้นให้พิมพ์ "/submit" เพื่อส่งร้องเรียน
 
-⏰ เซสชันจะหมดอายุใน 10 นาที หากไม่มีการตอบกลับ`;
+⏰ เซสชันจะหมดอายุใน ${config.sessions.timeoutMinutes} นาที หากไม่มีการตอบกลับ${anonymous ? `
+
+🕶️ การร้องเรียนนี้ไม่ระบุตัวตน ทีมงานจะไม่เห็นชื่อ LINE ของคุณ` : ''}`;
 
-      await lineService.reply_message(replyToken, startMessage);
+      // Offer anonymous mode before the employee starts describing the issue
+      await lineService.reply_message(
+        replyToken,
+        anonymous ? startMessage : [lineService.create_quick_reply(startMessage, [
+          {
+            type: 'postback',
+            label: '🕶️ ไม่ระบุตัวตน',
+            data: 'complaint_anonymous',
+            displayText: 'ร้องเรียนแบบไม่ระบุตัวตน'
+          }
+        ])]
+      );
       
       // Add bot response to chat log
       await session.addChatLog('bot', 'text', startMessage);
@@ -285,7 +458,7 @@ class LineWebhookHandler {
       
     } catch (error) {
       console.error('❌ Error starting complaint session:', error);
-      await this.send_error_message(replyToken);
+      throw error;
     }
   }
 
@@ -317,26 +490,8 @@ class LineWebhookHandler {
       // Submit the session
       await activeSession.submit();
       
-      // Trigger AI analysis in the background
-      if (process.env.GEMINI_API_KEY) {
-        console.log('🤖 Triggering background AI analysis for complaint:', activeSession.complaint_id);
-        
-        setImmediate(async () => {
-          try {
-            const AITaggingService = require('../services/ai_tagging_service');
-            const aiService = new AITaggingService();
-            await aiService.processComplaintSession(activeSession._id);
-            console.log('✅ Background AI analysis completed for:', activeSession.complaint_id);
-          } catch (error) {
-            console.error('❌ Background AI analysis failed for:', activeSession.complaint_id, error.message);
-          }
-        });
-      } else {
-        console.log('⚠️ GEMINI_API_KEY not configured, skipping AI analysis');
-      }
-      
-      // Clear timeout
-      this.clear_session_timeout(userId);
+      // Queue AI analysis (retried by the job queue if it fails)
+      await aiJobQueue.enqueue_submitted(activeSession, 'submit');
       
       const submitMessage = `✅ ส่งร้องเรียนเรียบร้อยแล้ว
 รหัสการร้องเรียน: ${activeSession.complaint_id}
@@ -355,7 +510,46 @@ class LineWebhookHandler {
       
     } catch (error) {
       console.error('❌ Error submitting complaint:', error);
-      await this.send_error_message(replyToken);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancels the user's active complaint session at their request
+   * @param {string} replyToken - Reply token
+   * @param {string} userId - LINE user ID
+   * @returns {Promise<void>}
+   */
+  async cancel_complaint_session(replyToken, userId) {
+    console.log(`🚫 Cancelling complaint session for user: ${userId}`);
+    
+    try {
+      const activeSession = await ComplaintSession.findActiveSession(userId);
+      
+      if (!activeSession) {
+        const message = `ไม่พบการร้องเรียนที่กำลังดำเนินการ
+
+หากต้องการเริ่มร้องเรียนใหม่ กรุณาพิมพ์ "/complain"`;
+        
+        await lineService.reply_message(replyToken, message);
+        return;
+      }
+      
+      await activeSession.addChatLog('user', 'command', '/cancel');
+      await activeSession.cancel('user');
+      
+      const cancelMessage = `❌ ยกเลิกการร้องเรียน ${activeSession.complaint_id} แล้ว
+
+ข้อความในการร้องเรียนนี้จะไม่ถูกส่งให้ทีมงาน
+หากต้องการเริ่มใหม่ กรุณาพิมพ์ "/complain"`;
+
+      await lineService.reply_message(replyToken, cancelMessage);
+      
+      console.log(`✅ Complaint cancelled by employee: ${activeSession.complaint_id}`);
+      
+    } catch (error) {
+      console.error('❌ Error cancelling complaint:', error);
+      throw error;
     }
   }
 
@@ -366,20 +560,18 @@ class LineWebhookHandler {
    * @param {string} messageType - Type of message
    * @param {string} message - Message content
    * @param {number} timestamp - Message timestamp
+   * @param {Object} [options] - Extra chat log fields ({ attachment })
    * @returns {Promise<void>}
    */
-  async add_message_to_session(session, direction, messageType, message, timestamp) {
+  async add_message_to_session(session, direction, messageType, message, timestamp, options = {}) {
     try {
-      await session.addChatLog(direction, messageType, message);
-      
-      // Reset timeout on user activity
-      if (direction === 'user') {
-        this.setup_session_timeout(session.user_id);
-      }
+      // addChatLog pushes expires_at forward on user activity
+      await session.addChatLog(direction, messageType, message, options);
       
       console.log(`💬 Message added to session ${session.complaint_id}`);
     } catch (error) {
       console.error('❌ Error adding message to session:', error);
+      throw error;
     }
   }
 
@@ -400,49 +592,24 @@ class LineWebhookHandler {
   }
 
   /**
-   * Sets up 10-minute timeout for complaint session
-   * @param {string} userId - LINE user ID
-   */
-  setup_session_timeout(userId) {
-    // Clear existing timeout
-    this.clear_session_timeout(userId);
-    
-    // Set new timeout
-    const timeout = setTimeout(async () => {
-      await this.handle_session_timeout(userId);
-    }, 10 * 60 * 1000); // 10 minutes
-    
-    this.activeComplaintSessions.set(userId, timeout);
-    console.log(`⏰ Session timeout set for user: ${userId}`);
-  }
-
-  /**
-   * Clears session timeout
-   * @param {string} userId - LINE user ID
-   */
-  clear_session_timeout(userId) {
-    const timeout = this.activeComplaintSessions.get(userId);
-    if (timeout) {
-      clearTimeout(timeout);
-      this.activeComplaintSessions.delete(userId);
-      console.log(`⏰ Session timeout cleared for user: ${userId}`);
-    }
-  }
-
-  /**
-   * Handles session timeout (auto-submit after 10 minutes)
-   * @param {string} userId - LINE user ID
+   * Handles an expired complaint session (auto-submit if it has content, otherwise cancel)
+   * Called by the session timeout sweeper after it has claimed the session
+   * @param {Object} activeSession - Open complaint session past its expires_at
+   * @returns {Promise<void>}
    */
-  async handle_session_timeout(userId) {
-    console.log(`⏰ Session timeout for user: ${userId}`);
+  async handle_session_timeout(activeSession) {
+    console.log(`⏰ Session timeout for user: ${activeSession.user_id}`);
     
     try {
-      const activeSession = await ComplaintSession.findActiveSession(userId);
+      if (activeSession.status !== 'open') {
+        return;
+      }
       
-      if (activeSession && activeSession.chat_logs.length > 1) {
+      if (activeSession.chat_logs.length > 1) {
         // Auto-submit if user provided content
-        await activeSession.addChatLog('system', 'timeout', 'Session auto-submitted due to 10-minute timeout');
+        await activeSession.addChatLog('system', 'timeout', `Session auto-submitted due to ${config.sessions.timeoutMinutes}-minute timeout`);
         await activeSession.submit();
+        await aiJobQueue.enqueue_submitted(activeSession, 'timeout');
         
         // Notify user via push message
         const timeoutMessage = `⏰ การร้องเรียนของคุณถูกส่งอัตโนมัติเนื่องจากไม่มีการตอบกลับ
@@ -450,17 +617,15 @@ class LineWebhookHandler {
 
 ทีมงานจะตรวจสอบและติดตามผลต่อไป 📋`;
 
-        await lineService.push_message(userId, timeoutMessage);
+        await lineService.push_message(activeSession.user_id, timeoutMessage);
         
         console.log(`✅ Session auto-submitted: ${activeSession.complaint_id}`);
-      } else if (activeSession) {
+      } else {
         // Cancel empty session
-        await activeSession.cancel();
+        await activeSession.cancel('timeout');
         console.log(`❌ Empty session cancelled: ${activeSession.complaint_id}`);
       }
       
-      this.clear_session_timeout(userId);
-      
     } catch (error) {
       console.error('❌ Error handling session timeout:', error);
     }
@@ -468,23 +633,155 @@ class LineWebhookHandler {
 
   /**
    * Checks complaint status for user
+   * Looks up a specific complaint when an ID is given, otherwise lists recent complaints
    * @param {string} replyToken - Reply token
    * @param {string} userId - LINE user ID
+   * @param {string} text - Original message text (may contain a complaint ID)
    * @returns {Promise<void>}
    */
-  async check_complaint_status(replyToken, userId) {
+  async check_complaint_status(replyToken, userId, text = '') {
     console.log(`📊 Checking complaint status for user: ${userId}`);
     
-    // TODO: Integrate with complaint database to fetch actual status
-    const statusMessage = `สถานะการร้องเรียนของคุณ:
+    try {
+      const complaintId = this.parse_complaint_id(text);
+      
+      if (complaintId) {
+        const session = await ComplaintSession.findByComplaintIdForUser(complaintId, userId);
+        
+        // Same reply for unknown IDs and other users' IDs so existence isn't leaked
+        if (!session) {
+          const notFoundMessage = `🔍 ไม่พบการร้องเรียนรหัส ${complaintId} ในบัญชีของคุณ
+
+กรุณาตรวจสอบรหัสอีกครั้ง หรือพิมพ์ "สถานะ" เพื่อดูรายการร้องเรียนของคุณ`;
+
+          await lineService.reply_message(replyToken, notFoundMessage);
+          return;
+        }
+        
+        // Only notes HR marked as visible to the employee are ever shown here
+        const latestNote = await HrAction.getLatestVisibleNote(session._id);
+        
+        await lineService.reply_message(replyToken, this.format_complaint_status(session, latestNote));
+        return;
+      }
+      
+      const recentSessions = await ComplaintSession.getRecentSessionsByUser(userId, 5);
+      
+      if (recentSessions.length === 0) {
+        const emptyMessage = `สถานะการร้องเรียนของคุณ:
 
 🔍 ยังไม่พบข้อร้องเรียนในระบบ
-หากต้องการส่งข้อร้องเรียนใหม่ กรุณาพิมพ์ "ร้องเรียน"
+หากต้องการส่งข้อร้องเรียนใหม่ กรุณาพิมพ์ "ร้องเรียน"`;
+
+        await lineService.reply_message(replyToken, emptyMessage);
+        return;
+      }
+      
+      const lines = recentSessions.map(session =>
+        `${this.get_status_icon(session.status)} ${session.complaint_id} - ${this.get_status_label(session.status)}`
+      );
+      
+      const listMessage = `📋 การร้องเรียนล่าสุดของคุณ:
+
+${lines.join('\n')}
+
+🔍 ดูรายละเอียดด้วยคำสั่ง "สถานะ <รหัสการร้องเรียน>"
+เช่น: "สถานะ ${recentSessions[0].complaint_id}"`;
+
+      await lineService.reply_message(replyToken, listMessage);
+      
+    } catch (error) {
+      console.error('❌ Error checking complaint status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Extracts a complaint ID (<COMPLAINT_ID_PREFIX>-YYYY-MM-DD-####) from message text
+   * @param {string} text - Message text
+   * @returns {string|null} - Complaint ID with the prefix as configured, or null if none found
+   */
+  parse_complaint_id(text) {
+    const match = (text || '').match(COMPLAINT_ID_PATTERN);
+    return match ? `${config.complaintIds.prefix}${match[0].slice(config.complaintIds.prefix.length)}` : null;
+  }
+
+  /**
+   * Builds the status reply for a single complaint
+   * @param {Object} session - Complaint session owned by the requesting user
+   * @param {Object|null} latestNote - Latest HR note visible to the employee
+   * @returns {string} - Formatted status message
+   */
+  format_complaint_status(session, latestNote = null) {
+    const submittedAt = session.status === 'submitted' && session.end_time
+      ? this.format_thai_datetime(session.end_time)
+      : '-';
+    
+    return `📋 สถานะการร้องเรียน ${session.complaint_id}
+
+${this.get_status_icon(session.status)} สถานะ: ${this.get_status_label(session.status)}${session.case_status ? `
+🗂️ ขั้นตอน: ${this.get_case_status_label(session.case_status)}` : ''}
+📤 ส่งเมื่อ: ${submittedAt}
+🕒 อัปเดตล่าสุด: ${this.format_thai_datetime(session.updated_at || session.start_time)}${latestNote ? `
 
-หรือหากมีรหัสการร้องเรียน กรุณาแนบรหัสมาด้วย
-เช่น: "สถานะ C001"`;
+💬 ข้อความจากทีมงาน (${this.format_thai_datetime(latestNote.created_at)}):
+${fieldEncryption.decrypt(latestNote.body)}` : ''}`;
+  }
 
-    await lineService.reply_message(replyToken, statusMessage);
+  /**
+   * Maps a session status to a Thai label for employees
+   * @param {string} status - Session status
+   * @returns {string} - Thai status label
+   */
+  get_status_label(status) {
+    const labels = {
+      open: 'กำลังกรอกข้อมูล (ยังไม่ได้ส่ง)',
+      submitted: 'ส่งแล้ว รอทีมงานตรวจสอบ',
+      cancelled: 'ยกเลิกแล้ว'
+    };
+    return labels[status] || status;
+  }
+
+  /**
+   * Maps an HR case status to a Thai label for employees
+   * @param {string} caseStatus - Case workflow status
+   * @returns {string} - Thai case status label
+   */
+  get_case_status_label(caseStatus) {
+    const labels = {
+      triage: 'รอคัดกรอง',
+      investigating: 'อยู่ระหว่างการตรวจสอบ',
+      resolved: 'ดำเนินการแก้ไขแล้ว',
+      closed: 'ปิดเรื่องแล้ว'
+    };
+    return labels[caseStatus] || caseStatus;
+  }
+
+  /**
+   * Maps a session status to an icon
+   * @param {string} status - Session status
+   * @returns {string} - Status icon
+   */
+  get_status_icon(status) {
+    const icons = {
+      open: '🟡',
+      submitted: '✅',
+      cancelled: '❌'
+    };
+    return icons[status] || '⭕';
+  }
+
+  /**
+   * Formats a date for Thai users in Bangkok time
+   * @param {Date} date - Date to format
+   * @returns {string} - Localized date string
+   */
+  format_thai_datetime(date) {
+    return new Date(date).toLocaleString('th-TH', {
+      timeZone: 'Asia/Bangkok',
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    });
   }
 
   /**
@@ -500,9 +797,12 @@ class LineWebhookHandler {
 คำสั่งที่สามารถใช้ได้:
 
 🔸 "สวัสดี" หรือ "hello" - ทักทาย
-🔸 "ร้องเรียน" หรือ "complaint" - ส่งข้อร้องเรียน
-🔸 "สถานะ" หรือ "status" - ตรวจสอบสถานะ
-🔸 "ช่วยเหลือ" หรือ "help" - ดูคำแนะนำ
+🔸 "ร้องเรียน" หรือ "/complain" - เริ่มการร้องเรียน
+🔸 "/complain anonymous" - ร้องเรียนแบบไม่ระบุตัวตน
+🔸 "/submit" - ส่งการร้องเรียนที่กำลังดำเนินการ
+🔸 "/cancel" - ยกเลิกการร้องเรียนที่กำลังดำเนินการ
+🔸 "สถานะ" หรือ "/status" - ตรวจสอบสถานะ
+🔸 "ช่วยเหลือ" หรือ "/help" - ดูคำแนะนำ
 
 💡 เคล็ดลับ: คุณสามารถพิมพ์เป็นภาษาไทยหรือภาษาอังกฤษได้
 
@@ -546,9 +846,10 @@ class LineWebhookHandler {
     const activeSession = await ComplaintSession.findActiveSession(userId);
     
     if (activeSession) {
-      // Add non-text message to active session
-      const messageContent = `[${message.type.toUpperCase()}] ${message.id || 'media content'}`;
-      await this.add_message_to_session(activeSession, 'user', message.type, messageContent, timestamp);
+      // Add non-text message to active session, keeping a copy of any media as evidence
+      const attachment = await attachmentService.store_line_attachment(activeSession, message);
+      const messageContent = this.format_attachment_message(message);
+      await this.add_message_to_session(activeSession, 'user', message.type, messageContent, timestamp, { attachment });
       
       const responseMessage = `📎 ได้รับ${message.type}ของคุณในการร้องเรียนแล้ว
       
@@ -560,6 +861,15 @@ class LineWebhookHandler {
       await activeSession.addChatLog('bot', 'text', responseMessage);
       
     } else {
+      const hrThread = await ComplaintSession.findOpenHrThread(userId);
+      
+      if (hrThread) {
+        const attachment = await attachmentService.store_line_attachment(hrThread, message);
+        const messageContent = this.format_attachment_message(message);
+        await this.add_reply_to_hr_thread(replyToken, hrThread, message.type, messageContent, { attachment });
+        return;
+      }
+      
       const responseMessage = `ได้รับ ${message.type} ของคุณแล้วค่ะ 📎
 
 หากต้องการเริ่มร้องเรียน กรุณาพิมพ์ "/complain" 
@@ -569,6 +879,15 @@ class LineWebhookHandler {
     }
   }
 
+  /**
+   * Formats the chat log text for a non-text message
+   * @param {Object} message - LINE message object
+   * @returns {string} - e.g. "[FILE] payslip.pdf"
+   */
+  format_attachment_message(message) {
+    return `[${message.type.toUpperCase()}] ${message.fileName || message.id || 'media content'}`;
+  }
+
   /**
    * Handles follow events (user adds bot as friend)
    * @param {Object} event - LINE follow event
@@ -590,6 +909,8 @@ class LineWebhookHandler {
       console.log(`✅ New follower registered and welcomed: ${userId}`);
     } catch (error) {
       console.error('❌ Error handling follow event:', error);
+      await this.send_error_message(replyToken);
+      throw error;
     }
   }
 
@@ -630,6 +951,7 @@ class LineWebhookHandler {
     } catch (error) {
       console.error('❌ Error handling postback event:', error);
       await this.send_error_message(replyToken);
+      throw error;
     }
   }
 
@@ -643,10 +965,56 @@ class LineWebhookHandler {
   async handle_complaint_postback(replyToken, userId, data) {
     console.log(`📋 Handling complaint postback: ${data}`);
     
+    if (data === 'complaint_anonymous') {
+      await this.make_session_anonymous(replyToken, userId);
+      return;
+    }
+    
     const message = 'ขอบคุณสำหรับข้อมูลค่ะ กรุณารออัพเดทสถานะจากทีมงาน';
     await lineService.reply_message(replyToken, message);
   }
 
+  /**
+   * Marks the user's active complaint session anonymous (quick-reply choice)
+   * @param {string} replyToken - Reply token
+   * @param {string} userId - LINE user ID
+   * @returns {Promise<void>}
+   */
+  async make_session_anonymous(replyToken, userId) {
+    const activeSession = await ComplaintSession.findActiveSession(userId);
+    
+    if (!activeSession) {
+      const message = `ไม่พบการร้องเรียนที่กำลังดำเนินการ
+
+หากต้องการร้องเรียนแบบไม่ระบุตัวตน กรุณาพิมพ์ "/complain anonymous"`;
+      
+      await lineService.reply_message(replyToken, message);
+      return;
+    }
+    
+    if (!activeSession.is_anonymous) {
+      await activeSession.markAnonymous();
+      await activeSession.addChatLog('user', 'command', '/anonymous');
+    }
+    
+    const message = `🕶️ การร้องเรียน ${activeSession.complaint_id} ไม่ระบุตัวตนแล้ว
+
+ทีมงานจะไม่เห็นชื่อ LINE ของคุณ แต่ยังสามารถตอบกลับคุณผ่านบอทนี้ได้
+กรุณาส่งรายละเอียดการร้องเรียนต่อได้เลย`;
+    
+    await lineService.reply_message(replyToken, message);
+    await activeSession.addChatLog('bot', 'text', message);
+  }
+
+  /**
+   * Checks whether a /complain command asks for anonymous mode
+   * @param {string} normalizedText - Lower-cased, trimmed message text
+   * @returns {boolean}
+   */
+  is_anonymous_request(normalizedText) {
+    return /^\/complain\s+(anonymous|anon|ไม่ระบุตัวตน)(\s|$)/.test(normalizedText);
+  }
+
   /**
    * Sends generic error message
    * @param {string} replyToken - Reply token
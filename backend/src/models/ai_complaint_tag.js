@@ -1,16 +1,36 @@
 /**
  * AI Complaint Tag Model
  * MongoDB schema for AI-generated analysis of complaint sessions
- * Maps 1:1 with complaint_sessions for AI sentiment analysis and issue classification
+ * Analyses are versioned per complaint session: re-analysis adds a new version and marks it current,
+ * earlier versions stay for comparison. Dashboards and analytics only read the current version.
  */
 
 const { Schema, model } = require('mongoose');
+const fieldEncryption = require('../services/field_encryption');
+
+// Analyses stored before versioning have no is_current field and are current
+const CURRENT_VERSION = { is_current: { $ne: false } };
+
+// Concurrent analyses of one complaint race for the next version number
+const MAX_VERSION_ATTEMPTS = 5;
+
+// Analysis enums (the AI response schema in services/ai_tagging_service is built from these)
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+const ISSUE_CATEGORIES = [
+  'workplace_harassment', 'discrimination', 'unfair_treatment',
+  'work_conditions', 'management_issues', 'compensation_benefits',
+  'workload_stress', 'safety_concerns', 'policy_violations',
+  'communication_issues', 'other'
+];
+const SEVERITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+// Language of the employee messages (other: a non-Thai, non-Latin script such as Myanmar or Lao)
+const LANGUAGES = ['th', 'en', 'mixed', 'other'];
 
 // Sentiment Analysis sub-schema
 const SentimentAnalysisSchema = new Schema({
   overall_sentiment: {
     type: String,
-    enum: ['positive', 'neutral', 'negative'],
+    enum: SENTIMENTS,
     required: true,
     description: 'Overall sentiment classification of the complaint'
   },
@@ -34,28 +54,18 @@ const SentimentAnalysisSchema = new Schema({
 const IssueClassificationSchema = new Schema({
   primary_category: {
     type: String,
-    enum: [
-      'workplace_harassment', 'discrimination', 'unfair_treatment', 
-      'work_conditions', 'management_issues', 'compensation_benefits',
-      'workload_stress', 'safety_concerns', 'policy_violations',
-      'communication_issues', 'other'
-    ],
+    enum: ISSUE_CATEGORIES,
     required: true,
     description: 'Primary issue category identified by AI'
   },
   secondary_categories: [{
     type: String,
-    enum: [
-      'workplace_harassment', 'discrimination', 'unfair_treatment', 
-      'work_conditions', 'management_issues', 'compensation_benefits',
-      'workload_stress', 'safety_concerns', 'policy_violations',
-      'communication_issues', 'other'
-    ],
+    enum: ISSUE_CATEGORIES,
     description: 'Additional related issue categories'
   }],
   severity_level: {
     type: String,
-    enum: ['low', 'medium', 'high', 'critical'],
+    enum: SEVERITY_LEVELS,
     required: true,
     description: 'Assessed severity level of the complaint'
   },
@@ -103,10 +113,24 @@ const KeyPhrasesSchema = new Schema({
 
 // AI Processing Metadata
 const AIProcessingMetadataSchema = new Schema({
+  provider: {
+    type: String,
+    description: 'AI provider that produced the analysis (gemini, openai, heuristic)'
+  },
   model_version: {
     type: String,
     required: true,
-    description: 'Gemini model version used for analysis'
+    description: 'Model reported by the provider (e.g. gemini-1.5-flash-002, lexicon-th-en-v1)'
+  },
+  analysis_method: {
+    type: String,
+    enum: ['llm', 'heuristic'],
+    default: 'llm',
+    description: 'llm, or heuristic for the offline keyword classifier (lower confidence, no model review)'
+  },
+  fallback_from: {
+    type: String,
+    description: 'Provider that failed when the heuristic classifier was used as a fallback'
   },
   processing_time_ms: {
     type: Number,
@@ -119,27 +143,82 @@ const AIProcessingMetadataSchema = new Schema({
   },
   api_response_id: {
     type: String,
-    description: 'Gemini API response ID for tracking'
+    description: 'Provider response ID for tracking'
   },
   processing_errors: [{
     type: String,
     description: 'Any errors encountered during processing'
+  }],
+  repair_attempts: {
+    type: Number,
+    default: 0,
+    description: 'Times the model was asked again because its answer failed schema validation'
+  },
+  chunk_count: {
+    type: Number,
+    default: 1,
+    description: 'Parts a long conversation was analyzed in before the results were merged (1 = single call)'
+  },
+  defaulted_fields: [{
+    type: String,
+    description: 'Fields the model left missing or invalid that were filled with a default (e.g. sentiment_analysis.overall_sentiment)'
   }]
 }, { _id: false, versionKey: false });
 
+// Prompt Safety (what was done to the employee text before it was sent to the provider)
+const PromptSafetySchema = new Schema({
+  injection_detected: {
+    type: Boolean,
+    default: false,
+    description: 'Employee messages contained text that tries to instruct the AI (see injection_indicators)'
+  },
+  injection_indicators: [{
+    type: String,
+    description: 'Screening rules that matched (e.g. ignore_instructions, classification_override_th)'
+  }],
+  pii_redacted: {
+    person: { type: Number, default: 0, description: 'Names replaced with placeholders' },
+    phone: { type: Number, default: 0, description: 'Phone numbers replaced with placeholders' },
+    email: { type: Number, default: 0, description: 'Email addresses replaced with placeholders' },
+    national_id: { type: Number, default: 0, description: 'Thai national IDs replaced with placeholders' }
+  }
+}, { _id: false, versionKey: false });
+
 // Main AI Complaint Tags schema
 const AIComplaintTagSchema = new Schema({
   _id: {
     type: String,
     required: true,
-    description: 'Unique AI tag identifier (aitag_sessionId format)'
+    description: 'Unique AI tag identifier (aitag_sessionId, aitag_sessionId_vN for later versions)'
   },
   complaint_session_id: {
     type: String,
     required: true,
-    unique: true,
-    index: true,
-    description: 'Reference to complaint_sessions._id (1:1 mapping)'
+    description: 'Reference to complaint_sessions._id'
+  },
+  version: {
+    type: Number,
+    default: 1,
+    min: 1,
+    description: 'Analysis version for the complaint (1 = first analysis)'
+  },
+  is_current: {
+    type: Boolean,
+    default: true,
+    description: 'Whether this is the version shown on dashboards and counted in analytics'
+  },
+  reanalysis_reason: {
+    type: String,
+    maxlength: 500,
+    description: 'Why HR requested this version (re-analysis only)'
+  },
+  requested_by: {
+    type: String,
+    description: 'HR email that requested the re-analysis'
+  },
+  superseded_at: {
+    type: Date,
+    description: 'When a newer version replaced this one as current'
   },
   complaint_id: {
     type: String,
@@ -151,11 +230,11 @@ const AIComplaintTagSchema = new Schema({
     type: String,
     required: true,
     index: true,
-    description: 'LINE userId of the complainant (denormalized for queries)'
+    description: 'LINE userId of the complainant (denormalized for queries; "anonymous" for anonymous complaints)'
   },
   employee_display_name: {
     type: String,
-    description: 'Employee display name (denormalized from employees collection)'
+    description: 'Employee display name (denormalized from employees collection; "Anonymous" for anonymous complaints)'
   },
   department: {
     type: String,
@@ -203,6 +282,11 @@ const AIComplaintTagSchema = new Schema({
     required: true,
     description: 'Total character count of user messages'
   },
+  detected_language: {
+    type: String,
+    enum: LANGUAGES,
+    description: 'Language the employee wrote in, detected from the script of the messages'
+  },
   
   // Processing Metadata
   ai_processing: {
@@ -211,16 +295,35 @@ const AIComplaintTagSchema = new Schema({
     description: 'AI processing metadata and tracking information'
   },
   
+  prompt_safety: {
+    type: PromptSafetySchema,
+    description: 'PII redaction and prompt-injection screening of the analyzed messages'
+  },
+  
   // Analysis Summary
   ai_summary: {
     type: String,
-    maxlength: 1000,
-    description: 'AI-generated summary of the complaint in 2-3 sentences'
+    set: (value) => fieldEncryption.encrypt(value),
+    validate: fieldEncryption.plaintext_max_length(1000),
+    description: 'AI-generated summary of the complaint in 2-3 sentences, in English (encrypted at rest)'
+  },
+  ai_summary_th: {
+    type: String,
+    set: (value) => fieldEncryption.encrypt(value),
+    validate: fieldEncryption.plaintext_max_length(1000),
+    description: 'The same summary in Thai (encrypted at rest; missing on analyses made before it was introduced)'
   },
   recommended_actions: [{
     type: String,
-    maxlength: 200,
-    description: 'AI-suggested actions for HR to consider'
+    set: (value) => fieldEncryption.encrypt(value),
+    validate: fieldEncryption.plaintext_max_length(200),
+    description: 'AI-suggested actions for HR to consider, in English (encrypted at rest: they can name people)'
+  }],
+  recommended_actions_th: [{
+    type: String,
+    set: (value) => fieldEncryption.encrypt(value),
+    validate: fieldEncryption.plaintext_max_length(200),
+    description: 'The same actions in Thai, in the same order (encrypted at rest)'
   }],
   
   // Timestamps
@@ -241,8 +344,12 @@ const AIComplaintTagSchema = new Schema({
   versionKey: false
 });
 
-// Indexes for efficient queries
-AIComplaintTagSchema.index({ complaint_session_id: 1 }, { unique: true });
+// Indexes for efficient queries (one current version per complaint session)
+AIComplaintTagSchema.index({ complaint_session_id: 1, version: 1 }, { unique: true });
+AIComplaintTagSchema.index(
+  { complaint_session_id: 1 },
+  { unique: true, partialFilterExpression: { is_current: true }, name: 'complaint_session_id_current' }
+);
 AIComplaintTagSchema.index({ complaint_id: 1 });
 AIComplaintTagSchema.index({ user_id: 1, complaint_start_time: -1 });
 AIComplaintTagSchema.index({ department: 1, complaint_start_time: -1 });
@@ -263,8 +370,22 @@ AIComplaintTagSchema.methods.getSummaryForDashboard = function() {
     severity: this.issue_classification.severity_level,
     urgency_score: this.issue_classification.urgency_score,
     complaint_date: this.complaint_start_time,
-    ai_summary: this.ai_summary,
-    message_count: this.message_count
+    ai_summary: fieldEncryption.decrypt(this.ai_summary),
+    ai_summary_th: this.ai_summary_th ? fieldEncryption.decrypt(this.ai_summary_th) : null,
+    detected_language: this.detected_language || null,
+    message_count: this.message_count,
+    analysis_method: this.ai_processing?.analysis_method || 'llm',
+    ai_tag_id: this._id,
+    version: this.version || 1,
+    injection_detected: this.prompt_safety?.injection_detected || false,
+    defaulted_fields: this.ai_processing?.defaulted_fields || []
+  };
+};
+
+AIComplaintTagSchema.methods.getRecommendedActions = function() {
+  return {
+    recommended_actions: (this.recommended_actions || []).map(action => fieldEncryption.decrypt(action)),
+    recommended_actions_th: (this.recommended_actions_th || []).map(action => fieldEncryption.decrypt(action))
   };
 };
 
@@ -280,10 +401,11 @@ AIComplaintTagSchema.methods.getWordCloudData = function() {
   };
 };
 
-// Static methods for analytics queries
+// Static methods for analytics queries (current versions only)
 AIComplaintTagSchema.statics.getSentimentStatsByDateRange = function(startDate, endDate, department = null) {
   const matchConditions = {
-    complaint_start_time: { $gte: startDate, $lte: endDate }
+    complaint_start_time: { $gte: startDate, $lte: endDate },
+    ...CURRENT_VERSION
   };
   
   if (department) {
@@ -306,7 +428,8 @@ AIComplaintTagSchema.statics.getSentimentStatsByDateRange = function(startDate,
 
 AIComplaintTagSchema.statics.getIssueStatsByCategory = function(startDate, endDate, department = null) {
   const matchConditions = {
-    complaint_start_time: { $gte: startDate, $lte: endDate }
+    complaint_start_time: { $gte: startDate, $lte: endDate },
+    ...CURRENT_VERSION
   };
   
   if (department) {
@@ -341,7 +464,8 @@ AIComplaintTagSchema.statics.getIssueStatsByCategory = function(startDate, endDa
 
 AIComplaintTagSchema.statics.getAllKeywordsForWordCloud = function(startDate, endDate, department = null, limit = 100) {
   const matchConditions = {
-    complaint_start_time: { $gte: startDate, $lte: endDate }
+    complaint_start_time: { $gte: startDate, $lte: endDate },
+    ...CURRENT_VERSION
   };
   
   if (department) {
@@ -364,8 +488,136 @@ AIComplaintTagSchema.statics.getAllKeywordsForWordCloud = function(startDate, en
   ]);
 };
 
-AIComplaintTagSchema.statics.generateAITagId = function(complaintSessionId) {
-  return `aitag_${complaintSessionId}`;
+AIComplaintTagSchema.statics.generateAITagId = function(complaintSessionId, version = 1) {
+  return version > 1 ? `aitag_${complaintSessionId}_v${version}` : `aitag_${complaintSessionId}`;
+};
+
+/**
+ * Current analysis of a complaint session
+ * @param {string} complaintSessionId - Complaint session _id
+ * @returns {Promise<Object|null>} - AI tag document
+ */
+AIComplaintTagSchema.statics.findCurrent = function(complaintSessionId) {
+  return this.findOne({ complaint_session_id: complaintSessionId, ...CURRENT_VERSION }).sort({ version: -1 });
+};
+
+/**
+ * All analysis versions of a complaint session, newest first
+ * @param {string} complaintSessionId - Complaint session _id
+ * @returns {Promise<Array>} - AI tag documents
+ */
+AIComplaintTagSchema.statics.getHistory = function(complaintSessionId) {
+  return this.find({ complaint_session_id: complaintSessionId }).sort({ version: -1 });
+};
+
+/**
+ * Highest version number stored for a complaint session (0 if never analyzed)
+ * @param {string} complaintSessionId - Complaint session _id
+ * @returns {Promise<number>}
+ */
+AIComplaintTagSchema.statics.getLatestVersion = async function(complaintSessionId) {
+  const latest = await this.findOne({ complaint_session_id: complaintSessionId })
+    .sort({ version: -1 })
+    .select('version')
+    .lean();
+
+  return latest ? (latest.version || 1) : 0;
+};
+
+/**
+ * Stores an analysis as the next version of its complaint session, not yet current (see makeCurrent)
+ * Analyses running at the same time can read the same latest version; the one that loses the unique
+ * version index retries with a fresh number, so no analysis is dropped.
+ * @param {Object} data - AI tag fields (_id, version and is_current are set here)
+ * @returns {Promise<Object>} - Saved AI tag document
+ */
+AIComplaintTagSchema.statics.createVersion = async function(data) {
+  const complaintSessionId = data.complaint_session_id;
+
+  for (let attempt = 1; attempt <= MAX_VERSION_ATTEMPTS; attempt++) {
+    const version = (await this.getLatestVersion(complaintSessionId)) + 1;
+
+    try {
+      return await this.create({
+        ...data,
+        _id: this.generateAITagId(complaintSessionId, version),
+        version,
+        is_current: false
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      console.warn(`⚠️ AI analysis v${version} of ${complaintSessionId} was stored by a concurrent analysis, retrying`);
+    }
+  }
+
+  throw new Error(`Failed to store AI analysis of ${complaintSessionId}: too many concurrent analyses`);
+};
+
+/**
+ * Makes a version the current one and marks the others as superseded
+ * Clearing and setting run in one transaction, so readers always find a current version. When
+ * analyses finish together the newest version wins: an older one is left superseded.
+ * @param {string} complaintSessionId - Complaint session _id
+ * @param {string} aiTagId - AI tag _id to make current
+ * @returns {Promise<boolean>} - false if a newer version is already current
+ */
+AIComplaintTagSchema.statics.makeCurrent = function(complaintSessionId, aiTagId) {
+  return this.db.transaction(async (session) => {
+    const tag = await this.findById(aiTagId).select('version').session(session).lean();
+    if (!tag) {
+      throw new Error(`AI tag not found: ${aiTagId}`);
+    }
+
+    const now = new Date();
+    const newer = await this.exists({
+      complaint_session_id: complaintSessionId,
+      version: { $gt: tag.version },
+      ...CURRENT_VERSION
+    }).session(session);
+
+    if (newer) {
+      await this.updateOne({ _id: aiTagId }, { $set: { is_current: false, superseded_at: now } }, { session });
+      return false;
+    }
+
+    await this.updateMany(
+      { complaint_session_id: complaintSessionId, _id: { $ne: aiTagId }, ...CURRENT_VERSION },
+      { $set: { is_current: false, superseded_at: now } },
+      { session }
+    );
+    await this.updateOne({ _id: aiTagId }, { $set: { is_current: true }, $unset: { superseded_at: '' } }, { session });
+    return true;
+  });
+};
+
+/**
+ * Fields that changed between two analysis versions
+ * @param {Object} previous - Older AI tag
+ * @param {Object} next - Newer AI tag
+ * @returns {Array<Object>} - [{ field, from, to }]
+ */
+AIComplaintTagSchema.statics.diffVersions = function(previous, next) {
+  const changes = [];
+  const compare = (field, from, to) => {
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  };
+
+  compare('primary_category', previous.issue_classification.primary_category, next.issue_classification.primary_category);
+  compare(
+    'secondary_categories',
+    [...(previous.issue_classification.secondary_categories || [])].sort(),
+    [...(next.issue_classification.secondary_categories || [])].sort()
+  );
+  compare('severity_level', previous.issue_classification.severity_level, next.issue_classification.severity_level);
+  compare('urgency_score', previous.issue_classification.urgency_score, next.issue_classification.urgency_score);
+  compare('overall_sentiment', previous.sentiment_analysis.overall_sentiment, next.sentiment_analysis.overall_sentiment);
+  compare('ai_summary', fieldEncryption.decrypt(previous.ai_summary), fieldEncryption.decrypt(next.ai_summary));
+
+  return changes;
 };
 
 // Pre-save middleware for logging
@@ -378,6 +630,11 @@ AIComplaintTagSchema.pre('save', function(next) {
   next();
 });
 
+AIComplaintTagSchema.statics.SENTIMENTS = SENTIMENTS;
+AIComplaintTagSchema.statics.ISSUE_CATEGORIES = ISSUE_CATEGORIES;
+AIComplaintTagSchema.statics.SEVERITY_LEVELS = SEVERITY_LEVELS;
+AIComplaintTagSchema.statics.LANGUAGES = LANGUAGES;
+
 // JSON Schema validation (MongoDB validator)
 AIComplaintTagSchema.statics.getValidator = function() {
   return {
@@ -387,6 +644,9 @@ AIComplaintTagSchema.statics.getValidator = function() {
       properties: {
         _id: { bsonType: "string" },
         complaint_session_id: { bsonType: "string" },
+        version: { bsonType: ["int", "long", "double"], minimum: 1 },
+        is_current: { bsonType: "bool" },
+        reanalysis_reason: { bsonType: "string", maxLength: 500 },
         complaint_id: { bsonType: "string" },
         user_id: { bsonType: "string" },
         employee_display_name: { bsonType: "string" },
@@ -395,7 +655,7 @@ AIComplaintTagSchema.statics.getValidator = function() {
           bsonType: "object",
           required: ["overall_sentiment", "sentiment_score", "confidence_level"],
           properties: {
-            overall_sentiment: { enum: ["positive", "neutral", "negative"] },
+            overall_sentiment: { enum: SENTIMENTS },
             sentiment_score: { bsonType: "number", minimum: -1, maximum: 1 },
             confidence_level: { bsonType: "number", minimum: 0, maximum: 1 }
           }
@@ -404,13 +664,8 @@ AIComplaintTagSchema.statics.getValidator = function() {
           bsonType: "object",
           required: ["primary_category", "severity_level", "urgency_score"],
           properties: {
-            primary_category: { 
-              enum: ["workplace_harassment", "discrimination", "unfair_treatment", 
-                     "work_conditions", "management_issues", "compensation_benefits",
-                     "workload_stress", "safety_concerns", "policy_violations",
-                     "communication_issues", "other"]
-            },
-            severity_level: { enum: ["low", "medium", "high", "critical"] },
+            primary_category: { enum: ISSUE_CATEGORIES },
+            severity_level: { enum: SEVERITY_LEVELS },
             urgency_score: { bsonType: "number", minimum: 1, maximum: 10 }
           }
         },
@@ -436,17 +691,32 @@ AIComplaintTagSchema.statics.getValidator = function() {
         complaint_end_time: { bsonType: ["date", "null"] },
         message_count: { bsonType: "number", minimum: 1 },
         complaint_text_length: { bsonType: "number" },
+        detected_language: { enum: [...LANGUAGES, null] },
         ai_processing: {
           bsonType: "object",
           required: ["model_version", "processing_time_ms"],
           properties: {
+            provider: { bsonType: "string" },
             model_version: { bsonType: "string" },
+            analysis_method: { enum: ["llm", "heuristic"] },
+            fallback_from: { bsonType: ["string", "null"] },
             processing_time_ms: { bsonType: "number" },
-            tokens_used: { bsonType: "number" },
-            api_response_id: { bsonType: "string" }
+            tokens_used: { bsonType: ["number", "null"] },
+            api_response_id: { bsonType: ["string", "null"] },
+            repair_attempts: { bsonType: "number" },
+            chunk_count: { bsonType: "number", minimum: 1 },
+            defaulted_fields: { bsonType: "array", items: { bsonType: "string" } }
+          }
+        },
+        prompt_safety: {
+          bsonType: "object",
+          properties: {
+            injection_detected: { bsonType: "bool" },
+            injection_indicators: { bsonType: "array", items: { bsonType: "string" } }
           }
         },
-        ai_summary: { bsonType: "string", maxLength: 1000 },
+        ai_summary: { bsonType: "string" },
+        ai_summary_th: { bsonType: "string" },
         created_at: { bsonType: "date" },
         updated_at: { bsonType: "date" }
       }
@@ -0,0 +1,406 @@
+/**
+ * AI Job Model
+ * Durable queue of AI analysis jobs. Workers claim jobs atomically; failures are retried with
+ * exponential backoff and end up in the dead-letter state after max_attempts.
+ */
+
+const { Schema, model } = require('mongoose');
+const { nanoid } = require('nanoid');
+const config = require('../config');
+
+const JOB_TYPES = ['ai_analysis'];
+
+// queued -> running -> completed | queued (retry with backoff) | dead (attempts exhausted)
+const JOB_STATUSES = ['queued', 'running', 'completed', 'dead'];
+
+// Where a job came from
+const JOB_SOURCES = ['submit', 'timeout', 'batch', 'auto', 'retry'];
+
+const MAX_ERROR_HISTORY = 10;
+
+const JobErrorSchema = new Schema({
+  attempt: {
+    type: Number,
+    required: true,
+    description: 'Attempt number that failed'
+  },
+  error: {
+    type: String,
+    required: true,
+    maxlength: 1000,
+    description: 'Error message'
+  },
+  at: {
+    type: Date,
+    required: true,
+    description: 'When the attempt failed'
+  }
+}, {
+  _id: false,
+  versionKey: false
+});
+
+const AIJobSchema = new Schema({
+  _id: {
+    type: String,
+    required: true,
+    description: 'Job identifier (job_...)'
+  },
+  type: {
+    type: String,
+    enum: JOB_TYPES,
+    default: 'ai_analysis',
+    description: 'Kind of work'
+  },
+  complaint_session_id: {
+    type: String,
+    required: true,
+    index: true,
+    description: 'Complaint session to analyze'
+  },
+  complaint_id: {
+    type: String,
+    description: 'Human-friendly complaint ID (for the dashboard)'
+  },
+  active_key: {
+    type: String,
+    description: 'complaint_session_id while queued or running; unique, so a complaint is queued once'
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued',
+    description: 'Job state (queued, running, completed, dead)'
+  },
+  source: {
+    type: String,
+    enum: JOB_SOURCES,
+    required: true,
+    description: 'What queued the job'
+  },
+  requested_by: {
+    type: String,
+    description: 'HR email for jobs queued from the dashboard'
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    description: 'Attempts started so far'
+  },
+  max_attempts: {
+    type: Number,
+    default: () => config.aiQueue.maxAttempts,
+    description: 'Attempts before the job is dead-lettered'
+  },
+  run_at: {
+    type: Date,
+    default: Date.now,
+    description: 'Earliest time the job may run (pushed back after each failure)'
+  },
+  locked_by: {
+    type: String,
+    description: 'Worker currently running the job'
+  },
+  locked_until: {
+    type: Date,
+    description: 'Lease expiry; a running job past it is picked up again'
+  },
+  last_error: {
+    type: String,
+    maxlength: 1000,
+    description: 'Error message of the latest failed attempt'
+  },
+  error_history: {
+    type: [JobErrorSchema],
+    default: [],
+    description: 'Most recent failed attempts'
+  },
+  ai_tag_id: {
+    type: String,
+    description: 'Resulting AI analysis (ai_complaint_tags _id)'
+  },
+  completed_at: {
+    type: Date,
+    description: 'When the job completed'
+  },
+  dead_at: {
+    type: Date,
+    description: 'When the job was dead-lettered'
+  }
+}, {
+  collection: 'ai_jobs',
+  versionKey: false,
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+AIJobSchema.index({ active_key: 1 }, { unique: true, sparse: true });
+AIJobSchema.index({ status: 1, run_at: 1 });
+AIJobSchema.index({ status: 1, updated_at: -1 });
+
+/**
+ * Delay before the next attempt: base * 2^(attempt - 1), capped
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Milliseconds
+ */
+const backoffMs = (attempts) => {
+  const { backoffBaseSeconds, backoffMaxSeconds } = config.aiQueue;
+  return Math.min(backoffBaseSeconds * Math.pow(2, Math.max(0, attempts - 1)), backoffMaxSeconds) * 1000;
+};
+
+// Static methods
+AIJobSchema.statics.JOB_STATUSES = JOB_STATUSES;
+AIJobSchema.statics.backoffMs = backoffMs;
+
+AIJobSchema.statics.generateJobId = function() {
+  return `job_${nanoid(16)}`;
+};
+
+/**
+ * Queues an analysis job unless one is already queued or running for the complaint
+ * @param {Object} session - { _id, complaint_id }
+ * @param {Object} options - { source, requestedBy }
+ * @returns {Promise<Object>} - { job, created }
+ */
+AIJobSchema.statics.enqueue = async function(session, { source, requestedBy } = {}) {
+  try {
+    const job = await this.create({
+      _id: this.generateJobId(),
+      complaint_session_id: session._id,
+      complaint_id: session.complaint_id,
+      active_key: session._id,
+      source,
+      requested_by: requestedBy
+    });
+
+    console.log(`📥 Queued AI analysis for complaint: ${session.complaint_id} (${job._id})`);
+    return { job, created: true };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    const job = await this.findOne({ active_key: session._id });
+    return { job, created: false };
+  }
+};
+
+/**
+ * Claims the next job that is due, or a running job whose worker lost its lease
+ * @param {string} workerId - Worker identifier
+ * @returns {Promise<Object|null>} - Claimed job
+ */
+AIJobSchema.statics.claimNext = function(workerId) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', run_at: { $lte: now } },
+        { status: 'running', locked_until: { $lte: now } }
+      ],
+      $expr: { $lt: ['$attempts', '$max_attempts'] }
+    },
+    {
+      $set: {
+        status: 'running',
+        locked_by: workerId,
+        locked_until: new Date(now.getTime() + config.aiQueue.lockSeconds * 1000)
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { run_at: 1 }, new: true }
+  );
+};
+
+/**
+ * Dead-letters running jobs whose worker vanished during their last allowed attempt
+ * @returns {Promise<number>} - Jobs dead-lettered
+ */
+AIJobSchema.statics.deadLetterAbandoned = async function() {
+  const now = new Date();
+  const result = await this.updateMany(
+    {
+      status: 'running',
+      locked_until: { $lte: now },
+      $expr: { $gte: ['$attempts', '$max_attempts'] }
+    },
+    {
+      $set: { status: 'dead', dead_at: now, last_error: 'Worker stopped before the last attempt finished' },
+      $unset: { active_key: '', locked_by: '', locked_until: '' }
+    }
+  );
+
+  return result.modifiedCount;
+};
+
+// Instance methods
+
+/**
+ * Filter matching this job only while this claim still holds the lease
+ * attempts is incremented by every claim, so it tells this claim apart from a later one by the same worker.
+ * @returns {Object} - Mongo filter
+ */
+AIJobSchema.methods.leaseFilter = function() {
+  return { _id: this._id, status: 'running', locked_by: this.locked_by, attempts: this.attempts };
+};
+
+/**
+ * Extends the lease of a running job so long analyses are not claimed again by another worker
+ * @returns {Promise<boolean>} - false if the lease was lost (the job was reclaimed or settled)
+ */
+AIJobSchema.methods.renewLease = async function() {
+  const lockedUntil = new Date(Date.now() + config.aiQueue.lockSeconds * 1000);
+  const result = await this.constructor.updateOne(this.leaseFilter(), { $set: { locked_until: lockedUntil } });
+
+  if (result.matchedCount === 1) {
+    this.locked_until = lockedUntil;
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Records a successful attempt
+ * @param {string} aiTagId - Resulting AI tag
+ * @returns {Promise<boolean>} - false if this claim no longer held the lease (nothing recorded)
+ */
+AIJobSchema.methods.markCompleted = async function(aiTagId) {
+  const result = await this.constructor.updateOne(
+    this.leaseFilter(),
+    {
+      $set: { status: 'completed', completed_at: new Date(), ai_tag_id: aiTagId },
+      $unset: { active_key: '', locked_by: '', locked_until: '', last_error: '' }
+    }
+  );
+
+  return result.matchedCount === 1;
+};
+
+/**
+ * Records a failed attempt: back to the queue with backoff, or dead-lettered when exhausted
+ * @param {Error} error - Failure
+ * @returns {Promise<string|null>} - New status (queued or dead), or null if this claim no longer held the lease
+ */
+AIJobSchema.methods.markFailed = async function(error) {
+  const now = new Date();
+  const message = String(error.message || error).slice(0, 1000);
+  const exhausted = this.attempts >= this.max_attempts;
+
+  const update = {
+    $set: { last_error: message },
+    $push: {
+      error_history: {
+        $each: [{ attempt: this.attempts, error: message, at: now }],
+        $slice: -MAX_ERROR_HISTORY
+      }
+    },
+    $unset: { locked_by: '', locked_until: '' }
+  };
+
+  if (exhausted) {
+    update.$set.status = 'dead';
+    update.$set.dead_at = now;
+    update.$unset.active_key = '';
+  } else {
+    update.$set.status = 'queued';
+    update.$set.run_at = new Date(now.getTime() + backoffMs(this.attempts));
+  }
+
+  const result = await this.constructor.updateOne(this.leaseFilter(), update);
+  return result.matchedCount === 1 ? update.$set.status : null;
+};
+
+/**
+ * Puts a dead job back in the queue with a fresh set of attempts
+ * @param {string} jobId - Job _id
+ * @param {string} requestedBy - HR email
+ * @returns {Promise<Object|null>} - Requeued job, or null if it is not dead (or the complaint is queued again)
+ */
+AIJobSchema.statics.retryDead = async function(jobId, requestedBy) {
+  const job = await this.findOne({ _id: jobId, status: 'dead' }).select('complaint_session_id').lean();
+  if (!job) {
+    return null;
+  }
+
+  try {
+    return await this.findOneAndUpdate(
+      { _id: jobId, status: 'dead' },
+      {
+        $set: {
+          status: 'queued',
+          active_key: job.complaint_session_id,
+          attempts: 0,
+          max_attempts: config.aiQueue.maxAttempts,
+          run_at: new Date(),
+          source: 'retry',
+          requested_by: requestedBy
+        },
+        $unset: { dead_at: '' }
+      },
+      { new: true }
+    );
+  } catch (error) {
+    // A newer job for the same complaint is already queued
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Queue status for the dashboard
+ * @param {number} deadLimit - Dead-lettered jobs to list
+ * @returns {Promise<Object>} - { counts, oldest_queued_at, next_retry_at, dead_jobs }
+ */
+AIJobSchema.statics.getQueueStatus = async function(deadLimit = 20) {
+  const [countRows, oldestQueued, nextRetry, deadJobs] = await Promise.all([
+    this.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+    this.findOne({ status: 'queued' }).sort({ created_at: 1 }).select('created_at').lean(),
+    this.findOne({ status: 'queued', attempts: { $gt: 0 } }).sort({ run_at: 1 }).select('run_at').lean(),
+    this.find({ status: 'dead' })
+      .sort({ dead_at: -1 })
+      .limit(deadLimit)
+      .select('complaint_id complaint_session_id attempts last_error dead_at source')
+      .lean()
+  ]);
+
+  const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+  countRows.forEach(row => {
+    counts[row._id] = row.count;
+  });
+
+  return {
+    counts,
+    oldest_queued_at: oldestQueued ? oldestQueued.created_at : null,
+    next_retry_at: nextRetry ? nextRetry.run_at : null,
+    dead_jobs: deadJobs
+  };
+};
+
+// JSON Schema validation (MongoDB validator)
+AIJobSchema.statics.getValidator = function() {
+  return {
+    $jsonSchema: {
+      bsonType: "object",
+      required: ["_id", "type", "complaint_session_id", "status", "source", "attempts", "max_attempts", "run_at"],
+      properties: {
+        _id: { bsonType: "string" },
+        type: { enum: JOB_TYPES },
+        complaint_session_id: { bsonType: "string" },
+        complaint_id: { bsonType: "string" },
+        active_key: { bsonType: "string" },
+        status: { enum: JOB_STATUSES },
+        source: { enum: JOB_SOURCES },
+        attempts: { bsonType: ["int", "long", "double"], minimum: 0 },
+        max_attempts: { bsonType: ["int", "long", "double"], minimum: 1 },
+        run_at: { bsonType: "date" },
+        locked_until: { bsonType: "date" },
+        last_error: { bsonType: "string", maxLength: 1000 },
+        error_history: { bsonType: "array" }
+      }
+    }
+  };
+};
+
+module.exports = model('AIJob', AIJobSchema);
@@ -0,0 +1,315 @@
+/**
+ * Audit Event Model
+ * Append-only, hash-chained record of HR reads and writes (who, what, when, from where, what changed)
+ */
+
+const crypto = require('crypto');
+const { Schema, model } = require('mongoose');
+
+// prev_hash of the first event in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Concurrent appends (backend instances and the web app) race for the next sequence number
+const MAX_APPEND_ATTEMPTS = 10;
+
+const ACTOR_TYPES = ['hr', 'system'];
+const EVENT_SOURCES = ['trpc', 'backend', 'web'];
+
+const ActorSchema = new Schema({
+  type: {
+    type: String,
+    enum: ACTOR_TYPES,
+    required: true,
+    description: 'Who acted: an HR user or the system itself'
+  },
+  id: {
+    type: String,
+    description: 'HR allowlist _id (IdP subject)'
+  },
+  email: {
+    type: String,
+    description: 'HR user email at the time of the event'
+  },
+  name: {
+    type: String,
+    description: 'HR user display name at the time of the event'
+  },
+  roles: {
+    type: [String],
+    default: undefined,
+    description: 'Roles held at the time of the event'
+  }
+}, {
+  _id: false,
+  versionKey: false
+});
+
+const AuditEventSchema = new Schema({
+  _id: {
+    type: Number,
+    required: true,
+    description: 'Position in the hash chain (1, 2, 3, ...)'
+  },
+  occurred_at: {
+    type: Date,
+    required: true,
+    description: 'When the action happened'
+  },
+  actor: {
+    type: ActorSchema,
+    required: true,
+    description: 'Who performed the action'
+  },
+  action: {
+    type: String,
+    required: true,
+    description: 'What was done (e.g. complaint_viewed, complaint_case_transitioned)'
+  },
+  resource_type: {
+    type: String,
+    description: 'Kind of record touched (complaint, hr_note, employee, analytics, audit_log, ...)'
+  },
+  resource_id: {
+    type: String,
+    description: 'Identifier of the record touched'
+  },
+  complaint_id: {
+    type: String,
+    description: 'Human-friendly complaint ID when the event concerns a complaint'
+  },
+  ip: {
+    type: String,
+    description: 'Client IP address'
+  },
+  user_agent: {
+    type: String,
+    description: 'Client user agent'
+  },
+  source: {
+    type: String,
+    enum: EVENT_SOURCES,
+    description: 'Which component recorded the event'
+  },
+  changes: {
+    type: Schema.Types.Mixed,
+    description: 'What changed, as { field: { from, to } }'
+  },
+  details: {
+    type: Schema.Types.Mixed,
+    description: 'Additional context (filters used, counts, ...)'
+  },
+  prev_hash: {
+    type: String,
+    required: true,
+    description: 'hash of the previous event (all zeros for the first event)'
+  },
+  hash: {
+    type: String,
+    required: true,
+    description: 'SHA-256 over this event and prev_hash'
+  }
+}, {
+  collection: 'audit_events',
+  versionKey: false
+});
+
+// Indexes for auditor searches
+AuditEventSchema.index({ occurred_at: -1 });
+AuditEventSchema.index({ 'actor.email': 1, occurred_at: -1 });
+AuditEventSchema.index({ complaint_id: 1, occurred_at: -1 });
+AuditEventSchema.index({ action: 1, occurred_at: -1 });
+
+// Append-only: refuse every update and delete made through the model
+const rejectMutation = function(next) {
+  next(new Error('audit_events is append-only'));
+};
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+].forEach(operation => {
+  AuditEventSchema.pre(operation, rejectMutation);
+});
+
+AuditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+/**
+ * Serializes a value with object keys sorted so the hash does not depend on key order
+ * (mirrored in web/src/lib/audit.ts)
+ */
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+/**
+ * Computes the chain hash of a stored event (every field except hash itself)
+ * @param {Object} event - Event document (lean)
+ * @returns {string} - Hex SHA-256
+ */
+const computeHash = (event) => {
+  const { hash, ...rest } = event;
+  const payload = { ...rest, occurred_at: new Date(rest.occurred_at).toISOString() };
+  return crypto.createHash('sha256').update(canonicalize(payload)).digest('hex');
+};
+
+// Static methods
+AuditEventSchema.statics.GENESIS_HASH = GENESIS_HASH;
+
+AuditEventSchema.statics.computeHash = computeHash;
+
+AuditEventSchema.statics.canonicalize = canonicalize;
+
+/**
+ * Appends an event to the end of the chain
+ * @param {Object} event - { actor, action, resource_type?, resource_id?, complaint_id?, ip?, user_agent?, source?, changes?, details? }
+ * @returns {Promise<Object>} - Stored event
+ */
+AuditEventSchema.statics.append = async function(event) {
+  // JSON round trip drops undefined fields and turns dates/ObjectIds into strings,
+  // so the stored document reads back exactly as it was hashed
+  const body = JSON.parse(JSON.stringify(event));
+
+  for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+    const head = await this.collection.findOne({}, { sort: { _id: -1 }, projection: { _id: 1, hash: 1 } });
+
+    const doc = {
+      ...body,
+      _id: head ? head._id + 1 : 1,
+      occurred_at: new Date(),
+      prev_hash: head ? head.hash : GENESIS_HASH
+    };
+    doc.hash = computeHash(doc);
+
+    try {
+      // Inserted through the driver so mongoose casting can't alter what was hashed
+      await this.collection.insertOne(doc);
+      console.log(`🧾 Audit #${doc._id} ${doc.action} by ${doc.actor.email || doc.actor.type}`);
+      return doc;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      // Another writer took this sequence number; retry on the new head
+    }
+  }
+
+  throw new Error('Failed to append audit event: too much contention on the chain head');
+};
+
+/**
+ * Re-computes the chain and reports the first event that does not match
+ * @param {Object} options - { fromSeq, limit }
+ * @returns {Promise<Object>} - { valid, checked, head_seq, head_hash, broken_at?, reason? }
+ */
+AuditEventSchema.statics.verifyChain = async function({ fromSeq = 1, limit = 10000 } = {}) {
+  console.log(`🔍 Verifying audit chain from #${fromSeq}`);
+
+  let expectedPrev = GENESIS_HASH;
+  if (fromSeq > 1) {
+    const previous = await this.collection.findOne({ _id: fromSeq - 1 });
+    if (!previous) {
+      return { valid: false, checked: 0, broken_at: fromSeq - 1, reason: 'missing event' };
+    }
+    expectedPrev = previous.hash;
+  }
+
+  let expectedSeq = fromSeq;
+  let lastHash = expectedPrev;
+  const cursor = this.collection.find({ _id: { $gte: fromSeq } }).sort({ _id: 1 }).limit(limit);
+
+  for await (const event of cursor) {
+    if (event._id !== expectedSeq) {
+      return { valid: false, checked: expectedSeq - fromSeq, broken_at: expectedSeq, reason: 'missing event' };
+    }
+    if (event.prev_hash !== lastHash) {
+      return { valid: false, checked: expectedSeq - fromSeq, broken_at: event._id, reason: 'prev_hash mismatch' };
+    }
+    if (computeHash(event) !== event.hash) {
+      return { valid: false, checked: expectedSeq - fromSeq, broken_at: event._id, reason: 'content modified' };
+    }
+
+    lastHash = event.hash;
+    expectedSeq++;
+  }
+
+  return {
+    valid: true,
+    checked: expectedSeq - fromSeq,
+    head_seq: expectedSeq - 1,
+    head_hash: lastHash
+  };
+};
+
+/**
+ * Builds a query from auditor search filters
+ * @param {Object} filters - { actorEmail, action, complaintId, resourceType, resourceId, startDate, endDate }
+ * @returns {Object} - MongoDB query
+ */
+AuditEventSchema.statics.buildSearchQuery = function(filters = {}) {
+  const query = {};
+
+  if (filters.actorEmail) query['actor.email'] = filters.actorEmail.toLowerCase();
+  if (filters.action) query.action = filters.action;
+  if (filters.complaintId) query.complaint_id = filters.complaintId;
+  if (filters.resourceType) query.resource_type = filters.resourceType;
+  if (filters.resourceId) query.resource_id = filters.resourceId;
+
+  if (filters.startDate || filters.endDate) {
+    query.occurred_at = {};
+    if (filters.startDate) query.occurred_at.$gte = new Date(filters.startDate);
+    if (filters.endDate) query.occurred_at.$lte = new Date(filters.endDate);
+  }
+
+  return query;
+};
+
+// JSON Schema validation (MongoDB validator)
+AuditEventSchema.statics.getValidator = function() {
+  return {
+    $jsonSchema: {
+      bsonType: "object",
+      required: ["_id", "occurred_at", "actor", "action", "prev_hash", "hash"],
+      properties: {
+        _id: { bsonType: ["int", "long", "double"] },
+        occurred_at: { bsonType: "date" },
+        actor: {
+          bsonType: "object",
+          required: ["type"],
+          properties: {
+            type: { enum: ACTOR_TYPES },
+            id: { bsonType: ["string", "null"] },
+            email: { bsonType: ["string", "null"] },
+            name: { bsonType: ["string", "null"] },
+            roles: { bsonType: "array", items: { bsonType: "string" } }
+          }
+        },
+        action: { bsonType: "string" },
+        resource_type: { bsonType: ["string", "null"] },
+        resource_id: { bsonType: ["string", "null"] },
+        complaint_id: { bsonType: ["string", "null"] },
+        ip: { bsonType: ["string", "null"] },
+        user_agent: { bsonType: ["string", "null"] },
+        source: { enum: EVENT_SOURCES },
+        changes: { bsonType: ["object", "null"] },
+        details: { bsonType: ["object", "null"] },
+        prev_hash: { bsonType: "string", pattern: "^[0-9a-f]{64}$" },
+        hash: { bsonType: "string", pattern: "^[0-9a-f]{64}$" }
+      }
+    }
+  };
+};
+
+module.exports = model('AuditEvent', AuditEventSchema);
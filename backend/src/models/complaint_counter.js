@@ -0,0 +1,83 @@
+/**
+ * Complaint Counter Model
+ * One document per prefix and calendar day holding the last complaint number handed out.
+ * Incremented atomically, so complaint IDs are sequential and never collide across instances.
+ */
+
+const { Schema, model } = require('mongoose');
+const config = require('../config');
+
+const ComplaintCounterSchema = new Schema({
+  _id: {
+    type: String,
+    required: true,
+    description: 'Counter key: <prefix>-YYYY-MM-DD (date in the configured timezone)'
+  },
+  seq: {
+    type: Number,
+    required: true,
+    min: 0,
+    description: 'Last sequence number issued for the day'
+  },
+  updated_at: {
+    type: Date,
+    description: 'When the last number was issued'
+  }
+}, {
+  collection: 'complaint_counters',
+  versionKey: false
+});
+
+let dateFormatter = null;
+
+// en-CA formats as YYYY-MM-DD; built on first use so a bad timezone fails loudly but only once
+const formatDate = (date) => {
+  if (!dateFormatter) {
+    dateFormatter = new Intl.DateTimeFormat('en-CA', {
+      timeZone: config.complaintIds.timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    });
+  }
+  return dateFormatter.format(date);
+};
+
+// Static methods
+ComplaintCounterSchema.statics.counterKey = function(date = new Date()) {
+  return `${config.complaintIds.prefix}-${formatDate(date)}`;
+};
+
+/**
+ * Issues the next complaint ID for the day (CMP-2026-10-19-0001, -0002, ...)
+ * @param {Date} [date] - Moment the complaint is created (defaults to now)
+ * @returns {Promise<string>} - Complaint ID; the sequence widens past 9999 instead of wrapping
+ */
+ComplaintCounterSchema.statics.nextComplaintId = async function(date = new Date()) {
+  const key = this.counterKey(date);
+
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 }, $set: { updated_at: new Date() } },
+    { upsert: true, new: true, lean: true }
+  );
+
+  return `${key}-${String(counter.seq).padStart(4, '0')}`;
+};
+
+// JSON Schema validation (MongoDB validator)
+ComplaintCounterSchema.statics.getValidator = function() {
+  return {
+    $jsonSchema: {
+      bsonType: "object",
+      required: ["_id", "seq"],
+      properties: {
+        _id: { bsonType: "string" },
+        seq: { bsonType: ["int", "long", "double"], minimum: 0 },
+        updated_at: { bsonType: "date" }
+      }
+    }
+  };
+};
+
+module.exports = model('ComplaintCounter', ComplaintCounterSchema);
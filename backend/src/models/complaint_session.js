@@ -5,6 +5,109 @@
 
 const { Schema, model } = require('mongoose');
 const { nanoid } = require('nanoid');
+const config = require('../config');
+const fieldEncryption = require('../services/field_encryption');
+const ComplaintCounter = require('./complaint_counter');
+
+// Complaint IDs issued before the daily counter were random, so a counter number can already be taken
+const COMPLAINT_ID_ATTEMPTS = 20;
+
+// HR case workflow (separate from the LINE session lifecycle in `status`)
+const CASE_STATUSES = ['triage', 'investigating', 'resolved', 'closed'];
+
+// Allowed case transitions: from -> [to]
+const CASE_TRANSITIONS = {
+  triage: ['investigating', 'closed'],
+  investigating: ['triage', 'resolved'],
+  resolved: ['investigating', 'closed'],
+  closed: ['investigating']
+};
+
+const RESOLUTION_CODES = [
+  'substantiated', 'partially_substantiated', 'unsubstantiated',
+  'withdrawn', 'duplicate', 'no_action_required'
+];
+
+// Stands in for user_id wherever an anonymous complaint is shown to HR
+const ANONYMOUS_USER_ID = 'anonymous';
+
+// Case history sub-schema (embedded, one entry per transition)
+const CaseHistorySchema = new Schema({
+  from_status: {
+    type: String,
+    enum: [...CASE_STATUSES, null],
+    description: 'Case status before the transition'
+  },
+  to_status: {
+    type: String,
+    enum: CASE_STATUSES,
+    required: true,
+    description: 'Case status after the transition'
+  },
+  changed_at: {
+    type: Date,
+    required: true,
+    description: 'When the transition happened'
+  },
+  changed_by: {
+    type: String,
+    description: 'HR user who made the transition'
+  },
+  note: {
+    type: String,
+    set: (value) => fieldEncryption.encrypt(value),
+    validate: fieldEncryption.plaintext_max_length(1000),
+    description: 'Optional reason for the transition (encrypted at rest, see decryptCaseHistory)'
+  }
+}, {
+  _id: false,
+  versionKey: false
+});
+
+// Attachment sub-schema (media downloaded from LINE and kept in attachment storage)
+const AttachmentSchema = new Schema({
+  line_message_id: {
+    type: String,
+    required: true,
+    description: 'LINE message ID the content was downloaded from'
+  },
+  storage_backend: {
+    type: String,
+    required: true,
+    description: 'Attachment storage backend holding the bytes (e.g. local)'
+  },
+  storage_key: {
+    type: String,
+    required: true,
+    description: 'Key of the object within the storage backend'
+  },
+  mime_type: {
+    type: String,
+    required: true,
+    description: 'Content type reported by LINE'
+  },
+  size_bytes: {
+    type: Number,
+    required: true,
+    description: 'Size of the stored content in bytes'
+  },
+  sha256: {
+    type: String,
+    required: true,
+    description: 'Hex SHA-256 of the stored content (evidence integrity)'
+  },
+  file_name: {
+    type: String,
+    description: 'Original file name (file messages only)'
+  },
+  duration_ms: {
+    type: Number,
+    description: 'Length of video/audio messages'
+  }
+}, {
+  _id: false,
+  versionKey: false
+});
 
 // Chat Log sub-schema (embedded)
 const ChatLogSchema = new Schema({
@@ -15,26 +118,73 @@ const ChatLogSchema = new Schema({
   },
   direction: { 
     type: String, 
-    enum: ['user', 'bot', 'system'], 
+    enum: ['user', 'bot', 'system', 'hr'], 
     required: true,
-    description: 'Message direction: user, bot, or system'
+    description: 'Message direction: user, bot, system, or hr (HR reply relayed by the bot)'
   },
   message_type: { 
     type: String, 
-    enum: ['text', 'image', 'file', 'command', 'timeout'], 
+    enum: ['text', 'image', 'file', 'video', 'audio', 'command', 'timeout'], 
     required: true,
     description: 'Type of message content'
   },
   message: { 
     type: String, 
     required: true,
-    description: 'Message content or command'
+    set: (value) => fieldEncryption.encrypt(value),
+    description: 'Message content or command (encrypted at rest, see decryptChatLogs)'
+  },
+  author: {
+    type: String,
+    description: 'HR user who sent the message (hr direction only)'
+  },
+  delivery_failed: {
+    type: Boolean,
+    description: 'HR reply that was recorded but LINE did not deliver (hr direction only)'
+  },
+  attachment: {
+    type: AttachmentSchema,
+    description: 'Stored media for image, file, video and audio messages'
   }
 }, { 
   _id: false,
   versionKey: false
 });
 
+// Legal hold sub-schema (held complaints are exempt from retention purges and erasure)
+const LegalHoldSchema = new Schema({
+  active: {
+    type: Boolean,
+    required: true,
+    default: false,
+    description: 'Whether the complaint is currently under legal hold'
+  },
+  reason: {
+    type: String,
+    maxlength: 1000,
+    description: 'Why the complaint must be preserved (case, request or regulation)'
+  },
+  placed_by: {
+    type: String,
+    description: 'HR user who placed the hold'
+  },
+  placed_at: {
+    type: Date,
+    description: 'When the hold was placed'
+  },
+  released_by: {
+    type: String,
+    description: 'HR user who released the hold'
+  },
+  released_at: {
+    type: Date,
+    description: 'When the hold was released'
+  }
+}, {
+  _id: false,
+  versionKey: false
+});
+
 // Main Complaint Session schema
 const ComplaintSessionSchema = new Schema({
   _id: { 
@@ -46,13 +196,18 @@ const ComplaintSessionSchema = new Schema({
     type: String, 
     required: true, 
     unique: true,
-    description: 'Human-friendly complaint ID (CMP-YYYY-MM-DD-####)'
+    description: 'Human-friendly complaint ID (CMP-YYYY-MM-DD-####, sequential per day)'
   },
   user_id: { 
     type: String, 
     required: true, 
     index: true,
-    description: 'LINE userId of the complainant'
+    description: 'LINE userId of the complainant (kept for the bot relay even when anonymous)'
+  },
+  is_anonymous: {
+    type: Boolean,
+    default: false,
+    description: 'Hide the complainant identity from HR surfaces (dashboard, routers, AI tags)'
   },
   status: { 
     type: String, 
@@ -61,6 +216,48 @@ const ComplaintSessionSchema = new Schema({
     index: true,
     description: 'Current status of the complaint session'
   },
+  case_status: {
+    type: String,
+    enum: CASE_STATUSES,
+    index: true,
+    description: 'HR case workflow status (set once the session is submitted)'
+  },
+  assignee: {
+    type: String,
+    description: 'HR user responsible for the case'
+  },
+  resolution_code: {
+    type: String,
+    enum: RESOLUTION_CODES,
+    description: 'Outcome of the investigation (required to resolve)'
+  },
+  resolution_text: {
+    type: String,
+    set: (value) => fieldEncryption.encrypt(value),
+    validate: fieldEncryption.plaintext_max_length(2000),
+    description: 'Free-text resolution details (encrypted at rest)'
+  },
+  case_history: {
+    type: [CaseHistorySchema],
+    default: [],
+    description: 'Timestamped case status transitions'
+  },
+  expires_at: {
+    type: Date,
+    description: 'When an open session times out (pushed forward on user activity)'
+  },
+  timeout_lock_until: {
+    type: Date,
+    description: 'Lease held by the timeout sweeper instance processing this session'
+  },
+  last_hr_reply_at: {
+    type: Date,
+    description: 'When HR last messaged the complainant (opens the reply thread)'
+  },
+  legal_hold: {
+    type: LegalHoldSchema,
+    description: 'Legal hold preserving the complaint from retention purges and erasure requests'
+  },
   start_time: { 
     type: Date, 
     required: true,
@@ -106,9 +303,12 @@ ComplaintSessionSchema.index({ status: 1, start_time: -1 });
 ComplaintSessionSchema.index({ user_id: 1, start_time: -1 });
 ComplaintSessionSchema.index({ complaint_id: 1 }, { unique: true });
 ComplaintSessionSchema.index({ department: 1, start_time: -1 });
+ComplaintSessionSchema.index({ case_status: 1, updated_at: -1 });
+ComplaintSessionSchema.index({ status: 1, expires_at: 1 });
+ComplaintSessionSchema.index({ status: 1, updated_at: 1 });
 
 // Instance methods
-ComplaintSessionSchema.methods.addChatLog = function(direction, messageType, message) {
+ComplaintSessionSchema.methods.addChatLog = function(direction, messageType, message, { attachment } = {}) {
   console.log(`💬 Adding chat log to session ${this._id}: ${direction} - ${messageType}`);
   
   // Guard against document size growth
@@ -120,19 +320,83 @@ ComplaintSessionSchema.methods.addChatLog = function(direction, messageType, mes
     timestamp: new Date(),
     direction,
     message_type: messageType,
-    message
+    message,
+    ...(attachment && { attachment })
   });
   
+  // User activity keeps an open session alive
+  if (direction === 'user' && this.status === 'open') {
+    this.expires_at = this.constructor.calculateExpiry();
+  }
+  
   this.updated_at = new Date();
   return this.save();
 };
 
+ComplaintSessionSchema.methods.addHrReply = function(message, author) {
+  console.log(`📨 Adding HR reply to session ${this._id} from ${author}`);
+  
+  if (this.chat_logs.length >= 500) {
+    throw new Error('Maximum chat logs limit reached (500 entries)');
+  }
+  
+  const now = new Date();
+  this.chat_logs.push({
+    timestamp: now,
+    direction: 'hr',
+    message_type: 'text',
+    message,
+    author
+  });
+  
+  this.last_hr_reply_at = now;
+  this.updated_at = now;
+  return this.save();
+};
+
+/**
+ * Flags an HR reply that LINE did not deliver
+ * Replies are recorded before they are pushed, so a failed push leaves the entry in place, marked,
+ * and the open-thread marker goes back to the previous reply (unless a newer one came in).
+ * @param {Date} sentAt - timestamp of the reply entry
+ * @param {Date} [previousReplyAt] - last_hr_reply_at before this reply
+ * @returns {Promise<void>}
+ */
+ComplaintSessionSchema.methods.markHrReplyUndelivered = async function(sentAt, previousReplyAt) {
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { 'chat_logs.$[reply].delivery_failed': true } },
+    { arrayFilters: [{ 'reply.direction': 'hr', 'reply.timestamp': sentAt }] }
+  );
+  await this.constructor.updateOne(
+    { _id: this._id, last_hr_reply_at: sentAt },
+    previousReplyAt ? { $set: { last_hr_reply_at: previousReplyAt } } : { $unset: { last_hr_reply_at: '' } }
+  );
+};
+
+ComplaintSessionSchema.methods.canReceiveHrReply = function() {
+  return this.status === 'submitted' && this.case_status !== 'closed';
+};
+
 ComplaintSessionSchema.methods.submit = function() {
   console.log(`📋 Submitting complaint session: ${this._id}`);
   
   this.status = 'submitted';
   this.end_time = new Date();
   this.updated_at = new Date();
+  this.expires_at = undefined;
+  this.timeout_lock_until = undefined;
+  
+  // Every submitted complaint enters the HR workflow at triage
+  if (!this.case_status) {
+    this.case_status = 'triage';
+    this.case_history.push({
+      from_status: null,
+      to_status: 'triage',
+      changed_at: this.end_time,
+      changed_by: 'system'
+    });
+  }
   
   // Add submission confirmation to chat log
   this.chat_logs.push({
@@ -145,46 +409,184 @@ ComplaintSessionSchema.methods.submit = function() {
   return this.save();
 };
 
-ComplaintSessionSchema.methods.cancel = function() {
-  console.log(`❌ Cancelling complaint session: ${this._id}`);
+// reason: 'timeout' (empty session expired) or 'user' (employee sent /cancel)
+ComplaintSessionSchema.methods.cancel = function(reason = 'timeout') {
+  console.log(`❌ Cancelling complaint session: ${this._id} (${reason})`);
   
   this.status = 'cancelled';
   this.end_time = new Date();
   this.updated_at = new Date();
+  this.expires_at = undefined;
+  this.timeout_lock_until = undefined;
   
   // Add cancellation note to chat log
   this.chat_logs.push({
     timestamp: new Date(),
     direction: 'system',
     message_type: 'text',
-    message: `Session cancelled due to inactivity. ID: ${this.complaint_id}`
+    message: reason === 'user'
+      ? `Session cancelled by the employee. ID: ${this.complaint_id}`
+      : `Session cancelled due to inactivity. ID: ${this.complaint_id}`
   });
   
   return this.save();
 };
 
+ComplaintSessionSchema.methods.getAllowedCaseTransitions = function() {
+  if (this.status !== 'submitted') return [];
+  return CASE_TRANSITIONS[this.case_status || 'triage'] || [];
+};
+
+ComplaintSessionSchema.methods.transitionCase = function(toStatus, options = {}) {
+  const fromStatus = this.case_status || 'triage';
+  console.log(`🔀 Case transition for ${this.complaint_id}: ${fromStatus} -> ${toStatus}`);
+  
+  if (this.status !== 'submitted') {
+    throw new Error(`Only submitted complaints can enter the case workflow (status: ${this.status})`);
+  }
+  
+  if (!this.getAllowedCaseTransitions().includes(toStatus)) {
+    throw new Error(`Illegal case transition: ${fromStatus} -> ${toStatus}`);
+  }
+  
+  if (toStatus === 'resolved') {
+    const resolutionCode = options.resolutionCode || this.resolution_code;
+    if (!RESOLUTION_CODES.includes(resolutionCode)) {
+      throw new Error('A valid resolution code is required to resolve a case');
+    }
+    this.resolution_code = resolutionCode;
+    if (options.resolutionText !== undefined) this.resolution_text = options.resolutionText;
+  } else if (toStatus === 'triage' || toStatus === 'investigating') {
+    // A reopened case has no outcome until it is resolved again
+    this.resolution_code = undefined;
+    this.resolution_text = undefined;
+  }
+  
+  if (options.assignee !== undefined) this.assignee = options.assignee;
+  
+  const now = new Date();
+  this.case_status = toStatus;
+  this.case_history.push({
+    from_status: fromStatus,
+    to_status: toStatus,
+    changed_at: now,
+    changed_by: options.changedBy,
+    note: options.note
+  });
+  this.updated_at = now;
+  
+  return this.save();
+};
+
+ComplaintSessionSchema.methods.isOnLegalHold = function() {
+  return Boolean(this.legal_hold?.active);
+};
+
+ComplaintSessionSchema.methods.placeLegalHold = function(reason, placedBy) {
+  console.log(`⚖️ Placing legal hold on complaint: ${this.complaint_id}`);
+
+  this.legal_hold = {
+    active: true,
+    reason,
+    placed_by: placedBy,
+    placed_at: new Date()
+  };
+  this.updated_at = new Date();
+  return this.save();
+};
+
+ComplaintSessionSchema.methods.releaseLegalHold = function(releasedBy) {
+  console.log(`⚖️ Releasing legal hold on complaint: ${this.complaint_id}`);
+
+  this.legal_hold = {
+    ...(this.legal_hold?.toObject ? this.legal_hold.toObject() : this.legal_hold),
+    active: false,
+    released_by: releasedBy,
+    released_at: new Date()
+  };
+  this.updated_at = new Date();
+  return this.save();
+};
+
 ComplaintSessionSchema.methods.getConversationSummary = function() {
   return {
     session_id: this._id,
     complaint_id: this.complaint_id,
-    user_id: this.user_id,
+    user_id: this.is_anonymous ? ANONYMOUS_USER_ID : this.user_id,
+    is_anonymous: this.is_anonymous,
     status: this.status,
+    case_status: this.case_status,
+    assignee: this.assignee,
     duration_minutes: this.end_time ? 
       Math.round((this.end_time - this.start_time) / (1000 * 60)) : null,
     message_count: this.chat_logs.length,
-    department: this.department
+    department: this.department,
+    legal_hold: this.isOnLegalHold()
   };
 };
 
-// Static methods
-ComplaintSessionSchema.statics.generateComplaintId = function() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  const sequence = String(Math.floor(Math.random() * 9999) + 1).padStart(4, '0');
+ComplaintSessionSchema.methods.markAnonymous = function() {
+  console.log(`🕶️ Marking session anonymous: ${this._id}`);
   
-  return `CMP-${year}-${month}-${day}-${sequence}`;
+  this.is_anonymous = true;
+  this.updated_at = new Date();
+  return this.save();
+};
+
+// Only for authorized HR reads: redacts identity and decrypts the conversation
+ComplaintSessionSchema.methods.toHrObject = function() {
+  const session = this.toObject();
+  session.chat_logs = this.constructor.decryptChatLogs(session.chat_logs);
+  session.case_history = this.constructor.decryptCaseHistory(session.case_history);
+  if (session.resolution_text) session.resolution_text = fieldEncryption.decrypt(session.resolution_text);
+  return this.constructor.redactIdentity(session);
+};
+
+ComplaintSessionSchema.methods.findAttachment = function(lineMessageId) {
+  const log = this.chat_logs.find(entry => entry.attachment?.line_message_id === lineMessageId);
+  return log ? log.attachment : null;
+};
+
+// Static methods
+ComplaintSessionSchema.statics.CASE_STATUSES = CASE_STATUSES;
+ComplaintSessionSchema.statics.CASE_TRANSITIONS = CASE_TRANSITIONS;
+ComplaintSessionSchema.statics.RESOLUTION_CODES = RESOLUTION_CODES;
+ComplaintSessionSchema.statics.ANONYMOUS_USER_ID = ANONYMOUS_USER_ID;
+
+// Matches sessions that retention purges and erasure requests may delete
+ComplaintSessionSchema.statics.NOT_ON_LEGAL_HOLD = { 'legal_hold.active': { $ne: true } };
+
+ComplaintSessionSchema.statics.redactIdentity = function(session) {
+  // Works on plain objects (lean queries, toObject) before they leave for HR
+  if (!session || !session.is_anonymous) {
+    return session;
+  }
+  return { ...session, user_id: ANONYMOUS_USER_ID };
+};
+
+ComplaintSessionSchema.statics.decryptChatLogs = function(chatLogs = []) {
+  // Plain copies with readable messages; the stored chat logs stay encrypted
+  return chatLogs.map(log => {
+    const entry = typeof log.toObject === 'function' ? log.toObject() : log;
+    return { ...entry, message: fieldEncryption.decrypt(entry.message) };
+  });
+};
+
+ComplaintSessionSchema.statics.decryptCaseHistory = function(caseHistory = []) {
+  // Plain copies with readable transition notes
+  return caseHistory.map(entry => {
+    const plain = typeof entry.toObject === 'function' ? entry.toObject() : entry;
+    return plain.note ? { ...plain, note: fieldEncryption.decrypt(plain.note) } : plain;
+  });
+};
+
+// Next number from the atomic per-day counter (prefix and day boundaries from config.complaintIds)
+ComplaintSessionSchema.statics.generateComplaintId = function(date = new Date()) {
+  return ComplaintCounter.nextComplaintId(date);
+};
+
+ComplaintSessionSchema.statics.calculateExpiry = function(from = new Date()) {
+  return new Date(from.getTime() + config.sessions.timeoutMinutes * 60 * 1000);
 };
 
 ComplaintSessionSchema.statics.generateSessionId = function() {
@@ -194,7 +596,7 @@ ComplaintSessionSchema.statics.generateSessionId = function() {
   return `sess_${dateStr}_${randomId}`;
 };
 
-ComplaintSessionSchema.statics.createNewSession = async function(userId, department = null) {
+ComplaintSessionSchema.statics.createNewSession = async function(userId, department = null, { anonymous = false } = {}) {
   console.log(`🆕 Creating new complaint session for user: ${userId}`);
   
   // Check for existing open session
@@ -209,42 +611,97 @@ ComplaintSessionSchema.statics.createNewSession = async function(userId, departm
   }
   
   const sessionId = this.generateSessionId();
-  const complaintId = this.generateComplaintId();
-  
-  // Ensure complaint_id uniqueness
-  let attempts = 0;
-  let uniqueComplaintId = complaintId;
+  const startTime = new Date();
   
-  while (attempts < 5) {
-    const existing = await this.findOne({ complaint_id: uniqueComplaintId });
-    if (!existing) break;
+  for (let attempt = 1; attempt <= COMPLAINT_ID_ATTEMPTS; attempt++) {
+    const complaintId = await this.generateComplaintId(startTime);
+    const newSession = new this({
+      _id: sessionId,
+      complaint_id: complaintId,
+      user_id: userId,
+      is_anonymous: anonymous,
+      status: 'open',
+      start_time: startTime,
+      expires_at: this.calculateExpiry(startTime),
+      department,
+      chat_logs: [{
+        timestamp: startTime,
+        direction: 'user',
+        message_type: 'command',
+        message: anonymous ? '/complain anonymous' : '/complain'
+      }]
+    });
     
-    attempts++;
-    uniqueComplaintId = this.generateComplaintId();
+    try {
+      return await newSession.save();
+    } catch (error) {
+      // Only a number already taken by a pre-counter (random) complaint ID is retried
+      if (error.code !== 11000 || !error.keyPattern?.complaint_id) {
+        throw error;
+      }
+      console.warn(`⚠️ Complaint ID ${complaintId} already in use, taking the next number`);
+    }
   }
   
-  const newSession = new this({
-    _id: sessionId,
-    complaint_id: uniqueComplaintId,
-    user_id: userId,
-    status: 'open',
-    start_time: new Date(),
-    department,
-    chat_logs: [{
-      timestamp: new Date(),
-      direction: 'user',
-      message_type: 'command',
-      message: '/complain'
-    }]
-  });
-  
-  return newSession.save();
+  throw new Error(`Could not allocate a free complaint ID after ${COMPLAINT_ID_ATTEMPTS} attempts`);
 };
 
 ComplaintSessionSchema.statics.findActiveSession = function(userId) {
   return this.findOne({ user_id: userId, status: 'open' });
 };
 
+ComplaintSessionSchema.statics.claimExpiredSession = function(lockSeconds) {
+  const now = new Date();
+  const legacyCutoff = new Date(now.getTime() - config.sessions.timeoutMinutes * 60 * 1000);
+  
+  // Atomic claim: only one sweeper instance can hold the lease on a session at a time
+  return this.findOneAndUpdate(
+    {
+      status: 'open',
+      $and: [
+        {
+          $or: [
+            { expires_at: { $lte: now } },
+            // Sessions created before expires_at existed
+            { expires_at: { $exists: false }, updated_at: { $lte: legacyCutoff } }
+          ]
+        },
+        {
+          $or: [
+            { timeout_lock_until: { $exists: false } },
+            { timeout_lock_until: null },
+            { timeout_lock_until: { $lte: now } }
+          ]
+        }
+      ]
+    },
+    { $set: { timeout_lock_until: new Date(now.getTime() + lockSeconds * 1000) } },
+    { new: true, sort: { expires_at: 1 } }
+  );
+};
+
+ComplaintSessionSchema.statics.findOpenHrThread = function(userId) {
+  // Most recent submitted case HR has written to that is still being worked on
+  return this.findOne({
+    user_id: userId,
+    status: 'submitted',
+    case_status: { $ne: 'closed' },
+    last_hr_reply_at: { $exists: true }
+  }).sort({ last_hr_reply_at: -1 });
+};
+
+ComplaintSessionSchema.statics.findByComplaintIdForUser = function(complaintId, userId) {
+  // Scoped by user_id so employees can only ever see their own complaints
+  return this.findOne({ complaint_id: complaintId, user_id: userId });
+};
+
+ComplaintSessionSchema.statics.getRecentSessionsByUser = function(userId, limit = 5) {
+  return this.find({ user_id: userId })
+    .select('complaint_id status start_time end_time updated_at')
+    .sort({ start_time: -1 })
+    .limit(limit);
+};
+
 ComplaintSessionSchema.statics.getSessionsByStatus = function(status, limit = 50, skip = 0) {
   return this.find({ status })
     .select('complaint_id user_id department status start_time end_time')
@@ -282,7 +739,28 @@ ComplaintSessionSchema.statics.getValidator = function() {
         _id: { bsonType: "string" },
         complaint_id: { bsonType: "string" },
         user_id: { bsonType: "string" },
+        is_anonymous: { bsonType: "bool" },
         status: { enum: ["open", "submitted", "cancelled"] },
+        case_status: { enum: [...CASE_STATUSES, null] },
+        assignee: { bsonType: ["string", "null"] },
+        resolution_code: { enum: [...RESOLUTION_CODES, null] },
+        resolution_text: { bsonType: ["string", "null"] },
+        case_history: { bsonType: "array" },
+        expires_at: { bsonType: ["date", "null"] },
+        timeout_lock_until: { bsonType: ["date", "null"] },
+        last_hr_reply_at: { bsonType: ["date", "null"] },
+        legal_hold: {
+          bsonType: ["object", "null"],
+          required: ["active"],
+          properties: {
+            active: { bsonType: "bool" },
+            reason: { bsonType: "string" },
+            placed_by: { bsonType: "string" },
+            placed_at: { bsonType: "date" },
+            released_by: { bsonType: "string" },
+            released_at: { bsonType: "date" }
+          }
+        },
         start_time: { bsonType: "date" },
         end_time: { bsonType: ["date", "null"] },
         department: { bsonType: "string" },
@@ -294,9 +772,25 @@ ComplaintSessionSchema.statics.getValidator = function() {
             required: ["timestamp", "direction", "message_type", "message"],
             properties: {
               timestamp: { bsonType: "date" },
-              direction: { enum: ["user", "bot", "system"] },
-              message_type: { enum: ["text", "image", "file", "command", "timeout"] },
-              message: { bsonType: "string" }
+              direction: { enum: ["user", "bot", "system", "hr"] },
+              message_type: { enum: ["text", "image", "file", "video", "audio", "command", "timeout"] },
+              message: { bsonType: "string" },
+              author: { bsonType: "string" },
+              delivery_failed: { bsonType: "bool" },
+              attachment: {
+                bsonType: "object",
+                required: ["line_message_id", "storage_backend", "storage_key", "mime_type", "size_bytes", "sha256"],
+                properties: {
+                  line_message_id: { bsonType: "string" },
+                  storage_backend: { bsonType: "string" },
+                  storage_key: { bsonType: "string" },
+                  mime_type: { bsonType: "string" },
+                  size_bytes: { bsonType: ["int", "long", "double"] },
+                  sha256: { bsonType: "string" },
+                  file_name: { bsonType: "string" },
+                  duration_ms: { bsonType: ["int", "long", "double"] }
+                }
+              }
             }
           }
         },
@@ -0,0 +1,193 @@
+/**
+ * Erasure Report Model
+ * Signed record of a "forget employee" (data subject erasure) request and what it removed.
+ * The report never stores the LINE userId itself, only a keyed hash of it.
+ */
+
+const crypto = require('crypto');
+const { Schema, model } = require('mongoose');
+const { nanoid } = require('nanoid');
+const config = require('../config');
+const AuditEvent = require('./audit_event');
+
+const SIGNATURE_ALGORITHM = 'HMAC-SHA256';
+
+// Kept on purpose: the audit log is append-only evidence of who accessed the data
+const RETAINED_COLLECTIONS = ['audit_events'];
+
+const ExemptionSchema = new Schema({
+  complaint_id: {
+    type: String,
+    required: true,
+    description: 'Complaint kept because it is under legal hold'
+  },
+  reason: {
+    type: String,
+    description: 'Legal hold reason at the time of erasure'
+  }
+}, {
+  _id: false,
+  versionKey: false
+});
+
+const ErasureReportSchema = new Schema({
+  _id: {
+    type: String,
+    required: true,
+    description: 'Report identifier (er_...)'
+  },
+  subject_hash: {
+    type: String,
+    required: true,
+    index: true,
+    description: 'HMAC of the erased LINE userId (lets an auditor confirm the subject without storing it)'
+  },
+  requested_by: {
+    id: { type: String, description: 'HR allowlist _id of the requester' },
+    email: { type: String, description: 'Requester email' },
+    name: { type: String, description: 'Requester display name' }
+  },
+  reason: {
+    type: String,
+    required: true,
+    maxlength: 1000,
+    description: 'Why the data was erased (e.g. PDPA request reference)'
+  },
+  executed_at: {
+    type: Date,
+    required: true,
+    index: true,
+    description: 'When the erasure ran'
+  },
+  deleted: {
+    type: Object,
+    required: true,
+    description: 'Deleted record counts per collection'
+  },
+  exempted: {
+    type: [ExemptionSchema],
+    default: [],
+    description: 'Complaints kept because of a legal hold'
+  },
+  employee_retained: {
+    type: Boolean,
+    required: true,
+    description: 'Whether the employee record was kept (it is while any complaint is on legal hold)'
+  },
+  retained_collections: {
+    type: [String],
+    default: [],
+    description: 'Collections intentionally left untouched'
+  },
+  signature: {
+    algorithm: { type: String, description: 'Signature algorithm' },
+    value: { type: String, description: 'Hex signature over every other field' }
+  }
+}, {
+  collection: 'erasure_reports',
+  versionKey: false
+});
+
+const getSigningSecret = () => {
+  if (!config.retention.reportSigningSecret) {
+    throw new Error('ERASURE_REPORT_SECRET (or SESSION_SECRET) is required to sign erasure reports');
+  }
+  return config.retention.reportSigningSecret;
+};
+
+/**
+ * Signs every field except the signature itself
+ * @param {Object} report - Report document (lean)
+ * @returns {string} - Hex HMAC
+ */
+const computeSignature = (report) => {
+  const { signature, ...rest } = report;
+  const payload = { ...rest, executed_at: new Date(rest.executed_at).toISOString() };
+  return crypto.createHmac('sha256', getSigningSecret())
+    .update(AuditEvent.canonicalize(payload))
+    .digest('hex');
+};
+
+// Static methods
+ErasureReportSchema.statics.RETAINED_COLLECTIONS = RETAINED_COLLECTIONS;
+
+ErasureReportSchema.statics.generateReportId = function() {
+  return `er_${nanoid(16)}`;
+};
+
+ErasureReportSchema.statics.hashSubject = function(lineUserId) {
+  return crypto.createHmac('sha256', getSigningSecret()).update(`line:${lineUserId}`).digest('hex');
+};
+
+/**
+ * Signs and stores a report
+ * @param {Object} report - { subject_hash, requested_by, reason, deleted, exempted, employee_retained }
+ * @returns {Promise<Object>} - Stored, signed report
+ */
+ErasureReportSchema.statics.record = async function(report) {
+  // JSON round trip drops undefined fields so the stored document reads back exactly as signed
+  const body = JSON.parse(JSON.stringify({
+    _id: this.generateReportId(),
+    ...report,
+    retained_collections: RETAINED_COLLECTIONS
+  }));
+
+  const doc = { ...body, executed_at: new Date() };
+  doc.signature = { algorithm: SIGNATURE_ALGORITHM, value: computeSignature(doc) };
+
+  // Inserted through the driver so mongoose casting can't alter what was signed
+  await this.collection.insertOne(doc);
+  console.log(`🧹 Erasure report ${doc._id} recorded`);
+  return doc;
+};
+
+/**
+ * Checks a report's signature (and optionally that it covers the given LINE userId)
+ * @param {Object} report - Stored report (lean)
+ * @param {string} [lineUserId] - Subject to match against subject_hash
+ * @returns {Object} - { valid, subject_matches? }
+ */
+ErasureReportSchema.statics.verify = function(report, lineUserId) {
+  const expected = Buffer.from(computeSignature(report), 'hex');
+  const actual = Buffer.from(report.signature?.value || '', 'hex');
+  const valid = report.signature?.algorithm === SIGNATURE_ALGORITHM &&
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual);
+
+  const result = { valid };
+  if (lineUserId) {
+    result.subject_matches = this.hashSubject(lineUserId) === report.subject_hash;
+  }
+  return result;
+};
+
+// JSON Schema validation (MongoDB validator)
+ErasureReportSchema.statics.getValidator = function() {
+  return {
+    $jsonSchema: {
+      bsonType: "object",
+      required: ["_id", "subject_hash", "reason", "executed_at", "deleted", "employee_retained", "signature"],
+      properties: {
+        _id: { bsonType: "string" },
+        subject_hash: { bsonType: "string", pattern: "^[0-9a-f]{64}$" },
+        requested_by: { bsonType: "object" },
+        reason: { bsonType: "string", maxLength: 1000 },
+        executed_at: { bsonType: "date" },
+        deleted: { bsonType: "object" },
+        exempted: { bsonType: "array" },
+        employee_retained: { bsonType: "bool" },
+        retained_collections: { bsonType: "array", items: { bsonType: "string" } },
+        signature: {
+          bsonType: "object",
+          required: ["algorithm", "value"],
+          properties: {
+            algorithm: { enum: [SIGNATURE_ALGORITHM] },
+            value: { bsonType: "string" }
+          }
+        }
+      }
+    }
+  };
+};
+
+module.exports = model('ErasureReport', ErasureReportSchema);
@@ -0,0 +1,210 @@
+/**
+ * HR Action Model
+ * MongoDB schema for HR notes on complaint cases (kept apart from the employee chat log)
+ */
+
+const { Schema, model } = require('mongoose');
+const { nanoid } = require('nanoid');
+const fieldEncryption = require('../services/field_encryption');
+
+const MAX_NOTE_LENGTH = 5000;
+
+const NOTE_TYPES = ['internal', 'visible_to_employee'];
+
+// Edit history sub-schema (previous versions of the note body)
+const EditHistorySchema = new Schema({
+  body: {
+    type: String,
+    required: true,
+    set: (value) => fieldEncryption.encrypt(value),
+    description: 'Note body before the edit (encrypted at rest)'
+  },
+  edited_at: {
+    type: Date,
+    required: true,
+    description: 'When the edit was made'
+  },
+  edited_by: {
+    type: String,
+    description: 'HR user who made the edit'
+  }
+}, {
+  _id: false,
+  versionKey: false
+});
+
+const HrActionSchema = new Schema({
+  _id: {
+    type: String,
+    required: true,
+    description: 'Unique HR action identifier (hra_ prefix)'
+  },
+  complaint_session_id: {
+    type: String,
+    required: true,
+    description: 'Reference to complaint_sessions._id'
+  },
+  complaint_id: {
+    type: String,
+    required: true,
+    description: 'Human-friendly complaint ID for reference'
+  },
+  author: {
+    type: String,
+    required: true,
+    description: 'HR user who wrote the note (email or IdP subject)'
+  },
+  author_name: {
+    type: String,
+    description: 'Display name of the author at the time of writing'
+  },
+  note_type: {
+    type: String,
+    enum: NOTE_TYPES,
+    default: 'internal',
+    required: true,
+    description: 'internal (HR only) or visible_to_employee'
+  },
+  body: {
+    type: String,
+    required: true,
+    set: (value) => fieldEncryption.encrypt(value),
+    validate: fieldEncryption.plaintext_max_length(MAX_NOTE_LENGTH),
+    description: 'Current note body (encrypted at rest, see decryptNote)'
+  },
+  edit_history: {
+    type: [EditHistorySchema],
+    default: [],
+    description: 'Previous versions of the note body'
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+    description: 'Record creation timestamp'
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now,
+    description: 'Last update timestamp'
+  }
+}, {
+  collection: 'hr_actions',
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+// Indexes
+HrActionSchema.index({ complaint_session_id: 1, created_at: -1 });
+HrActionSchema.index({ complaint_id: 1, created_at: -1 });
+HrActionSchema.index({ author: 1, created_at: -1 });
+
+// Instance methods
+HrActionSchema.methods.editBody = function(newBody, editedBy) {
+  console.log(`✏️ Editing HR note: ${this._id}`);
+
+  // The setter encrypts, so the history gets the plaintext rather than the stored envelope
+  this.edit_history.push({
+    body: fieldEncryption.decrypt(this.body),
+    edited_at: new Date(),
+    edited_by: editedBy
+  });
+
+  this.body = newBody;
+  this.updated_at = new Date();
+  return this.save();
+};
+
+HrActionSchema.methods.isVisibleToEmployee = function() {
+  return this.note_type === 'visible_to_employee';
+};
+
+// Static methods
+HrActionSchema.statics.NOTE_TYPES = NOTE_TYPES;
+
+HrActionSchema.statics.generateActionId = function() {
+  return `hra_${nanoid(12)}`;
+};
+
+HrActionSchema.statics.addNote = function(session, { author, authorName, noteType = 'internal', body }) {
+  console.log(`📝 Adding ${noteType} HR note to complaint: ${session.complaint_id}`);
+
+  return this.create({
+    _id: this.generateActionId(),
+    complaint_session_id: session._id,
+    complaint_id: session.complaint_id,
+    author,
+    author_name: authorName,
+    note_type: noteType,
+    body
+  });
+};
+
+HrActionSchema.statics.decryptNote = function(note) {
+  // Works on documents and lean results; the stored note stays encrypted
+  const plain = typeof note.toObject === 'function' ? note.toObject() : note;
+  return {
+    ...plain,
+    body: fieldEncryption.decrypt(plain.body),
+    edit_history: (plain.edit_history || []).map(entry => ({
+      ...entry,
+      body: fieldEncryption.decrypt(entry.body)
+    }))
+  };
+};
+
+HrActionSchema.statics.getTimeline = function(complaintSessionId) {
+  return this.find({ complaint_session_id: complaintSessionId })
+    .sort({ created_at: 1 });
+};
+
+HrActionSchema.statics.getLatestVisibleNote = function(complaintSessionId) {
+  return this.findOne({
+    complaint_session_id: complaintSessionId,
+    note_type: 'visible_to_employee'
+  }).sort({ created_at: -1 });
+};
+
+// Pre-save middleware for logging
+HrActionSchema.pre('save', function(next) {
+  if (this.isNew) {
+    console.log(`➕ Creating HR action: ${this._id} (${this.complaint_id})`);
+  } else {
+    console.log(`📝 Updating HR action: ${this._id} (${this.complaint_id})`);
+  }
+  next();
+});
+
+// JSON Schema validation (MongoDB validator)
+HrActionSchema.statics.getValidator = function() {
+  return {
+    $jsonSchema: {
+      bsonType: "object",
+      required: ["_id", "complaint_session_id", "complaint_id", "author", "note_type", "body"],
+      properties: {
+        _id: { bsonType: "string" },
+        complaint_session_id: { bsonType: "string" },
+        complaint_id: { bsonType: "string" },
+        author: { bsonType: "string" },
+        author_name: { bsonType: "string" },
+        note_type: { enum: NOTE_TYPES },
+        body: { bsonType: "string" },
+        edit_history: {
+          bsonType: "array",
+          items: {
+            bsonType: "object",
+            required: ["body", "edited_at"],
+            properties: {
+              body: { bsonType: "string" },
+              edited_at: { bsonType: "date" },
+              edited_by: { bsonType: "string" }
+            }
+          }
+        },
+        created_at: { bsonType: "date" },
+        updated_at: { bsonType: "date" }
+      }
+    }
+  };
+};
+
+module.exports = model('HrAction', HrActionSchema);
@@ -1,10 +1,47 @@
 /**
  * HR Allowlist Model
- * MongoDB schema for HR authorization (read-only viewers)
+ * MongoDB schema for HR authorization (roles and their permissions)
  */
 
 const { Schema, model } = require('mongoose');
 
+// Permission matrix: role -> permissions it grants (mirrored in web/src/lib/permissions.ts)
+const ROLE_PERMISSIONS = {
+  hr_viewer: [
+    'complaint:read',
+    'analytics:read',
+    'employee:read'
+  ],
+  hr_investigator: [
+    'complaint:read',
+    'complaint:update',
+    'complaint:reply',
+    'note:write',
+    'analytics:read',
+    'ai:process',
+    'employee:read'
+  ],
+  hr_admin: [
+    'complaint:read',
+    'complaint:update',
+    'complaint:reply',
+    'note:write',
+    'analytics:read',
+    'ai:process',
+    'employee:read',
+    'employee:update',
+    'privacy:manage',
+    'webhook:replay'
+  ],
+  auditor: [
+    'complaint:read',
+    'analytics:read',
+    'audit:read'
+  ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
 const HrAllowlistSchema = new Schema({
   _id: { 
     type: String, 
@@ -29,7 +66,7 @@ const HrAllowlistSchema = new Schema({
   },
   roles: { 
     type: [String], 
-    enum: ['hr_viewer'], 
+    enum: ROLES, 
     default: ['hr_viewer'], 
     index: true,
     validate: {
@@ -38,7 +75,21 @@ const HrAllowlistSchema = new Schema({
       },
       message: 'At least one role must be assigned'
     },
-    description: 'Assigned roles (currently only hr_viewer supported)'
+    description: 'Assigned roles (hr_viewer, hr_investigator, hr_admin, auditor)'
+  },
+  active: {
+    type: Boolean,
+    default: true,
+    description: 'Inactive users cannot sign in and their sessions are rejected'
+  },
+  password_hash: {
+    type: String,
+    select: false,
+    description: 'bcrypt hash of the dashboard password'
+  },
+  last_login_at: {
+    type: Date,
+    description: 'Last successful dashboard sign-in'
   },
   created_at: { 
     type: Date, 
@@ -63,6 +114,14 @@ HrAllowlistSchema.methods.isViewer = function() {
   return this.hasRole('hr_viewer');
 };
 
+HrAllowlistSchema.methods.getPermissions = function() {
+  return HrAllowlistSchema.statics.permissionsForRoles(this.roles);
+};
+
+HrAllowlistSchema.methods.hasPermission = function(permission) {
+  return this.getPermissions().includes(permission);
+};
+
 HrAllowlistSchema.methods.updateInfo = function(name, email) {
   console.log(`👤 Updating HR user info: ${this._id}`);
   
@@ -73,23 +132,31 @@ HrAllowlistSchema.methods.updateInfo = function(name, email) {
 };
 
 // Static methods
-HrAllowlistSchema.statics.isAuthorized = async function(subjectId, requiredRole = 'hr_viewer') {
+HrAllowlistSchema.statics.ROLES = ROLES;
+
+HrAllowlistSchema.statics.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+
+HrAllowlistSchema.statics.permissionsForRoles = function(roles = []) {
+  return [...new Set(roles.flatMap(role => ROLE_PERMISSIONS[role] || []))];
+};
+
+HrAllowlistSchema.statics.isAuthorized = async function(subjectId, requiredPermission = 'complaint:read') {
   const user = await this.findById(subjectId);
-  return user && user.hasRole(requiredRole);
+  return Boolean(user && user.active !== false && user.hasPermission(requiredPermission));
 };
 
 HrAllowlistSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
-HrAllowlistSchema.statics.addHrUser = async function(subjectId, email, name = null) {
+HrAllowlistSchema.statics.addHrUser = async function(subjectId, email, name = null, roles = ['hr_viewer']) {
   console.log(`➕ Adding HR user to allowlist: ${email}`);
   
   const hrUser = new this({
     _id: subjectId,
     email: email.toLowerCase(),
     name: name,
-    roles: ['hr_viewer']
+    roles: roles
   });
   
   return hrUser.save();
@@ -129,9 +196,12 @@ HrAllowlistSchema.statics.getValidator = function() {
           pattern: "^.+@.+\\..+$" 
         },
         name: { bsonType: "string" },
+        active: { bsonType: "bool" },
+        password_hash: { bsonType: "string" },
+        last_login_at: { bsonType: "date" },
         roles: { 
           bsonType: "array", 
-          items: { enum: ["hr_viewer"] }, 
+          items: { enum: ROLES }, 
           minItems: 1 
         },
         created_at: { bsonType: "date" }
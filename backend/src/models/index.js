@@ -8,11 +8,23 @@ const ComplaintSession = require('./complaint_session');
 const LineEventsRaw = require('./line_events_raw');
 const HrAllowlist = require('./hr_allowlist');
 const AIComplaintTag = require('./ai_complaint_tag');
+const HrAction = require('./hr_action');
+const AuditEvent = require('./audit_event');
+const ErasureReport = require('./erasure_report');
+const ComplaintCounter = require('./complaint_counter');
+const AIJob = require('./ai_job');
+const LLMUsage = require('./llm_usage');
 
 module.exports = {
   Employee,
   ComplaintSession,
   LineEventsRaw,
   HrAllowlist,
-  AIComplaintTag
+  AIComplaintTag,
+  HrAction,
+  AuditEvent,
+  ErasureReport,
+  ComplaintCounter,
+  AIJob,
+  LLMUsage
 };
\ No newline at end of file
@@ -4,12 +4,17 @@
  */
 
 const { Schema, model } = require('mongoose');
+const config = require('../config');
+const fieldEncryption = require('../services/field_encryption');
+
+// processing: claimed by a handler; processed/skipped/failed: outcome of the last attempt
+const PROCESSING_STATUSES = ['processing', 'processed', 'skipped', 'failed'];
 
 const LineEventsRawSchema = new Schema({
   _id: { 
     type: String, 
     required: true,
-    description: 'Unique event identifier'
+    description: 'LINE webhookEventId (evt_... for events without one); unique, so a delivery is claimed once'
   },
   received_at: { 
     type: Date, 
@@ -30,7 +35,44 @@ const LineEventsRawSchema = new Schema({
   payload: { 
     type: Schema.Types.Mixed, 
     required: true,
-    description: 'Original webhook payload from LINE'
+    description: 'Original webhook payload from LINE (message.text encrypted like chat_logs.message)'
+  },
+  is_redelivery: {
+    type: Boolean,
+    default: false,
+    description: 'deliveryContext.isRedelivery of the latest delivery'
+  },
+  processing_status: {
+    type: String,
+    enum: PROCESSING_STATUSES,
+    default: 'processing',
+    description: 'Processing outcome (processing, processed, skipped, failed)'
+  },
+  processing_started_at: {
+    type: Date,
+    description: 'When the current or last attempt started; a processing event past the lease can be claimed again'
+  },
+  attempts: {
+    type: Number,
+    default: 1,
+    description: 'Times the event was handed to the handler (deliveries and replays)'
+  },
+  processed_at: {
+    type: Date,
+    description: 'When the last attempt finished'
+  },
+  last_error: {
+    type: String,
+    description: 'Error message of the last failed attempt'
+  },
+  skip_reason: {
+    type: String,
+    description: 'Why the event was not acted on (e.g. unsupported event type)'
+  },
+  duplicate_deliveries: {
+    type: Number,
+    default: 0,
+    description: 'Deliveries of this event that were skipped as duplicates'
   }
 }, {
   collection: 'line_events_raw',
@@ -39,8 +81,150 @@ const LineEventsRawSchema = new Schema({
 
 // TTL index for automatic cleanup after 60 days
 LineEventsRawSchema.index({ received_at: 1 }, { expireAfterSeconds: 60 * 60 * 24 * 60 });
+LineEventsRawSchema.index({ processing_status: 1, received_at: -1 });
+
+/**
+ * Query for events that may be processed again: failed ones, and ones stuck in processing longer
+ * than the lease (the handler crashed before recording an outcome)
+ * @param {Date} [now] - Current time
+ * @returns {Object} - Mongo filter
+ */
+const reclaimableFilter = (now = new Date()) => {
+  const staleBefore = new Date(now.getTime() - config.lineEvents.processingLeaseSeconds * 1000);
+
+  return {
+    $or: [
+      { processing_status: 'failed' },
+      { processing_status: 'processing', processing_started_at: { $lt: staleBefore } },
+      // Claimed before processing_started_at was recorded
+      { processing_status: 'processing', processing_started_at: { $exists: false }, received_at: { $lt: staleBefore } }
+    ]
+  };
+};
+
+/**
+ * Copy of an event with the employee's message text encrypted for storage
+ * @param {Object} event - LINE webhook event
+ * @returns {Object} - Payload to store
+ */
+const sealPayload = (event) => {
+  if (typeof event?.message?.text !== 'string') {
+    return event;
+  }
+  return { ...event, message: { ...event.message, text: fieldEncryption.encrypt(event.message.text) } };
+};
 
 // Static methods
+LineEventsRawSchema.statics.PROCESSING_STATUSES = PROCESSING_STATUSES;
+LineEventsRawSchema.statics.reclaimableFilter = reclaimableFilter;
+
+/**
+ * Stored payload as LINE sent it, with the message text decrypted (for replays)
+ * @param {Object} payload - Stored payload
+ * @returns {Object} - LINE webhook event (a copy)
+ */
+LineEventsRawSchema.statics.openPayload = function(payload) {
+  if (typeof payload?.message?.text !== 'string') {
+    return { ...payload };
+  }
+  return { ...payload, message: { ...payload.message, text: fieldEncryption.decrypt(payload.message.text) } };
+};
+
+/**
+ * Records a delivery and claims it for processing
+ * The insert on webhookEventId is the atomic check: only the first delivery gets to process the
+ * event; a redelivery is processed again only if the earlier attempt failed or its lease expired.
+ * @param {Object} event - LINE webhook event
+ * @returns {Promise<Object>} - { claimed, eventId }
+ */
+LineEventsRawSchema.statics.claimEvent = async function(event) {
+  const eventId = event.webhookEventId || `evt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const isRedelivery = event.deliveryContext?.isRedelivery === true;
+  const now = new Date();
+  
+  try {
+    await this.create({
+      _id: eventId,
+      received_at: now,
+      user_id: event.source ? event.source.userId : null,
+      event_type: event.type,
+      payload: sealPayload(event),
+      is_redelivery: isRedelivery,
+      processing_status: 'processing',
+      processing_started_at: now,
+      attempts: 1
+    });
+    return { claimed: true, eventId };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+  
+  if (isRedelivery) {
+    const retry = await this.findOneAndUpdate(
+      { _id: eventId, ...reclaimableFilter(now) },
+      {
+        $set: { processing_status: 'processing', processing_started_at: now, is_redelivery: true },
+        $inc: { attempts: 1 }
+      },
+      { new: false }
+    );
+    
+    if (retry) {
+      console.log(`🔁 Redelivered event ${eventId} ${retry.processing_status === 'failed' ? 'failed before' : 'was abandoned mid-processing'}, processing again`);
+      return { claimed: true, eventId };
+    }
+  }
+  
+  await this.updateOne({ _id: eventId }, { $inc: { duplicate_deliveries: 1 } });
+  return { claimed: false, eventId };
+};
+
+/**
+ * Claims a failed (or abandoned) event for a manual replay
+ * @param {string} eventId - Raw event _id
+ * @returns {Promise<Object|null>} - Claimed event, or null if it is not (or no longer) replayable
+ */
+LineEventsRawSchema.statics.claimForReplay = function(eventId) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    { _id: eventId, ...reclaimableFilter(now) },
+    { $set: { processing_status: 'processing', processing_started_at: now }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * Records how an attempt ended
+ * @param {string} eventId - Raw event _id
+ * @param {string} status - processed, skipped or failed
+ * @param {Object} details - { error, reason }
+ */
+LineEventsRawSchema.statics.recordOutcome = function(eventId, status, { error, reason } = {}) {
+  const update = { $set: { processing_status: status, processed_at: new Date() } };
+  
+  if (error) {
+    update.$set.last_error = String(error.message || error).slice(0, 1000);
+  } else {
+    update.$unset = { last_error: '' };
+  }
+  if (reason) {
+    update.$set.skip_reason = reason;
+  }
+  
+  return this.updateOne({ _id: eventId }, update);
+};
+
+// Failed events and events abandoned mid-processing, newest first
+LineEventsRawSchema.statics.getFailedEvents = function(limit = 50) {
+  return this.find(reclaimableFilter())
+    .select('received_at user_id event_type processing_status processing_started_at is_redelivery attempts processed_at last_error')
+    .sort({ received_at: -1 })
+    .limit(limit);
+};
+
 LineEventsRawSchema.statics.logEvent = async function(eventId, eventType, userId, payload) {
   console.log(`📝 Logging LINE event: ${eventType} from user ${userId}`);
   
@@ -50,7 +234,7 @@ LineEventsRawSchema.statics.logEvent = async function(eventId, eventType, userId
       received_at: new Date(),
       user_id: userId,
       event_type: eventType,
-      payload: payload
+      payload: sealPayload(payload)
     });
     
     return rawEvent.save();
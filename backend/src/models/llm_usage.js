@@ -0,0 +1,226 @@
+/**
+ * LLM Usage Model
+ * One record per LLM call (analysis, long-conversation part and merge, and schema-repair calls, successful or not) with token counts,
+ * latency and estimated cost. Day and month are stored in the usage timezone so daily reports and
+ * the monthly budget need no date math in queries.
+ */
+
+const { Schema, model } = require('mongoose');
+const { nanoid } = require('nanoid');
+const config = require('../config');
+
+const CALL_PURPOSES = ['analysis', 'chunk', 'merge', 'repair'];
+
+const LLMUsageSchema = new Schema({
+  _id: {
+    type: String,
+    required: true,
+    description: 'Call identifier (llmcall_...)'
+  },
+  provider: {
+    type: String,
+    required: true,
+    description: 'Provider name (gemini, openai, heuristic)'
+  },
+  model: {
+    type: String,
+    required: true,
+    description: 'Model reported by the provider, or the configured one if the call failed'
+  },
+  purpose: {
+    type: String,
+    enum: CALL_PURPOSES,
+    default: 'analysis',
+    description: 'analysis; chunk and merge for a long conversation analyzed in parts; repair for a re-ask after a schema validation failure'
+  },
+  complaint_session_id: {
+    type: String,
+    description: 'Complaint session the call was made for'
+  },
+  complaint_id: {
+    type: String,
+    description: 'Human-friendly complaint ID'
+  },
+  success: {
+    type: Boolean,
+    required: true,
+    description: 'Whether the provider answered (an answer that later failed validation still counts)'
+  },
+  error: {
+    type: String,
+    maxlength: 500,
+    description: 'Provider error of a failed call'
+  },
+  prompt_tokens: {
+    type: Number,
+    description: 'Input tokens reported by the provider (null if not reported)'
+  },
+  completion_tokens: {
+    type: Number,
+    description: 'Output tokens reported by the provider (null if not reported)'
+  },
+  total_tokens: {
+    type: Number,
+    description: 'Total tokens reported by the provider (null if not reported)'
+  },
+  latency_ms: {
+    type: Number,
+    required: true,
+    min: 0,
+    description: 'Time from request to answer or error'
+  },
+  estimated_cost_usd: {
+    type: Number,
+    description: 'Cost estimated from the token counts and the price table (null if the model has no price)'
+  },
+  day: {
+    type: String,
+    required: true,
+    description: 'YYYY-MM-DD in the usage timezone'
+  },
+  month: {
+    type: String,
+    required: true,
+    description: 'YYYY-MM in the usage timezone (budget period)'
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+    description: 'When the call was made'
+  }
+}, {
+  collection: 'llm_usage',
+  versionKey: false
+});
+
+LLMUsageSchema.index({ month: 1 });
+LLMUsageSchema.index({ day: 1, model: 1 });
+LLMUsageSchema.index({ complaint_session_id: 1 });
+
+let dayFormatter = null;
+
+// en-CA formats as YYYY-MM-DD
+const formatDay = (date) => {
+  if (!dayFormatter) {
+    dayFormatter = new Intl.DateTimeFormat('en-CA', {
+      timeZone: config.ai.usageTimezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    });
+  }
+  return dayFormatter.format(date);
+};
+
+// Static methods
+LLMUsageSchema.statics.CALL_PURPOSES = CALL_PURPOSES;
+LLMUsageSchema.statics.formatDay = formatDay;
+
+/**
+ * Stores one call
+ * @param {Object} call - Usage fields (provider, model, purpose, tokens, latency_ms, ...)
+ * @param {Date} [at] - When the call was made
+ * @returns {Promise<Object>} - The record
+ */
+LLMUsageSchema.statics.record = function(call, at = new Date()) {
+  const day = formatDay(at);
+
+  return this.create({
+    _id: `llmcall_${nanoid(16)}`,
+    ...call,
+    day,
+    month: day.substring(0, 7),
+    created_at: at
+  });
+};
+
+/**
+ * Estimated cost of a month
+ * @param {string} month - YYYY-MM
+ * @returns {Promise<number>} - USD
+ */
+LLMUsageSchema.statics.getMonthCost = async function(month) {
+  const [row] = await this.aggregate([
+    { $match: { month } },
+    { $group: { _id: null, cost: { $sum: { $ifNull: ['$estimated_cost_usd', 0] } } } }
+  ]);
+
+  return row ? row.cost : 0;
+};
+
+/**
+ * Usage per day and model, and per model, between two days (inclusive)
+ * @param {string} fromDay - YYYY-MM-DD
+ * @param {string} toDay - YYYY-MM-DD
+ * @returns {Promise<Object>} - { by_day, by_model, totals }
+ */
+LLMUsageSchema.statics.getUsageReport = async function(fromDay, toDay) {
+  const totals = {
+    calls: { $sum: 1 },
+    failed_calls: { $sum: { $cond: ['$success', 0, 1] } },
+    prompt_tokens: { $sum: { $ifNull: ['$prompt_tokens', 0] } },
+    completion_tokens: { $sum: { $ifNull: ['$completion_tokens', 0] } },
+    total_tokens: { $sum: { $ifNull: ['$total_tokens', 0] } },
+    estimated_cost_usd: { $sum: { $ifNull: ['$estimated_cost_usd', 0] } },
+    avg_latency_ms: { $avg: '$latency_ms' },
+    max_latency_ms: { $max: '$latency_ms' }
+  };
+  const round = ({ _id, avg_latency_ms, ...row }) => ({
+    ..._id,
+    ...row,
+    avg_latency_ms: Math.round(avg_latency_ms || 0)
+  });
+
+  const [result] = await this.aggregate([
+    { $match: { day: { $gte: fromDay, $lte: toDay } } },
+    {
+      $facet: {
+        by_day: [
+          { $group: { _id: { day: '$day', provider: '$provider', model: '$model' }, ...totals } },
+          { $sort: { '_id.day': 1, '_id.model': 1 } }
+        ],
+        by_model: [
+          { $group: { _id: { provider: '$provider', model: '$model' }, ...totals } },
+          { $sort: { estimated_cost_usd: -1 } }
+        ],
+        totals: [
+          { $group: { _id: {}, ...totals } }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    by_day: result.by_day.map(round),
+    by_model: result.by_model.map(round),
+    totals: result.totals.length > 0
+      ? round(result.totals[0])
+      : { calls: 0, failed_calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, estimated_cost_usd: 0, avg_latency_ms: 0, max_latency_ms: 0 }
+  };
+};
+
+// JSON Schema validation (MongoDB validator)
+LLMUsageSchema.statics.getValidator = function() {
+  return {
+    $jsonSchema: {
+      bsonType: "object",
+      required: ["_id", "provider", "model", "success", "latency_ms", "day", "month"],
+      properties: {
+        _id: { bsonType: "string" },
+        provider: { bsonType: "string" },
+        model: { bsonType: "string" },
+        purpose: { enum: CALL_PURPOSES },
+        success: { bsonType: "bool" },
+        prompt_tokens: { bsonType: ["number", "null"] },
+        completion_tokens: { bsonType: ["number", "null"] },
+        total_tokens: { bsonType: ["number", "null"] },
+        latency_ms: { bsonType: "number", minimum: 0 },
+        estimated_cost_usd: { bsonType: ["number", "null"] },
+        day: { bsonType: "string", pattern: "^\\d{4}-\\d{2}-\\d{2}$" },
+        month: { bsonType: "string", pattern: "^\\d{4}-\\d{2}$" }
+      }
+    }
+  };
+};
+
+module.exports = model('LLMUsage', LLMUsageSchema);
@@ -0,0 +1,128 @@
+/**
+ * Attachment Routes
+ * Serves complaint attachments (LINE media) from attachment storage
+ */
+
+const express = require('express');
+const { ComplaintSession, HrAllowlist, AuditEvent } = require('../models');
+const attachmentService = require('../services/attachment_service');
+const hrSessionToken = require('../services/hr_session_token');
+
+const router = express.Router();
+
+/**
+ * Middleware to require an active HR user with complaint:read (attachments are complaint evidence)
+ */
+const require_hr_session = async (req, res, next) => {
+  const session = hrSessionToken.verify_request(req);
+  if (!session) {
+    return res.status(401).json({
+      error: 'HR session required',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  try {
+    const hrUser = await HrAllowlist.findById(session.sub);
+    if (!hrUser || hrUser.active === false || !hrUser.hasPermission('complaint:read')) {
+      return res.status(403).json({
+        error: 'Missing permission: complaint:read',
+        timestamp: new Date().toISOString()
+      });
+    }
+    req.hrUser = hrUser;
+  } catch (error) {
+    console.error('❌ HR permission check error:', error);
+    return res.status(500).json({
+      error: 'Failed to check HR permissions',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  next();
+};
+
+// Only media the browser renders without executing is ever served inline; anything else
+// (SVG and HTML included, which can carry script) is a download
+const INLINE_MIME_TYPES = [
+  'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+  'video/mp4', 'video/quicktime', 'video/webm',
+  'audio/mp4', 'audio/x-m4a', 'audio/m4a', 'audio/aac', 'audio/mpeg', 'audio/ogg', 'audio/wav'
+];
+
+// Sent with every attachment so stored content never runs on our origin
+const ATTACHMENT_SECURITY_HEADERS = {
+  'X-Content-Type-Options': 'nosniff',
+  'Content-Security-Policy': "sandbox; default-src 'none'"
+};
+
+/**
+ * Download Attachment Endpoint
+ * Streams the stored content of a LINE media message; add ?download=1 to force a download
+ * GET /api/attachments/:sessionId/:messageId
+ */
+router.get('/:sessionId/:messageId', require_hr_session, async (req, res) => {
+  console.log('📎 Attachment download request');
+
+  try {
+    const { sessionId, messageId } = req.params;
+
+    const session = await ComplaintSession.findById(sessionId);
+    const attachment = session ? session.findAttachment(messageId) : null;
+
+    if (!attachment) {
+      return res.status(404).json({
+        error: 'Attachment not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const content = await attachmentService.read_attachment(attachment);
+
+    if (!content) {
+      console.error(`❌ Attachment missing from storage: ${attachment.storage_key}`);
+      return res.status(410).json({
+        error: 'Attachment content is no longer in storage',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await AuditEvent.append({
+      actor: { type: 'hr', id: req.hrUser._id, email: req.hrUser.email, name: req.hrUser.name, roles: req.hrUser.roles },
+      action: 'attachment_downloaded',
+      resource_type: 'attachment',
+      resource_id: messageId,
+      complaint_id: session.complaint_id,
+      ip: req.ip,
+      user_agent: req.get('user-agent'),
+      source: 'backend',
+      details: { sha256: attachment.sha256, mime_type: attachment.mime_type }
+    });
+
+    const mimeType = (attachment.mime_type || '').split(';')[0].trim().toLowerCase();
+    const inline = req.query.download !== '1' && INLINE_MIME_TYPES.includes(mimeType);
+    const fileName = attachment.file_name || attachment.storage_key.split('/').pop();
+
+    res.set({
+      'Content-Type': attachment.mime_type,
+      'Content-Length': content.length,
+      'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+      'X-Content-SHA256': attachment.sha256,
+      'Cache-Control': 'private, max-age=3600',
+      ...ATTACHMENT_SECURITY_HEADERS
+    });
+
+    res.status(200).send(content);
+
+  } catch (error) {
+    console.error('❌ Attachment download error:', error);
+    res.status(500).json({
+      error: 'Failed to get attachment',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
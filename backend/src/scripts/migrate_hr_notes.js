@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Script to move legacy "[HR Note]" chat log entries into the hr_actions collection
+ * Run with: node src/scripts/migrate_hr_notes.js
+ */
+
+const mongoose = require('mongoose');
+const config = require('../config');
+const HrAction = require('../models/hr_action');
+
+const HR_NOTE_PREFIX = '[HR Note] ';
+
+// The web dashboard historically wrote notes into both collections
+const COMPLAINT_COLLECTIONS = ['complaint_sessions', 'complaintsessions'];
+
+async function migrateHrNotes() {
+  try {
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(config.mongodb.uri, { dbName: config.mongodb.dbName });
+    console.log('✅ Connected to MongoDB');
+
+    const db = mongoose.connection.db;
+    let migratedCount = 0;
+
+    for (const collectionName of COMPLAINT_COLLECTIONS) {
+      const collection = db.collection(collectionName);
+      const sessions = await collection
+        .find({ 'chat_logs.message': { $regex: '^\\[HR Note\\]' } })
+        .toArray();
+
+      console.log(`📊 Found ${sessions.length} sessions with HR notes in ${collectionName}`);
+
+      for (const session of sessions) {
+        const noteLogs = session.chat_logs.filter(log => log.message.startsWith(HR_NOTE_PREFIX));
+
+        for (const log of noteLogs) {
+          await HrAction.create({
+            _id: HrAction.generateActionId(),
+            complaint_session_id: session._id,
+            complaint_id: session.complaint_id,
+            author: 'legacy_dashboard',
+            author_name: 'Migrated HR note',
+            note_type: 'internal',
+            body: log.message.substring(HR_NOTE_PREFIX.length),
+            created_at: log.timestamp,
+            updated_at: log.timestamp
+          });
+          migratedCount++;
+        }
+
+        // Drop the fake bot messages from the employee conversation
+        await collection.updateOne(
+          { _id: session._id },
+          { $pull: { chat_logs: { message: { $regex: '^\\[HR Note\\]' } } } }
+        );
+
+        console.log(`✅ Migrated ${noteLogs.length} notes for ${session.complaint_id}`);
+      }
+    }
+
+    console.log(`🎉 Successfully migrated ${migratedCount} HR notes to hr_actions`);
+
+  } catch (error) {
+    console.error('❌ Error migrating HR notes:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+    process.exit(0);
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  migrateHrNotes();
+}
+
+module.exports = { migrateHrNotes };
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+/**
+ * Script to (re-)encrypt complaint content with the current field encryption key
+ * Encrypts legacy plaintext and re-encrypts values written with older key versions.
+ * Run with: node src/scripts/rotate_encryption_key.js [--dry-run]
+ *
+ * Rotation: add the new key to FIELD_ENCRYPTION_KEYS, point FIELD_ENCRYPTION_KEY_VERSION at it,
+ * restart the apps, run this script, and only then remove the old key.
+ */
+
+const mongoose = require('mongoose');
+const config = require('../config');
+const fieldEncryption = require('../services/field_encryption');
+
+// Encrypted fields per collection; arrays are walked element by element (an array without a
+// field holds the encrypted strings themselves)
+const CASE_FIELDS = [
+  { array: 'chat_logs', field: 'message' },
+  { field: 'resolution_text' },
+  { array: 'case_history', field: 'note' }
+];
+const ENCRYPTED_FIELDS = {
+  complaint_sessions: CASE_FIELDS,
+  complaintsessions: CASE_FIELDS,
+  ai_complaint_tags: [
+    { field: 'ai_summary' },
+    { field: 'ai_summary_th' },
+    { array: 'recommended_actions' },
+    { array: 'recommended_actions_th' }
+  ],
+  hr_actions: [{ field: 'body' }, { array: 'edit_history', field: 'body' }],
+  line_events_raw: [{ field: 'payload.message.text' }]
+};
+
+// Reads a (possibly dotted) field
+const readPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+/**
+ * Collects the paths in a document that are not encrypted with the current key
+ * @returns {Array} - [{ path, value }] with the stored (old) value
+ */
+function collectStalePaths(doc, fields) {
+  const stale = [];
+
+  fields.forEach(({ array, field }) => {
+    if (array) {
+      (doc[array] || []).forEach((entry, index) => {
+        const value = field ? entry?.[field] : entry;
+        if (fieldEncryption.needs_reencryption(value)) {
+          stale.push({ path: field ? `${array}.${index}.${field}` : `${array}.${index}`, value });
+        }
+      });
+    } else if (fieldEncryption.needs_reencryption(readPath(doc, field))) {
+      stale.push({ path: field, value: readPath(doc, field) });
+    }
+  });
+
+  return stale;
+}
+
+async function rotateEncryptionKey({ dryRun = false } = {}) {
+  let exitCode = 0;
+
+  try {
+    if (!fieldEncryption.current_version) {
+      throw new Error('FIELD_ENCRYPTION_KEYS is not set - nothing to encrypt with');
+    }
+
+    console.log(`🔐 Re-encrypting complaint content with key ${fieldEncryption.current_version}${dryRun ? ' (dry run)' : ''}`);
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(config.mongodb.uri, { dbName: config.mongodb.dbName });
+    console.log('✅ Connected to MongoDB');
+
+    const db = mongoose.connection.db;
+    const totals = { documents: 0, fields: 0, conflicts: 0 };
+
+    for (const [collectionName, fields] of Object.entries(ENCRYPTED_FIELDS)) {
+      const collection = db.collection(collectionName);
+      const projection = Object.fromEntries(fields.map(({ array, field }) => [array || field, 1]));
+      let documents = 0;
+      let updatedFields = 0;
+
+      for await (const doc of collection.find({}, { projection })) {
+        const stale = collectStalePaths(doc, fields);
+        if (stale.length === 0) {
+          continue;
+        }
+
+        if (dryRun) {
+          documents++;
+          updatedFields += stale.length;
+          continue;
+        }
+
+        // Only overwrite values that are still what we read, so concurrent edits are never lost
+        const filter = { _id: doc._id };
+        const update = {};
+        stale.forEach(({ path, value }) => {
+          filter[path] = value;
+          update[path] = fieldEncryption.reencrypt(value);
+        });
+
+        const result = await collection.updateOne(filter, { $set: update });
+        if (result.matchedCount === 0) {
+          console.warn(`⚠️ ${collectionName}/${doc._id} changed while rotating - run the script again`);
+          totals.conflicts++;
+          continue;
+        }
+
+        documents++;
+        updatedFields += stale.length;
+      }
+
+      console.log(`📊 ${collectionName}: ${updatedFields} fields in ${documents} documents ${dryRun ? 'need re-encryption' : 're-encrypted'}`);
+      totals.documents += documents;
+      totals.fields += updatedFields;
+    }
+
+    console.log(`🎉 ${dryRun ? 'Would re-encrypt' : 'Re-encrypted'} ${totals.fields} fields in ${totals.documents} documents`);
+    if (totals.conflicts > 0) {
+      console.warn(`⚠️ ${totals.conflicts} documents were skipped because they changed during rotation`);
+      exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error('❌ Error rotating encryption key:', error);
+    exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+    process.exit(exitCode);
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  rotateEncryptionKey({ dryRun: process.argv.includes('--dry-run') });
+}
+
+module.exports = { rotateEncryptionKey, collectStalePaths };
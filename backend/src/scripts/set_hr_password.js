@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * Script to add an HR user to the allowlist (or update an existing one) with a dashboard password
+ * Run with: HR_PASSWORD='...' [HR_ROLES=hr_investigator,hr_admin] node src/scripts/set_hr_password.js <email> [name] [subject]
+ * The password is read from the environment so it stays out of shell history.
+ * HR_ROLES replaces the user's roles; omit it to keep existing roles (new users get hr_viewer).
+ */
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const config = require('../config');
+const HrAllowlist = require('../models/hr_allowlist');
+
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 12;
+
+async function setHrPassword(email, name, subject) {
+  const password = process.env.HR_PASSWORD;
+  const roles = process.env.HR_ROLES
+    ? process.env.HR_ROLES.split(',').map(role => role.trim()).filter(Boolean)
+    : null;
+
+  if (!email || !password) {
+    console.error('Usage: HR_PASSWORD=<password> [HR_ROLES=<role,...>] node src/scripts/set_hr_password.js <email> [name] [subject]');
+    process.exit(1);
+  }
+
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    console.error(`❌ Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    process.exit(1);
+  }
+
+  const unknownRoles = (roles || []).filter(role => !HrAllowlist.ROLES.includes(role));
+  if (unknownRoles.length > 0 || (roles && roles.length === 0)) {
+    console.error(`❌ HR_ROLES must list one or more of: ${HrAllowlist.ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  try {
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(config.mongodb.uri, { dbName: config.mongodb.dbName });
+    console.log('✅ Connected to MongoDB');
+
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    let hrUser = await HrAllowlist.findByEmail(email);
+
+    if (!hrUser) {
+      // Password-only users get a local subject until they are linked to an SSO identity
+      hrUser = await HrAllowlist.addHrUser(subject || `local|${email.toLowerCase()}`, email, name || null);
+    }
+
+    await HrAllowlist.updateOne(
+      { _id: hrUser._id },
+      { $set: { password_hash: passwordHash, active: true, ...(name && { name }), ...(roles && { roles }) } }
+    );
+
+    console.log(`🎉 Password set for HR user ${hrUser.email} (${hrUser._id}) roles: ${(roles || hrUser.roles).join(', ')}`);
+
+  } catch (error) {
+    console.error('❌ Error setting HR password:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+    process.exit(0);
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  const [email, name, subject] = process.argv.slice(2);
+  setHrPassword(email, name, subject);
+}
+
+module.exports = { setHrPassword };
@@ -5,6 +5,9 @@
 
 const app = require('./app');
 const config = require('./config');
+const sessionTimeoutSweeper = require('./services/session_timeout_sweeper');
+const dataRetentionService = require('./services/data_retention_service');
+const aiJobQueue = require('./services/ai_job_queue');
 
 const PORT = config.app.port;
 const NODE_ENV = config.app.nodeEnv;
@@ -32,6 +35,7 @@ const startServer = () => {
     console.log(`  📤 LINE Push: ${config.app.backendUrl}/api/line/push`);
     console.log(`  👤 LINE Profile: ${config.app.backendUrl}/api/line/profile/:userId`);
     console.log(`  🔍 LINE Health: ${config.app.backendUrl}/api/line/health`);
+    console.log(`  📎 Attachments: ${config.app.backendUrl}/api/attachments/:sessionId/:messageId`);
     console.log('');
     
     if (NODE_ENV === 'development') {
@@ -47,6 +51,10 @@ const startServer = () => {
   const gracefulShutdown = (signal) => {
     console.log(`📴 ${signal} received. Starting graceful shutdown...`);
     
+    sessionTimeoutSweeper.stop();
+    dataRetentionService.stop();
+    aiJobQueue.stop();
+    
     server.close((error) => {
       if (error) {
         console.error('❌ Error during server shutdown:', error);
@@ -0,0 +1,198 @@
+/**
+ * AI Job Queue
+ * Runs queued AI analysis jobs (ai_jobs) with a per-instance concurrency limit.
+ * Jobs are claimed atomically with a lease that is renewed while the job runs, so several backend
+ * instances can work the same queue, and a job whose worker crashed is picked up again once its
+ * lease runs out. A long analysis (long conversations in parts, schema repairs) keeps its lease.
+ * Claiming pauses while the monthly LLM budget is exceeded (services/llm_usage_service).
+ */
+
+const os = require('os');
+const config = require('../config');
+const { AIJob } = require('../models');
+const AITaggingService = require('./ai_tagging_service');
+const { getLLMProvider } = require('./llm');
+const llmUsageService = require('./llm_usage_service');
+
+class AIJobQueue {
+  constructor() {
+    this.concurrency = config.aiQueue.concurrency;
+    this.intervalMs = config.aiQueue.pollIntervalSeconds * 1000;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.polling = false;
+    this.active = 0;
+    this.pausedForBudget = false;
+
+    console.log('📥 AIJobQueue initialized');
+  }
+
+  /**
+   * Starts polling for due jobs
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    try {
+      getLLMProvider();
+    } catch (error) {
+      console.log(`⚠️ ${error.message}; AI jobs stay queued until a worker with a configured provider runs`);
+      return;
+    }
+
+    this.timer = setInterval(() => this.poll(), this.intervalMs);
+    // Don't keep the process alive just for the queue
+    this.timer.unref();
+
+    console.log(`📥 AI job worker ${this.workerId} started (concurrency ${this.concurrency})`);
+    this.poll();
+  }
+
+  /**
+   * Stops claiming new jobs; jobs already running finish (or their lease expires)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('📥 AI job worker stopped');
+    }
+  }
+
+  /**
+   * Queues AI analysis for a complaint (no-op if one is already queued or running)
+   * @param {Object} session - Complaint session ({ _id, complaint_id })
+   * @param {Object} options - { source, requestedBy }
+   * @returns {Promise<Object>} - { job, created }
+   */
+  async enqueue(session, options) {
+    const result = await AIJob.enqueue(session, options);
+
+    if (result.created && this.timer) {
+      setImmediate(() => this.poll());
+    }
+
+    return result;
+  }
+
+  /**
+   * Queues analysis of a complaint that was just submitted
+   * Errors are logged rather than thrown so the submission itself never fails because of the queue.
+   * @param {Object} session - Submitted complaint session
+   * @param {string} source - submit or timeout
+   * @returns {Promise<Object|null>} - { job, created }, or null if queueing failed
+   */
+  async enqueue_submitted(session, source) {
+    try {
+      return await this.enqueue(session, { source });
+    } catch (error) {
+      console.error(`❌ Failed to queue AI analysis for complaint ${session.complaint_id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Claims due jobs until the concurrency limit is reached or the queue is empty
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    // Skip if this instance is already claiming
+    if (this.polling || !this.timer) {
+      return;
+    }
+
+    this.polling = true;
+
+    try {
+      const abandoned = await AIJob.deadLetterAbandoned();
+      if (abandoned > 0) {
+        console.warn(`⚠️ Dead-lettered ${abandoned} AI job(s) abandoned on their last attempt`);
+      }
+
+      // Over the monthly LLM budget: jobs stay queued until the next month or a higher budget
+      if (await llmUsageService.is_budget_exceeded()) {
+        if (!this.pausedForBudget) {
+          this.pausedForBudget = true;
+          console.warn('⏸️ AI job queue paused: monthly AI budget exceeded');
+        }
+        return;
+      }
+      if (this.pausedForBudget) {
+        this.pausedForBudget = false;
+        console.log('▶️ AI job queue resumed: within the monthly AI budget');
+      }
+
+      while (this.timer && this.active < this.concurrency) {
+        const job = await AIJob.claimNext(this.workerId);
+        if (!job) {
+          break;
+        }
+
+        this.active++;
+        this.run_job(job).finally(() => {
+          this.active--;
+          this.poll();
+        });
+      }
+    } catch (error) {
+      console.error('❌ Error polling AI job queue:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Runs one claimed job and records the outcome
+   * @param {Object} job - Claimed AIJob document
+   * @returns {Promise<void>}
+   */
+  async run_job(job) {
+    console.log(`🤖 Running AI job ${job._id} for complaint ${job.complaint_id} (attempt ${job.attempts}/${job.max_attempts})`);
+
+    // Renew well before the lease runs out
+    const renewal = setInterval(async () => {
+      try {
+        if (!(await job.renewLease())) {
+          console.warn(`⚠️ AI job ${job._id} lost its lease (attempt ${job.attempts}); its result will not be recorded`);
+          clearInterval(renewal);
+        }
+      } catch (error) {
+        console.error(`❌ Error renewing lease of AI job ${job._id}:`, error);
+      }
+    }, (config.aiQueue.lockSeconds * 1000) / 3);
+    renewal.unref();
+
+    try {
+      const aiService = new AITaggingService();
+      // Transient LLM failures are retried; only the last attempt settles for the offline classifier
+      const analysis = await aiService.processComplaintSession(job.complaint_session_id, {
+        allowFallback: config.ai.heuristicFallback && job.attempts >= job.max_attempts
+      });
+      if (await job.markCompleted(analysis.ai_tag_id)) {
+        console.log(`✅ AI job ${job._id} completed`);
+      } else {
+        console.warn(`⚠️ AI job ${job._id} finished after losing its lease; another attempt owns the job`);
+      }
+    } catch (error) {
+      try {
+        const status = await job.markFailed(error);
+
+        if (status === null) {
+          console.warn(`⚠️ AI job ${job._id} failed after losing its lease; another attempt owns the job:`, error.message);
+        } else if (status === 'dead') {
+          console.error(`💀 AI job ${job._id} dead-lettered after ${job.attempts} attempts:`, error.message);
+        } else {
+          console.warn(`⚠️ AI job ${job._id} failed (attempt ${job.attempts}), retrying in ${AIJob.backoffMs(job.attempts) / 1000}s:`, error.message);
+        }
+      } catch (recordError) {
+        console.error(`❌ Error recording failure of AI job ${job._id}:`, recordError);
+      }
+    } finally {
+      clearInterval(renewal);
+    }
+  }
+}
+
+module.exports = new AIJobQueue();
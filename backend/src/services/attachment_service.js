@@ -0,0 +1,102 @@
+/**
+ * Attachment Service
+ * Downloads LINE media messages and keeps them in attachment storage as complaint evidence
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const lineService = require('./line_service');
+const { getStorage } = require('./storage');
+
+// LINE message types whose content can be downloaded
+const ATTACHMENT_MESSAGE_TYPES = ['image', 'video', 'audio', 'file'];
+
+const MIME_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'video/mp4': '.mp4',
+  'audio/m4a': '.m4a',
+  'audio/x-m4a': '.m4a',
+  'audio/mp4': '.m4a',
+  'application/pdf': '.pdf'
+};
+
+class AttachmentService {
+  constructor() {
+    console.log('📎 AttachmentService initialized');
+  }
+
+  /**
+   * Checks whether a LINE message carries downloadable content
+   * @param {Object} message - LINE message object
+   * @returns {boolean}
+   */
+  is_attachment_message(message) {
+    // Content sent by URL from another provider is not hosted by LINE
+    return ATTACHMENT_MESSAGE_TYPES.includes(message.type) &&
+      message.contentProvider?.type !== 'external';
+  }
+
+  /**
+   * Downloads a LINE media message and stores it
+   * @param {Object} session - Complaint session the message belongs to
+   * @param {Object} message - LINE message object
+   * @returns {Promise<Object|null>} - Attachment metadata for the chat log, or null on failure
+   */
+  async store_line_attachment(session, message) {
+    if (!this.is_attachment_message(message)) {
+      return null;
+    }
+
+    try {
+      const { buffer, contentType } = await lineService.get_message_content(message.id);
+      const storage = getStorage();
+
+      const mimeType = contentType.split(';')[0].trim();
+      const extension = path.extname(message.fileName || '') || MIME_EXTENSIONS[mimeType] || '';
+      const storageKey = `${session._id}/${message.id}${extension}`;
+      const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+      await storage.put(storageKey, buffer, { contentType: mimeType });
+
+      console.log(`✅ Stored ${message.type} attachment for ${session.complaint_id}: ${storageKey}`);
+
+      return {
+        line_message_id: message.id,
+        storage_backend: storage.name,
+        storage_key: storageKey,
+        mime_type: mimeType,
+        size_bytes: buffer.length,
+        sha256,
+        ...(message.fileName && { file_name: message.fileName }),
+        ...(message.duration && { duration_ms: message.duration })
+      };
+    } catch (error) {
+      // The chat log still records the message ID so the content can be fetched later
+      console.error(`❌ Failed to store attachment ${message.id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Reads stored attachment content
+   * @param {Object} attachment - Attachment metadata from a chat log entry
+   * @returns {Promise<Buffer|null>} - File content, or null if missing from storage
+   */
+  async read_attachment(attachment) {
+    return getStorage(attachment.storage_backend).get(attachment.storage_key);
+  }
+
+  /**
+   * Deletes stored attachment content (retention purges and erasure requests)
+   * @param {Object} attachment - Attachment metadata from a chat log entry
+   * @returns {Promise<void>}
+   */
+  async delete_attachment(attachment) {
+    await getStorage(attachment.storage_backend).delete(attachment.storage_key);
+  }
+}
+
+module.exports = new AttachmentService();
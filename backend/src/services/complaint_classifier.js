@@ -0,0 +1,370 @@
+/**
+ * Complaint Classifier
+ * Offline Thai/English keyword classifier that produces the same analysis shape as the LLM
+ * (sentiment, primary_category, severity_level, urgency_score, keywords). Used by the heuristic
+ * AI provider and as the automatic fallback when the configured LLM fails.
+ *
+ * Text is split into words with Intl.Segmenter (ICU Thai word segmentation; English words come out
+ * as-is), and lexicon terms are matched against runs of whole words, so a Thai term never matches
+ * inside a longer word (ด่า does not match ด่าน). English terms match as prefixes of the last word
+ * ("harass" -> "harassment").
+ *
+ * Also detects the language the employee wrote in from the script of the letters (Thai, Latin taken
+ * as English, or other scripts such as Myanmar and Lao).
+ */
+
+const CLASSIFIER_VERSION = 'lexicon-th-en-v1';
+
+const CATEGORY_LEXICON = {
+  workplace_harassment: [
+    'harass', 'bully', 'bullied', 'insult', 'humiliat', 'yell', 'shout', 'threaten', 'intimidat', 'mock', 'touched me', 'hostile',
+    'กลั่นแกล้ง', 'แกล้ง', 'คุกคาม', 'ด่า', 'ดูถูก', 'ตะคอก', 'ข่มขู่', 'ล้อเลียน', 'ประจาน', 'จับตัว'
+  ],
+  discrimination: [
+    'discriminat', 'racis', 'sexis', 'pregnan', 'religio', 'disabilit', 'because of my gender', 'because i am a woman', 'too old',
+    'เลือกปฏิบัติ', 'เหยียด', 'ตั้งครรภ์', 'ท้อง', 'ศาสนา', 'เพศ', 'อายุมาก', 'ผิวสี', 'พิการ'
+  ],
+  unfair_treatment: [
+    'unfair', 'favorit', 'favourit', 'bias', 'not fair', 'double standard', 'passed over',
+    'ไม่ยุติธรรม', 'ลำเอียง', 'เด็กเส้น', 'สองมาตรฐาน', 'ไม่เป็นธรรม'
+  ],
+  work_conditions: [
+    'equipment', 'air con', 'aircon', 'toilet', 'canteen', 'uniform', 'noisy', 'dirty', 'workspace', 'too hot', 'broken',
+    'สกปรก', 'อุปกรณ์', 'ห้องน้ำ', 'แอร์', 'ร้อน', 'เสียงดัง', 'โรงอาหาร', 'ชำรุด'
+  ],
+  management_issues: [
+    'manager', 'supervisor', 'boss', 'team lead', 'leader', 'micromanag',
+    'หัวหน้า', 'ผู้จัดการ', 'ผู้บังคับบัญชา', 'เจ้านาย', 'ซุป'
+  ],
+  compensation_benefits: [
+    'salary', 'pay', 'paid', 'wage', 'bonus', 'overtime', 'benefit', 'allowance', 'payslip', 'deduct',
+    'เงินเดือน', 'โอที', 'ค่าล่วงเวลา', 'ค่าแรง', 'โบนัส', 'สวัสดิการ', 'หักเงิน', 'ค่าจ้าง', 'เบี้ยเลี้ยง'
+  ],
+  workload_stress: [
+    'workload', 'deadline', 'too much work', 'exhaust', 'burnout', 'burn out', 'no break', 'stress', 'overwork', 'understaff',
+    'งานเยอะ', 'งานหนัก', 'เครียด', 'เหนื่อย', 'ไม่ได้พัก', 'ทำงานเกินเวลา', 'คนไม่พอ'
+  ],
+  safety_concerns: [
+    'unsafe', 'safety', 'injur', 'accident', 'fire exit', 'chemical', 'hazard', 'helmet', 'no protective',
+    'อันตราย', 'อุบัติเหตุ', 'บาดเจ็บ', 'สารเคมี', 'ความปลอดภัย', 'ไม่ปลอดภัย', 'ทางหนีไฟ'
+  ],
+  policy_violations: [
+    'policy', 'violat', 'fraud', 'corrupt', 'steal', 'stole', 'bribe', 'falsif', 'against the rules',
+    'ทุจริต', 'ผิดกฎ', 'ผิดระเบียบ', 'โกง', 'ขโมย', 'สินบน', 'ปลอมแปลง', 'คอร์รัปชัน'
+  ],
+  communication_issues: [
+    'not informed', 'no one told', 'unclear', 'miscommunicat', 'never explain', 'no information',
+    'ไม่แจ้ง', 'สื่อสาร', 'ไม่ชัดเจน', 'ไม่บอก', 'ไม่มีใครบอก'
+  ]
+};
+
+// Primary categories that are at least high severity on their own; their matches count double
+// so an incidental mention of pay or a manager doesn't outvote them
+const HIGH_SEVERITY_CATEGORIES = ['workplace_harassment', 'discrimination', 'safety_concerns'];
+
+// Terms that make a complaint critical whatever its category
+const CRITICAL_TERMS = [
+  'assault', 'violence', 'weapon', 'suicid', 'kill me', 'kill myself', 'sexual', 'rape', 'injured', 'hit me', 'punched',
+  'ทำร้าย', 'ฆ่าตัวตาย', 'อยากตาย', 'ล่วงละเมิด', 'ข่มขืน', 'ตบ', 'ชก', 'อาวุธ'
+];
+
+// Terms showing the problem is ongoing or getting worse (raise severity and urgency)
+const ESCALATION_TERMS = [
+  'every day', 'again', 'repeated', 'still', 'for months', 'for weeks', 'many times', 'urgent', 'immediately',
+  'ทุกวัน', 'อีกแล้ว', 'ซ้ำ', 'หลายครั้ง', 'ตลอด', 'หลายเดือน', 'ด่วน', 'เรื่อยๆ'
+];
+
+const NEGATIVE_TERMS = [
+  'angry', 'upset', 'frustrat', 'sad', 'afraid', 'scared', 'worried', 'stress', 'tired', 'unhappy', 'hate', 'terrible',
+  'awful', 'depress', 'anxious', 'humiliat', 'hopeless',
+  'ไม่พอใจ', 'เสียใจ', 'กลัว', 'โกรธ', 'เครียด', 'เหนื่อย', 'ท้อ', 'อึดอัด', 'น้อยใจ', 'ซึมเศร้า', 'แย่'
+];
+
+const POSITIVE_TERMS = [
+  'thank', 'happy', 'great', 'appreciate', 'satisf', 'resolved',
+  'ขอบคุณ', 'ดีใจ', 'พอใจ', 'ชอบ'
+];
+
+const SEVERITY_ORDER = ['low', 'medium', 'high', 'critical'];
+const URGENCY_BY_SEVERITY = { low: 2, medium: 4, high: 7, critical: 9 };
+
+const RECOMMENDED_ACTIONS = {
+  workplace_harassment: 'Open a confidential harassment investigation and separate the parties if needed',
+  discrimination: 'Review the case against the equal-treatment policy with the employee relations team',
+  unfair_treatment: 'Compare how the decisions described were applied to peers in the same team',
+  work_conditions: 'Ask facilities to inspect the workplace conditions described',
+  management_issues: 'Schedule a conversation with the manager and their line manager',
+  compensation_benefits: 'Check payroll and overtime records for the period described',
+  workload_stress: 'Review workload and staffing for the team with the manager',
+  safety_concerns: 'Escalate to the safety officer for an immediate site check',
+  policy_violations: 'Refer the reported breach to compliance for review',
+  communication_issues: 'Clarify the expectations and channels with the team lead',
+  other: 'Review the conversation and follow up with the employee for details'
+};
+
+const RECOMMENDED_ACTIONS_TH = {
+  workplace_harassment: 'เปิดการสอบสวนเรื่องการคุกคามแบบเป็นความลับ และแยกคู่กรณีออกจากกันหากจำเป็น',
+  discrimination: 'ตรวจสอบกรณีนี้ตามนโยบายความเท่าเทียมร่วมกับทีมแรงงานสัมพันธ์',
+  unfair_treatment: 'เปรียบเทียบการตัดสินใจที่กล่าวถึงกับที่ใช้กับเพื่อนร่วมงานในทีมเดียวกัน',
+  work_conditions: 'ให้ฝ่ายอาคารสถานที่ตรวจสอบสภาพการทำงานที่กล่าวถึง',
+  management_issues: 'นัดพูดคุยกับผู้จัดการและหัวหน้าของผู้จัดการ',
+  compensation_benefits: 'ตรวจสอบข้อมูลเงินเดือนและค่าล่วงเวลาในช่วงเวลาที่กล่าวถึง',
+  workload_stress: 'ทบทวนภาระงานและอัตรากำลังของทีมร่วมกับผู้จัดการ',
+  safety_concerns: 'ส่งเรื่องให้เจ้าหน้าที่ความปลอดภัยตรวจสอบพื้นที่ทันที',
+  policy_violations: 'ส่งเรื่องการละเมิดที่รายงานให้ฝ่ายกำกับดูแลตรวจสอบ',
+  communication_issues: 'ชี้แจงความคาดหวังและช่องทางการสื่อสารร่วมกับหัวหน้าทีม',
+  other: 'ตรวจสอบบทสนทนาและติดต่อพนักงานเพื่อขอรายละเอียดเพิ่มเติม'
+};
+
+const CATEGORY_LABELS_TH = {
+  workplace_harassment: 'การคุกคามในที่ทำงาน',
+  discrimination: 'การเลือกปฏิบัติ',
+  unfair_treatment: 'การปฏิบัติที่ไม่เป็นธรรม',
+  work_conditions: 'สภาพการทำงาน',
+  management_issues: 'ปัญหาการบริหารจัดการ',
+  compensation_benefits: 'ค่าตอบแทนและสวัสดิการ',
+  workload_stress: 'ภาระงานและความเครียด',
+  safety_concerns: 'ความปลอดภัย',
+  policy_violations: 'การละเมิดนโยบาย',
+  communication_issues: 'ปัญหาการสื่อสาร',
+  other: 'เรื่องอื่น ๆ'
+};
+
+const SEVERITY_LABELS_TH = { low: 'ต่ำ', medium: 'ปานกลาง', high: 'สูง', critical: 'วิกฤต' };
+
+// Share of Thai letters (among Thai and Latin) from which a conversation counts as Thai; below 1 - this it is English
+const THAI_SHARE_THRESHOLD = 0.7;
+
+// Words left out of keyword extraction
+const STOPWORDS = new Set([
+  'the', 'and', 'that', 'this', 'with', 'have', 'from', 'they', 'them', 'their', 'there', 'were', 'been', 'what',
+  'when', 'where', 'which', 'would', 'could', 'should', 'about', 'because', 'every', 'after', 'before', 'into',
+  'just', 'also', 'very', 'only', 'some', 'more', 'than', 'then', 'will', 'your', 'does', 'doesn', 'didn', 'dont',
+  'want', 'said', 'tell', 'told', 'please', 'still', 'even', 'being', 'really', 'for', 'not', 'are', 'was', 'you',
+  'ที่', 'และ', 'ได้', 'ไม่', 'เป็น', 'มี', 'ให้', 'ก็', 'จะ', 'ว่า', 'ของ', 'กับ', 'ใน', 'แต่', 'ทุก', 'วัน', 'โดน',
+  'คน', 'นี้', 'มา', 'ไป', 'อยู่', 'แล้ว', 'เขา', 'เรา', 'ผม', 'ฉัน', 'หนู', 'ดิฉัน', 'ครับ', 'ค่ะ', 'คะ', 'นะ',
+  'จ้า', 'ทำ', 'การ', 'ความ', 'เลย', 'ด้วย', 'อีก', 'หรือ', 'ถ้า', 'เพราะ', 'แบบ', 'มาก', 'รับ', 'เมื่อ', 'ตอน'
+]);
+
+const LATIN_PATTERN = /^[a-z0-9']+$/;
+
+class ComplaintClassifier {
+  constructor() {
+    this.version = CLASSIFIER_VERSION;
+    this.segmenter = new Intl.Segmenter('th', { granularity: 'word' });
+
+    // Lexicon terms pre-split into words with the same segmenter as the text
+    this.categoryTerms = Object.fromEntries(
+      Object.entries(CATEGORY_LEXICON).map(([category, terms]) => [category, this.prepare_terms(terms)])
+    );
+    this.criticalTerms = this.prepare_terms(CRITICAL_TERMS);
+    this.escalationTerms = this.prepare_terms(ESCALATION_TERMS);
+    this.negativeTerms = this.prepare_terms(NEGATIVE_TERMS);
+    this.positiveTerms = this.prepare_terms(POSITIVE_TERMS);
+  }
+
+  /**
+   * Splits text into lowercased words (Thai word segmentation, English words as-is)
+   * @param {string} text - Text to split
+   * @returns {string[]} - Words
+   */
+  tokenize(text) {
+    return Array.from(this.segmenter.segment(String(text || '').toLowerCase()))
+      .filter(segment => segment.isWordLike)
+      .map(segment => segment.segment);
+  }
+
+  /**
+   * Pre-splits lexicon terms into words
+   * @param {string[]} terms - Lexicon terms
+   * @returns {Array<Object>} - [{ term, key, stem }]
+   */
+  prepare_terms(terms) {
+    return terms.map(term => {
+      const key = this.tokenize(term).join('');
+      return { term, key, stem: LATIN_PATTERN.test(key) };
+    });
+  }
+
+  /**
+   * Whether a term occurs as a run of whole text words
+   * The segmenter can split a Thai term differently inside a sentence than on its own (e.g. โอที),
+   * so the run only has to spell the term; English stems may end inside the last word.
+   * @param {string[]} words - Text words
+   * @param {Object} term - Prepared term
+   * @returns {boolean}
+   */
+  matches_term(words, { key, stem }) {
+    for (let start = 0; start < words.length; start++) {
+      let run = '';
+
+      for (let end = start; end < words.length && run.length < key.length; end++) {
+        run += words[end];
+        if (!run.startsWith(key) && !key.startsWith(run)) {
+          break;
+        }
+      }
+
+      if (run === key || (stem && run.startsWith(key))) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Terms of a prepared list found in the text words, in list order
+   * @param {string[]} words - Text words
+   * @param {Array<Object>} terms - Prepared terms
+   * @returns {string[]} - Matched terms
+   */
+  find_terms(words, terms) {
+    return terms.filter(term => this.matches_term(words, term)).map(({ term }) => term);
+  }
+
+  /**
+   * Classifies complaint messages
+   * @param {string[]} userMessages - Cleaned employee messages
+   * @returns {Object} - Analysis in the LLM response format
+   */
+  classify(userMessages) {
+    const words = this.tokenize(userMessages.join('\n'));
+
+    const categories = Object.entries(this.categoryTerms)
+      .map(([category, terms]) => {
+        const matches = this.find_terms(words, terms);
+        const weight = HIGH_SEVERITY_CATEGORIES.includes(category) ? 2 : 1;
+        return { category, matches, score: matches.length * weight };
+      })
+      .filter(entry => entry.matches.length > 0)
+      .sort((a, b) => b.score - a.score);
+
+    const primaryCategory = categories.length > 0 ? categories[0].category : 'other';
+    const critical = this.find_terms(words, this.criticalTerms);
+    const escalation = this.find_terms(words, this.escalationTerms);
+    const negative = this.find_terms(words, this.negativeTerms);
+    const positive = this.find_terms(words, this.positiveTerms);
+
+    let severity = 'low';
+    if (critical.length > 0) {
+      severity = 'critical';
+    } else if (HIGH_SEVERITY_CATEGORIES.includes(primaryCategory)) {
+      severity = 'high';
+    } else if (categories.length > 0 || negative.length > 0) {
+      severity = 'medium';
+    }
+
+    // Only the critical terms make a complaint critical; escalation raises low and medium one step
+    if (escalation.length > 0 && categories.length > 0 && (severity === 'low' || severity === 'medium')) {
+      severity = SEVERITY_ORDER[SEVERITY_ORDER.indexOf(severity) + 1];
+    }
+
+    const urgency = Math.min(10, URGENCY_BY_SEVERITY[severity] + (escalation.length > 0 ? 1 : 0));
+
+    const polarity = negative.length + positive.length > 0
+      ? (positive.length - negative.length) / (negative.length + positive.length)
+      : 0;
+    // A complaint about a recognised issue leans negative even without emotional words
+    const sentimentScore = Math.round((categories.length > 0 ? Math.min(polarity, -0.3) : polarity) * 100) / 100;
+
+    let sentiment = 'neutral';
+    if (sentimentScore <= -0.2) {
+      sentiment = 'negative';
+    } else if (sentimentScore >= 0.2) {
+      sentiment = 'positive';
+    }
+
+    const matchedTerms = categories.flatMap(entry => entry.matches);
+    const totalHits = matchedTerms.length + critical.length;
+    const actions = [RECOMMENDED_ACTIONS[primaryCategory]];
+    const actionsTh = [RECOMMENDED_ACTIONS_TH[primaryCategory]];
+    if (severity === 'critical') {
+      actions.unshift('Contact the employee today and involve the safety or legal team');
+      actionsTh.unshift('ติดต่อพนักงานภายในวันนี้ และให้ทีมความปลอดภัยหรือฝ่ายกฎหมายเข้ามาดูแล');
+    }
+
+    return {
+      sentiment_analysis: {
+        overall_sentiment: sentiment,
+        sentiment_score: sentimentScore,
+        // Keyword matches are weak evidence, so confidence stays low
+        confidence_level: Math.min(0.6, Math.round((0.2 + totalHits * 0.05) * 100) / 100)
+      },
+      issue_classification: {
+        primary_category: primaryCategory,
+        secondary_categories: categories.slice(1, 4).map(entry => entry.category),
+        severity_level: severity,
+        urgency_score: urgency
+      },
+      key_phrases: {
+        keywords: this.extract_keywords(words),
+        key_phrases: matchedTerms.concat(critical).slice(0, 20),
+        emotional_indicators: negative.concat(positive).slice(0, 20)
+      },
+      ai_summary: `Keyword-based classification of ${userMessages.length} message(s): likely ${primaryCategory.replace(/_/g, ' ')} with ${severity} severity` +
+        (matchedTerms.length > 0 ? ` (matched: ${matchedTerms.slice(0, 5).join(', ')}).` : '.') +
+        ' Not reviewed by an AI model.',
+      ai_summary_th: `จัดประเภทด้วยคำสำคัญจาก ${userMessages.length} ข้อความ: น่าจะเป็นเรื่อง${CATEGORY_LABELS_TH[primaryCategory]} ความรุนแรงระดับ${SEVERITY_LABELS_TH[severity]}` +
+        (matchedTerms.length > 0 ? ` (คำที่พบ: ${matchedTerms.slice(0, 5).join(', ')})` : '') +
+        ' ยังไม่ได้ผ่านการวิเคราะห์โดยโมเดล AI',
+      recommended_actions: actions,
+      recommended_actions_th: actionsTh
+    };
+  }
+
+  /**
+   * Language of the employee messages, from the script of their letters
+   * @param {string[]} userMessages - Cleaned employee messages
+   * @returns {string|null} - th, en, mixed or other (AIComplaintTag.LANGUAGES); null when there are no letters
+   */
+  detect_language(userMessages) {
+    const text = userMessages.join('\n');
+    const thai = (text.match(/[\u0E01-\u0E5B]/g) || []).length;
+    const latin = (text.match(/[a-z]/gi) || []).length;
+    const other = (text.match(/\p{L}/gu) || []).length - thai - latin;
+
+    if (thai + latin + other === 0) {
+      return null;
+    }
+    if (other > thai + latin) {
+      return 'other';
+    }
+
+    const thaiShare = thai / (thai + latin);
+    if (thaiShare >= THAI_SHARE_THRESHOLD) {
+      return 'th';
+    }
+    return thaiShare <= 1 - THAI_SHARE_THRESHOLD ? 'en' : 'mixed';
+  }
+
+  /**
+   * Most frequent content words, most frequent first
+   * @param {string[]} words - Text words
+   * @returns {Array<Object>} - [{ word, frequency, relevance_score }]
+   */
+  extract_keywords(words) {
+    const counts = new Map();
+    for (const word of words) {
+      const isLatin = LATIN_PATTERN.test(word);
+      // Short English words are mostly function words; Thai words are often short
+      if (STOPWORDS.has(word) || /^\d+$/.test(word) || (isLatin ? word.length < 4 : word.length < 2)) {
+        continue;
+      }
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+
+    const ranked = [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, 20);
+    const top = ranked.length > 0 ? ranked[0][1] : 1;
+
+    return ranked.map(([word, frequency]) => ({
+      word,
+      frequency,
+      relevance_score: Math.round((frequency / top) * 100) / 100
+    }));
+  }
+}
+
+module.exports = new ComplaintClassifier();
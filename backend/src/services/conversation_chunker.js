@@ -0,0 +1,106 @@
+/**
+ * Conversation Chunker
+ * Estimates prompt tokens and splits long conversations into parts that fit the configured
+ * budget, so a session with hundreds of messages is analyzed part by part and merged
+ * (see AITaggingService.analyzeConversation) instead of overflowing the model's context.
+ *
+ * Token counts are estimates that work without a tokenizer: about 4 characters per token for
+ * ASCII text and 1.5 for Thai and other scripts, which tokenizers split much finer. They err on
+ * the high side so a part never ends up larger than the budget.
+ */
+
+const ASCII_CHARS_PER_TOKEN = 4;
+const OTHER_CHARS_PER_TOKEN = 1.5;
+
+class ConversationChunker {
+  /**
+   * Estimated token count of a text
+   * @param {string} text - Text to measure
+   * @returns {number} - Estimated tokens
+   */
+  estimate_tokens(text) {
+    let ascii = 0;
+    let other = 0;
+
+    for (const char of String(text || '')) {
+      if (char.charCodeAt(0) < 128) {
+        ascii++;
+      } else {
+        other++;
+      }
+    }
+
+    return Math.ceil(ascii / ASCII_CHARS_PER_TOKEN + other / OTHER_CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Splits one text into pieces of at most maxTokens, preferring to cut at whitespace
+   * @param {string} text - Text to split
+   * @param {number} maxTokens - Token budget per piece
+   * @returns {string[]} - Pieces in order
+   */
+  split_text(text, maxTokens) {
+    const pieces = [];
+    let rest = String(text || '');
+
+    while (this.estimate_tokens(rest) > maxTokens) {
+      // Longest prefix within the budget, found by shrinking a proportional guess
+      let length = Math.max(1, Math.floor(rest.length * maxTokens / this.estimate_tokens(rest)));
+      while (length > 1 && this.estimate_tokens(rest.substring(0, length)) > maxTokens) {
+        length = Math.floor(length * 0.9);
+      }
+
+      // Cut at the last whitespace in the second half of the piece, if there is one
+      const space = rest.substring(0, length).search(/\s\S*$/);
+      if (space > length / 2) {
+        length = space + 1;
+      }
+
+      pieces.push(rest.substring(0, length).trim());
+      rest = rest.substring(length);
+    }
+
+    if (rest.trim().length > 0) {
+      pieces.push(rest.trim());
+    }
+
+    return pieces;
+  }
+
+  /**
+   * Groups consecutive messages into chunks of at most maxTokens (a longer message is split)
+   * @param {string[]} messages - Messages in conversation order
+   * @param {number} maxTokens - Token budget per chunk
+   * @returns {Array<Array<Object>>} - Chunks of { label, text }; label is the message number ("12", or "12.2" for the second piece of message 12)
+   */
+  chunk_messages(messages, maxTokens) {
+    const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+
+    messages.forEach((message, index) => {
+      const pieces = this.split_text(message, maxTokens);
+
+      pieces.forEach((text, piece) => {
+        const tokens = this.estimate_tokens(text);
+
+        if (current.length > 0 && currentTokens + tokens > maxTokens) {
+          chunks.push(current);
+          current = [];
+          currentTokens = 0;
+        }
+
+        current.push({ label: pieces.length > 1 ? `${index + 1}.${piece + 1}` : String(index + 1), text });
+        currentTokens += tokens;
+      });
+    });
+
+    if (current.length > 0) {
+      chunks.push(current);
+    }
+
+    return chunks;
+  }
+}
+
+module.exports = new ConversationChunker();
@@ -0,0 +1,344 @@
+/**
+ * Data Retention Service
+ * Purges records past their configured retention period and handles "forget employee"
+ * (data subject erasure) requests. Complaints under legal hold are never deleted.
+ */
+
+const config = require('../config');
+const {
+  ComplaintSession,
+  AIComplaintTag,
+  HrAction,
+  LineEventsRaw,
+  Employee,
+  AuditEvent,
+  ErasureReport,
+  AIJob,
+  LLMUsage
+} = require('../models');
+const attachmentService = require('./attachment_service');
+
+// The backend writes to complaint_sessions; older web-created sessions live in complaintsessions
+const SESSION_COLLECTIONS = ['complaint_sessions', 'complaintsessions'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const emptyCounts = () => ({
+  complaint_sessions: 0,
+  ai_complaint_tags: 0,
+  ai_jobs: 0,
+  llm_usage: 0,
+  hr_actions: 0,
+  attachments: 0,
+  line_events_raw: 0,
+  employees: 0
+});
+
+const addCounts = (total, counts) => {
+  Object.keys(counts).forEach(key => {
+    total[key] = (total[key] || 0) + counts[key];
+  });
+  return total;
+};
+
+// Web-created sessions use mongoose's default updatedAt
+const updatedBefore = (cutoff) => ({
+  $or: [{ updated_at: { $lt: cutoff } }, { updatedAt: { $lt: cutoff } }]
+});
+
+class DataRetentionService {
+  constructor() {
+    this.intervalMs = config.retention.sweepIntervalMinutes * 60 * 1000;
+    this.timer = null;
+    this.running = false;
+
+    console.log('🧹 DataRetentionService initialized');
+  }
+
+  /**
+   * Retention rules with their configured periods
+   * @returns {Array} - [{ name, description, target, filter, days, enabled }]
+   */
+  get_policies() {
+    return [
+      {
+        name: 'cancelled_sessions',
+        description: 'Complaint sessions cancelled by timeout, counted from cancellation',
+        target: 'complaint_sessions',
+        filter: { status: 'cancelled' },
+        days: config.retention.cancelledSessionDays
+      },
+      {
+        name: 'closed_cases',
+        description: 'Closed HR cases with their notes, AI analysis and attachments, counted from closing',
+        target: 'complaint_sessions',
+        filter: { status: 'submitted', case_status: 'closed' },
+        days: config.retention.closedCaseDays
+      },
+      {
+        name: 'inactive_employees',
+        description: 'Deactivated employee records, counted from deactivation',
+        target: 'employees',
+        filter: { active: false },
+        days: config.retention.inactiveEmployeeDays
+      },
+      {
+        name: 'line_events_raw',
+        description: 'Raw LINE webhook payloads (TTL index)',
+        target: 'line_events_raw',
+        filter: {},
+        days: 60
+      }
+    ].map(policy => ({ ...policy, enabled: policy.days > 0 }));
+  }
+
+  /**
+   * Starts the periodic retention sweep
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.sweep(), this.intervalMs);
+    // Don't keep the process alive just for the sweeper
+    this.timer.unref();
+
+    console.log(`🧹 Retention sweeper started (every ${config.retention.sweepIntervalMinutes} min)`);
+    this.sweep();
+  }
+
+  /**
+   * Stops the periodic retention sweep
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('🧹 Retention sweeper stopped');
+    }
+  }
+
+  /**
+   * Applies every enabled retention rule
+   * @param {Object} options - { dryRun }
+   * @returns {Promise<Object>} - Counts per rule, or null if a sweep is already running here
+   */
+  async sweep({ dryRun = false } = {}) {
+    // Skip if the previous sweep on this instance is still working
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    const results = {};
+
+    try {
+      for (const policy of this.get_policies()) {
+        // line_events_raw is expired by MongoDB itself
+        if (!policy.enabled || policy.target === 'line_events_raw') {
+          continue;
+        }
+
+        const cutoff = new Date(Date.now() - policy.days * DAY_MS);
+        results[policy.name] = policy.target === 'employees'
+          ? await this.purge_employees(policy.filter, cutoff, { dryRun })
+          : await this.purge_sessions(policy.filter, cutoff, { dryRun });
+      }
+
+      const deleted = Object.values(results).reduce((total, counts) => addCounts(total, counts), emptyCounts());
+      const deletedTotal = Object.values(deleted).reduce((sum, count) => sum + count, 0);
+
+      if (deletedTotal > 0 && !dryRun) {
+        console.log(`✅ Retention sweep deleted ${deletedTotal} record(s)`);
+        await AuditEvent.append({
+          actor: { type: 'system' },
+          action: 'retention_purged',
+          resource_type: 'retention',
+          source: 'backend',
+          details: results
+        });
+      }
+    } catch (error) {
+      console.error('❌ Error running retention sweep:', error);
+    } finally {
+      this.running = false;
+    }
+
+    return results;
+  }
+
+  /**
+   * Deletes sessions matching a rule that were last updated before the cutoff
+   * @returns {Promise<Object>} - Deleted record counts
+   */
+  async purge_sessions(filter, cutoff, { dryRun = false } = {}) {
+    const counts = emptyCounts();
+
+    for (const name of SESSION_COLLECTIONS) {
+      const collection = ComplaintSession.db.collection(name);
+      const query = { ...filter, ...ComplaintSession.NOT_ON_LEGAL_HOLD, ...updatedBefore(cutoff) };
+
+      for await (const session of collection.find(query, { projection: { _id: 1 } })) {
+        addCounts(counts, await this.delete_session(collection, session._id, { dryRun }));
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Deletes employee records matching a rule, keeping anyone with a complaint under legal hold
+   * @returns {Promise<Object>} - Deleted record counts
+   */
+  async purge_employees(filter, cutoff, { dryRun = false } = {}) {
+    const counts = emptyCounts();
+    const heldUserIds = await this.find_held_user_ids();
+    const query = { ...filter, _id: { $nin: heldUserIds }, updated_at: { $lt: cutoff } };
+
+    counts.employees = dryRun
+      ? await Employee.countDocuments(query)
+      : (await Employee.deleteMany(query)).deletedCount;
+
+    return counts;
+  }
+
+  /**
+   * Deletes one complaint session with its HR notes, AI analysis, jobs and usage records, and attachment files
+   * @param {Object} collection - Session collection (driver)
+   * @param {string} sessionId - Session _id
+   * @param {Object} options - { dryRun }
+   * @returns {Promise<Object>} - Deleted record counts
+   */
+  async delete_session(collection, sessionId, { dryRun = false } = {}) {
+    const counts = emptyCounts();
+    // The hold check is part of the delete so a hold placed meanwhile still wins
+    const filter = { _id: sessionId, ...ComplaintSession.NOT_ON_LEGAL_HOLD };
+
+    const session = dryRun
+      ? await collection.findOne(filter)
+      : await collection.findOneAndDelete(filter);
+
+    if (!session) {
+      return counts;
+    }
+
+    counts.complaint_sessions = 1;
+
+    const attachments = (session.chat_logs || [])
+      .map(log => log.attachment)
+      .filter(Boolean);
+
+    for (const attachment of attachments) {
+      if (!dryRun) {
+        await attachmentService.delete_attachment(attachment);
+      }
+      counts.attachments++;
+    }
+
+    const dependents = { complaint_session_id: session._id };
+    if (dryRun) {
+      counts.hr_actions = await HrAction.countDocuments(dependents);
+      counts.ai_complaint_tags = await AIComplaintTag.countDocuments(dependents);
+      counts.ai_jobs = await AIJob.countDocuments(dependents);
+      counts.llm_usage = await LLMUsage.countDocuments(dependents);
+    } else {
+      counts.hr_actions = (await HrAction.deleteMany(dependents)).deletedCount;
+      counts.ai_complaint_tags = (await AIComplaintTag.deleteMany(dependents)).deletedCount;
+      counts.ai_jobs = (await AIJob.deleteMany(dependents)).deletedCount;
+      counts.llm_usage = (await LLMUsage.deleteMany(dependents)).deletedCount;
+      console.log(`🗑️ Deleted complaint ${session.complaint_id || session._id} and its dependent records`);
+    }
+
+    return counts;
+  }
+
+  /**
+   * LINE userIds with at least one complaint under legal hold
+   * @returns {Promise<Array<string>>}
+   */
+  async find_held_user_ids() {
+    const ids = new Set();
+
+    for (const name of SESSION_COLLECTIONS) {
+      const userIds = await ComplaintSession.db.collection(name)
+        .distinct('user_id', { 'legal_hold.active': true });
+      userIds.forEach(id => ids.add(id));
+    }
+
+    return [...ids];
+  }
+
+  /**
+   * Erases everything stored about a LINE user, except complaints under legal hold
+   * @param {string} lineUserId - LINE userId of the employee
+   * @param {Object} options - { requestedBy: { id, email, name }, reason, dryRun }
+   * @returns {Promise<Object>} - Signed erasure report, or an unsigned preview for dry runs
+   */
+  async forget_employee(lineUserId, { requestedBy, reason, dryRun = false }) {
+    console.log(`🧹 ${dryRun ? 'Previewing' : 'Running'} erasure request for a LINE user`);
+
+    // Hashed up front: it throws without a signing secret, and the report must be signable before anything is deleted
+    const subjectHash = ErasureReport.hashSubject(lineUserId);
+    const deleted = emptyCounts();
+    const heldSessions = [];
+    const erasedSessionIds = [];
+
+    for (const name of SESSION_COLLECTIONS) {
+      const collection = ComplaintSession.db.collection(name);
+
+      heldSessions.push(...await collection
+        .find({ user_id: lineUserId, 'legal_hold.active': true }, { projection: { _id: 1, complaint_id: 1, legal_hold: 1 } })
+        .toArray());
+
+      const sessions = collection.find(
+        { user_id: lineUserId, ...ComplaintSession.NOT_ON_LEGAL_HOLD },
+        { projection: { _id: 1 } }
+      );
+      for await (const session of sessions) {
+        const counts = await this.delete_session(collection, session._id, { dryRun });
+        if (counts.complaint_sessions > 0) {
+          erasedSessionIds.push(session._id);
+        }
+        addCounts(deleted, counts);
+      }
+    }
+
+    // AI tags that outlived their session, and raw LINE events
+    const handledSessionIds = [...heldSessions.map(session => session._id), ...erasedSessionIds];
+    const leftoverTags = { user_id: lineUserId, complaint_session_id: { $nin: handledSessionIds } };
+    const rawEvents = { user_id: lineUserId };
+    const employeeRetained = heldSessions.length > 0;
+
+    if (dryRun) {
+      deleted.ai_complaint_tags += await AIComplaintTag.countDocuments(leftoverTags);
+      deleted.line_events_raw = await LineEventsRaw.countDocuments(rawEvents);
+      deleted.employees = employeeRetained ? 0 : await Employee.countDocuments({ _id: lineUserId });
+    } else {
+      deleted.ai_complaint_tags += (await AIComplaintTag.deleteMany(leftoverTags)).deletedCount;
+      deleted.line_events_raw = (await LineEventsRaw.deleteMany(rawEvents)).deletedCount;
+      // Held complaints still need to be tied to a person, so the employee record stays with them
+      deleted.employees = employeeRetained ? 0 : (await Employee.deleteOne({ _id: lineUserId })).deletedCount;
+    }
+
+    const report = {
+      subject_hash: subjectHash,
+      requested_by: requestedBy,
+      reason,
+      deleted,
+      exempted: heldSessions.map(session => ({
+        complaint_id: session.complaint_id,
+        reason: session.legal_hold?.reason
+      })),
+      employee_retained: employeeRetained
+    };
+
+    if (dryRun) {
+      return { ...report, dry_run: true };
+    }
+
+    return ErasureReport.record(report);
+  }
+}
+
+module.exports = new DataRetentionService();
@@ -0,0 +1,178 @@
+/**
+ * Field Encryption Service
+ * AES-256-GCM encryption of complaint content at rest (chat messages, AI summaries, HR notes)
+ *
+ * Encrypted values are strings tagged with the key version that produced them:
+ *   aesgcm:<keyVersion>:<iv>:<authTag>:<ciphertext>   (base64 parts)
+ * so keys can be rotated while older documents stay readable. The format is mirrored in
+ * web/src/lib/field-encryption.ts.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const ENCRYPTED_PATTERN = /^aesgcm:([A-Za-z0-9_-]+):([A-Za-z0-9+/=]+):([A-Za-z0-9+/=]+):([A-Za-z0-9+/=]*)$/;
+
+class FieldEncryptionService {
+  constructor() {
+    this.keys = this.parse_keys(config.encryption.keys);
+    const versions = Object.keys(this.keys);
+    this.current_version = config.encryption.currentKeyVersion || versions[versions.length - 1] || null;
+
+    if (this.current_version && !this.keys[this.current_version]) {
+      throw new Error(`FIELD_ENCRYPTION_KEY_VERSION ${this.current_version} is not in FIELD_ENCRYPTION_KEYS`);
+    }
+
+    if (this.current_version) {
+      console.log(`🔐 Field encryption enabled (key ${this.current_version}, ${versions.length} key(s) loaded)`);
+    } else {
+      console.warn('⚠️ FIELD_ENCRYPTION_KEYS not set - complaint content will be stored in plaintext');
+    }
+  }
+
+  /**
+   * Parses "v1:<base64 key>,v2:<base64 key>" into { v1: Buffer, v2: Buffer }
+   * @param {string} value - Key list from the environment
+   * @returns {Object} - Key version -> 32-byte key
+   */
+  parse_keys(value) {
+    const keys = {};
+
+    (value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+      const separator = entry.indexOf(':');
+      const version = entry.slice(0, separator);
+      const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+      if (separator <= 0 || !/^[A-Za-z0-9_-]+$/.test(version)) {
+        throw new Error('FIELD_ENCRYPTION_KEYS entries must look like <version>:<base64 key>');
+      }
+      if (key.length !== 32) {
+        throw new Error(`Field encryption key ${version} must be 32 bytes (AES-256)`);
+      }
+
+      keys[version] = key;
+    });
+
+    return keys;
+  }
+
+  /**
+   * Checks whether a value is an encrypted envelope
+   * @param {*} value - Stored field value
+   * @returns {boolean}
+   */
+  is_encrypted(value) {
+    return typeof value === 'string' && ENCRYPTED_PATTERN.test(value);
+  }
+
+  /**
+   * Key version an encrypted value was written with (null for plaintext)
+   * @param {*} value - Stored field value
+   * @returns {string|null}
+   */
+  key_version_of(value) {
+    const match = typeof value === 'string' ? value.match(ENCRYPTED_PATTERN) : null;
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Whether a stored value should be (re-)encrypted with the current key
+   * @param {*} value - Stored field value
+   * @returns {boolean}
+   */
+  needs_reencryption(value) {
+    return Boolean(this.current_version) &&
+      typeof value === 'string' &&
+      this.key_version_of(value) !== this.current_version;
+  }
+
+  /**
+   * Encrypts a value with the current key (non-strings pass through)
+   * Always encrypts: input shaped like an envelope is still untrusted text. Re-encrypting stored
+   * values is reencrypt's job.
+   * @param {*} value - Plaintext
+   * @returns {*} - Encrypted envelope, or the value unchanged when encryption is disabled
+   */
+  encrypt(value) {
+    if (typeof value !== 'string' || !this.current_version) {
+      return value;
+    }
+
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.keys[this.current_version], iv);
+    const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+    return [
+      'aesgcm',
+      this.current_version,
+      iv.toString('base64'),
+      cipher.getAuthTag().toString('base64'),
+      ciphertext.toString('base64')
+    ].join(':');
+  }
+
+  /**
+   * Decrypts an envelope (plaintext from before encryption was enabled passes through)
+   * @param {*} value - Stored field value
+   * @returns {*} - Plaintext
+   */
+  decrypt(value) {
+    const match = typeof value === 'string' ? value.match(ENCRYPTED_PATTERN) : null;
+    if (!match) {
+      return value;
+    }
+
+    const [, version, iv, authTag, ciphertext] = match;
+    const key = this.keys[version];
+    if (!key) {
+      throw new Error(`Field encryption key ${version} is not configured`);
+    }
+
+    // A failed auth tag check throws: the value was altered or written with another key
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+
+  /**
+   * Re-encrypts a stored value with the current key
+   * @param {*} value - Stored field value
+   * @returns {*} - Value encrypted with the current key
+   */
+  reencrypt(value) {
+    return this.encrypt(this.decrypt(value));
+  }
+
+  /**
+   * Mongoose validator limiting the plaintext length of an encrypted field
+   * (the built-in maxlength would see the ciphertext)
+   * @param {number} max - Maximum plaintext length
+   * @returns {Object} - Mongoose validator
+   */
+  plaintext_max_length(max) {
+    return {
+      validator: (value) => typeof value !== 'string' || this.decrypt(value).length <= max,
+      message: `{PATH} must be at most ${max} characters`
+    };
+  }
+
+  /**
+   * SHA-256 of a plaintext, for recording that content changed without storing the content
+   * @param {string} value - Plaintext (or encrypted envelope)
+   * @returns {string|null}
+   */
+  fingerprint(value) {
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    return `sha256:${crypto.createHash('sha256').update(this.decrypt(value), 'utf8').digest('hex')}`;
+  }
+}
+
+module.exports = new FieldEncryptionService();
@@ -0,0 +1,93 @@
+/**
+ * HR Session Token
+ * Verifies the signed HR session tokens (HS256 JWT) issued by the dashboard login
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+
+const HR_SESSION_COOKIE = 'hr-session';
+
+const base64UrlDecode = (value) => Buffer.from(value, 'base64url');
+
+/**
+ * Extracts the session token from a Bearer header or the dashboard session cookie
+ * @param {Object} req - Express request
+ * @returns {string|null} - Raw token
+ */
+const get_request_token = (req) => {
+  const authorization = req?.headers?.authorization;
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+
+  const cookieHeader = req?.headers?.cookie;
+  if (!cookieHeader) {
+    return null;
+  }
+
+  const cookie = cookieHeader
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${HR_SESSION_COOKIE}=`));
+
+  return cookie ? decodeURIComponent(cookie.slice(HR_SESSION_COOKIE.length + 1)) : null;
+};
+
+/**
+ * Verifies a session token signature and expiry
+ * @param {string} token - Raw token
+ * @returns {Object|null} - Session claims ({ sub, email, name, roles, iat, exp }) or null
+ */
+const verify_token = (token) => {
+  // Without the shared secret no token can be trusted
+  if (!token || !config.auth.session.secret) {
+    return null;
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  const [header, payload, signature] = parts;
+
+  try {
+    const expected = crypto
+      .createHmac('sha256', config.auth.session.secret)
+      .update(`${header}.${payload}`)
+      .digest();
+    const actual = base64UrlDecode(signature);
+
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return null;
+    }
+
+    if (JSON.parse(base64UrlDecode(header).toString('utf8')).alg !== 'HS256') {
+      return null;
+    }
+
+    const claims = JSON.parse(base64UrlDecode(payload).toString('utf8'));
+    if (!claims.sub || typeof claims.exp !== 'number' || claims.exp <= Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+
+    return claims;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Verifies the session token carried by a request
+ * @param {Object} req - Express request
+ * @returns {Object|null} - Session claims or null
+ */
+const verify_request = (req) => verify_token(get_request_token(req));
+
+module.exports = {
+  HR_SESSION_COOKIE,
+  get_request_token,
+  verify_token,
+  verify_request
+};
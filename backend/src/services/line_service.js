@@ -12,6 +12,7 @@ class LineService {
     this.channelSecret = config.line.channelSecret;
     this.channelAccessToken = config.line.channelAccessToken;
     this.lineApiUrl = 'https://api.line.me/v2/bot';
+    this.lineDataApiUrl = 'https://api-data.line.me/v2/bot';
     
     console.log('🤖 LineService initialized');
   }
@@ -73,6 +74,12 @@ class LineService {
    * @returns {Promise<Object>} - API response
    */
   async reply_message(replyToken, messages) {
+    // Replayed webhook events have no (valid) reply token left
+    if (!replyToken) {
+      console.warn('⚠️ No reply token - reply skipped');
+      return null;
+    }
+
     try {
       console.log(`📤 Sending reply message to LINE, replyToken: ${replyToken}`);
       
@@ -140,6 +147,41 @@ class LineService {
     }
   }
 
+  /**
+   * Downloads the content of an image, video, audio or file message
+   * LINE only keeps message content for a limited time, so fetch it as soon as it arrives
+   * @param {string} messageId - LINE message ID
+   * @returns {Promise<Object>} - { buffer, contentType, contentLength }
+   */
+  async get_message_content(messageId) {
+    try {
+      console.log(`📥 Downloading LINE message content: ${messageId}`);
+      
+      const response = await axios.get(
+        `${this.lineDataApiUrl}/message/${messageId}/content`,
+        {
+          headers: {
+            'Authorization': `Bearer ${this.channelAccessToken}`
+          },
+          responseType: 'arraybuffer',
+          maxContentLength: config.attachments.maxBytes
+        }
+      );
+
+      const buffer = Buffer.from(response.data);
+      
+      console.log(`✅ LINE message content downloaded (${buffer.length} bytes)`);
+      return {
+        buffer,
+        contentType: response.headers['content-type'] || 'application/octet-stream',
+        contentLength: buffer.length
+      };
+    } catch (error) {
+      console.error('❌ LINE message content error:', error.response?.status || error.message);
+      throw error;
+    }
+  }
+
   /**
    * Gets LINE user profile information
    * @param {string} userId - LINE user ID
@@ -0,0 +1,51 @@
+/**
+ * Gemini Provider
+ * Google Gemini via @google/generative-ai
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+class GeminiProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - GEMINI_API_KEY
+   * @param {string} options.model - Model name (e.g. gemini-1.5-flash)
+   * @param {number} options.timeoutMs - Request timeout
+   */
+  constructor({ apiKey, model, timeoutMs }) {
+    if (!apiKey) {
+      throw new Error('GEMINI_API_KEY environment variable is required for the gemini AI provider');
+    }
+
+    this.name = 'gemini';
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+    this.client = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+  }
+
+  /**
+   * Sends the prompt to Gemini
+   * @param {Object} request - { prompt }
+   * @returns {Promise<Object>} - { text, model, usage, response_id }
+   */
+  async generate({ prompt }) {
+    const result = await this.client.generateContent(prompt, { timeout: this.timeoutMs });
+    const response = result.response;
+    const usage = response.usageMetadata;
+
+    return {
+      text: response.text(),
+      model: response.modelVersion || this.model,
+      usage: usage
+        ? {
+            prompt_tokens: usage.promptTokenCount,
+            completion_tokens: usage.candidatesTokenCount,
+            total_tokens: usage.totalTokenCount
+          }
+        : null,
+      response_id: response.responseId || null
+    };
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,31 @@
+/**
+ * Heuristic Provider
+ * Offline, deterministic Thai/English keyword classification (services/complaint_classifier) that
+ * answers in the same JSON format as the LLM providers. Needs no network or API key, so it suits
+ * development, tests and air-gapped installs; the same messages always produce the same analysis.
+ */
+
+const complaintClassifier = require('../complaint_classifier');
+
+class HeuristicProvider {
+  constructor() {
+    this.name = 'heuristic';
+    this.model = complaintClassifier.version;
+  }
+
+  /**
+   * Classifies the employee messages (the prompt is not used)
+   * @param {Object} request - { userMessages }
+   * @returns {Promise<Object>} - { text, model, usage, response_id }
+   */
+  async generate({ userMessages = [] }) {
+    return {
+      text: JSON.stringify(complaintClassifier.classify(userMessages)),
+      model: this.model,
+      usage: null,
+      response_id: null
+    };
+  }
+}
+
+module.exports = HeuristicProvider;
@@ -0,0 +1,56 @@
+/**
+ * LLM Providers
+ * Selects the model that analyzes complaints from config (AI_PROVIDER).
+ * A provider is any object with name, model and async generate({ prompt, userMessages })
+ * resolving to { text, model, usage: { prompt_tokens, completion_tokens, total_tokens } | null, response_id }.
+ */
+
+const config = require('../../config');
+const GeminiProvider = require('./gemini_provider');
+const OpenAICompatibleProvider = require('./openai_compatible_provider');
+const HeuristicProvider = require('./heuristic_provider');
+
+const timeoutMs = () => config.ai.requestTimeoutSeconds * 1000;
+
+const providers = {
+  gemini: () => new GeminiProvider({ ...config.ai.gemini, timeoutMs: timeoutMs() }),
+  openai: () => new OpenAICompatibleProvider({ ...config.ai.openai, timeoutMs: timeoutMs() }),
+  heuristic: () => new HeuristicProvider()
+};
+
+const instances = new Map();
+
+/**
+ * Registers an additional provider (e.g. Anthropic, Azure OpenAI)
+ * @param {string} name - Provider name used in AI_PROVIDER
+ * @param {Function} factory - Returns a provider instance
+ */
+const registerLLMProvider = (name, factory) => {
+  providers[name] = factory;
+  instances.delete(name);
+};
+
+/**
+ * Returns the provider by name (defaults to the configured one)
+ * Throws if the provider is unknown or not configured (e.g. missing API key).
+ * @param {string} [name] - Provider name
+ * @returns {Object} - LLM provider
+ */
+const getLLMProvider = (name = config.ai.provider) => {
+  if (!providers[name]) {
+    throw new Error(`Unknown AI provider: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    const provider = providers[name]();
+    instances.set(name, provider);
+    console.log(`🧠 AI provider initialized: ${name} (${provider.model})`);
+  }
+
+  return instances.get(name);
+};
+
+module.exports = {
+  getLLMProvider,
+  registerLLMProvider
+};
@@ -0,0 +1,72 @@
+/**
+ * OpenAI-Compatible Provider
+ * Any server exposing POST /chat/completions in the OpenAI format (OpenAI, Azure-style gateways,
+ * vLLM, Ollama, LM Studio), so analysis can run against an on-prem model
+ */
+
+const axios = require('axios');
+
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - API base URL including the version path (e.g. http://llm.internal:8000/v1)
+   * @param {string} [options.apiKey] - Bearer token (optional for local servers)
+   * @param {string} options.model - Model name
+   * @param {number} options.timeoutMs - Request timeout
+   */
+  constructor({ baseUrl, apiKey, model, timeoutMs }) {
+    if (!baseUrl || !model) {
+      throw new Error('OPENAI_BASE_URL and OPENAI_MODEL are required for the openai AI provider');
+    }
+
+    this.name = 'openai';
+    this.model = model;
+    this.endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Sends the prompt as a single user message
+   * @param {Object} request - { prompt }
+   * @returns {Promise<Object>} - { text, model, usage, response_id }
+   */
+  async generate({ prompt }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await axios.post(
+      this.endpoint,
+      {
+        model: this.model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0
+      },
+      { headers, timeout: this.timeoutMs }
+    );
+
+    const data = response.data || {};
+    const text = data.choices?.[0]?.message?.content;
+
+    if (typeof text !== 'string') {
+      throw new Error('Empty response from OpenAI-compatible endpoint');
+    }
+
+    return {
+      text,
+      model: data.model || this.model,
+      usage: data.usage
+        ? {
+            prompt_tokens: data.usage.prompt_tokens,
+            completion_tokens: data.usage.completion_tokens,
+            total_tokens: data.usage.total_tokens
+          }
+        : null,
+      response_id: data.id || null
+    };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,169 @@
+/**
+ * LLM Usage Service
+ * Records every LLM call (tokens, latency, estimated cost) and enforces the monthly budget:
+ * once the month's estimated spend reaches AI_MONTHLY_BUDGET_USD, the AI job queue stops claiming
+ * jobs until the next month (or a higher budget), and admins are alerted with an audit event and
+ * a banner on the AI queue dashboard card. Analysis started by HR on a single complaint still runs.
+ */
+
+const config = require('../config');
+const { LLMUsage, AuditEvent } = require('../models');
+
+// USD per million tokens, matched by longest model-name prefix (list prices; override with AI_PRICING)
+const DEFAULT_PRICING = {
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 }
+};
+
+// How long the month's spend is cached between budget checks
+const BUDGET_CACHE_MS = 60 * 1000;
+
+class LLMUsageService {
+  constructor() {
+    this.pricing = { ...DEFAULT_PRICING, ...this.parse_pricing(config.ai.pricing) };
+    this.cachedStatus = null;
+    this.cachedAt = 0;
+    // Month for which the budget alert was sent by this instance
+    this.alertedMonth = null;
+
+    console.log('💰 LLMUsageService initialized');
+  }
+
+  /**
+   * Parses the AI_PRICING override (invalid JSON is ignored with a warning)
+   * @param {string} [json] - Price table JSON
+   * @returns {Object} - { modelPrefix: { input, output } }
+   */
+  parse_pricing(json) {
+    if (!json) return {};
+
+    try {
+      return JSON.parse(json);
+    } catch (error) {
+      console.warn(`⚠️ Ignoring invalid AI_PRICING: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Estimated cost of a call
+   * @param {string} model - Model name reported by the provider
+   * @param {Object|null} usage - { prompt_tokens, completion_tokens }
+   * @returns {number|null} - USD, or null if the model has no price or no token counts
+   */
+  estimate_cost(model, usage) {
+    if (!usage) return null;
+
+    const prefix = Object.keys(this.pricing)
+      .filter(key => String(model).startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+    if (!prefix) return null;
+
+    const price = this.pricing[prefix];
+    return ((usage.prompt_tokens || 0) * price.input + (usage.completion_tokens || 0) * price.output) / 1e6;
+  }
+
+  /**
+   * Stores one LLM call; accounting errors are logged and never fail the analysis
+   * @param {Object} call - { provider, model, purpose, complaintSessionId, complaintId, usage, latencyMs, error }
+   * @returns {Promise<Object|null>} - The record
+   */
+  async record_call({ provider, model, purpose = 'analysis', complaintSessionId, complaintId, usage = null, latencyMs, error = null }) {
+    try {
+      const cost = this.estimate_cost(model, usage);
+      const record = await LLMUsage.record({
+        provider,
+        model,
+        purpose,
+        complaint_session_id: complaintSessionId,
+        complaint_id: complaintId,
+        success: !error,
+        error: error ? String(error.message || error).substring(0, 500) : undefined,
+        prompt_tokens: usage ? usage.prompt_tokens ?? null : null,
+        completion_tokens: usage ? usage.completion_tokens ?? null : null,
+        total_tokens: usage ? usage.total_tokens ?? null : null,
+        latency_ms: latencyMs,
+        estimated_cost_usd: cost
+      });
+
+      if (this.cachedStatus && cost) {
+        this.cachedStatus.month_cost_usd += cost;
+      }
+
+      return record;
+    } catch (recordError) {
+      console.error('❌ Error recording LLM usage:', recordError);
+      return null;
+    }
+  }
+
+  /**
+   * Spend of the current month against the budget
+   * @param {Object} [options] - { refresh: bypass the cache }
+   * @returns {Promise<Object>} - { month, month_cost_usd, monthly_budget_usd, exceeded }
+   */
+  async get_budget_status({ refresh = false } = {}) {
+    const month = LLMUsage.formatDay(new Date()).substring(0, 7);
+    const fresh = this.cachedStatus && this.cachedStatus.month === month && Date.now() - this.cachedAt < BUDGET_CACHE_MS;
+
+    if (refresh || !fresh) {
+      this.cachedStatus = { month, month_cost_usd: await LLMUsage.getMonthCost(month) };
+      this.cachedAt = Date.now();
+    }
+
+    const budget = config.ai.monthlyBudgetUsd;
+    return {
+      ...this.cachedStatus,
+      monthly_budget_usd: budget > 0 ? budget : null,
+      exceeded: budget > 0 && this.cachedStatus.month_cost_usd >= budget
+    };
+  }
+
+  /**
+   * Whether queued analysis must pause; alerts admins the first time the budget is exceeded in a month
+   * @returns {Promise<boolean>}
+   */
+  async is_budget_exceeded() {
+    const status = await this.get_budget_status();
+
+    if (status.exceeded && this.alertedMonth !== status.month) {
+      this.alertedMonth = status.month;
+      await this.alert_budget_exceeded(status);
+    }
+
+    return status.exceeded;
+  }
+
+  /**
+   * Records the budget alert in the audit log (once per month across instances)
+   * @param {Object} status - Budget status
+   * @returns {Promise<void>}
+   */
+  async alert_budget_exceeded(status) {
+    console.error(`🚨 Monthly AI budget exceeded: $${status.month_cost_usd.toFixed(2)} of $${status.monthly_budget_usd.toFixed(2)} in ${status.month}; queued AI analysis is paused`);
+
+    try {
+      const alreadyAlerted = await AuditEvent.exists({
+        action: 'ai_budget_exceeded',
+        resource_id: status.month
+      });
+      if (alreadyAlerted) return;
+
+      await AuditEvent.append({
+        actor: { type: 'system' },
+        action: 'ai_budget_exceeded',
+        resource_type: 'ai_usage',
+        resource_id: status.month,
+        source: 'backend',
+        details: status
+      });
+    } catch (error) {
+      console.error('❌ Error recording AI budget alert:', error);
+    }
+  }
+}
+
+module.exports = new LLMUsageService();
@@ -0,0 +1,153 @@
+/**
+ * Prompt Safety
+ * Prepares employee text for an LLM prompt:
+ * - PII redaction: names, phone numbers, emails and Thai national IDs are replaced with numbered
+ *   placeholders ([PERSON_1], [PHONE_1], ...) before the text leaves the server, and restored in
+ *   the model's answer afterwards. The same value always gets the same placeholder.
+ * - Prompt-injection screening: messages that try to give the model instructions ("ignore previous
+ *   instructions", forged delimiters, JSON fragments of the answer) are reported so the analysis
+ *   can be flagged for HR.
+ * - Escaping: text is wrapped in delimited blocks with <, > and & escaped, so a message cannot
+ *   close its block and continue as prompt text.
+ *
+ * Name detection is best effort: the complainant's own display name and names introduced by a
+ * title (Mr./Ms./Khun, คุณ/นาย/นาง/นางสาว) are redacted; other bare names are not recognized.
+ */
+
+const PLACEHOLDER_PATTERN = /\[(PERSON|PHONE|EMAIL|NATIONAL_ID)_(\d+)\]/g;
+
+// Thai national ID: 13 digits, often written 1-2345-67890-12-3
+const NATIONAL_ID_PATTERN = /(?<!\d)\d[- ]?\d{4}[- ]?\d{5}[- ]?\d{2}[- ]?\d(?!\d)/g;
+// Thai mobile and landline numbers, local (08x-xxx-xxxx, 02-xxx-xxxx) or international (+66 8x ...)
+const PHONE_PATTERN = /(?<![\d+])(?:\+66[- ]?|0)\d{1,2}[- ]?\d{3}[- ]?\d{3,4}(?!\d)/g;
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+
+// Title + capitalized name ("Mr. John Smith", "Khun Somchai", "K.Somchai"); the title is kept
+const ENGLISH_TITLED_NAME_PATTERN = /\b(Mr\.?|Mrs\.?|Ms\.?|Miss|Khun|K\.)\s*([A-Z][a-z]+(?: [A-Z][a-z]+)?)/g;
+// Thai title + a short word that ends at a space, punctuation or the end of the text
+const THAI_TITLED_NAME_PATTERN = /(นางสาว|น\.ส\.|นาย|นาง|คุณ)([ก-๎]{2,15})(?=[\s.,!?()"']|$)/g;
+// Ordinary words that start with a Thai title (employer, nurse, quality, ...)
+const THAI_TITLE_WORDS = ['นายจ้าง', 'นายหน้า', 'นางพยาบาล', 'คุณภาพ', 'คุณค่า', 'คุณสมบัติ', 'คุณประโยชน์', 'คุณธรรม', 'คุณครู'];
+
+const INJECTION_RULES = [
+  { id: 'ignore_instructions', pattern: /\b(ignore|disregard|forget|override|bypass)\b[^.\n]{0,40}\b(instructions?|prompts?|rules?|guidelines)\b/i },
+  { id: 'role_override', pattern: /\b(you are now|from now on,? you|act as (an?|the) |pretend (to be|you are)|new instructions?)\b/i },
+  { id: 'system_prompt', pattern: /\b(system|developer) (prompt|message|instructions?)\b/i },
+  { id: 'classification_override', pattern: /\b(set|mark|classify|rate|label|change)\b[^.\n]{0,30}\b(severity|urgency|category|sentiment)\b[^.\n]{0,20}\b(as|to)\b/i },
+  { id: 'delimiter_breakout', pattern: /<\/?\s*(employee_message|bot_message|system|assistant|instructions?)\b|```/i },
+  { id: 'json_injection', pattern: /"(sentiment_analysis|issue_classification|primary_category|severity_level|urgency_score|overall_sentiment|ai_summary)"\s*:/ },
+  { id: 'ignore_instructions_th', pattern: /(ไม่ต้อง(สนใจ|ทำตาม)|ลืม|เพิกเฉย|ละเว้น|ข้าม)[^\n]{0,20}คำสั่ง/ },
+  { id: 'role_override_th', pattern: /(ตอนนี้คุณคือ|ต่อจากนี้คุณ|สมมติว่าคุณเป็น|แสร้งเป็น|คำสั่งใหม่)/ },
+  { id: 'classification_override_th', pattern: /(ให้|จัด|ตั้ง|กำหนด|เปลี่ยน)[^\n]{0,15}(ความรุนแรง|ความเร่งด่วน|หมวดหมู่)[^\n]{0,10}(เป็น|ว่า)/ }
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class PromptSafety {
+  /**
+   * Redacts PII from messages with placeholders shared across all messages
+   * @param {string[]} messages - Message texts
+   * @param {Object} [options]
+   * @param {string[]} [options.knownNames] - Names to redact wherever they appear (e.g. the complainant's)
+   * @returns {Object} - { messages, redaction } where redaction is passed to restore_pii
+   */
+  redact_pii(messages, { knownNames = [] } = {}) {
+    const redaction = { placeholders: {}, counts: { person: 0, phone: 0, email: 0, national_id: 0 } };
+    const byValue = new Map();
+
+    const placeholder = (type, value) => {
+      const key = `${type}:${value.toLowerCase()}`;
+      if (!byValue.has(key)) {
+        const count = ++redaction.counts[type.toLowerCase()];
+        const token = `[${type}_${count}]`;
+        byValue.set(key, token);
+        redaction.placeholders[token] = value;
+      }
+      return byValue.get(key);
+    };
+
+    // Full names first, then their parts ("Somchai Jaidee", then "Somchai"), all as the same person
+    const names = knownNames
+      .filter(name => typeof name === 'string' && name.trim().length >= 2)
+      .map(name => name.trim());
+
+    const namePatterns = [];
+    for (const name of names) {
+      const token = placeholder('PERSON', name);
+      const parts = name.split(/\s+/).filter(part => part.length >= 3);
+      for (const variant of [name, ...(parts.length > 1 ? parts : [])]) {
+        namePatterns.push({ pattern: new RegExp(escapeRegExp(variant), 'giu'), token });
+      }
+    }
+
+    const redacted = messages.map(message => {
+      let text = String(message || '');
+
+      text = text.replace(EMAIL_PATTERN, match => placeholder('EMAIL', match));
+      text = text.replace(NATIONAL_ID_PATTERN, match => placeholder('NATIONAL_ID', match));
+      text = text.replace(PHONE_PATTERN, match => placeholder('PHONE', match));
+
+      for (const { pattern, token } of namePatterns) {
+        text = text.replace(pattern, token);
+      }
+
+      text = text.replace(ENGLISH_TITLED_NAME_PATTERN, (match, title, name) =>
+        `${title}${match.slice(title.length, match.length - name.length)}${placeholder('PERSON', name)}`);
+      text = text.replace(THAI_TITLED_NAME_PATTERN, (match, title, name) =>
+        THAI_TITLE_WORDS.some(word => match.startsWith(word)) ? match : `${title}${placeholder('PERSON', name)}`);
+
+      return text;
+    });
+
+    return { messages: redacted, redaction };
+  }
+
+  /**
+   * Puts redacted values back in place of their placeholders (unknown placeholders are left as-is)
+   * @param {string} text - Text from the model
+   * @param {Object} redaction - Result of redact_pii
+   * @returns {string} - Text with the original values
+   */
+  restore_pii(text, redaction) {
+    if (typeof text !== 'string' || !redaction) return text;
+    return text.replace(PLACEHOLDER_PATTERN, token => redaction.placeholders[token] ?? token);
+  }
+
+  /**
+   * Whether a string is only a redaction placeholder (e.g. a keyword the model copied)
+   * @param {string} text - Text to check
+   * @returns {boolean}
+   */
+  is_placeholder(text) {
+    return /^\[(PERSON|PHONE|EMAIL|NATIONAL_ID)_\d+\]$/.test(String(text).trim());
+  }
+
+  /**
+   * Looks for attempts to instruct the model inside employee messages
+   * @param {string[]} messages - Raw message texts
+   * @returns {string[]} - IDs of the rules that matched (empty when none did)
+   */
+  detect_injection(messages) {
+    const text = messages.join('\n');
+    return INJECTION_RULES
+      .filter(rule => rule.pattern.test(text))
+      .map(rule => rule.id);
+  }
+
+  /**
+   * Wraps text in a delimited block with markup characters escaped
+   * @param {string} tag - Block name (e.g. employee_message)
+   * @param {string} text - Block content
+   * @param {number} index - Position of the message in the conversation
+   * @returns {string} - The block
+   */
+  to_block(tag, text, index) {
+    const escaped = String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+    return `<${tag} index="${index}">\n${escaped}\n</${tag}>`;
+  }
+}
+
+module.exports = new PromptSafety();
@@ -0,0 +1,83 @@
+/**
+ * Session Timeout Sweeper
+ * Periodically expires open complaint sessions whose expires_at has passed.
+ * Each session is claimed atomically, so several backend instances can run the sweeper side by side.
+ */
+
+const config = require('../config');
+const { ComplaintSession } = require('../models');
+const lineWebhookHandler = require('../handlers/line_webhook_handler');
+
+class SessionTimeoutSweeper {
+  constructor() {
+    this.intervalMs = config.sessions.sweepIntervalSeconds * 1000;
+    this.lockSeconds = config.sessions.sweepLockSeconds;
+    this.timer = null;
+    this.running = false;
+
+    console.log('⏰ SessionTimeoutSweeper initialized');
+  }
+
+  /**
+   * Starts the periodic sweep
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.sweep(), this.intervalMs);
+    // Don't keep the process alive just for the sweeper
+    this.timer.unref();
+
+    console.log(`⏰ Session timeout sweeper started (every ${config.sessions.sweepIntervalSeconds}s)`);
+
+    // Pick up sessions that expired while no instance was running
+    this.sweep();
+  }
+
+  /**
+   * Stops the periodic sweep
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('⏰ Session timeout sweeper stopped');
+    }
+  }
+
+  /**
+   * Claims and processes expired sessions until none are left
+   * @returns {Promise<number>} - Number of sessions processed
+   */
+  async sweep() {
+    // Skip if the previous sweep on this instance is still working
+    if (this.running) {
+      return 0;
+    }
+
+    this.running = true;
+    let processed = 0;
+
+    try {
+      let session;
+      while ((session = await ComplaintSession.claimExpiredSession(this.lockSeconds))) {
+        await lineWebhookHandler.handle_session_timeout(session);
+        processed++;
+      }
+
+      if (processed > 0) {
+        console.log(`✅ Session timeout sweep processed ${processed} session(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Error sweeping expired sessions:', error);
+    } finally {
+      this.running = false;
+    }
+
+    return processed;
+  }
+}
+
+module.exports = new SessionTimeoutSweeper();
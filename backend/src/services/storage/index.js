@@ -0,0 +1,47 @@
+/**
+ * Attachment Storage
+ * Selects the storage backend for attachment bytes from config.
+ * A backend is any object with async put(key, buffer, meta), get(key) and delete(key).
+ */
+
+const config = require('../../config');
+const LocalDiskStorage = require('./local_disk_storage');
+
+const backends = {
+  local: () => new LocalDiskStorage({ rootDir: config.attachments.localDir })
+};
+
+const instances = new Map();
+
+/**
+ * Registers an additional storage backend (e.g. S3, GCS)
+ * @param {string} name - Backend name used in ATTACHMENT_STORAGE_BACKEND
+ * @param {Function} factory - Returns a storage backend instance
+ */
+const registerStorageBackend = (name, factory) => {
+  backends[name] = factory;
+  instances.delete(name);
+};
+
+/**
+ * Returns the storage backend by name (defaults to the configured one)
+ * @param {string} [name] - Backend name
+ * @returns {Object} - Storage backend
+ */
+const getStorage = (name = config.attachments.storageBackend) => {
+  if (!backends[name]) {
+    throw new Error(`Unknown attachment storage backend: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, backends[name]());
+    console.log(`🗄️ Attachment storage backend initialized: ${name}`);
+  }
+
+  return instances.get(name);
+};
+
+module.exports = {
+  getStorage,
+  registerStorageBackend
+};
@@ -0,0 +1,72 @@
+/**
+ * Local Disk Storage
+ * Default attachment storage backend, keeps files under a directory on the backend host
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+class LocalDiskStorage {
+  /**
+   * @param {Object} options
+   * @param {string} options.rootDir - Directory attachments are written to
+   */
+  constructor({ rootDir }) {
+    this.name = 'local';
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  /**
+   * Resolves a storage key to a path, refusing keys that escape the root directory
+   * @param {string} key - Storage key (e.g. sessionId/messageId.jpg)
+   * @returns {string} - Absolute file path
+   */
+  resolve_path(key) {
+    const filePath = path.resolve(this.rootDir, key);
+
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Writes an object
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File content
+   * @returns {Promise<void>}
+   */
+  async put(key, buffer) {
+    const filePath = this.resolve_path(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  /**
+   * Reads an object
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer|null>} - File content, or null if missing
+   */
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve_path(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Deletes an object (no-op if missing)
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await fs.rm(this.resolve_path(key), { force: true });
+  }
+}
+
+module.exports = LocalDiskStorage;
@@ -7,11 +7,17 @@ const { router } = require('./index');
 const complaintRouter = require('./routers/complaint');
 const employeeRouter = require('./routers/employee');
 const aiTaggingRouter = require('./routers/ai_tagging');
+const auditRouter = require('./routers/audit');
+const privacyRouter = require('./routers/privacy');
+const lineEventsRouter = require('./routers/line_events');
 
 const appRouter = router({
   complaint: complaintRouter,
   employee: employeeRouter,
-  aiTagging: aiTaggingRouter
+  aiTagging: aiTaggingRouter,
+  audit: auditRouter,
+  privacy: privacyRouter,
+  lineEvents: lineEventsRouter
 });
 
 // Export the router type for client-side type inference
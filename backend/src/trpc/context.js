@@ -3,7 +3,8 @@
  * Creates context for tRPC procedures with database access
  */
 
-const { Employee, ComplaintSession, LineEventsRaw, HrAllowlist, AIComplaintTag } = require('../models');
+const { Employee, ComplaintSession, LineEventsRaw, HrAllowlist, AIComplaintTag, HrAction, AuditEvent, ErasureReport, AIJob, LLMUsage } = require('../models');
+const hrSessionToken = require('../services/hr_session_token');
 
 /**
  * Creates tRPC context with database models
@@ -20,13 +21,21 @@ const createContext = (opts) => {
       ComplaintSession,
       LineEventsRaw,
       HrAllowlist,
-      AIComplaintTag
+      AIComplaintTag,
+      HrAction,
+      AuditEvent,
+      ErasureReport,
+      AIJob,
+      LLMUsage
     },
     
     // Request context (if available)
     req: opts?.req,
     res: opts?.res,
     
+    // Verified HR session claims (null when the token is missing, forged or expired)
+    hrSession: hrSessionToken.verify_request(opts?.req),
+    
     // Utilities
     utils: {
       generateId: () => {
@@ -3,7 +3,7 @@
  * Initializes tRPC with context and procedures
  */
 
-const { initTRPC } = require('@trpc/server');
+const { initTRPC, TRPCError } = require('@trpc/server');
 const { z } = require('zod');
 const { createContext } = require('./context');
 
@@ -40,28 +40,70 @@ const loggingMiddleware = t.middleware(({ path, type, next }) => {
   });
 });
 
-// Middleware for HR authorization (for future HR dashboard)
-const hrAuthMiddleware = t.middleware(({ ctx, next }) => {
-  // TODO: Implement HR authorization logic with OIDC/SSO
-  // For now, allow all requests during development
-  console.log('🔐 HR auth middleware (dev mode - allowing all)');
+// Middleware for HR authorization (signed session token + live allowlist check)
+const hrAuthMiddleware = t.middleware(async ({ ctx, next }) => {
+  if (!ctx.hrSession) {
+    throw new TRPCError({ code: 'UNAUTHORIZED', message: 'HR session required' });
+  }
+  
+  // Re-check the allowlist so removed or deactivated staff lose access before their token expires
+  const hrUser = await ctx.models.HrAllowlist.findById(ctx.hrSession.sub);
+  if (!hrUser || hrUser.active === false) {
+    console.log(`🔒 HR access revoked for: ${ctx.hrSession.email}`);
+    throw new TRPCError({ code: 'FORBIDDEN', message: 'HR access revoked' });
+  }
+  
+  console.log(`🔐 HR request by: ${hrUser.email}`);
   
   return next({
     ctx: {
       ...ctx,
-      isHrAuthorized: true // TODO: Replace with actual auth check
+      isHrAuthorized: true,
+      hrUser: {
+        id: hrUser._id,
+        email: hrUser.email,
+        name: hrUser.name,
+        roles: hrUser.roles,
+        permissions: hrUser.getPermissions()
+      },
+      // Appends to the audit_events hash chain as this HR user: ctx.audit(action, { resource_type, resource_id, complaint_id, changes, details })
+      audit: (action, event = {}) => ctx.models.AuditEvent.append({
+        actor: { type: 'hr', id: hrUser._id, email: hrUser.email, name: hrUser.name, roles: hrUser.roles },
+        action,
+        ip: ctx.req?.ip,
+        user_agent: ctx.req?.get('user-agent'),
+        source: 'trpc',
+        ...event
+      })
     }
   });
 });
 
+// Middleware factory for permission checks (runs after hrAuthMiddleware)
+const permissionMiddleware = (permission) => t.middleware(({ ctx, path, next }) => {
+  if (!ctx.hrUser.permissions.includes(permission)) {
+    console.log(`🚫 ${ctx.hrUser.email} lacks ${permission} for ${path}`);
+    throw new TRPCError({ code: 'FORBIDDEN', message: `Missing permission: ${permission}` });
+  }
+  
+  return next();
+});
+
 // Base procedures
 const loggedProcedure = publicProcedure.use(loggingMiddleware);
 const hrProcedure = loggedProcedure.use(hrAuthMiddleware);
 
+/**
+ * Procedure for HR users whose roles grant the given permission
+ * @param {string} permission - e.g. 'complaint:update' (see HrAllowlist.ROLE_PERMISSIONS)
+ */
+const requirePermission = (permission) => hrProcedure.use(permissionMiddleware(permission));
+
 module.exports = {
   router,
   publicProcedure,
   loggedProcedure,
   hrProcedure,
+  requirePermission,
   createContext
 };
\ No newline at end of file
@@ -4,12 +4,41 @@
  */
 
 const { z } = require('zod');
-const { router, hrProcedure, loggedProcedure } = require('../index');
+const { router, requirePermission, loggedProcedure } = require('../index');
 const AITaggingService = require('../../services/ai_tagging_service');
+const fieldEncryption = require('../../services/field_encryption');
+const aiJobQueue = require('../../services/ai_job_queue');
+const llmUsageService = require('../../services/llm_usage_service');
+
+/**
+ * Queues analysis jobs for submitted complaints that don't have one queued or running yet
+ * @returns {Promise<Object>} - { queued: [{ sessionId, jobId }], skipped: [{ sessionId, reason }], total }
+ */
+const queueAnalyses = async (ctx, complaintSessionIds, source) => {
+  const results = { queued: [], skipped: [], total: complaintSessionIds.length };
+  
+  for (const sessionId of complaintSessionIds) {
+    const session = await ctx.models.ComplaintSession.findById(sessionId).select('complaint_id status').lean();
+    
+    if (!session || session.status !== 'submitted') {
+      results.skipped.push({ sessionId, reason: session ? 'Not submitted' : 'Complaint not found' });
+      continue;
+    }
+    
+    const { job, created } = await aiJobQueue.enqueue(session, { source, requestedBy: ctx.hrUser.email });
+    if (created) {
+      results.queued.push({ sessionId, jobId: job._id });
+    } else {
+      results.skipped.push({ sessionId, reason: 'Already queued', jobId: job?._id });
+    }
+  }
+  
+  return results;
+};
 
 const aiTaggingRouter = router({
   // Process a single complaint session with AI analysis
-  processComplaint: hrProcedure
+  processComplaint: requirePermission('ai:process')
     .input(z.object({
       complaintSessionId: z.string().min(1, 'Complaint session ID is required')
     }))
@@ -20,9 +49,10 @@ const aiTaggingRouter = router({
         const aiService = new AITaggingService();
         const result = await aiService.processComplaintSession(input.complaintSessionId);
         
-        ctx.utils.logActivity('ai_analysis_processed', {
-          sessionId: input.complaintSessionId,
-          complaintId: result.complaint_id
+        await ctx.audit('ai_analysis_processed', {
+          resource_type: 'ai_analysis',
+          resource_id: input.complaintSessionId,
+          complaint_id: result.complaint_id
         });
         
         return {
@@ -42,48 +72,45 @@ const aiTaggingRouter = router({
       }
     }),
 
-  // Batch process multiple complaints
-  batchProcessComplaints: hrProcedure
+  // Queue AI analysis for several complaints (run by the AI job queue)
+  batchProcessComplaints: requirePermission('ai:process')
     .input(z.object({
-      complaintSessionIds: z.array(z.string()).min(1, 'At least one complaint session ID is required'),
-      concurrency: z.number().min(1).max(5).default(3).optional()
+      complaintSessionIds: z.array(z.string()).min(1, 'At least one complaint session ID is required').max(100)
     }))
     .mutation(async ({ input, ctx }) => {
-      console.log(`🔄 Starting batch AI processing for ${input.complaintSessionIds.length} complaints`);
+      console.log(`📥 Queueing AI analysis for ${input.complaintSessionIds.length} complaints`);
       
       try {
-        const aiService = new AITaggingService();
-        const results = await aiService.batchProcessComplaints(
-          input.complaintSessionIds, 
-          { concurrency: input.concurrency }
-        );
-        
-        ctx.utils.logActivity('ai_batch_processed', {
-          total: results.total,
-          processed: results.processed.length,
-          errors: results.errors.length,
-          skipped: results.skipped.length
+        const results = await queueAnalyses(ctx, input.complaintSessionIds, 'batch');
+        
+        await ctx.audit('ai_batch_queued', {
+          resource_type: 'ai_analysis',
+          details: {
+            complaint_session_ids: input.complaintSessionIds,
+            queued: results.queued.length,
+            skipped: results.skipped.length
+          }
         });
         
         return {
           success: true,
           data: results,
-          message: `Batch processing completed: ${results.processed.length} processed, ${results.errors.length} errors`
+          message: `Queued ${results.queued.length} complaints for AI analysis, ${results.skipped.length} skipped`
         };
         
       } catch (error) {
-        console.error('❌ Error in batch AI processing:', error);
+        console.error('❌ Error queueing batch AI analysis:', error);
         
         return {
           success: false,
           error: error.message,
-          message: 'Failed to process batch AI analysis'
+          message: 'Failed to queue batch AI analysis'
         };
       }
     }),
 
   // Get AI analysis for a specific complaint
-  getAnalysis: hrProcedure
+  getAnalysis: requirePermission('complaint:read')
     .input(z.object({
       complaintSessionId: z.string().min(1)
     }))
@@ -102,9 +129,10 @@ const aiTaggingRouter = router({
           };
         }
         
-        ctx.utils.logActivity('ai_analysis_viewed', {
-          sessionId: input.complaintSessionId,
-          complaintId: analysis.complaint_id
+        await ctx.audit('ai_analysis_viewed', {
+          resource_type: 'ai_analysis',
+          resource_id: input.complaintSessionId,
+          complaint_id: analysis.complaint_id
         });
         
         return {
@@ -125,7 +153,7 @@ const aiTaggingRouter = router({
     }),
 
   // Get detailed AI tag data including word cloud information
-  getDetailedAnalysis: hrProcedure
+  getDetailedAnalysis: requirePermission('complaint:read')
     .input(z.object({
       complaintSessionId: z.string().min(1)
     }))
@@ -133,9 +161,7 @@ const aiTaggingRouter = router({
       console.log(`🔍 Getting detailed AI analysis for session: ${input.complaintSessionId}`);
       
       try {
-        const aiTag = await ctx.models.AIComplaintTag.findOne({
-          complaint_session_id: input.complaintSessionId
-        });
+        const aiTag = await ctx.models.AIComplaintTag.findCurrent(input.complaintSessionId);
         
         if (!aiTag) {
           return {
@@ -152,15 +178,18 @@ const aiTaggingRouter = router({
             sentiment_analysis: aiTag.sentiment_analysis,
             issue_classification: aiTag.issue_classification,
             key_phrases: aiTag.key_phrases,
-            ai_summary: aiTag.ai_summary,
-            recommended_actions: aiTag.recommended_actions,
-            processing_metadata: aiTag.ai_processing
+            ai_summary: fieldEncryption.decrypt(aiTag.ai_summary),
+            ai_summary_th: aiTag.ai_summary_th ? fieldEncryption.decrypt(aiTag.ai_summary_th) : null,
+            ...aiTag.getRecommendedActions(),
+            processing_metadata: aiTag.ai_processing,
+            prompt_safety: aiTag.prompt_safety || null
           }
         };
         
-        ctx.utils.logActivity('detailed_ai_analysis_viewed', {
-          sessionId: input.complaintSessionId,
-          complaintId: aiTag.complaint_id
+        await ctx.audit('detailed_ai_analysis_viewed', {
+          resource_type: 'ai_analysis',
+          resource_id: input.complaintSessionId,
+          complaint_id: aiTag.complaint_id
         });
         
         return {
@@ -180,8 +209,116 @@ const aiTaggingRouter = router({
       }
     }),
 
+  // Analyze a complaint again as a new version (e.g. after prompt changes or HR follow-up messages)
+  reanalyze: requirePermission('ai:process')
+    .input(z.object({
+      complaintSessionId: z.string().min(1, 'Complaint session ID is required'),
+      reason: z.string().trim().min(3, 'A reason is required').max(500)
+    }))
+    .mutation(async ({ input, ctx }) => {
+      console.log(`🔁 Re-analyzing complaint session: ${input.complaintSessionId}`);
+      
+      try {
+        const session = await ctx.models.ComplaintSession.findById(input.complaintSessionId).select('complaint_id status').lean();
+        
+        if (!session || session.status !== 'submitted') {
+          return {
+            success: false,
+            error: session ? 'Complaint not submitted' : 'Complaint not found',
+            message: 'Only submitted complaints can be re-analyzed'
+          };
+        }
+        
+        const aiService = new AITaggingService();
+        const result = await aiService.reanalyzeComplaintSession(input.complaintSessionId, {
+          reason: input.reason,
+          requestedBy: ctx.hrUser.email
+        });
+        
+        await ctx.audit('ai_analysis_reanalyzed', {
+          resource_type: 'ai_analysis',
+          resource_id: input.complaintSessionId,
+          complaint_id: session.complaint_id,
+          changes: { version: { from: result.previous_version, to: result.analysis.version } },
+          details: {
+            reason: input.reason,
+            changed_fields: result.changes.map(change => change.field)
+          }
+        });
+        
+        return {
+          success: true,
+          data: result,
+          message: `AI analysis version ${result.analysis.version} created`
+        };
+        
+      } catch (error) {
+        console.error('❌ Error re-analyzing complaint:', error);
+        
+        return {
+          success: false,
+          error: error.message,
+          message: 'Failed to re-analyze complaint'
+        };
+      }
+    }),
+
+  // All AI analysis versions of a complaint, each with its changes from the previous version
+  getAnalysisHistory: requirePermission('complaint:read')
+    .input(z.object({
+      complaintSessionId: z.string().min(1)
+    }))
+    .query(async ({ input, ctx }) => {
+      try {
+        const { AIComplaintTag } = ctx.models;
+        const history = await AIComplaintTag.getHistory(input.complaintSessionId);
+        
+        const versions = history.map((aiTag, index) => {
+          const previous = history[index + 1];
+          
+          return {
+            ...aiTag.getSummaryForDashboard(),
+            is_current: aiTag.is_current !== false,
+            created_at: aiTag.created_at,
+            superseded_at: aiTag.superseded_at,
+            reanalysis_reason: aiTag.reanalysis_reason,
+            requested_by: aiTag.requested_by,
+            secondary_issues: aiTag.issue_classification.secondary_categories,
+            ...aiTag.getRecommendedActions(),
+            provider: aiTag.ai_processing.provider,
+            model_version: aiTag.ai_processing.model_version,
+            injection_indicators: aiTag.prompt_safety?.injection_indicators || [],
+            changes: previous ? AIComplaintTag.diffVersions(previous, aiTag) : []
+          };
+        });
+        
+        if (versions.length > 0) {
+          await ctx.audit('ai_analysis_history_viewed', {
+            resource_type: 'ai_analysis',
+            resource_id: input.complaintSessionId,
+            complaint_id: versions[0].complaint_id
+          });
+        }
+        
+        return {
+          success: true,
+          data: { versions },
+          message: 'AI analysis history retrieved successfully'
+        };
+        
+      } catch (error) {
+        console.error('❌ Error getting AI analysis history:', error);
+        
+        return {
+          success: false,
+          error: error.message,
+          message: 'Failed to retrieve AI analysis history'
+        };
+      }
+    }),
+
   // Get AI analytics and statistics
-  getAnalytics: hrProcedure
+  getAnalytics: requirePermission('analytics:read')
     .input(z.object({
       startDate: z.string().datetime().optional(),
       endDate: z.string().datetime().optional(),
@@ -200,9 +337,9 @@ const aiTaggingRouter = router({
         
         const analytics = await aiService.getAnalyticsData(filters);
         
-        ctx.utils.logActivity('ai_analytics_viewed', {
-          dateRange: analytics.date_range,
-          department: analytics.department
+        await ctx.audit('ai_analytics_viewed', {
+          resource_type: 'analytics',
+          details: { filters: input }
         });
         
         return {
@@ -223,7 +360,7 @@ const aiTaggingRouter = router({
     }),
 
   // Get complaints that need AI processing (submitted but not analyzed)
-  getUnprocessedComplaints: hrProcedure
+  getUnprocessedComplaints: requirePermission('complaint:read')
     .input(z.object({
       limit: z.number().min(1).max(100).default(50),
       skip: z.number().min(0).default(0),
@@ -239,7 +376,7 @@ const aiTaggingRouter = router({
         
         const submittedComplaints = await ctx.models.ComplaintSession
           .find(filter)
-          .select('_id complaint_id user_id department start_time end_time')
+          .select('_id complaint_id user_id is_anonymous department start_time end_time')
           .sort({ start_time: -1 })
           .limit(input.limit)
           .skip(input.skip)
@@ -255,15 +392,24 @@ const aiTaggingRouter = router({
         const analyzedSessionIds = new Set(existingAnalyses.map(a => a.complaint_session_id));
         
         // Filter to unprocessed complaints only
-        const unprocessedComplaints = submittedComplaints.filter(
-          complaint => !analyzedSessionIds.has(complaint._id)
-        );
+        const unprocessedComplaints = submittedComplaints
+          .filter(complaint => !analyzedSessionIds.has(complaint._id))
+          .map(complaint => ctx.models.ComplaintSession.redactIdentity(complaint));
         
         const totalUnprocessed = await ctx.models.ComplaintSession.countDocuments({
           ...filter,
           _id: { $nin: Array.from(analyzedSessionIds) }
         });
         
+        await ctx.audit('unprocessed_complaints_listed', {
+          resource_type: 'complaint',
+          details: {
+            complaint_ids: unprocessedComplaints.map(complaint => complaint.complaint_id),
+            total: totalUnprocessed,
+            filters: input
+          }
+        });
+        
         return {
           success: true,
           data: {
@@ -289,14 +435,14 @@ const aiTaggingRouter = router({
       }
     }),
 
-  // Trigger automatic AI processing for unprocessed complaints
-  autoProcessUnprocessed: hrProcedure
+  // Queue AI analysis for submitted complaints that have none yet
+  autoProcessUnprocessed: requirePermission('ai:process')
     .input(z.object({
       limit: z.number().min(1).max(50).default(20),
       department: z.string().optional()
     }))
     .mutation(async ({ input, ctx }) => {
-      console.log('🚀 Starting automatic AI processing for unprocessed complaints');
+      console.log('🚀 Queueing AI analysis for unprocessed complaints');
       
       try {
         // Get unprocessed complaints
@@ -309,27 +455,31 @@ const aiTaggingRouter = router({
         if (!unprocessedResponse.success || unprocessedResponse.data.complaints.length === 0) {
           return {
             success: true,
-            data: { processed: 0, message: 'No unprocessed complaints found' },
+            data: { queued: 0, message: 'No unprocessed complaints found' },
             message: 'No complaints to process'
           };
         }
         
         const complaintSessionIds = unprocessedResponse.data.complaints.map(c => c._id);
-        
-        // Batch process them
-        const batchResponse = await aiTaggingRouter.createCaller(ctx).batchProcessComplaints({
-          complaintSessionIds,
-          concurrency: 2 // Lower concurrency for auto-processing
+        const results = await queueAnalyses(ctx, complaintSessionIds, 'auto');
+        
+        await ctx.audit('ai_auto_queued', {
+          resource_type: 'ai_analysis',
+          details: {
+            complaint_session_ids: complaintSessionIds,
+            queued: results.queued.length,
+            skipped: results.skipped.length
+          }
         });
         
         return {
           success: true,
           data: {
-            processed: batchResponse.data.processed.length,
-            errors: batchResponse.data.errors.length,
-            details: batchResponse.data
+            queued: results.queued.length,
+            skipped: results.skipped.length,
+            details: results
           },
-          message: `Auto-processed ${batchResponse.data.processed.length} complaints`
+          message: `Queued ${results.queued.length} complaints for AI analysis`
         };
         
       } catch (error) {
@@ -341,6 +491,115 @@ const aiTaggingRouter = router({
           message: 'Failed to auto-process complaints'
         };
       }
+    }),
+
+  // AI job queue status (for the dashboard)
+  getQueueStatus: requirePermission('analytics:read')
+    .query(async ({ ctx }) => {
+      try {
+        const [status, budget] = await Promise.all([
+          ctx.models.AIJob.getQueueStatus(),
+          llmUsageService.get_budget_status()
+        ]);
+        
+        return {
+          success: true,
+          data: { ...status, budget },
+          message: 'AI queue status retrieved successfully'
+        };
+        
+      } catch (error) {
+        console.error('❌ Error getting AI queue status:', error);
+        
+        return {
+          success: false,
+          error: error.message,
+          message: 'Failed to retrieve AI queue status'
+        };
+      }
+    }),
+
+  // LLM calls, tokens, latency and estimated cost per day and model, with the monthly budget
+  getUsage: requirePermission('analytics:read')
+    .input(z.object({
+      fromDay: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+      toDay: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional()
+    }).default({}))
+    .query(async ({ input, ctx }) => {
+      try {
+        // Defaults to the current month so far (days in the usage timezone)
+        const today = ctx.models.LLMUsage.formatDay(new Date());
+        const fromDay = input.fromDay || `${today.substring(0, 7)}-01`;
+        const toDay = input.toDay || today;
+        
+        const [report, budget] = await Promise.all([
+          ctx.models.LLMUsage.getUsageReport(fromDay, toDay),
+          llmUsageService.get_budget_status({ refresh: true })
+        ]);
+        
+        await ctx.audit('ai_usage_viewed', {
+          resource_type: 'ai_usage',
+          details: { from_day: fromDay, to_day: toDay }
+        });
+        
+        return {
+          success: true,
+          data: { from_day: fromDay, to_day: toDay, ...report, budget },
+          message: 'AI usage retrieved successfully'
+        };
+        
+      } catch (error) {
+        console.error('❌ Error getting AI usage:', error);
+        
+        return {
+          success: false,
+          error: error.message,
+          message: 'Failed to retrieve AI usage'
+        };
+      }
+    }),
+
+  // Put a dead-lettered job back in the queue
+  retryDeadJob: requirePermission('ai:process')
+    .input(z.object({
+      jobId: z.string().min(1)
+    }))
+    .mutation(async ({ input, ctx }) => {
+      console.log(`🔁 Retrying dead AI job: ${input.jobId}`);
+      
+      try {
+        const job = await ctx.models.AIJob.retryDead(input.jobId, ctx.hrUser.email);
+        
+        if (!job) {
+          return {
+            success: false,
+            error: 'Job is not dead-lettered',
+            message: 'Only dead-lettered jobs can be retried (the complaint may already be queued again)'
+          };
+        }
+        
+        await ctx.audit('ai_job_retried', {
+          resource_type: 'ai_analysis',
+          resource_id: job.complaint_session_id,
+          complaint_id: job.complaint_id,
+          details: { job_id: job._id }
+        });
+        
+        return {
+          success: true,
+          data: { jobId: job._id, status: job.status },
+          message: 'AI job queued again'
+        };
+        
+      } catch (error) {
+        console.error('❌ Error retrying AI job:', error);
+        
+        return {
+          success: false,
+          error: error.message,
+          message: 'Failed to retry AI job'
+        };
+      }
     })
 });
 
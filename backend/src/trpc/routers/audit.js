@@ -0,0 +1,194 @@
+/**
+ * Audit tRPC Router
+ * Auditor-only search, export and integrity check of the audit_events hash chain
+ */
+
+const { z } = require('zod');
+const { router, requirePermission } = require('../index');
+
+const MAX_EXPORT_EVENTS = 10000;
+
+const CSV_COLUMNS = [
+  'seq', 'occurred_at', 'actor_type', 'actor_email', 'actor_name', 'action',
+  'resource_type', 'resource_id', 'complaint_id', 'ip', 'user_agent', 'source',
+  'changes', 'details', 'prev_hash', 'hash'
+];
+
+const searchFilters = z.object({
+  actorEmail: z.string().optional(),
+  action: z.string().optional(),
+  complaintId: z.string().optional(),
+  resourceType: z.string().optional(),
+  resourceId: z.string().optional(),
+  startDate: z.string().datetime().optional(),
+  endDate: z.string().datetime().optional()
+});
+
+const toCsvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (events) => {
+  const rows = events.map(event => [
+    event._id,
+    new Date(event.occurred_at).toISOString(),
+    event.actor?.type,
+    event.actor?.email,
+    event.actor?.name,
+    event.action,
+    event.resource_type,
+    event.resource_id,
+    event.complaint_id,
+    event.ip,
+    event.user_agent,
+    event.source,
+    event.changes,
+    event.details,
+    event.prev_hash,
+    event.hash
+  ].map(toCsvValue).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+};
+
+const auditRouter = router({
+  // Search audit events, newest first
+  search: requirePermission('audit:read')
+    .input(searchFilters.extend({
+      limit: z.number().min(1).max(200).default(50),
+      skip: z.number().min(0).default(0)
+    }))
+    .query(async ({ input, ctx }) => {
+      console.log('🧾 Searching audit events:', input);
+
+      try {
+        const { limit, skip, ...filters } = input;
+        const query = ctx.models.AuditEvent.buildSearchQuery(filters);
+
+        const [events, total] = await Promise.all([
+          ctx.models.AuditEvent.find(query).sort({ _id: -1 }).skip(skip).limit(limit).lean(),
+          ctx.models.AuditEvent.countDocuments(query)
+        ]);
+
+        // Auditor activity is part of the trail too
+        await ctx.audit('audit_log_searched', {
+          resource_type: 'audit_log',
+          details: { filters: input, returned: events.length }
+        });
+
+        return {
+          success: true,
+          events,
+          pagination: {
+            total,
+            limit,
+            skip,
+            hasMore: (skip + limit) < total
+          },
+          message: 'Audit events retrieved successfully'
+        };
+
+      } catch (error) {
+        console.error('❌ Error searching audit events:', error);
+
+        return {
+          success: false,
+          error: error.message,
+          message: 'Failed to search audit events'
+        };
+      }
+    }),
+
+  // Export matching audit events (oldest first) with their hashes so the chain can be checked offline
+  export: requirePermission('audit:read')
+    .input(searchFilters.extend({
+      format: z.enum(['json', 'csv']).default('json')
+    }))
+    .query(async ({ input, ctx }) => {
+      console.log(`📤 Exporting audit events as ${input.format}`);
+
+      try {
+        const { format, ...filters } = input;
+        const query = ctx.models.AuditEvent.buildSearchQuery(filters);
+
+        const total = await ctx.models.AuditEvent.countDocuments(query);
+        if (total > MAX_EXPORT_EVENTS) {
+          return {
+            success: false,
+            error: `Export matches ${total} events (limit ${MAX_EXPORT_EVENTS})`,
+            message: 'Narrow the filters or date range and try again'
+          };
+        }
+
+        const events = await ctx.models.AuditEvent.find(query).sort({ _id: 1 }).lean();
+        const head = await ctx.models.AuditEvent.findOne().sort({ _id: -1 }).select('_id hash').lean();
+
+        await ctx.audit('audit_log_exported', {
+          resource_type: 'audit_log',
+          details: { filters, format, count: events.length }
+        });
+
+        return {
+          success: true,
+          format,
+          count: events.length,
+          exported_at: new Date().toISOString(),
+          // Lets a later verification detect events removed from the end of the chain
+          chain_head: head ? { seq: head._id, hash: head.hash } : null,
+          content: format === 'csv' ? toCsv(events) : events,
+          message: `Exported ${events.length} audit events`
+        };
+
+      } catch (error) {
+        console.error('❌ Error exporting audit events:', error);
+
+        return {
+          success: false,
+          error: error.message,
+          message: 'Failed to export audit events'
+        };
+      }
+    }),
+
+  // Re-compute the hash chain and report the first tampered or missing event
+  verifyChain: requirePermission('audit:read')
+    .input(z.object({
+      fromSeq: z.number().int().min(1).default(1),
+      limit: z.number().int().min(1).max(100000).default(10000)
+    }))
+    .query(async ({ input, ctx }) => {
+      console.log(`🔍 Verifying audit chain from #${input.fromSeq}`);
+
+      try {
+        const result = await ctx.models.AuditEvent.verifyChain(input);
+
+        if (!result.valid) {
+          console.error(`🚨 Audit chain broken at #${result.broken_at}: ${result.reason}`);
+        }
+
+        await ctx.audit('audit_chain_verified', {
+          resource_type: 'audit_log',
+          details: { ...input, valid: result.valid, broken_at: result.broken_at }
+        });
+
+        return {
+          success: true,
+          data: result,
+          message: result.valid ? 'Audit chain is intact' : `Audit chain broken at #${result.broken_at}`
+        };
+
+      } catch (error) {
+        console.error('❌ Error verifying audit chain:', error);
+
+        return {
+          success: false,
+          error: error.message,
+          message: 'Failed to verify audit chain'
+        };
+      }
+    })
+});
+
+module.exports = auditRouter;
@@ -4,7 +4,10 @@
  */
 
 const { z } = require('zod');
-const { router, loggedProcedure, hrProcedure } = require('../index');
+const { router, loggedProcedure, requirePermission } = require('../index');
+const lineService = require('../../services/line_service');
+const fieldEncryption = require('../../services/field_encryption');
+const aiJobQueue = require('../../services/ai_job_queue');
 
 const complaintRouter = router({
   // Create a new complaint session
@@ -45,6 +48,62 @@ const complaintRouter = router({
       }
     }),
 
+  // Open a complaint on an employee's behalf (for HR dashboard)
+  createForEmployee: requirePermission('complaint:update')
+    .input(z.object({
+      userId: z.string().min(1, 'User ID is required'),
+      message: z.string().min(1, 'Message is required').max(5000),
+      department: z.string().optional()
+    }))
+    .mutation(async ({ input, ctx }) => {
+      console.log(`🆕 HR creating complaint for user: ${input.userId}`);
+
+      try {
+        // Same rule as the LINE bot: one open session per employee
+        const activeSession = await ctx.models.ComplaintSession.findActiveSession(input.userId);
+
+        if (activeSession) {
+          return {
+            success: false,
+            error: 'Employee already has an open complaint',
+            complaintId: activeSession.complaint_id,
+            message: 'Submit or cancel the open complaint before creating another'
+          };
+        }
+
+        const session = await ctx.models.ComplaintSession.createNewSession(
+          input.userId,
+          input.department
+        );
+        await session.addChatLog('user', 'text', input.message);
+
+        await ctx.audit('complaint_created', {
+          resource_type: 'complaint',
+          resource_id: session._id,
+          complaint_id: session.complaint_id,
+          details: {
+            department: input.department,
+            message_sha256: fieldEncryption.fingerprint(input.message)
+          }
+        });
+
+        return {
+          success: true,
+          session: session.getConversationSummary(),
+          message: 'Complaint created successfully'
+        };
+
+      } catch (error) {
+        console.error('❌ Error creating complaint for employee:', error);
+
+        return {
+          success: false,
+          error: error.message,
+          message: 'Failed to create complaint'
+        };
+      }
+    }),
+
   // Add a chat log entry to existing session
   addChatLog: loggedProcedure
     .input(z.object({
@@ -131,24 +190,8 @@ const complaintRouter = router({
           userId: input.userId
         });
         
-        // Trigger AI analysis in the background (don't wait for it to complete)
-        if (process.env.GEMINI_API_KEY) {
-          console.log('🤖 Triggering background AI analysis for complaint:', session.complaint_id);
-          
-          // Import and trigger AI processing without blocking the response
-          setImmediate(async () => {
-            try {
-              const AITaggingService = require('../../services/ai_tagging_service');
-              const aiService = new AITaggingService();
-              await aiService.processComplaintSession(session._id);
-              console.log('✅ Background AI analysis completed for:', session.complaint_id);
-            } catch (error) {
-              console.error('❌ Background AI analysis failed for:', session.complaint_id, error.message);
-            }
-          });
-        } else {
-          console.log('⚠️ GEMINI_API_KEY not configured, skipping AI analysis');
-        }
+        // Queue AI analysis (retried by the job queue if it fails)
+        await aiJobQueue.enqueue_submitted(session, 'submit');
         
         return {
           success: true,
@@ -208,7 +251,7 @@ const complaintRouter = router({
     }),
 
   // Get complaint by ID (for HR dashboard)
-  getById: hrProcedure
+  getById: requirePermission('complaint:read')
     .input(z.object({
       complaintId: z.string().min(1)
     }))
@@ -228,17 +271,20 @@ const complaintRouter = router({
           };
         }
         
-        ctx.utils.logActivity('complaint_viewed', {
-          complaintId: input.complaintId,
-          sessionId: session._id
+        await ctx.audit('complaint_viewed', {
+          resource_type: 'complaint',
+          resource_id: session._id,
+          complaint_id: session.complaint_id
         });
         
         return {
           success: true,
           complaint: {
             ...session.getConversationSummary(),
-            chatLogs: session.chat_logs,
-            fullSession: session.toObject()
+            chatLogs: ctx.models.ComplaintSession.decryptChatLogs(session.chat_logs),
+            allowedTransitions: session.getAllowedCaseTransitions(),
+            // user_id stays server-side for anonymous complaints (bot relay only)
+            fullSession: session.toHrObject()
           },
           message: 'Complaint retrieved successfully'
         };
@@ -254,10 +300,347 @@ const complaintRouter = router({
       }
     }),
 
+  // Move a complaint through the HR case workflow (for HR dashboard)
+  transition: requirePermission('complaint:update')
+    .input(z.object({
+      complaintId: z.string().min(1),
+      toStatus: z.enum(['triage', 'investigating', 'resolved', 'closed']),
+      assignee: z.string().optional(),
+      resolutionCode: z.enum([
+        'substantiated', 'partially_substantiated', 'unsubstantiated',
+        'withdrawn', 'duplicate', 'no_action_required'
+      ]).optional(),
+      resolutionText: z.string().max(2000).optional(),
+      note: z.string().max(1000).optional()
+    }))
+    .mutation(async ({ input, ctx }) => {
+      console.log(`🔀 Transitioning complaint ${input.complaintId} to ${input.toStatus}`);
+      
+      try {
+        const session = await ctx.models.ComplaintSession.findOne({ 
+          complaint_id: input.complaintId 
+        });
+        
+        if (!session) {
+          return {
+            success: false,
+            error: 'Complaint not found',
+            message: 'No complaint found with the specified ID'
+          };
+        }
+        
+        const fromStatus = session.case_status || 'triage';
+        const before = {
+          assignee: session.assignee || null,
+          resolution_code: session.resolution_code || null,
+          // Encrypted at rest: the audit log gets fingerprints, never the text
+          resolution_text: fieldEncryption.fingerprint(session.resolution_text)
+        };
+        const allowedTransitions = session.getAllowedCaseTransitions();
+        
+        if ((input.resolutionCode || input.resolutionText !== undefined) && input.toStatus !== 'resolved') {
+          return {
+            success: false,
+            error: 'resolutionCode and resolutionText can only be set when resolving a case',
+            message: 'Resolution details need a move to resolved'
+          };
+        }
+        
+        if (!allowedTransitions.includes(input.toStatus)) {
+          return {
+            success: false,
+            error: `Illegal case transition: ${fromStatus} -> ${input.toStatus}`,
+            allowedTransitions,
+            message: 'This status change is not allowed from the current case status'
+          };
+        }
+        
+        await session.transitionCase(input.toStatus, {
+          assignee: input.assignee,
+          resolutionCode: input.resolutionCode,
+          resolutionText: input.resolutionText,
+          note: input.note,
+          changedBy: ctx.hrUser.email
+        });
+        
+        const changes = { case_status: { from: fromStatus, to: input.toStatus } };
+        Object.keys(before).forEach(field => {
+          const after = field === 'resolution_text'
+            ? fieldEncryption.fingerprint(session.resolution_text)
+            : session[field] || null;
+          if (after !== before[field]) {
+            changes[field] = { from: before[field], to: after };
+          }
+        });
+        
+        await ctx.audit('complaint_case_transitioned', {
+          resource_type: 'complaint',
+          resource_id: session._id,
+          complaint_id: session.complaint_id,
+          changes,
+          details: input.note ? { note: fieldEncryption.fingerprint(input.note) } : undefined
+        });
+        
+        return {
+          success: true,
+          complaint: {
+            ...session.getConversationSummary(),
+            resolution_code: session.resolution_code,
+            resolution_text: session.resolution_text ? fieldEncryption.decrypt(session.resolution_text) : session.resolution_text,
+            case_history: ctx.models.ComplaintSession.decryptCaseHistory(session.case_history),
+            allowedTransitions: session.getAllowedCaseTransitions()
+          },
+          message: `Complaint moved to ${input.toStatus}`
+        };
+        
+      } catch (error) {
+        console.error('❌ Error transitioning complaint:', error);
+        
+        return {
+          success: false,
+          error: error.message,
+          message: 'Failed to transition complaint'
+        };
+      }
+    }),
+
+  // Send a follow-up message from HR to the complainant via LINE (for HR dashboard)
+  reply: requirePermission('complaint:reply')
+    .input(z.object({
+      complaintId: z.string().min(1),
+      message: z.string().min(1, 'Message is required').max(2000)
+    }))
+    .mutation(async ({ input, ctx }) => {
+      console.log(`📨 HR reply to complaint: ${input.complaintId}`);
+      
+      try {
+        const session = await ctx.models.ComplaintSession.findOne({ 
+          complaint_id: input.complaintId 
+        });
+        
+        if (!session) {
+          return {
+            success: false,
+            error: 'Complaint not found',
+            message: 'No complaint found with the specified ID'
+          };
+        }
+        
+        if (!session.canReceiveHrReply()) {
+          return {
+            success: false,
+            error: 'Complaint is not accepting replies',
+            message: 'Only submitted complaints that are not closed can be replied to'
+          };
+        }
+        
+        const lineMessage = `💬 ข้อความจากทีมงาน HR
+เรื่อง: ${session.complaint_id}
+
+${input.message}
+
+↩️ คุณสามารถตอบกลับได้โดยพิมพ์ข้อความในแชทนี้`;
+        
+        // Recorded first (this is where the chat log limit applies), so a message the employee
+        // receives is never missing from the log; a failed push is flagged on the entry
+        const previousReplyAt = session.last_hr_reply_at;
+        await session.addHrReply(input.message, ctx.hrUser.email);
+        const sentAt = session.last_hr_reply_at;
+        
+        try {
+          await lineService.push_message(session.user_id, lineMessage);
+        } catch (pushError) {
+          await session.markHrReplyUndelivered(sentAt, previousReplyAt).catch(markError => {
+            console.error('❌ Error flagging undelivered HR reply:', markError);
+          });
+          throw pushError;
+        }
+        
+        await ctx.audit('hr_reply_sent', {
+          resource_type: 'complaint',
+          resource_id: session._id,
+          complaint_id: session.complaint_id,
+          // Fingerprint only: the reply text is stored encrypted in the chat log
+          details: { message_sha256: fieldEncryption.fingerprint(input.message) }
+        });
+        
+        return {
+          success: true,
+          session: session.getConversationSummary(),
+          message: 'Reply sent to employee'
+        };
+        
+      } catch (error) {
+        console.error('❌ Error sending HR reply:', error);
+        
+        return {
+          success: false,
+          error: error.response?.data?.message || error.message,
+          message: 'Failed to send reply'
+        };
+      }
+    }),
+
+  // Get HR notes timeline for a complaint (for HR dashboard)
+  getNotes: requirePermission('complaint:read')
+    .input(z.object({
+      complaintId: z.string().min(1)
+    }))
+    .query(async ({ input, ctx }) => {
+      console.log(`🗒️ Getting HR notes for complaint: ${input.complaintId}`);
+      
+      try {
+        const session = await ctx.models.ComplaintSession.findOne({ 
+          complaint_id: input.complaintId 
+        });
+        
+        if (!session) {
+          return {
+            success: false,
+            error: 'Complaint not found',
+            message: 'No complaint found with the specified ID'
+          };
+        }
+        
+        const notes = (await ctx.models.HrAction.getTimeline(session._id).lean())
+          .map(note => ctx.models.HrAction.decryptNote(note));
+        
+        await ctx.audit('hr_notes_viewed', {
+          resource_type: 'complaint',
+          resource_id: session._id,
+          complaint_id: session.complaint_id,
+          details: { count: notes.length }
+        });
+        
+        return {
+          success: true,
+          notes,
+          message: 'HR notes retrieved successfully'
+        };
+        
+      } catch (error) {
+        console.error('❌ Error getting HR notes:', error);
+        
+        return {
+          success: false,
+          error: error.message,
+          message: 'Failed to retrieve HR notes'
+        };
+      }
+    }),
+
+  // Add an HR note to a complaint (for HR dashboard)
+  addNote: requirePermission('note:write')
+    .input(z.object({
+      complaintId: z.string().min(1),
+      noteType: z.enum(['internal', 'visible_to_employee']).default('internal'),
+      body: z.string().min(1, 'Note body is required').max(5000)
+    }))
+    .mutation(async ({ input, ctx }) => {
+      console.log(`📝 Adding HR note to complaint: ${input.complaintId}`);
+      
+      try {
+        const session = await ctx.models.ComplaintSession.findOne({ 
+          complaint_id: input.complaintId 
+        });
+        
+        if (!session) {
+          return {
+            success: false,
+            error: 'Complaint not found',
+            message: 'No complaint found with the specified ID'
+          };
+        }
+        
+        const note = await ctx.models.HrAction.addNote(session, {
+          author: ctx.hrUser.email,
+          authorName: ctx.hrUser.name,
+          noteType: input.noteType,
+          body: input.body
+        });
+        
+        await ctx.audit('hr_note_added', {
+          resource_type: 'hr_note',
+          resource_id: note._id,
+          complaint_id: session.complaint_id,
+          changes: { body: { from: null, to: fieldEncryption.fingerprint(note.body) } },
+          details: { note_type: input.noteType }
+        });
+        
+        return {
+          success: true,
+          note: ctx.models.HrAction.decryptNote(note),
+          message: 'HR note added successfully'
+        };
+        
+      } catch (error) {
+        console.error('❌ Error adding HR note:', error);
+        
+        return {
+          success: false,
+          error: error.message,
+          message: 'Failed to add HR note'
+        };
+      }
+    }),
+
+  // Edit an HR note, keeping the previous body in its edit history (for HR dashboard)
+  editNote: requirePermission('note:write')
+    .input(z.object({
+      noteId: z.string().min(1),
+      body: z.string().min(1, 'Note body is required').max(5000)
+    }))
+    .mutation(async ({ input, ctx }) => {
+      console.log(`✏️ Editing HR note: ${input.noteId}`);
+      
+      try {
+        const note = await ctx.models.HrAction.findById(input.noteId);
+        
+        if (!note) {
+          return {
+            success: false,
+            error: 'Note not found',
+            message: 'No HR note found with the specified ID'
+          };
+        }
+        
+        const previousBody = note.body;
+        await note.editBody(input.body, ctx.hrUser.email);
+        
+        await ctx.audit('hr_note_edited', {
+          resource_type: 'hr_note',
+          resource_id: note._id,
+          complaint_id: note.complaint_id,
+          changes: {
+            body: {
+              from: fieldEncryption.fingerprint(previousBody),
+              to: fieldEncryption.fingerprint(note.body)
+            }
+          }
+        });
+        
+        return {
+          success: true,
+          note: ctx.models.HrAction.decryptNote(note),
+          message: 'HR note updated successfully'
+        };
+        
+      } catch (error) {
+        console.error('❌ Error editing HR note:', error);
+        
+        return {
+          success: false,
+          error: error.message,
+          message: 'Failed to update HR note'
+        };
+      }
+    }),
+
   // List complaints (for HR dashboard)
-  list: hrProcedure
+  list: requirePermission('complaint:read')
     .input(z.object({
       status: z.enum(['open', 'submitted']).optional(),
+      caseStatus: z.enum(['triage', 'investigating', 'resolved', 'closed']).optional(),
       limit: z.number().min(1).max(100).default(50),
       skip: z.number().min(0).default(0),
       department: z.string().optional()
@@ -268,27 +651,35 @@ const complaintRouter = router({
       try {
         const filter = {};
         if (input.status) filter.status = input.status;
+        if (input.caseStatus) filter.case_status = input.caseStatus;
         if (input.department) filter.department = input.department;
         
         const complaints = await ctx.models.ComplaintSession
           .find(filter)
-          .select('complaint_id user_id department status start_time end_time')
+          .select('complaint_id user_id is_anonymous department status case_status assignee start_time end_time')
           .sort({ start_time: -1 })
           .limit(input.limit)
           .skip(input.skip)
           .lean();
         
+        const redactedComplaints = complaints.map(complaint =>
+          ctx.models.ComplaintSession.redactIdentity(complaint)
+        );
+        
         const total = await ctx.models.ComplaintSession.countDocuments(filter);
         
-        ctx.utils.logActivity('complaints_listed', {
-          count: complaints.length,
-          total: total,
-          filters: input
+        await ctx.audit('complaints_listed', {
+          resource_type: 'complaint',
+          details: {
+            complaint_ids: complaints.map(complaint => complaint.complaint_id),
+            total,
+            filters: input
+          }
         });
         
         return {
           success: true,
-          complaints,
+          complaints: redactedComplaints,
           pagination: {
             total,
             limit: input.limit,
@@ -310,7 +701,7 @@ const complaintRouter = router({
     }),
 
   // Get statistics (for HR dashboard)
-  getStats: hrProcedure
+  getStats: requirePermission('analytics:read')
     .input(z.object({
       startDate: z.string().datetime().optional(),
       endDate: z.string().datetime().optional()
@@ -359,9 +750,9 @@ const complaintRouter = router({
           { $sort: { '_id.year': 1, '_id.month': 1 } }
         ]);
         
-        ctx.utils.logActivity('stats_retrieved', {
-          totalComplaints,
-          dateRange: { startDate: input.startDate, endDate: input.endDate }
+        await ctx.audit('stats_retrieved', {
+          resource_type: 'analytics',
+          details: { totalComplaints, dateRange: { startDate: input.startDate, endDate: input.endDate } }
         });
         
         return {
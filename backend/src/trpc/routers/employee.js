@@ -4,7 +4,7 @@
  */
 
 const { z } = require('zod');
-const { router, loggedProcedure, hrProcedure } = require('../index');
+const { router, loggedProcedure, requirePermission } = require('../index');
 
 const employeeRouter = router({
   // Create or update employee from LINE profile
@@ -86,7 +86,7 @@ const employeeRouter = router({
     }),
 
   // List employees by department (HR only)
-  listByDepartment: hrProcedure
+  listByDepartment: requirePermission('employee:read')
     .input(z.object({
       department: z.string().min(1),
       activeOnly: z.boolean().default(true)
@@ -104,10 +104,14 @@ const employeeRouter = router({
           .sort({ display_name: 1 })
           .lean();
         
-        ctx.utils.logActivity('employees_listed', {
-          department: input.department,
-          count: employees.length,
-          activeOnly: input.activeOnly
+        // The append-only audit log can't be erased, so employees are identified by the keyed
+        // hash erasure reports use (see privacy.forgetEmployee), never by their LINE userId
+        await ctx.audit('employees_listed', {
+          resource_type: 'employee',
+          details: {
+            employee_hashes: employees.map(employee => ctx.models.ErasureReport.hashSubject(employee._id)),
+            filters: input
+          }
         });
         
         return {
@@ -129,7 +133,7 @@ const employeeRouter = router({
     }),
 
   // Get all departments (HR only)
-  getDepartments: hrProcedure
+  getDepartments: requirePermission('employee:read')
     .query(async ({ ctx }) => {
       console.log('🏢 Getting all departments');
       
@@ -145,8 +149,9 @@ const employeeRouter = router({
           employeeCount: d.count
         }));
         
-        ctx.utils.logActivity('departments_retrieved', {
-          count: departmentList.length
+        await ctx.audit('departments_retrieved', {
+          resource_type: 'employee',
+          details: { count: departmentList.length }
         });
         
         return {
@@ -167,7 +172,7 @@ const employeeRouter = router({
     }),
 
   // Update employee department (HR only)
-  updateDepartment: hrProcedure
+  updateDepartment: requirePermission('employee:update')
     .input(z.object({
       lineUserId: z.string().min(1),
       department: z.string().min(1)
@@ -189,10 +194,10 @@ const employeeRouter = router({
         const oldDepartment = employee.department;
         await employee.updateProfile({ department: input.department });
         
-        ctx.utils.logActivity('employee_department_updated', {
-          employeeId: employee._id,
-          oldDepartment,
-          newDepartment: input.department
+        await ctx.audit('employee_department_updated', {
+          resource_type: 'employee',
+          resource_id: ctx.models.ErasureReport.hashSubject(employee._id),
+          changes: { department: { from: oldDepartment || null, to: input.department } }
         });
         
         return {
@@ -213,7 +218,7 @@ const employeeRouter = router({
     }),
 
   // Deactivate employee (HR only)
-  deactivate: hrProcedure
+  deactivate: requirePermission('employee:update')
     .input(z.object({
       lineUserId: z.string().min(1)
     }))
@@ -241,9 +246,10 @@ const employeeRouter = router({
         
         await employee.deactivate();
         
-        ctx.utils.logActivity('employee_deactivated', {
-          employeeId: employee._id,
-          displayName: employee.display_name
+        await ctx.audit('employee_deactivated', {
+          resource_type: 'employee',
+          resource_id: ctx.models.ErasureReport.hashSubject(employee._id),
+          changes: { active: { from: true, to: false } }
         });
         
         return {
@@ -264,7 +270,7 @@ const employeeRouter = router({
     }),
 
   // Get employee statistics (HR only)
-  getStats: hrProcedure
+  getStats: requirePermission('employee:read')
     .query(async ({ ctx }) => {
       console.log('📊 Getting employee statistics');
       
@@ -279,9 +285,9 @@ const employeeRouter = router({
           { $sort: { count: -1 } }
         ]);
         
-        ctx.utils.logActivity('employee_stats_retrieved', {
-          totalEmployees,
-          activeEmployees
+        await ctx.audit('employee_stats_retrieved', {
+          resource_type: 'employee',
+          details: { totalEmployees, activeEmployees }
         });
         
         return {
@@ -0,0 +1,133 @@
+/**
+ * LINE Events tRPC Router
+ * Webhook processing outcomes and replay of events whose processing failed
+ */
+
+const { z } = require('zod');
+const { router, requirePermission } = require('../index');
+const lineWebhookHandler = require('../../handlers/line_webhook_handler');
+
+const MAX_REPLAY_EVENTS = 50;
+
+const lineEventsRouter = router({
+  // Processing outcome counts, optionally since a given time
+  getProcessingStats: requirePermission('webhook:replay')
+    .input(z.object({
+      since: z.string().datetime().optional()
+    }))
+    .query(async ({ input, ctx }) => {
+      try {
+        const match = input.since ? { received_at: { $gte: new Date(input.since) } } : {};
+        const rows = await ctx.models.LineEventsRaw.aggregate([
+          { $match: match },
+          {
+            $group: {
+              _id: { $ifNull: ['$processing_status', 'unknown'] },
+              count: { $sum: 1 },
+              duplicates: { $sum: { $ifNull: ['$duplicate_deliveries', 0] } }
+            }
+          }
+        ]);
+
+        const stats = { duplicate_deliveries: 0 };
+        rows.forEach(row => {
+          stats[row._id] = row.count;
+          stats.duplicate_deliveries += row.duplicates;
+        });
+
+        return {
+          success: true,
+          data: stats,
+          message: 'LINE event stats retrieved successfully'
+        };
+
+      } catch (error) {
+        console.error('❌ Error getting LINE event stats:', error);
+
+        return {
+          success: false,
+          error: error.message,
+          message: 'Failed to retrieve LINE event stats'
+        };
+      }
+    }),
+
+  // Failed events, newest first (payloads stay out: they hold the employee's messages)
+  listFailed: requirePermission('webhook:replay')
+    .input(z.object({
+      limit: z.number().min(1).max(100).default(50)
+    }))
+    .query(async ({ input, ctx }) => {
+      try {
+        const events = await ctx.models.LineEventsRaw.getFailedEvents(input.limit).lean();
+
+        return {
+          success: true,
+          events,
+          message: 'Failed LINE events retrieved successfully'
+        };
+
+      } catch (error) {
+        console.error('❌ Error listing failed LINE events:', error);
+
+        return {
+          success: false,
+          error: error.message,
+          message: 'Failed to retrieve failed LINE events'
+        };
+      }
+    }),
+
+  // Replay failed (or abandoned) events, either the given ones or the oldest first
+  replay: requirePermission('webhook:replay')
+    .input(z.object({
+      eventIds: z.array(z.string().min(1)).min(1).max(MAX_REPLAY_EVENTS).optional(),
+      limit: z.number().min(1).max(MAX_REPLAY_EVENTS).default(10)
+    }))
+    .mutation(async ({ input, ctx }) => {
+      try {
+        const eventIds = input.eventIds || (await ctx.models.LineEventsRaw
+          .find(ctx.models.LineEventsRaw.reclaimableFilter())
+          .sort({ received_at: 1 })
+          .limit(input.limit)
+          .select('_id')
+          .lean()).map(event => event._id);
+
+        console.log(`🔁 Replaying ${eventIds.length} LINE event(s)`);
+
+        // One at a time, in arrival order, so a conversation is rebuilt in sequence
+        const results = [];
+        for (const eventId of eventIds) {
+          results.push(await lineWebhookHandler.replay_event(eventId));
+        }
+
+        const summary = results.reduce((counts, result) => {
+          counts[result.status] = (counts[result.status] || 0) + 1;
+          return counts;
+        }, {});
+
+        await ctx.audit('line_events_replayed', {
+          resource_type: 'line_event',
+          details: { summary, results }
+        });
+
+        return {
+          success: true,
+          results,
+          summary,
+          message: `Replayed ${results.length} LINE event(s)`
+        };
+
+      } catch (error) {
+        console.error('❌ Error replaying LINE events:', error);
+
+        return {
+          success: false,
+          error: error.message,
+          message: 'Failed to replay LINE events'
+        };
+      }
+    })
+});
+
+module.exports = lineEventsRouter;
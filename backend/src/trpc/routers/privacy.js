@@ -0,0 +1,260 @@
+/**
+ * Privacy tRPC Router
+ * Retention policies, legal holds and "forget employee" (data subject erasure) requests
+ */
+
+const { z } = require('zod');
+const { router, requirePermission } = require('../index');
+const dataRetentionService = require('../../services/data_retention_service');
+
+const privacyRouter = router({
+  // Configured retention rules
+  getRetentionPolicies: requirePermission('privacy:manage')
+    .query(async ({ ctx }) => {
+      console.log('🧹 Getting retention policies');
+
+      await ctx.audit('retention_policies_viewed', { resource_type: 'retention' });
+
+      return {
+        success: true,
+        policies: dataRetentionService.get_policies(),
+        message: 'Retention policies retrieved successfully'
+      };
+    }),
+
+  // Run the retention sweep now (or preview what it would delete)
+  runRetention: requirePermission('privacy:manage')
+    .input(z.object({
+      dryRun: z.boolean().default(true)
+    }))
+    .mutation(async ({ input, ctx }) => {
+      console.log(`🧹 Running retention sweep${input.dryRun ? ' (dry run)' : ''}`);
+
+      try {
+        const results = await dataRetentionService.sweep({ dryRun: input.dryRun });
+
+        if (!results) {
+          return {
+            success: false,
+            error: 'Retention sweep already running',
+            message: 'A retention sweep is already in progress on this server'
+          };
+        }
+
+        await ctx.audit('retention_run', {
+          resource_type: 'retention',
+          details: { dry_run: input.dryRun, results }
+        });
+
+        return {
+          success: true,
+          dryRun: input.dryRun,
+          results,
+          message: input.dryRun ? 'Retention preview completed' : 'Retention sweep completed'
+        };
+
+      } catch (error) {
+        console.error('❌ Error running retention sweep:', error);
+
+        return {
+          success: false,
+          error: error.message,
+          message: 'Failed to run retention sweep'
+        };
+      }
+    }),
+
+  // Place or release a legal hold on a complaint
+  setLegalHold: requirePermission('privacy:manage')
+    .input(z.object({
+      complaintId: z.string().min(1),
+      active: z.boolean(),
+      reason: z.string().max(1000).optional()
+    }).refine(input => !input.active || input.reason, {
+      message: 'A reason is required to place a legal hold',
+      path: ['reason']
+    }))
+    .mutation(async ({ input, ctx }) => {
+      console.log(`⚖️ ${input.active ? 'Placing' : 'Releasing'} legal hold: ${input.complaintId}`);
+
+      try {
+        const session = await ctx.models.ComplaintSession.findOne({
+          complaint_id: input.complaintId
+        });
+
+        if (!session) {
+          return {
+            success: false,
+            error: 'Complaint not found',
+            message: 'No complaint found with the specified ID'
+          };
+        }
+
+        const wasHeld = session.isOnLegalHold();
+        if (input.active) {
+          await session.placeLegalHold(input.reason, ctx.hrUser.email);
+        } else {
+          await session.releaseLegalHold(ctx.hrUser.email);
+        }
+
+        await ctx.audit(input.active ? 'legal_hold_placed' : 'legal_hold_released', {
+          resource_type: 'complaint',
+          resource_id: session._id,
+          complaint_id: session.complaint_id,
+          changes: { legal_hold: { from: wasHeld, to: input.active } },
+          details: { reason: input.reason }
+        });
+
+        return {
+          success: true,
+          legalHold: session.legal_hold.toObject(),
+          message: input.active ? 'Legal hold placed' : 'Legal hold released'
+        };
+
+      } catch (error) {
+        console.error('❌ Error updating legal hold:', error);
+
+        return {
+          success: false,
+          error: error.message,
+          message: 'Failed to update legal hold'
+        };
+      }
+    }),
+
+  // Erase everything stored about an employee (complaints under legal hold are kept)
+  forgetEmployee: requirePermission('privacy:manage')
+    .input(z.object({
+      lineUserId: z.string().min(1, 'LINE User ID is required'),
+      reason: z.string().min(1, 'A reason is required').max(1000),
+      dryRun: z.boolean().default(true)
+    }))
+    .mutation(async ({ input, ctx }) => {
+      console.log(`🧹 Erasure request${input.dryRun ? ' (dry run)' : ''}`);
+
+      try {
+        const report = await dataRetentionService.forget_employee(input.lineUserId, {
+          requestedBy: {
+            id: ctx.hrUser.id,
+            email: ctx.hrUser.email,
+            name: ctx.hrUser.name
+          },
+          reason: input.reason,
+          dryRun: input.dryRun
+        });
+
+        // The LINE userId itself stays out of the audit log
+        await ctx.audit(input.dryRun ? 'employee_erasure_previewed' : 'employee_erased', {
+          resource_type: 'erasure_report',
+          resource_id: report._id,
+          details: {
+            subject_hash: report.subject_hash,
+            reason: input.reason,
+            deleted: report.deleted,
+            exempted: report.exempted.map(exemption => exemption.complaint_id)
+          }
+        });
+
+        return {
+          success: true,
+          report,
+          message: input.dryRun ? 'Erasure preview completed' : 'Employee data erased'
+        };
+
+      } catch (error) {
+        console.error('❌ Error erasing employee data:', error);
+
+        return {
+          success: false,
+          error: error.message,
+          message: 'Failed to erase employee data'
+        };
+      }
+    }),
+
+  // List erasure reports, newest first (requesters and auditors)
+  listErasureReports: requirePermission('audit:read')
+    .input(z.object({
+      limit: z.number().min(1).max(100).default(20),
+      skip: z.number().min(0).default(0)
+    }))
+    .query(async ({ input, ctx }) => {
+      try {
+        const [reports, total] = await Promise.all([
+          ctx.models.ErasureReport.find().sort({ executed_at: -1 }).skip(input.skip).limit(input.limit).lean(),
+          ctx.models.ErasureReport.countDocuments()
+        ]);
+
+        await ctx.audit('erasure_reports_listed', {
+          resource_type: 'erasure_report',
+          details: { returned: reports.length }
+        });
+
+        return {
+          success: true,
+          reports,
+          pagination: {
+            total,
+            limit: input.limit,
+            skip: input.skip,
+            hasMore: (input.skip + input.limit) < total
+          },
+          message: 'Erasure reports retrieved successfully'
+        };
+
+      } catch (error) {
+        console.error('❌ Error listing erasure reports:', error);
+
+        return {
+          success: false,
+          error: error.message,
+          message: 'Failed to retrieve erasure reports'
+        };
+      }
+    }),
+
+  // Check an erasure report's signature, and optionally that it covers a given LINE userId
+  verifyErasureReport: requirePermission('audit:read')
+    .input(z.object({
+      reportId: z.string().min(1),
+      lineUserId: z.string().min(1).optional()
+    }))
+    .query(async ({ input, ctx }) => {
+      try {
+        const report = await ctx.models.ErasureReport.findById(input.reportId).lean();
+
+        if (!report) {
+          return {
+            success: false,
+            error: 'Report not found',
+            message: 'No erasure report found with the specified ID'
+          };
+        }
+
+        const result = ctx.models.ErasureReport.verify(report, input.lineUserId);
+
+        await ctx.audit('erasure_report_verified', {
+          resource_type: 'erasure_report',
+          resource_id: report._id,
+          details: result
+        });
+
+        return {
+          success: true,
+          data: result,
+          message: result.valid ? 'Erasure report signature is valid' : 'Erasure report signature does not match'
+        };
+
+      } catch (error) {
+        console.error('❌ Error verifying erasure report:', error);
+
+        return {
+          success: false,
+          error: error.message,
+          message: 'Failed to verify erasure report'
+        };
+      }
+    })
+});
+
+module.exports = privacyRouter;
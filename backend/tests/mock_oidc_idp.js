@@ -0,0 +1,135 @@
+/**
+ * Local mock OIDC identity provider for testing HR single sign-on
+ *
+ * Run with: node tests/mock_oidc_idp.js
+ * Then point the dashboard at it:
+ *   OIDC_ISSUER=http://localhost:9400  OIDC_CLIENT_ID=hr-dashboard
+ *
+ * Every authorization request is approved immediately as MOCK_OIDC_SUB
+ * (override per request with ?login_hint=<sub>), so allowlisted and
+ * non-allowlisted subjects can both be tried without a real IdP.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT || '9400', 10);
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const DEFAULT_SUB = process.env.MOCK_OIDC_SUB || 'mock-hr-user';
+const KEY_ID = 'mock-key-1';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const publicJwk = { ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' };
+
+// code -> pending authorization (single use)
+const pendingCodes = new Map();
+
+const base64Url = (value) => Buffer.from(value).toString('base64url');
+
+const signIdToken = (claims) => {
+  const header = base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: KEY_ID }));
+  const payload = base64Url(JSON.stringify(claims));
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve) => {
+  let data = '';
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => resolve(new URLSearchParams(data)));
+});
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+  console.log(`🔐 Mock IdP ${req.method} ${url.pathname}`);
+
+  if (url.pathname === '/.well-known/openid-configuration') {
+    return sendJson(res, 200, {
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      jwks_uri: `${ISSUER}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256']
+    });
+  }
+
+  if (url.pathname === '/jwks') {
+    return sendJson(res, 200, { keys: [publicJwk] });
+  }
+
+  if (url.pathname === '/authorize') {
+    const params = url.searchParams;
+
+    if (params.get('response_type') !== 'code' || params.get('code_challenge_method') !== 'S256') {
+      return sendJson(res, 400, { error: 'invalid_request', error_description: 'code flow with S256 PKCE required' });
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    pendingCodes.set(code, {
+      clientId: params.get('client_id'),
+      redirectUri: params.get('redirect_uri'),
+      codeChallenge: params.get('code_challenge'),
+      nonce: params.get('nonce'),
+      sub: params.get('login_hint') || DEFAULT_SUB
+    });
+
+    const redirect = new URL(params.get('redirect_uri'));
+    redirect.searchParams.set('code', code);
+    redirect.searchParams.set('state', params.get('state'));
+
+    res.writeHead(302, { Location: redirect.toString() });
+    return res.end();
+  }
+
+  if (url.pathname === '/token' && req.method === 'POST') {
+    const body = await readBody(req);
+    const pending = pendingCodes.get(body.get('code'));
+    pendingCodes.delete(body.get('code'));
+
+    if (!pending) {
+      return sendJson(res, 400, { error: 'invalid_grant' });
+    }
+
+    const expectedChallenge = crypto
+      .createHash('sha256')
+      .update(body.get('code_verifier') || '')
+      .digest('base64url');
+
+    if (expectedChallenge !== pending.codeChallenge ||
+        body.get('client_id') !== pending.clientId ||
+        body.get('redirect_uri') !== pending.redirectUri) {
+      return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE or client mismatch' });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    return sendJson(res, 200, {
+      token_type: 'Bearer',
+      access_token: crypto.randomBytes(16).toString('hex'),
+      expires_in: 300,
+      id_token: signIdToken({
+        iss: ISSUER,
+        sub: pending.sub,
+        aud: pending.clientId,
+        iat: now,
+        exp: now + 300,
+        nonce: pending.nonce,
+        email: `${pending.sub}@example.com`,
+        name: 'Mock HR User'
+      })
+    });
+  }
+
+  sendJson(res, 404, { error: 'not_found' });
+});
+
+server.listen(PORT, () => {
+  console.log(`✅ Mock OIDC IdP listening on ${ISSUER} (default sub: ${DEFAULT_SUB})`);
+});
@@ -0,0 +1,181 @@
+/**
+ * Offline check of the hash-chained audit log (no database: an in-memory audit_events collection)
+ * - append links each event to the previous one and retries when another writer took the sequence number
+ * - verifyChain accepts an intact chain and catches a modified, deleted or re-linked event
+ * - the hash does not depend on key order
+ * Run: node tests/test_audit_chain.js
+ */
+
+const assert = require('assert');
+const AuditEvent = require('../src/models/audit_event');
+
+/**
+ * Minimal stand-in for the driver collection AuditEvent.append and verifyChain use
+ * @param {Object} options - { beforeInsert(doc, docs) } hook to simulate a concurrent writer
+ */
+function createFakeCollection({ beforeInsert } = {}) {
+  const docs = new Map();
+
+  return {
+    docs,
+    async findOne(query = {}) {
+      if (query._id !== undefined) {
+        return docs.has(query._id) ? structuredClone(docs.get(query._id)) : null;
+      }
+      const ids = [...docs.keys()];
+      return ids.length > 0 ? structuredClone(docs.get(Math.max(...ids))) : null;
+    },
+    async insertOne(doc) {
+      if (beforeInsert) beforeInsert(doc, docs);
+      if (docs.has(doc._id)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      docs.set(doc._id, structuredClone(doc));
+      return { insertedId: doc._id };
+    },
+    find(query) {
+      const from = query._id?.$gte ?? 1;
+      let limit = Infinity;
+      const cursor = {
+        sort: () => cursor,
+        limit: (value) => { limit = value; return cursor; },
+        async *[Symbol.asyncIterator]() {
+          const ids = [...docs.keys()].filter(id => id >= from).sort((a, b) => a - b).slice(0, limit);
+          for (const id of ids) yield structuredClone(docs.get(id));
+        }
+      };
+      return cursor;
+    }
+  };
+}
+
+const actor = { type: 'hr', id: 'hr_1', email: 'hr@example.com', roles: ['hr_admin'] };
+
+async function appendEvents(model, count) {
+  for (let index = 0; index < count; index++) {
+    await AuditEvent.append.call(model, { actor, action: 'complaint_viewed', complaint_id: `CMP-2025-01-01-000${index + 1}` });
+  }
+}
+
+async function testAppend() {
+  console.log('🧪 Append...');
+  const model = { collection: createFakeCollection() };
+
+  await appendEvents(model, 3);
+  const [first, second, third] = [1, 2, 3].map(id => model.collection.docs.get(id));
+
+  assert.strictEqual(first.prev_hash, AuditEvent.GENESIS_HASH, 'the first event links to the genesis hash');
+  assert.strictEqual(second.prev_hash, first.hash);
+  assert.strictEqual(third.prev_hash, second.hash);
+  assert.strictEqual(AuditEvent.computeHash(third), third.hash);
+
+  // Undefined fields are dropped before hashing so the stored event reads back as hashed
+  const stored = await AuditEvent.append.call(model, { actor, action: 'complaint_viewed', details: undefined });
+  assert.ok(!('details' in stored));
+
+  console.log('✅ Append');
+}
+
+async function testAppendRetry() {
+  console.log('🧪 Append retry on a taken sequence number...');
+  let raced = false;
+  const collection = createFakeCollection({
+    // Another instance appends #2 between our head read and our insert
+    beforeInsert(doc, docs) {
+      if (doc._id === 2 && !raced) {
+        raced = true;
+        const competing = { _id: 2, occurred_at: new Date(), actor, action: 'other_writer', prev_hash: docs.get(1).hash };
+        competing.hash = AuditEvent.computeHash(competing);
+        docs.set(2, competing);
+      }
+    }
+  });
+  const model = { collection };
+
+  await appendEvents(model, 2);
+
+  assert.ok(raced);
+  assert.strictEqual(collection.docs.size, 3, 'the retried event went to the next free sequence number');
+  assert.strictEqual(collection.docs.get(3).prev_hash, collection.docs.get(2).hash, 'and links to the competing event');
+  assert.strictEqual((await AuditEvent.verifyChain.call(model)).valid, true);
+
+  // A head that is always taken gives up instead of looping forever
+  const jammed = { collection: createFakeCollection({ beforeInsert: (doc, docs) => docs.set(doc._id, { ...doc }) }) };
+  await assert.rejects(AuditEvent.append.call(jammed, { actor, action: 'complaint_viewed' }), /too much contention/);
+
+  console.log('✅ Append retry');
+}
+
+async function testVerifyChain() {
+  console.log('🧪 Chain verification...');
+  const fresh = async () => {
+    const model = { collection: createFakeCollection() };
+    await appendEvents(model, 4);
+    return model;
+  };
+
+  let model = await fresh();
+  assert.deepStrictEqual(
+    (({ valid, checked, head_seq }) => ({ valid, checked, head_seq }))(await AuditEvent.verifyChain.call(model)),
+    { valid: true, checked: 4, head_seq: 4 }
+  );
+  assert.strictEqual((await AuditEvent.verifyChain.call(model, { fromSeq: 3 })).valid, true, 'a partial check starts from the stored predecessor');
+
+  // Changed content
+  model = await fresh();
+  model.collection.docs.get(2).complaint_id = 'CMP-2025-01-01-9999';
+  assert.deepStrictEqual(
+    (({ valid, broken_at, reason }) => ({ valid, broken_at, reason }))(await AuditEvent.verifyChain.call(model)),
+    { valid: false, broken_at: 2, reason: 'content modified' }
+  );
+
+  // Deleted event
+  model = await fresh();
+  model.collection.docs.delete(3);
+  assert.deepStrictEqual(
+    (({ valid, broken_at, reason }) => ({ valid, broken_at, reason }))(await AuditEvent.verifyChain.call(model)),
+    { valid: false, broken_at: 3, reason: 'missing event' }
+  );
+
+  // Deleted head of a partial check
+  model = await fresh();
+  model.collection.docs.delete(2);
+  assert.strictEqual((await AuditEvent.verifyChain.call(model, { fromSeq: 3 })).reason, 'missing event');
+
+  // Event rewritten with a fresh hash: its successor no longer links to it
+  model = await fresh();
+  const rewritten = model.collection.docs.get(2);
+  rewritten.action = 'nothing_to_see';
+  rewritten.hash = AuditEvent.computeHash(rewritten);
+  assert.deepStrictEqual(
+    (({ valid, broken_at, reason }) => ({ valid, broken_at, reason }))(await AuditEvent.verifyChain.call(model)),
+    { valid: false, broken_at: 3, reason: 'prev_hash mismatch' }
+  );
+
+  console.log('✅ Chain verification');
+}
+
+function testCanonicalHash() {
+  console.log('🧪 Canonical hashing...');
+  const occurred_at = new Date('2025-01-01T00:00:00Z');
+  const a = { _id: 1, occurred_at, actor: { type: 'hr', email: 'a@example.com' }, action: 'x', prev_hash: AuditEvent.GENESIS_HASH };
+  const b = { prev_hash: AuditEvent.GENESIS_HASH, action: 'x', actor: { email: 'a@example.com', type: 'hr' }, occurred_at: occurred_at.toISOString(), _id: 1 };
+
+  assert.strictEqual(AuditEvent.computeHash(a), AuditEvent.computeHash(b), 'key order and date representation do not change the hash');
+  assert.notStrictEqual(AuditEvent.computeHash(a), AuditEvent.computeHash({ ...a, action: 'y' }));
+
+  console.log('✅ Canonical hashing');
+}
+
+async function main() {
+  await testAppend();
+  await testAppendRetry();
+  await testVerifyChain();
+  testCanonicalHash();
+  console.log('🎉 All audit chain checks passed');
+}
+
+main().catch(error => {
+  console.error('❌ Audit chain check failed:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,143 @@
+/**
+ * Offline check of the HR case workflow (no database: save() is stubbed)
+ * - every from -> to pair is allowed or rejected exactly as CASE_TRANSITIONS says
+ * - only submitted complaints enter the workflow, starting at triage
+ * - resolving needs a resolution code; reopening clears the outcome
+ * - the web dashboard's copy of the transition table matches the backend
+ * Run: node tests/test_case_workflow.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const ComplaintSession = require('../src/models/complaint_session');
+
+const { CASE_STATUSES, CASE_TRANSITIONS, RESOLUTION_CODES } = ComplaintSession;
+
+// A session whose save() resolves without a database
+function createSession(fields = {}) {
+  const session = new ComplaintSession({
+    _id: 'CS_1',
+    user_id: 'U1234567890',
+    complaint_id: 'CMP-2025-01-01-0001',
+    status: 'submitted',
+    ...fields
+  });
+  session.save = async function() { return this; };
+  return session;
+}
+
+async function testTransitionMatrix() {
+  console.log('🧪 Transition matrix...');
+  let allowed = 0;
+
+  for (const from of CASE_STATUSES) {
+    for (const to of CASE_STATUSES) {
+      const session = createSession({ case_status: from, resolution_code: 'withdrawn' });
+      const transition = async () => session.transitionCase(to, { changedBy: 'hr@example.com' });
+
+      if (CASE_TRANSITIONS[from].includes(to)) {
+        await transition();
+        assert.strictEqual(session.case_status, to, `${from} -> ${to} is allowed`);
+        assert.deepStrictEqual(
+          (({ from_status, to_status, changed_by }) => ({ from_status, to_status, changed_by }))(session.case_history[0]),
+          { from_status: from, to_status: to, changed_by: 'hr@example.com' }
+        );
+        allowed++;
+      } else {
+        await assert.rejects(transition, new RegExp(`Illegal case transition: ${from} -> ${to}`));
+        assert.strictEqual(session.case_status, from, 'a rejected transition changes nothing');
+        assert.strictEqual(session.case_history.length, 0);
+      }
+    }
+  }
+
+  // No self-transitions and nothing unknown
+  assert.ok(CASE_STATUSES.every(status => !CASE_TRANSITIONS[status].includes(status)));
+  await assert.rejects(async () => createSession({ case_status: 'triage' }).transitionCase('archived'), /Illegal case transition/);
+
+  console.log(`✅ Transition matrix (${allowed} allowed of ${CASE_STATUSES.length ** 2})`);
+}
+
+async function testEntry() {
+  console.log('🧪 Entering the workflow...');
+
+  for (const status of ['active', 'cancelled', 'timeout']) {
+    const session = createSession({ status });
+    assert.deepStrictEqual(session.getAllowedCaseTransitions(), [], `${status} sessions have no case transitions`);
+    await assert.rejects(async () => session.transitionCase('investigating'), /Only submitted complaints/);
+  }
+
+  // Submitted before the workflow existed: treated as triage
+  assert.deepStrictEqual(createSession().getAllowedCaseTransitions(), CASE_TRANSITIONS.triage);
+
+  const session = createSession({ status: 'active' });
+  await session.submit();
+  assert.strictEqual(session.case_status, 'triage');
+  assert.deepStrictEqual(
+    (({ from_status, to_status, changed_by }) => ({ from_status, to_status, changed_by }))(session.case_history[0]),
+    { from_status: null, to_status: 'triage', changed_by: 'system' }
+  );
+
+  console.log('✅ Entering the workflow');
+}
+
+async function testResolution() {
+  console.log('🧪 Resolution fields...');
+
+  const unresolved = createSession({ case_status: 'investigating' });
+  await assert.rejects(async () => unresolved.transitionCase('resolved'), /resolution code is required/);
+  await assert.rejects(async () => unresolved.transitionCase('resolved', { resolutionCode: 'settled' }), /resolution code is required/);
+  assert.strictEqual(unresolved.case_status, 'investigating');
+
+  const session = createSession({ case_status: 'investigating' });
+  await session.transitionCase('resolved', {
+    resolutionCode: 'substantiated',
+    resolutionText: 'Manager moved to another team',
+    assignee: 'hr@example.com',
+    note: 'Both sides interviewed'
+  });
+  assert.strictEqual(session.resolution_code, 'substantiated');
+  assert.strictEqual(session.assignee, 'hr@example.com');
+  assert.ok(RESOLUTION_CODES.includes(session.resolution_code));
+  assert.strictEqual(session.toHrObject().resolution_text, 'Manager moved to another team');
+  assert.strictEqual(session.toHrObject().case_history[0].note, 'Both sides interviewed');
+
+  // Closing keeps the outcome; reopening clears it until the case is resolved again
+  await session.transitionCase('closed');
+  assert.strictEqual(session.resolution_code, 'substantiated');
+  await session.transitionCase('investigating');
+  assert.strictEqual(session.resolution_code, undefined);
+  assert.strictEqual(session.resolution_text, undefined);
+  await assert.rejects(async () => session.transitionCase('resolved'), /resolution code is required/);
+
+  assert.deepStrictEqual(session.case_history.map(entry => entry.to_status), ['resolved', 'closed', 'investigating']);
+
+  console.log('✅ Resolution fields');
+}
+
+function testWebTableMatches() {
+  console.log('🧪 Web transition table...');
+  const source = fs.readFileSync(path.join(__dirname, '../../web/src/lib/case-workflow.ts'), 'utf8');
+  const literal = source.match(/export const CASE_TRANSITIONS[^=]*=\s*(\{[\s\S]*?\});/);
+  assert.ok(literal, 'CASE_TRANSITIONS is declared in web/src/lib/case-workflow.ts');
+
+  // The table is a plain object literal, valid JavaScript as written
+  const webTransitions = new Function(`return ${literal[1]}`)();
+  assert.deepStrictEqual(webTransitions, CASE_TRANSITIONS);
+
+  console.log('✅ Web transition table');
+}
+
+async function main() {
+  await testTransitionMatrix();
+  await testEntry();
+  await testResolution();
+  testWebTableMatches();
+  console.log('🎉 All case workflow checks passed');
+}
+
+main().catch(error => {
+  console.error('❌ Case workflow check failed:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,259 @@
+/**
+ * Offline check of field encryption and key rotation (no database: in-memory collections)
+ * - encrypt/decrypt round trip, tampered envelopes and unknown key versions are rejected
+ * - envelope-shaped input is still encrypted, never stored as given
+ * - plaintext length limits and fingerprints see the plaintext, not the ciphertext
+ * - rotate_encryption_key.js re-encrypts legacy plaintext and old key versions, supports a dry run
+ *   and reports documents that changed while it ran
+ * Run: node tests/test_field_encryption.js
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+
+// Two keys, v2 current, before the service reads its configuration
+process.env.FIELD_ENCRYPTION_KEYS = ['v1', 'v2'].map(version => `${version}:${crypto.randomBytes(32).toString('base64')}`).join(',');
+process.env.FIELD_ENCRYPTION_KEY_VERSION = 'v2';
+
+const mongoose = require('mongoose');
+const fieldEncryption = require('../src/services/field_encryption');
+const { rotateEncryptionKey, collectStalePaths } = require('../src/scripts/rotate_encryption_key');
+
+// Encrypts with an older key, as documents written before the rotation were
+function encryptWith(version, value) {
+  const current = fieldEncryption.current_version;
+  fieldEncryption.current_version = version;
+  try {
+    return fieldEncryption.encrypt(value);
+  } finally {
+    fieldEncryption.current_version = current;
+  }
+}
+
+const readPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+function writePath(doc, path, value) {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((target, key) => target[key], doc);
+  parent[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Minimal stand-in for the driver collection the rotation script uses
+ * @param {Array} documents - Stored documents
+ * @param {Object} options - { beforeUpdate(filter, docs) } hook to simulate a concurrent edit
+ */
+function createFakeCollection(documents, { beforeUpdate } = {}) {
+  const docs = new Map(documents.map(doc => [doc._id, structuredClone(doc)]));
+
+  return {
+    docs,
+    find() {
+      return (async function* () {
+        for (const doc of docs.values()) yield structuredClone(doc);
+      })();
+    },
+    async updateOne(filter, update) {
+      if (beforeUpdate) beforeUpdate(filter, docs);
+      const doc = docs.get(filter._id);
+      const matches = doc && Object.entries(filter).every(([path, value]) => readPath(doc, path) === value);
+      if (!matches) {
+        return { matchedCount: 0, modifiedCount: 0 };
+      }
+      Object.entries(update.$set).forEach(([path, value]) => writePath(doc, path, value));
+      return { matchedCount: 1, modifiedCount: 1 };
+    }
+  };
+}
+
+/**
+ * Runs the rotation script against in-memory collections
+ * @returns {Promise<number>} - The exit code the script asked for
+ */
+async function runRotation(collections, options) {
+  const originals = { connect: mongoose.connect, disconnect: mongoose.disconnect, exit: process.exit };
+  let exitCode = null;
+
+  mongoose.connect = async () => {};
+  mongoose.disconnect = async () => {};
+  Object.defineProperty(mongoose, 'connection', {
+    configurable: true,
+    value: { db: { collection: name => collections[name] || createFakeCollection([]) } }
+  });
+  process.exit = (code) => { exitCode = code; };
+
+  try {
+    await rotateEncryptionKey(options);
+  } finally {
+    mongoose.connect = originals.connect;
+    mongoose.disconnect = originals.disconnect;
+    delete mongoose.connection;
+    process.exit = originals.exit;
+  }
+
+  return exitCode;
+}
+
+function testRoundTrip() {
+  console.log('🧪 Encrypt/decrypt round trip...');
+  const message = 'หัวหน้าด่าผมทุกวัน - my manager shouts at me';
+
+  const encrypted = fieldEncryption.encrypt(message);
+  assert.ok(encrypted.startsWith('aesgcm:v2:'), 'new writes use the current key');
+  assert.ok(!encrypted.includes('manager'));
+  assert.notStrictEqual(fieldEncryption.encrypt(message), encrypted, 'every write gets a fresh IV');
+  assert.strictEqual(fieldEncryption.decrypt(encrypted), message);
+  assert.strictEqual(fieldEncryption.decrypt(encryptWith('v1', message)), message, 'older keys stay readable');
+  assert.strictEqual(fieldEncryption.decrypt(fieldEncryption.encrypt('')), '');
+
+  // Legacy plaintext and non-strings pass through
+  assert.strictEqual(fieldEncryption.decrypt('stored before encryption'), 'stored before encryption');
+  assert.strictEqual(fieldEncryption.encrypt(null), null);
+  assert.strictEqual(fieldEncryption.decrypt(undefined), undefined);
+
+  console.log('✅ Encrypt/decrypt round trip');
+}
+
+function testTampering() {
+  console.log('🧪 Tampered envelopes...');
+  const [prefix, version, iv, authTag, ciphertext] = fieldEncryption.encrypt('Transfer me out of this team').split(':');
+
+  const flipped = Buffer.from(ciphertext, 'base64');
+  flipped[0] ^= 1;
+  assert.throws(() => fieldEncryption.decrypt([prefix, version, iv, authTag, flipped.toString('base64')].join(':')));
+  assert.throws(() => fieldEncryption.decrypt([prefix, 'v1', iv, authTag, ciphertext].join(':')), 'another key fails the auth tag');
+  assert.throws(() => fieldEncryption.decrypt([prefix, 'v9', iv, authTag, ciphertext].join(':')), /v9 is not configured/);
+
+  console.log('✅ Tampered envelopes');
+}
+
+function testUntrustedEnvelopes() {
+  console.log('🧪 Envelope-shaped input...');
+  // An employee (or HR) typing an envelope must not get it stored as if it were ciphertext
+  const lookalike = encryptWith('v1', 'not what the sender typed');
+
+  const encrypted = fieldEncryption.encrypt(lookalike);
+  assert.notStrictEqual(encrypted, lookalike);
+  assert.strictEqual(fieldEncryption.decrypt(encrypted), lookalike, 'the typed text reads back exactly');
+  assert.ok(fieldEncryption.encrypt('aesgcm:v2:AAAA:AAAA:AAAA').startsWith('aesgcm:v2:'));
+
+  console.log('✅ Envelope-shaped input');
+}
+
+function testPlaintextChecks() {
+  console.log('🧪 Plaintext length limits and fingerprints...');
+  const { validator } = fieldEncryption.plaintext_max_length(10);
+
+  assert.strictEqual(validator(fieldEncryption.encrypt('0123456789')), true, 'the ciphertext length does not count');
+  assert.strictEqual(validator(fieldEncryption.encrypt('0123456789!')), false);
+  assert.strictEqual(validator(undefined), true);
+
+  const fingerprint = fieldEncryption.fingerprint('Somchai');
+  assert.match(fingerprint, /^sha256:[0-9a-f]{64}$/);
+  assert.strictEqual(fieldEncryption.fingerprint(fieldEncryption.encrypt('Somchai')), fingerprint, 'fingerprints compare plaintext');
+  assert.strictEqual(fieldEncryption.fingerprint(encryptWith('v1', 'Somchai')), fingerprint);
+  assert.strictEqual(fieldEncryption.fingerprint(null), null);
+
+  console.log('✅ Plaintext length limits and fingerprints');
+}
+
+async function testRotation() {
+  console.log('🧪 Key rotation...');
+  const current = fieldEncryption.encrypt('already on v2');
+
+  const collections = {
+    complaint_sessions: createFakeCollection([{
+      _id: 'CS_1',
+      chat_logs: [
+        { message: 'legacy plaintext' },
+        { message: encryptWith('v1', 'old key') },
+        { message: current }
+      ],
+      resolution_text: encryptWith('v1', 'Moved to another team'),
+      case_history: [{ note: encryptWith('v1', 'Spoke to both sides') }, { to_status: 'triage' }]
+    }]),
+    ai_complaint_tags: createFakeCollection([{
+      _id: 'TAG_1',
+      ai_summary: encryptWith('v1', 'Summary'),
+      recommended_actions: [encryptWith('v1', 'Talk to Somchai'), 'Review the shift plan']
+    }]),
+    hr_actions: createFakeCollection([{
+      _id: 'HR_1',
+      body: encryptWith('v1', 'Internal note'),
+      edit_history: [{ body: encryptWith('v1', 'First draft') }]
+    }]),
+    line_events_raw: createFakeCollection([{ _id: 'EV_1', payload: { message: { text: encryptWith('v1', 'hello') } } }])
+  };
+
+  const stale = collectStalePaths(collections.complaint_sessions.docs.get('CS_1'), [
+    { array: 'chat_logs', field: 'message' },
+    { field: 'resolution_text' },
+    { array: 'case_history', field: 'note' }
+  ]);
+  assert.deepStrictEqual(
+    stale.map(({ path }) => path),
+    ['chat_logs.0.message', 'chat_logs.1.message', 'resolution_text', 'case_history.0.note'],
+    'values on the current key and missing values are left alone'
+  );
+
+  // Dry run reports without writing
+  const before = structuredClone(collections.complaint_sessions.docs.get('CS_1'));
+  assert.strictEqual(await runRotation(collections, { dryRun: true }), 0);
+  assert.deepStrictEqual(collections.complaint_sessions.docs.get('CS_1'), before);
+
+  assert.strictEqual(await runRotation(collections), 0);
+
+  const session = collections.complaint_sessions.docs.get('CS_1');
+  assert.ok(session.chat_logs.every(({ message }) => fieldEncryption.key_version_of(message) === 'v2'));
+  assert.deepStrictEqual(session.chat_logs.map(({ message }) => fieldEncryption.decrypt(message)), ['legacy plaintext', 'old key', 'already on v2']);
+  assert.strictEqual(session.chat_logs[2].message, current, 'values already on the current key are not rewritten');
+  assert.strictEqual(fieldEncryption.decrypt(session.resolution_text), 'Moved to another team');
+  assert.strictEqual(fieldEncryption.decrypt(session.case_history[0].note), 'Spoke to both sides');
+  assert.ok(!('note' in session.case_history[1]));
+
+  const tag = collections.ai_complaint_tags.docs.get('TAG_1');
+  assert.deepStrictEqual(tag.recommended_actions.map(action => fieldEncryption.decrypt(action)), ['Talk to Somchai', 'Review the shift plan']);
+  assert.ok(tag.recommended_actions.every(action => fieldEncryption.key_version_of(action) === 'v2'));
+
+  const note = collections.hr_actions.docs.get('HR_1');
+  assert.strictEqual(fieldEncryption.decrypt(note.edit_history[0].body), 'First draft');
+  assert.strictEqual(fieldEncryption.key_version_of(collections.line_events_raw.docs.get('EV_1').payload.message.text), 'v2');
+
+  console.log('✅ Key rotation');
+}
+
+async function testRotationConflict() {
+  console.log('🧪 Key rotation with a concurrent edit...');
+  const collections = {
+    hr_actions: createFakeCollection([
+      { _id: 'HR_1', body: encryptWith('v1', 'Original note') },
+      { _id: 'HR_2', body: encryptWith('v1', 'Untouched note') }
+    ], {
+      // HR edits HR_1 between the script reading it and writing it back
+      beforeUpdate(filter, docs) {
+        if (filter._id === 'HR_1') docs.get('HR_1').body = fieldEncryption.encrypt('Edited meanwhile');
+      }
+    })
+  };
+
+  assert.strictEqual(await runRotation(collections), 1, 'a skipped document fails the run so it is repeated');
+  assert.strictEqual(fieldEncryption.decrypt(collections.hr_actions.docs.get('HR_1').body), 'Edited meanwhile', 'the edit is not overwritten');
+  assert.strictEqual(fieldEncryption.key_version_of(collections.hr_actions.docs.get('HR_2').body), 'v2');
+
+  console.log('✅ Key rotation with a concurrent edit');
+}
+
+async function main() {
+  testRoundTrip();
+  testTampering();
+  testUntrustedEnvelopes();
+  testPlaintextChecks();
+  await testRotation();
+  await testRotationConflict();
+  console.log('🎉 All field encryption checks passed');
+}
+
+main().catch(error => {
+  console.error('❌ Field encryption check failed:', error);
+  process.exitCode = 1;
+});
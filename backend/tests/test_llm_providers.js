@@ -0,0 +1,270 @@
+/**
+ * Offline check of the LLM providers (no network, no database)
+ * - heuristic provider: deterministic Thai/English classification that passes validateAIResponse,
+ *   with summary and actions in both languages, and language detection
+ * - openai provider: request/response handling against a local stub server
+ * - schema repair: invalid answers are sent back with their errors, what stays invalid is defaulted
+ * - usage accounting: one record per call, cost estimated from the price table
+ * - long conversations: Thai/English chunking, per-part analysis and merge, keyword frequencies summed
+ * Run: node tests/test_llm_providers.js
+ */
+
+const assert = require('assert');
+const http = require('http');
+const HeuristicProvider = require('../src/services/llm/heuristic_provider');
+const OpenAICompatibleProvider = require('../src/services/llm/openai_compatible_provider');
+const AITaggingService = require('../src/services/ai_tagging_service');
+const llmUsageService = require('../src/services/llm_usage_service');
+const conversationChunker = require('../src/services/conversation_chunker');
+const complaintClassifier = require('../src/services/complaint_classifier');
+const config = require('../src/config');
+
+// Keep usage records in memory instead of the database
+const usageCalls = [];
+llmUsageService.record_call = async (call) => {
+  usageCalls.push(call);
+  return null;
+};
+
+const MESSAGES = [
+  'My supervisor yells at me in front of the team every morning',
+  'I am afraid to come to work and my overtime is not paid'
+];
+
+async function testHeuristicProvider() {
+  console.log('🧪 Heuristic provider...');
+  const provider = new HeuristicProvider();
+
+  const first = await provider.generate({ prompt: 'ignored', userMessages: MESSAGES });
+  const second = await provider.generate({ prompt: 'ignored', userMessages: MESSAGES });
+  assert.strictEqual(first.text, second.text, 'same messages must give the same analysis');
+  assert.strictEqual(first.model, 'lexicon-th-en-v1');
+
+  const analysis = JSON.parse(first.text);
+  const { analysis: validated, defaultedFields } = new AITaggingService({ provider }).validateAIResponse(analysis);
+  assert.deepStrictEqual(defaultedFields, [], 'analysis must match the schema');
+  assert.deepStrictEqual(validated.issue_classification, analysis.issue_classification, 'analysis must already be valid');
+  assert.strictEqual(analysis.issue_classification.primary_category, 'workplace_harassment');
+  assert.strictEqual(analysis.sentiment_analysis.overall_sentiment, 'negative');
+
+  const thai = JSON.parse((await provider.generate({ userMessages: ['ไม่ได้รับเงินเดือนและโอทีมาสองเดือนแล้ว'] })).text);
+  assert.strictEqual(thai.issue_classification.primary_category, 'compensation_benefits');
+  assert.ok(thai.ai_summary_th.includes('ค่าตอบแทนและสวัสดิการ'), 'summary and actions come in Thai too');
+  assert.strictEqual(thai.recommended_actions_th.length, thai.recommended_actions.length);
+
+  // Language from the script of the messages
+  assert.strictEqual(complaintClassifier.detect_language(['ไม่ได้รับเงินเดือนและโอทีมาสองเดือนแล้ว']), 'th');
+  assert.strictEqual(complaintClassifier.detect_language(['หัวหน้าด่าทุกวัน OT ไม่จ่าย']), 'th', 'a few English words stay Thai');
+  assert.strictEqual(complaintClassifier.detect_language(MESSAGES), 'en');
+  assert.strictEqual(complaintClassifier.detect_language(['หัวหน้าตะโกนใส่ผม he yells at me']), 'mixed');
+  assert.strictEqual(complaintClassifier.detect_language(['ကျွန်တော့်ကို လစာမပေးဘူး']), 'other');
+  assert.strictEqual(complaintClassifier.detect_language(['123 :)']), null);
+
+  // Thai terms match whole words only (ด่า must not match ด่าน)
+  const unrelated = JSON.parse((await provider.generate({ userMessages: ['รถติดที่ด่านตรวจหน้าโรงงาน'] })).text);
+  assert.strictEqual(unrelated.issue_classification.primary_category, 'other');
+
+  console.log('✅ Heuristic provider:', JSON.stringify(analysis.issue_classification));
+}
+
+async function testOpenAICompatibleProvider() {
+  console.log('🧪 OpenAI-compatible provider against a local stub...');
+  let received;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received = { url: req.url, auth: req.headers.authorization, body: JSON.parse(body) };
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({
+        id: 'chatcmpl-test',
+        model: 'llama3.1:8b-instruct',
+        choices: [{ message: { role: 'assistant', content: '{"ai_summary":"ok"}' } }],
+        usage: { prompt_tokens: 12, completion_tokens: 5, total_tokens: 17 }
+      }));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const provider = new OpenAICompatibleProvider({
+      baseUrl: `http://127.0.0.1:${server.address().port}/v1/`,
+      apiKey: 'test-key',
+      model: 'llama3.1',
+      timeoutMs: 5000
+    });
+
+    const result = await provider.generate({ prompt: 'Analyze this' });
+
+    assert.strictEqual(received.url, '/v1/chat/completions');
+    assert.strictEqual(received.auth, 'Bearer test-key');
+    assert.deepStrictEqual(received.body.messages, [{ role: 'user', content: 'Analyze this' }]);
+    assert.strictEqual(result.text, '{"ai_summary":"ok"}');
+    assert.strictEqual(result.model, 'llama3.1:8b-instruct');
+    assert.strictEqual(result.response_id, 'chatcmpl-test');
+    assert.deepStrictEqual(result.usage, { prompt_tokens: 12, completion_tokens: 5, total_tokens: 17 });
+
+    console.log('✅ OpenAI-compatible provider:', result.model, result.usage);
+  } finally {
+    server.close();
+  }
+}
+
+async function testSchemaRepair() {
+  console.log('🧪 Schema validation and repair...');
+  const valid = JSON.parse((await new HeuristicProvider().generate({ userMessages: MESSAGES })).text);
+  const answers = [
+    'Sure! Here is the analysis.',
+    JSON.stringify({ ...valid, issue_classification: { ...valid.issue_classification, severity_level: 'severe' } }),
+    JSON.stringify(valid)
+  ];
+  const prompts = [];
+  const provider = {
+    name: 'scripted',
+    model: 'scripted-1',
+    generate: async ({ prompt }) => {
+      prompts.push(prompt);
+      return { text: answers[prompts.length - 1], model: 'scripted-1', usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }, response_id: null };
+    }
+  };
+  const service = new AITaggingService({ provider });
+
+  usageCalls.length = 0;
+  const result = await service.requestAnalysis(provider, 'Analyze this', MESSAGES, { complaintSessionId: 'sess_1', complaintId: 'CMP-1' });
+  assert.strictEqual(result.repairAttempts, 2);
+  assert.deepStrictEqual(usageCalls.map(call => call.purpose), ['analysis', 'repair', 'repair'], 'every call is recorded');
+  assert.strictEqual(usageCalls[0].complaintSessionId, 'sess_1');
+  assert.strictEqual(usageCalls[0].usage.total_tokens, 15);
+  assert.deepStrictEqual(result.errors, []);
+  assert.strictEqual(result.response.usage.total_tokens, 45, 'usage is summed over the repair calls');
+  assert.ok(prompts[1].includes('Not valid JSON'));
+  assert.ok(prompts[2].includes('issue_classification.severity_level'), 'the re-ask names the invalid field');
+
+  // Still invalid after the last repair: the answer is kept and the invalid fields are defaulted
+  const { analysis, defaultedFields } = service.validateAIResponse({
+    ...valid,
+    sentiment_analysis: { sentiment_score: -0.4, confidence_level: 0 },
+    issue_classification: { ...valid.issue_classification, urgency_score: 14 }
+  });
+  assert.deepStrictEqual(defaultedFields, ['sentiment_analysis.overall_sentiment', 'issue_classification.urgency_score']);
+  assert.strictEqual(analysis.sentiment_analysis.overall_sentiment, 'neutral');
+  assert.strictEqual(analysis.sentiment_analysis.confidence_level, 0, 'a real 0 is not replaced by a default');
+  assert.strictEqual(analysis.issue_classification.urgency_score, 10);
+
+  console.log('✅ Schema validation and repair:', defaultedFields.join(', '));
+}
+
+async function testLongConversation() {
+  console.log('🧪 Long conversation chunking and merge...');
+  assert.strictEqual(conversationChunker.estimate_tokens('abcdefgh'), 2);
+  assert.strictEqual(conversationChunker.estimate_tokens('หัวหน้า'), 5, 'Thai counts more tokens per character');
+
+  // 500 messages, alternating Thai and English, plus one message longer than a part
+  const messages = Array.from({ length: 500 }, (_, index) => index % 2 === 0
+    ? `หัวหน้าตะโกนใส่ฉันต่อหน้าทีม ครั้งที่ ${index + 1}`
+    : `My overtime was not paid again, message ${index + 1}`);
+  messages[10] = 'overtime '.repeat(400).trim();
+  const chunks = conversationChunker.chunk_messages(messages, 500);
+  const pieces = chunks.flat();
+  assert.ok(chunks.length > 1);
+  chunks.forEach(chunk => assert.ok(conversationChunker.estimate_tokens(chunk.map(message => message.text).join('')) <= 500, 'no part exceeds the budget'));
+  assert.deepStrictEqual(pieces.filter(message => message.label.startsWith('11.')).map(message => message.label), ['11.1', '11.2'], 'a message of ~900 tokens is split in two');
+  assert.strictEqual(pieces.filter(message => !message.label.includes('.')).length, 499, 'every other message is kept whole');
+  assert.strictEqual(pieces.filter(message => message.label.startsWith('11.')).map(message => message.text).join(' '), messages[10]);
+
+  // Scripted provider: every part reports "overtime" once per message it contains
+  const valid = JSON.parse((await new HeuristicProvider().generate({ userMessages: MESSAGES })).text);
+  const prompts = [];
+  const provider = {
+    name: 'scripted',
+    model: 'scripted-1',
+    generate: async ({ prompt }) => {
+      prompts.push(prompt);
+      const part = prompt.match(/Part (\d+) of \d+/);
+      const answer = part
+        ? {
+            ...valid,
+            issue_classification: { ...valid.issue_classification, severity_level: part[1] === '2' ? 'critical' : 'medium' },
+            key_phrases: {
+              keywords: [
+                { word: part[1] === '1' ? 'Overtime' : 'overtime', frequency: (prompt.match(/<employee_message /g) || []).length, relevance_score: 0.5 + part[1] / 100 },
+                { word: `topic ${part[1]}`, frequency: 1, relevance_score: 0.4 }
+              ],
+              key_phrases: ['overtime not paid'],
+              emotional_indicators: ['afraid']
+            }
+          }
+        : { ...valid, issue_classification: { ...valid.issue_classification, severity_level: 'critical' }, key_phrases: { keywords: [], key_phrases: [], emotional_indicators: [] } };
+      return { text: JSON.stringify(answer), model: 'scripted-1', usage: { prompt_tokens: 100, completion_tokens: 10, total_tokens: 110 }, response_id: null };
+    }
+  };
+  const service = new AITaggingService({ provider });
+  const session = { complaint_id: 'CMP-LONG', start_time: new Date(), chat_logs: messages.map(message => ({ direction: 'user', message_type: 'text', message })) };
+  const conversation = { userMessages: messages.slice(20, 80), botMessages: ['Thank you'], redaction: { placeholders: {}, counts: {} }, injectionIndicators: [] };
+  const maxConversationTokens = config.ai.maxConversationTokens;
+
+  try {
+    config.ai.maxConversationTokens = 200;
+    usageCalls.length = 0;
+    const result = await service.analyzeConversation(provider, session, null, conversation, conversation.userMessages, { complaintSessionId: 'sess_long' });
+    const parts = prompts.filter(prompt => /Part \d+ of/.test(prompt));
+    const mentions = parts.reduce((sum, prompt) => sum + (prompt.match(/<employee_message /g) || []).length, 0);
+
+    assert.strictEqual(result.chunkCount, parts.length);
+    assert.ok(result.chunkCount > 1);
+    assert.strictEqual(mentions, 60, 'every employee message is in exactly one part');
+    assert.ok(parts.every(prompt => !prompt.includes('<bot_message ')), 'bot replies are left out of parts');
+    assert.ok(prompts[prompts.length - 1].includes('<part_analysis '), 'the last call merges the parts');
+    assert.deepStrictEqual(usageCalls.map(call => call.purpose), [...parts.map(() => 'chunk'), 'merge']);
+    assert.strictEqual(result.response.usage.total_tokens, 110 * prompts.length, 'usage is summed over all calls');
+    assert.strictEqual(result.analysis.issue_classification.severity_level, 'critical');
+
+    const { keywords, key_phrases: keyPhrases, emotional_indicators: indicators } = result.analysis.key_phrases;
+    assert.deepStrictEqual(keywords[0], { word: 'Overtime', frequency: 60, relevance_score: 0.5 + parts.length / 100 }, 'frequencies of the same keyword add up');
+    assert.strictEqual(keywords.length, 1 + parts.length);
+    assert.deepStrictEqual(keyPhrases, ['overtime not paid']);
+    assert.deepStrictEqual(indicators, ['afraid']);
+
+    // Within the budget: one call with the bot replies
+    prompts.length = 0;
+    config.ai.maxConversationTokens = 100000;
+    const single = await service.analyzeConversation(provider, session, null, conversation, conversation.userMessages, {});
+    assert.strictEqual(single.chunkCount, 1);
+    assert.strictEqual(prompts.length, 1);
+    assert.ok(prompts[0].includes('<bot_message '));
+  } finally {
+    config.ai.maxConversationTokens = maxConversationTokens;
+  }
+
+  console.log('✅ Long conversation chunking and merge');
+}
+
+function testCostEstimate() {
+  console.log('🧪 Cost estimate...');
+  // gemini-1.5-flash: $0.075 per million input tokens, $0.30 per million output tokens
+  assert.strictEqual(llmUsageService.estimate_cost('gemini-1.5-flash-002', { prompt_tokens: 1000000, completion_tokens: 100000 }), 0.105);
+  assert.strictEqual(llmUsageService.estimate_cost('gpt-4o-mini-2024-07-18', { prompt_tokens: 0, completion_tokens: 1000000 }), 0.6, 'longest prefix wins over gpt-4o');
+  assert.strictEqual(llmUsageService.estimate_cost('llama3.1:8b', { prompt_tokens: 100, completion_tokens: 10 }), null, 'unpriced models have no cost');
+  assert.strictEqual(llmUsageService.estimate_cost('gemini-1.5-flash', null), null);
+  console.log('✅ Cost estimate');
+}
+
+async function run() {
+  try {
+    await testHeuristicProvider();
+    await testOpenAICompatibleProvider();
+    await testSchemaRepair();
+    await testLongConversation();
+    testCostEstimate();
+    console.log('🎉 All provider checks passed');
+  } catch (error) {
+    console.error('❌ Provider check failed:', error);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+}
+
+run();
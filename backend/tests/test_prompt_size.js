@@ -4,8 +4,10 @@
 
 require('dotenv').config();
 const mongoose = require('mongoose');
-const AITaggingService = require('./src/services/ai_tagging_service');
-const { ComplaintSession, Employee } = require('./src/models');
+const AITaggingService = require('../src/services/ai_tagging_service');
+const conversationChunker = require('../src/services/conversation_chunker');
+const config = require('../src/config');
+const { ComplaintSession, Employee } = require('../src/models');
 
 async function testPromptSize() {
   try {
@@ -34,6 +36,7 @@ async function testPromptSize() {
     console.log(`📏 Prompt character length: ${prompt.length}`);
     console.log(`📏 Prompt word count: ${prompt.split(' ').length}`);
     console.log(`📏 Estimated tokens (rough): ${Math.ceil(prompt.length / 4)}`);
+    console.log(`📏 Estimated tokens (Thai-aware): ${conversationChunker.estimate_tokens(prompt)}`);
     
     console.log('\n📋 First 500 characters of prompt:');
     console.log(prompt.substring(0, 500) + '...\n');
@@ -53,6 +56,14 @@ async function testPromptSize() {
       console.log(`  ${index + 1}. "${msg}"`);
     });
     
+    // Long conversations are analyzed in parts (AI_MAX_CONVERSATION_TOKENS)
+    const chunks = conversationChunker.chunk_messages(userMessages, config.ai.maxConversationTokens);
+    console.log(`\n✂️ Parts at ${config.ai.maxConversationTokens} tokens: ${chunks.length}`);
+    chunks.forEach((chunk, index) => {
+      const tokens = conversationChunker.estimate_tokens(chunk.map(message => message.text).join('\n'));
+      console.log(`  Part ${index + 1}: messages ${chunk[0].label}-${chunk[chunk.length - 1].label}, ~${tokens} tokens`);
+    });
+    
     // Check if this might be hitting free tier limits
     console.log('\n🔍 Google Gemini Free Tier Limits:');
     console.log('- Requests per minute: 15');
@@ -1,6 +1,13 @@
 import { NextRequest, NextResponse } from 'next/server';
+import { backendRequestHeaders } from '@/lib/backend-trpc';
+import { authorizeHrRequest } from '@/lib/hr-authorization';
 
 export async function GET(request: NextRequest) {
+  const { user, response: forbidden } = await authorizeHrRequest(request, 'analytics:read');
+  if (!user) {
+    return forbidden;
+  }
+
   // Extract search parameters outside try-catch so they're available in catch block
   const { searchParams } = new URL(request.url);
   const startDate = searchParams.get('startDate');
@@ -30,7 +37,8 @@ export async function GET(request: NextRequest) {
       method: 'GET',
       headers: {
         'Content-Type': 'application/json',
-        'Accept': 'application/json'
+        'Accept': 'application/json',
+        ...backendRequestHeaders(request)
       }
     });
 
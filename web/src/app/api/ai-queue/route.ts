@@ -0,0 +1,72 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { callBackendMutation, callBackendQuery } from '@/lib/backend-trpc';
+import { authorizeHrRequest } from '@/lib/hr-authorization';
+
+// AI job queue status (counts per state, next retry, dead-lettered jobs)
+export async function GET(request: NextRequest) {
+  try {
+    const { user, response: forbidden } = await authorizeHrRequest(request, 'analytics:read');
+    if (!user) {
+      return forbidden;
+    }
+
+    const result = await callBackendQuery('aiTagging.getQueueStatus', {}, request);
+
+    if (!result?.success) {
+      return NextResponse.json(
+        { error: result?.error || 'Failed to fetch AI queue status' },
+        { status: 502 }
+      );
+    }
+
+    return NextResponse.json({ success: true, data: result.data });
+  } catch (error) {
+    console.error('Error fetching AI queue status:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to fetch AI queue status',
+        details: error instanceof Error ? error.message : 'Unknown error'
+      },
+      { status: 500 }
+    );
+  }
+}
+
+// Put a dead-lettered job back in the queue
+export async function POST(request: NextRequest) {
+  try {
+    const { user, response: forbidden } = await authorizeHrRequest(request, 'ai:process');
+    if (!user) {
+      return forbidden;
+    }
+
+    const { jobId } = await request.json();
+
+    if (!jobId || typeof jobId !== 'string') {
+      return NextResponse.json(
+        { error: 'jobId is required' },
+        { status: 400 }
+      );
+    }
+
+    const result = await callBackendMutation('aiTagging.retryDeadJob', { jobId }, request);
+
+    if (!result?.success) {
+      return NextResponse.json(
+        { error: result?.error || 'Failed to retry AI job', details: result?.message },
+        { status: 409 }
+      );
+    }
+
+    return NextResponse.json({ success: true, data: result.data });
+  } catch (error) {
+    console.error('Error retrying AI job:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to retry AI job',
+        details: error instanceof Error ? error.message : 'Unknown error'
+      },
+      { status: 500 }
+    );
+  }
+}
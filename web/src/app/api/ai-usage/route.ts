@@ -0,0 +1,49 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { callBackendQuery } from '@/lib/backend-trpc';
+import { authorizeHrRequest } from '@/lib/hr-authorization';
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// LLM usage per day and model with the monthly budget (?from=YYYY-MM-DD&to=YYYY-MM-DD, default this month)
+export async function GET(request: NextRequest) {
+  try {
+    const { user, response: forbidden } = await authorizeHrRequest(request, 'analytics:read');
+    if (!user) {
+      return forbidden;
+    }
+
+    const { searchParams } = new URL(request.url);
+    const fromDay = searchParams.get('from');
+    const toDay = searchParams.get('to');
+
+    if ((fromDay && !DAY_PATTERN.test(fromDay)) || (toDay && !DAY_PATTERN.test(toDay))) {
+      return NextResponse.json(
+        { error: 'Dates must be YYYY-MM-DD' },
+        { status: 400 }
+      );
+    }
+
+    const result = await callBackendQuery('aiTagging.getUsage', {
+      ...(fromDay && { fromDay }),
+      ...(toDay && { toDay })
+    }, request);
+
+    if (!result?.success) {
+      return NextResponse.json(
+        { error: result?.error || 'Failed to fetch AI usage' },
+        { status: 502 }
+      );
+    }
+
+    return NextResponse.json({ success: true, data: result.data });
+  } catch (error) {
+    console.error('Error fetching AI usage:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to fetch AI usage',
+        details: error instanceof Error ? error.message : 'Unknown error'
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -1,6 +1,10 @@
 import { NextRequest, NextResponse } from 'next/server';
 import connectDB from '@/lib/mongodb';
 import ComplaintSession from '@/lib/models/ComplaintSession';
+import { ANONYMOUS_USER_ID } from '@/lib/anonymity';
+import { authorizeHrRequest } from '@/lib/hr-authorization';
+import { recordAuditEvent } from '@/lib/audit';
+import { decryptField } from '@/lib/field-encryption';
 
 interface AnalyticsData {
   total_sessions: number;
@@ -26,6 +30,11 @@ interface AnalyticsData {
  */
 export async function GET(request: NextRequest) {
   try {
+    const { user, response: forbidden } = await authorizeHrRequest(request, 'analytics:read');
+    if (!user) {
+      return forbidden;
+    }
+
     console.log('🔍 Starting analytics data collection...');
     await connectDB();
 
@@ -126,9 +135,9 @@ export async function GET(request: NextRequest) {
         const userTexts = session.chat_logs
           .filter((log: any) => log.direction === 'user' && log.message_type === 'text')
           .map((log: any) => ({
-            message: log.message,
+            message: String(decryptField(log.message)),
             timestamp: log.timestamp,
-            user_id: session.user_id
+            user_id: session.is_anonymous ? ANONYMOUS_USER_ID : session.user_id
           }));
         user_messages.push(...userTexts);
       }
@@ -215,6 +224,11 @@ export async function GET(request: NextRequest) {
 
     console.log('✅ Analytics data collection completed');
 
+    await recordAuditEvent(request, user, 'analytics_viewed', {
+      resource_type: 'analytics',
+      details: { days, sessions_analyzed: total_sessions }
+    });
+
     return NextResponse.json({
       success: true,
       data: analytics_data,
@@ -2,6 +2,13 @@ import { NextRequest, NextResponse } from 'next/server';
 import connectDB from '@/lib/mongodb';
 import HrAllowlist from '@/lib/models/HrAllowlist';
 import bcrypt from 'bcryptjs';
+import { config } from '@/lib/config';
+import { signSessionToken } from '@/lib/session-token';
+import { setHrSessionCookie } from '@/lib/hr-auth';
+import { recordAuditEvent } from '@/lib/audit';
+
+// Compared against when the email is unknown so both paths take the same time
+const DUMMY_PASSWORD_HASH = '$2a$12$AVZhn442elkRTqq9vA/7j.iBW2D5812aHiYyNxliGoAhNQ5OyW7ES';
 
 export async function POST(request: NextRequest) {
   try {
@@ -17,33 +24,50 @@ export async function POST(request: NextRequest) {
       );
     }
 
-    // For MVP, we'll use a simple hardcoded check
-    // In production, you'd check against HrAllowlist collection
-    if (email === 'admin@company.com' && password === 'admin123') {
-      const response = NextResponse.json({
-        success: true,
-        user: {
-          email: 'admin@company.com',
-          name: 'HR Admin',
-          roles: ['hr_viewer']
-        }
-      });
+    const user = await (HrAllowlist as any)
+      .findOne({ email: String(email).toLowerCase().trim() })
+      .select('+password_hash');
 
-      // Set a simple session cookie (in production, use proper JWT)
-      response.cookies.set('hr-session', 'authenticated', {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'lax',
-        maxAge: 24 * 60 * 60 // 24 hours
-      });
+    const passwordMatches = await bcrypt.compare(String(password), user?.password_hash || DUMMY_PASSWORD_HASH);
 
-      return response;
+    if (!user || !user.password_hash || user.active === false || !passwordMatches) {
+      console.log(`🔒 Failed HR login for: ${email}`);
+      await recordAuditEvent(request, { email: String(email).toLowerCase().trim() }, 'hr_login_failed', {
+        details: { method: 'password' }
+      });
+      return NextResponse.json(
+        { error: 'Invalid credentials' },
+        { status: 401 }
+      );
     }
 
-    return NextResponse.json(
-      { error: 'Invalid credentials' },
-      { status: 401 }
-    );
+    const sessionUser = {
+      sub: user._id,
+      email: user.email,
+      name: user.name,
+      roles: user.roles
+    };
+
+    const ttlSeconds = config.auth.session.ttlHours * 60 * 60;
+    const token = await signSessionToken(sessionUser, ttlSeconds);
+
+    await (HrAllowlist as any).updateOne({ _id: user._id }, { $set: { last_login_at: new Date() } });
+    await recordAuditEvent(request, { id: user._id, email: user.email, name: user.name, roles: user.roles }, 'hr_login', {
+      details: { method: 'password' }
+    });
+
+    const response = NextResponse.json({
+      success: true,
+      user: {
+        email: user.email,
+        name: user.name,
+        roles: user.roles
+      }
+    });
+
+    setHrSessionCookie(response, token, ttlSeconds);
+
+    return response;
   } catch (error) {
     console.error('Login error:', error);
     return NextResponse.json(
@@ -51,4 +75,4 @@ export async function POST(request: NextRequest) {
       { status: 500 }
     );
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,8 @@
+import { NextResponse } from 'next/server';
+import { setHrSessionCookie } from '@/lib/hr-auth';
+
+export async function POST() {
+  const response = NextResponse.json({ success: true });
+  setHrSessionCookie(response, '', 0);
+  return response;
+}
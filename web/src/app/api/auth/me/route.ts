@@ -0,0 +1,27 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getHrUser } from '@/lib/hr-authorization';
+
+// Signed-in HR user and their permissions, so the dashboard can hide actions they can't perform
+export async function GET(request: NextRequest) {
+  try {
+    const user = await getHrUser(request);
+
+    if (!user) {
+      return NextResponse.json(
+        { error: 'HR access revoked' },
+        { status: 403 }
+      );
+    }
+
+    return NextResponse.json({ user });
+  } catch (error) {
+    console.error('Error loading HR user:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to load HR user',
+        details: error instanceof Error ? error.message : 'Unknown error'
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,80 @@
+import { NextRequest, NextResponse } from 'next/server';
+import connectDB from '@/lib/mongodb';
+import HrAllowlist from '@/lib/models/HrAllowlist';
+import { config } from '@/lib/config';
+import { signSessionToken } from '@/lib/session-token';
+import { setHrSessionCookie } from '@/lib/hr-auth';
+import { recordAuditEvent } from '@/lib/audit';
+import { OIDC_STATE_COOKIE, OidcLoginState, exchangeCode, verifyIdToken } from '@/lib/oidc';
+
+function redirectToLogin(request: NextRequest, error: string) {
+  const response = NextResponse.redirect(new URL(`/login?error=${error}`, request.url));
+  response.cookies.set(OIDC_STATE_COOKIE, '', { path: '/api/auth/oidc', maxAge: 0 });
+  return response;
+}
+
+export async function GET(request: NextRequest) {
+  const { searchParams } = request.nextUrl;
+  const code = searchParams.get('code');
+  const state = searchParams.get('state');
+
+  let loginState: OidcLoginState | null = null;
+  try {
+    loginState = JSON.parse(request.cookies.get(OIDC_STATE_COOKIE)?.value || 'null');
+  } catch {
+    loginState = null;
+  }
+
+  if (searchParams.get('error')) {
+    console.log(`🔒 OIDC login cancelled by IdP: ${searchParams.get('error')}`);
+    return redirectToLogin(request, 'sso_failed');
+  }
+
+  // State must match the value we issued, otherwise this is not our login attempt
+  if (!code || !state || !loginState || loginState.state !== state) {
+    console.log('🔒 OIDC callback with missing or mismatched state');
+    return redirectToLogin(request, 'sso_failed');
+  }
+
+  try {
+    const idToken = await exchangeCode(code, loginState.codeVerifier);
+    const claims = await verifyIdToken(idToken, loginState.nonce);
+
+    await connectDB();
+
+    // HrAllowlist._id is the IdP subject; anyone else is turned away
+    const user = await (HrAllowlist as any).findById(claims.sub);
+
+    if (!user || user.active === false) {
+      console.log(`🔒 OIDC subject not on HR allowlist: ${claims.sub}`);
+      await recordAuditEvent(request, { id: claims.sub, email: claims.email }, 'hr_login_failed', {
+        details: { method: 'oidc', reason: user ? 'inactive' : 'not_allowlisted' }
+      });
+      return redirectToLogin(request, 'not_allowlisted');
+    }
+
+    const ttlSeconds = config.auth.session.ttlHours * 60 * 60;
+    const token = await signSessionToken({
+      sub: user._id,
+      email: user.email,
+      name: user.name || claims.name,
+      roles: user.roles
+    }, ttlSeconds);
+
+    await (HrAllowlist as any).updateOne({ _id: user._id }, { $set: { last_login_at: new Date() } });
+    await recordAuditEvent(request, { id: user._id, email: user.email, name: user.name, roles: user.roles }, 'hr_login', {
+      details: { method: 'oidc' }
+    });
+
+    console.log(`✅ OIDC login for HR user: ${user.email}`);
+
+    const response = NextResponse.redirect(new URL(loginState.next, request.url));
+    response.cookies.set(OIDC_STATE_COOKIE, '', { path: '/api/auth/oidc', maxAge: 0 });
+    setHrSessionCookie(response, token, ttlSeconds);
+
+    return response;
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    return redirectToLogin(request, 'sso_failed');
+  }
+}
@@ -0,0 +1,34 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { OIDC_STATE_COOKIE, createAuthorizationRequest, isOidcEnabled } from '@/lib/oidc';
+
+// Login state only has to survive the round trip to the IdP
+const STATE_MAX_AGE_SECONDS = 10 * 60;
+
+export async function GET(request: NextRequest) {
+  if (!isOidcEnabled()) {
+    return NextResponse.redirect(new URL('/login?error=sso_not_configured', request.url));
+  }
+
+  try {
+    const requestedNext = request.nextUrl.searchParams.get('next');
+    const next = requestedNext && requestedNext.startsWith('/') && !requestedNext.startsWith('//')
+      ? requestedNext
+      : '/dashboard';
+
+    const { url, loginState } = await createAuthorizationRequest(next);
+
+    const response = NextResponse.redirect(url);
+    response.cookies.set(OIDC_STATE_COOKIE, JSON.stringify(loginState), {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      path: '/api/auth/oidc',
+      maxAge: STATE_MAX_AGE_SECONDS
+    });
+
+    return response;
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    return NextResponse.redirect(new URL('/login?error=sso_failed', request.url));
+  }
+}
@@ -0,0 +1,109 @@
+import { NextRequest, NextResponse } from 'next/server';
+import connectDB from '@/lib/mongodb';
+import { findComplaint } from '@/lib/complaint-lookup';
+import { callBackendMutation, callBackendQuery } from '@/lib/backend-trpc';
+import { authorizeHrRequest } from '@/lib/hr-authorization';
+
+// AI analysis versions of a complaint (newest first, each with its changes from the previous one)
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const { user, response: forbidden } = await authorizeHrRequest(request, 'complaint:read');
+    if (!user) {
+      return forbidden;
+    }
+
+    await connectDB();
+
+    const { id } = await params;
+    const found = await findComplaint(id);
+
+    if (!found) {
+      return NextResponse.json(
+        { error: 'Complaint not found' },
+        { status: 404 }
+      );
+    }
+
+    const result = await callBackendQuery('aiTagging.getAnalysisHistory', {
+      complaintSessionId: found.complaint._id
+    }, request);
+
+    if (!result?.success) {
+      return NextResponse.json(
+        { error: result?.error || 'Failed to fetch AI analysis' },
+        { status: 502 }
+      );
+    }
+
+    return NextResponse.json({ versions: result.data.versions });
+  } catch (error) {
+    console.error('Error fetching AI analysis history:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to fetch AI analysis',
+        details: error instanceof Error ? error.message : 'Unknown error'
+      },
+      { status: 500 }
+    );
+  }
+}
+
+// Re-analyze the complaint; the result becomes the current version
+export async function POST(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const { user, response: forbidden } = await authorizeHrRequest(request, 'ai:process');
+    if (!user) {
+      return forbidden;
+    }
+
+    await connectDB();
+
+    const { id } = await params;
+    const { reason } = await request.json();
+
+    if (!reason || typeof reason !== 'string' || reason.trim().length < 3) {
+      return NextResponse.json(
+        { error: 'A reason is required' },
+        { status: 400 }
+      );
+    }
+
+    const found = await findComplaint(id);
+
+    if (!found) {
+      return NextResponse.json(
+        { error: 'Complaint not found' },
+        { status: 404 }
+      );
+    }
+
+    const result = await callBackendMutation('aiTagging.reanalyze', {
+      complaintSessionId: found.complaint._id,
+      reason: reason.trim()
+    }, request);
+
+    if (!result?.success) {
+      return NextResponse.json(
+        { error: result?.error || 'Failed to re-analyze complaint', details: result?.message },
+        { status: 422 }
+      );
+    }
+
+    return NextResponse.json({ success: true, data: result.data });
+  } catch (error) {
+    console.error('Error re-analyzing complaint:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to re-analyze complaint',
+        details: error instanceof Error ? error.message : 'Unknown error'
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,74 @@
+import { NextRequest, NextResponse } from 'next/server';
+import connectDB from '@/lib/mongodb';
+import { findComplaint } from '@/lib/complaint-lookup';
+import { backendRequestHeaders, backendUrl } from '@/lib/backend-trpc';
+import { authorizeHrRequest } from '@/lib/hr-authorization';
+
+// Headers passed through from the backend attachment endpoint
+const FORWARDED_HEADERS = ['content-type', 'content-length', 'content-disposition', 'x-content-sha256', 'cache-control'];
+
+// Set here rather than forwarded: employee-sent content must never run on the dashboard origin
+const SECURITY_HEADERS: Record<string, string> = {
+  'X-Content-Type-Options': 'nosniff',
+  'Content-Security-Policy': "sandbox; default-src 'none'"
+};
+
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string; messageId: string }> }
+) {
+  try {
+    const { user, response: forbidden } = await authorizeHrRequest(request, 'complaint:read');
+    if (!user) {
+      return forbidden;
+    }
+
+    await connectDB();
+
+    const { id, messageId } = await params;
+
+    const found = await findComplaint(id);
+
+    if (!found) {
+      return NextResponse.json(
+        { error: 'Complaint not found' },
+        { status: 404 }
+      );
+    }
+
+    // Attachment bytes live in the backend's attachment storage
+    const download = request.nextUrl.searchParams.get('download') === '1' ? '?download=1' : '';
+    const response = await fetch(
+      `${backendUrl}/api/attachments/${encodeURIComponent(found.complaint._id)}/${encodeURIComponent(messageId)}${download}`,
+      { headers: backendRequestHeaders(request) }
+    );
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => null);
+      return NextResponse.json(
+        { error: body?.error || 'Attachment not found' },
+        { status: response.status }
+      );
+    }
+
+    const headers = new Headers();
+    for (const name of FORWARDED_HEADERS) {
+      const value = response.headers.get(name);
+      if (value) headers.set(name, value);
+    }
+    for (const [name, value] of Object.entries(SECURITY_HEADERS)) {
+      headers.set(name, value);
+    }
+
+    return new NextResponse(response.body, { status: 200, headers });
+  } catch (error) {
+    console.error('Error fetching attachment:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to fetch attachment',
+        details: error instanceof Error ? error.message : 'Unknown error'
+      },
+      { status: 500 }
+    );
+  }
+}
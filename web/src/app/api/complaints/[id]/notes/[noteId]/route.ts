@@ -0,0 +1,80 @@
+import { NextRequest, NextResponse } from 'next/server';
+import connectDB from '@/lib/mongodb';
+import HrAction from '@/lib/models/HrAction';
+import { findComplaint } from '@/lib/complaint-lookup';
+import { authorizeHrRequest } from '@/lib/hr-authorization';
+import { recordAuditEvent } from '@/lib/audit';
+import { decryptField, decryptNote, fingerprint } from '@/lib/field-encryption';
+
+export async function PUT(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string; noteId: string }> }
+) {
+  try {
+    const { user, response: forbidden } = await authorizeHrRequest(request, 'note:write');
+    if (!user) {
+      return forbidden;
+    }
+
+    await connectDB();
+
+    const { id, noteId } = await params;
+    const { body } = await request.json();
+
+    if (!body || typeof body !== 'string' || !body.trim()) {
+      return NextResponse.json(
+        { error: 'Note body is required' },
+        { status: 400 }
+      );
+    }
+
+    const found = await findComplaint(id);
+
+    if (!found) {
+      return NextResponse.json(
+        { error: 'Complaint not found' },
+        { status: 404 }
+      );
+    }
+
+    const existing = await (HrAction as any).findOne({
+      _id: noteId,
+      complaint_session_id: found.complaint._id
+    });
+
+    if (!existing) {
+      return NextResponse.json(
+        { error: 'Note not found' },
+        { status: 404 }
+      );
+    }
+
+    // Keep the previous body so edits stay traceable (as plaintext: the setter encrypts it)
+    const previousBody = existing.body;
+    existing.edit_history.push({
+      body: decryptField(existing.body),
+      edited_at: new Date(),
+      edited_by: user.email
+    });
+    existing.body = body.trim();
+    await existing.save();
+
+    await recordAuditEvent(request, user, 'hr_note_edited', {
+      resource_type: 'hr_note',
+      resource_id: existing._id,
+      complaint_id: found.complaint.complaint_id,
+      changes: { body: { from: fingerprint(previousBody), to: fingerprint(existing.body) } }
+    });
+
+    return NextResponse.json({ success: true, note: decryptNote(existing) });
+  } catch (error) {
+    console.error('Error updating HR note:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to update HR note',
+        details: error instanceof Error ? error.message : 'Unknown error'
+      },
+      { status: 500 }
+    );
+  }
+}
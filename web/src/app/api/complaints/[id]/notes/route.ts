@@ -0,0 +1,125 @@
+import { NextRequest, NextResponse } from 'next/server';
+import connectDB from '@/lib/mongodb';
+import HrAction, { HR_NOTE_TYPES } from '@/lib/models/HrAction';
+import { findComplaint } from '@/lib/complaint-lookup';
+import { authorizeHrRequest } from '@/lib/hr-authorization';
+import { recordAuditEvent } from '@/lib/audit';
+import { decryptNote, fingerprint } from '@/lib/field-encryption';
+
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const { user, response: forbidden } = await authorizeHrRequest(request, 'complaint:read');
+    if (!user) {
+      return forbidden;
+    }
+
+    await connectDB();
+
+    const { id } = await params;
+    const found = await findComplaint(id);
+
+    if (!found) {
+      return NextResponse.json(
+        { error: 'Complaint not found' },
+        { status: 404 }
+      );
+    }
+
+    const notes = await (HrAction as any)
+      .find({ complaint_session_id: found.complaint._id })
+      .sort({ created_at: 1 })
+      .lean();
+
+    await recordAuditEvent(request, user, 'hr_notes_viewed', {
+      resource_type: 'complaint',
+      resource_id: found.complaint._id,
+      complaint_id: found.complaint.complaint_id,
+      details: { count: notes.length }
+    });
+
+    return NextResponse.json({ notes: notes.map(decryptNote) });
+  } catch (error) {
+    console.error('Error fetching HR notes:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to fetch HR notes',
+        details: error instanceof Error ? error.message : 'Unknown error'
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const { user, response: forbidden } = await authorizeHrRequest(request, 'note:write');
+    if (!user) {
+      return forbidden;
+    }
+
+    await connectDB();
+
+    const { id } = await params;
+    const { body, note_type = 'internal' } = await request.json();
+
+    if (!body || typeof body !== 'string' || !body.trim()) {
+      return NextResponse.json(
+        { error: 'Note body is required' },
+        { status: 400 }
+      );
+    }
+
+    if (!HR_NOTE_TYPES.includes(note_type)) {
+      return NextResponse.json(
+        { error: `Invalid note_type. Must be one of: ${HR_NOTE_TYPES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const found = await findComplaint(id);
+
+    if (!found) {
+      return NextResponse.json(
+        { error: 'Complaint not found' },
+        { status: 404 }
+      );
+    }
+
+    const note = await (HrAction as any).create({
+      _id: (HrAction as any).generateActionId(),
+      complaint_session_id: found.complaint._id,
+      complaint_id: found.complaint.complaint_id,
+      author: user.email,
+      author_name: user.name,
+      note_type,
+      body: body.trim()
+    });
+
+    console.log(`📝 HR note ${note._id} added to ${found.complaint.complaint_id}`);
+
+    await recordAuditEvent(request, user, 'hr_note_added', {
+      resource_type: 'hr_note',
+      resource_id: note._id,
+      complaint_id: found.complaint.complaint_id,
+      changes: { body: { from: null, to: fingerprint(note.body) } },
+      details: { note_type }
+    });
+
+    return NextResponse.json({ success: true, note: decryptNote(note) }, { status: 201 });
+  } catch (error) {
+    console.error('Error creating HR note:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to create HR note',
+        details: error instanceof Error ? error.message : 'Unknown error'
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,62 @@
+import { NextRequest, NextResponse } from 'next/server';
+import connectDB from '@/lib/mongodb';
+import { findComplaint } from '@/lib/complaint-lookup';
+import { callBackendMutation } from '@/lib/backend-trpc';
+import { authorizeHrRequest } from '@/lib/hr-authorization';
+
+export async function POST(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const { user, response: forbidden } = await authorizeHrRequest(request, 'complaint:reply');
+    if (!user) {
+      return forbidden;
+    }
+
+    await connectDB();
+
+    const { id } = await params;
+    const { message } = await request.json();
+
+    if (!message || typeof message !== 'string' || !message.trim()) {
+      return NextResponse.json(
+        { error: 'Message is required' },
+        { status: 400 }
+      );
+    }
+
+    const found = await findComplaint(id);
+
+    if (!found) {
+      return NextResponse.json(
+        { error: 'Complaint not found' },
+        { status: 404 }
+      );
+    }
+
+    // The backend owns the LINE push and the chat log entry (author comes from the session token)
+    const result = await callBackendMutation('complaint.reply', {
+      complaintId: found.complaint.complaint_id,
+      message: message.trim()
+    }, request);
+
+    if (!result?.success) {
+      return NextResponse.json(
+        { error: result?.error || 'Failed to send reply' },
+        { status: 422 }
+      );
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Error sending HR reply:', error);
+    return NextResponse.json(
+      {
+        error: 'Failed to send reply',
+        details: error instanceof Error ? error.message : 'Unknown error'
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -1,41 +1,48 @@
 import { NextRequest, NextResponse } from 'next/server';
 import connectDB from '@/lib/mongodb';
 import ComplaintSession from '@/lib/models/ComplaintSession';
-import Employee from '@/lib/models/Employee';
+import HrAction, { HR_NOTE_TYPES } from '@/lib/models/HrAction';
+import HrAllowlist from '@/lib/models/HrAllowlist';
+import { findComplaint } from '@/lib/complaint-lookup';
+import { redactIdentity } from '@/lib/anonymity';
+import { authorizeHrRequest } from '@/lib/hr-authorization';
+import { recordAuditEvent } from '@/lib/audit';
+import { decryptComplaint, decryptNote, encryptField, fingerprint } from '@/lib/field-encryption';
+import {
+  CASE_TRANSITIONS,
+  getAllowedTransitions,
+  getCurrentCaseStatus,
+  isCaseStatus,
+  isResolutionCode,
+  RESOLUTION_TEXT_MAX_LENGTH,
+  CASE_NOTE_MAX_LENGTH,
+  ASSIGNEE_MAX_LENGTH
+} from '@/lib/case-workflow';
+
+// Complaint fields whose before/after values go into the audit log on update
+const AUDITED_FIELDS = ['status', 'case_status', 'assignee', 'resolution_code'];
+// Encrypted fields: the audit log gets fingerprints of them, never the text
+const AUDITED_ENCRYPTED_FIELDS = ['resolution_text'];
 
 export async function GET(
   request: NextRequest,
   { params }: { params: Promise<{ id: string }> }
 ) {
   try {
+    const { user, response: forbidden } = await authorizeHrRequest(request, 'complaint:read');
+    if (!user) {
+      return forbidden;
+    }
+
     await connectDB();
 
     const { id } = await params;
     
     console.log(`🔍 Fetching complaint details for ID: ${id}`);
 
-    // Get database connection and search both collections
-    const db = (ComplaintSession as any).db;
-    
-    // Search main collection first
-    const mainCollection = db.collection('complaint_sessions');
-    let complaint = await mainCollection.findOne({
-      $or: [
-        { _id: id },
-        { complaint_id: id }
-      ]
-    });
-    
-    // If not found, search alternative collection
-    if (!complaint) {
-      const altCollection = db.collection('complaintsessions');
-      complaint = await altCollection.findOne({
-        $or: [
-          { _id: id },
-          { complaint_id: id }
-        ]
-      });
-    }
+    // Search both complaint collections
+    const found = await findComplaint(id);
+    const complaint = found?.complaint;
 
     if (!complaint) {
       console.log(`❌ Complaint not found: ${id}`);
@@ -47,10 +54,11 @@ export async function GET(
 
     console.log(`✅ Found complaint: ${complaint.complaint_id}`);
 
-    // Get employee info
+    // Get employee info (never for anonymous complaints)
     let employee = null;
-    if (complaint.user_id) {
+    if (complaint.user_id && !complaint.is_anonymous) {
       try {
+        const db = (ComplaintSession as any).db;
         const employeesCollection = db.collection('employees');
         employee = await employeesCollection.findOne({ _id: complaint.user_id });
         console.log(`👤 Employee info: ${employee ? 'found' : 'not found'}`);
@@ -59,9 +67,16 @@ export async function GET(
       }
     }
 
+    await recordAuditEvent(request, user, 'complaint_viewed', {
+      resource_type: 'complaint',
+      resource_id: complaint._id,
+      complaint_id: complaint.complaint_id
+    });
+
     return NextResponse.json({
-      complaint,
-      employee
+      complaint: redactIdentity(decryptComplaint(complaint)),
+      employee,
+      allowed_transitions: getAllowedTransitions(complaint)
     });
   } catch (error) {
     console.error('Error fetching complaint:', error);
@@ -80,58 +95,233 @@ export async function PUT(
   { params }: { params: Promise<{ id: string }> }
 ) {
   try {
+    const { user, response: forbidden } = await authorizeHrRequest(request, 'complaint:update');
+    if (!user) {
+      return forbidden;
+    }
+
     await connectDB();
 
     const { id } = await params;
     const body = await request.json();
-    const { status, notes } = body;
+    const {
+      status,
+      notes,
+      note_type = 'internal',
+      case_status,
+      assignee,
+      resolution_code,
+      resolution_text,
+      note
+    } = body;
+
+    // The session status belongs to the conversation: only the employee's /submit or the timeout
+    // sweep submits a complaint (which starts triage and queues AI analysis)
+    if (status !== undefined) {
+      return NextResponse.json(
+        { error: 'status cannot be changed here; use case_status to move a submitted case' },
+        { status: 400 }
+      );
+    }
+
+    if (case_status !== undefined && !isCaseStatus(case_status)) {
+      return NextResponse.json(
+        { error: `Invalid case_status. Must be one of: ${Object.keys(CASE_TRANSITIONS).join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    if (notes && !HR_NOTE_TYPES.includes(note_type)) {
+      return NextResponse.json(
+        { error: `Invalid note_type. Must be one of: ${HR_NOTE_TYPES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    if (resolution_code !== undefined && !isResolutionCode(resolution_code)) {
+      return NextResponse.json(
+        { error: 'Invalid resolution_code' },
+        { status: 400 }
+      );
+    }
+
+    if (resolution_text !== undefined &&
+      (typeof resolution_text !== 'string' || resolution_text.length > RESOLUTION_TEXT_MAX_LENGTH)) {
+      return NextResponse.json(
+        { error: `resolution_text must be a string of at most ${RESOLUTION_TEXT_MAX_LENGTH} characters` },
+        { status: 400 }
+      );
+    }
+
+    if (note !== undefined && (typeof note !== 'string' || note.length > CASE_NOTE_MAX_LENGTH)) {
+      return NextResponse.json(
+        { error: `note must be a string of at most ${CASE_NOTE_MAX_LENGTH} characters` },
+        { status: 400 }
+      );
+    }
+
+    // Resolution details and the transition note only mean something with a case move
+    if ((resolution_code !== undefined || resolution_text !== undefined) && case_status !== 'resolved') {
+      return NextResponse.json(
+        { error: 'resolution_code and resolution_text can only be set when moving the case to resolved' },
+        { status: 400 }
+      );
+    }
 
-    if (status && !['open', 'submitted'].includes(status)) {
+    if (note !== undefined && !case_status) {
       return NextResponse.json(
-        { error: 'Invalid status. Must be "open" or "submitted"' },
+        { error: 'note can only be set together with case_status' },
         { status: 400 }
       );
     }
 
-    const updateQuery: any = {};
-    if (status) updateQuery.status = status;
+    // null or '' unassigns; anyone else must be an active HR user
+    let assigneeEmail: string | null | undefined;
+    if (assignee !== undefined) {
+      if (assignee !== null && (typeof assignee !== 'string' || assignee.length > ASSIGNEE_MAX_LENGTH)) {
+        return NextResponse.json(
+          { error: `assignee must be an email of at most ${ASSIGNEE_MAX_LENGTH} characters` },
+          { status: 400 }
+        );
+      }
+
+      assigneeEmail = assignee ? assignee.trim().toLowerCase() : null;
+      if (assigneeEmail && !(await HrAllowlist.exists({ email: assigneeEmail, active: true }))) {
+        return NextResponse.json(
+          { error: 'assignee must be an active HR user' },
+          { status: 400 }
+        );
+      }
+    }
+
+    const found = await findComplaint(id);
+
+    if (!found) {
+      return NextResponse.json(
+        { error: 'Complaint not found' },
+        { status: 404 }
+      );
+    }
+
+    const { collection, complaint: current } = found;
+    const now = new Date();
+
+    const setQuery: any = { updated_at: now };
+    if (assigneeEmail !== undefined) setQuery.assignee = assigneeEmail;
+    const unsetQuery: any = {};
 
     const pushQuery: any = {};
-    if (notes) {
-      pushQuery.$push = {
-        chat_logs: {
-          timestamp: new Date(),
-          direction: 'bot',
-          message_type: 'text',
-          message: `[HR Note] ${notes}`
-        }
+
+    // Only match the document if its case status is unchanged since we read it
+    const filter: any = { _id: current._id };
+
+    if (case_status) {
+      const fromStatus = getCurrentCaseStatus(current);
+      const allowed = getAllowedTransitions(current);
+
+      if (!allowed.includes(case_status)) {
+        return NextResponse.json(
+          {
+            error: `Illegal case transition: ${fromStatus ?? current.status} -> ${case_status}`,
+            allowed_transitions: allowed
+          },
+          { status: 409 }
+        );
+      }
+
+      const finalResolutionCode = resolution_code ?? current.resolution_code;
+      if (case_status === 'resolved' && !isResolutionCode(finalResolutionCode)) {
+        return NextResponse.json(
+          { error: 'A valid resolution_code is required to resolve a case' },
+          { status: 400 }
+        );
+      }
+
+      filter.case_status = current.case_status ?? null;
+      setQuery.case_status = case_status;
+      if (case_status === 'resolved') {
+        setQuery.resolution_code = finalResolutionCode;
+        // Written through the driver, so encrypted here rather than by the model setter
+        if (resolution_text !== undefined) setQuery.resolution_text = encryptField(resolution_text);
+      } else if (case_status === 'triage' || case_status === 'investigating') {
+        // A reopened case has no outcome until it is resolved again
+        unsetQuery.resolution_code = '';
+        unsetQuery.resolution_text = '';
+      }
+      pushQuery.case_history = {
+        from_status: fromStatus,
+        to_status: case_status,
+        changed_at: now,
+        changed_by: user.email,
+        note: note ? encryptField(note) : undefined
       };
     }
 
-    const complaint = await (ComplaintSession as any).findOneAndUpdate(
-      {
-        $or: [
-          { _id: id },
-          { complaint_id: id }
-        ]
-      },
-      {
-        ...updateQuery,
-        ...pushQuery
-      },
-      { new: true }
-    );
+    const update: any = { $set: setQuery };
+    if (Object.keys(unsetQuery).length > 0) update.$unset = unsetQuery;
+    if (Object.keys(pushQuery).length > 0) update.$push = pushQuery;
+
+    const complaint = await collection.findOneAndUpdate(filter, update, { returnDocument: 'after' });
 
     if (!complaint) {
       return NextResponse.json(
-        { error: 'Complaint not found' },
-        { status: 404 }
+        { error: 'Case status was changed by someone else. Please refresh and try again.' },
+        { status: 409 }
       );
     }
 
+    // HR notes live in hr_actions, never in the employee conversation
+    let hrNote = null;
+    if (notes) {
+      hrNote = await (HrAction as any).create({
+        _id: (HrAction as any).generateActionId(),
+        complaint_session_id: complaint._id,
+        complaint_id: complaint.complaint_id,
+        author: user.email,
+        author_name: user.name,
+        note_type,
+        body: notes
+      });
+    }
+
+    const changes: Record<string, { from: unknown; to: unknown }> = {};
+    AUDITED_FIELDS.forEach(field => {
+      const from = current[field] ?? null;
+      const to = complaint[field] ?? null;
+      if (from !== to) {
+        changes[field] = { from, to };
+      }
+    });
+    AUDITED_ENCRYPTED_FIELDS.forEach(field => {
+      const from = fingerprint(current[field]);
+      const to = fingerprint(complaint[field]);
+      if (from !== to) {
+        changes[field] = { from, to };
+      }
+    });
+
+    await recordAuditEvent(request, user, 'complaint_updated', {
+      resource_type: 'complaint',
+      resource_id: String(complaint._id),
+      complaint_id: complaint.complaint_id,
+      changes,
+      details: note ? { note: fingerprint(note) } : undefined
+    });
+
+    if (hrNote) {
+      await recordAuditEvent(request, user, 'hr_note_added', {
+        resource_type: 'hr_note',
+        resource_id: hrNote._id,
+        complaint_id: complaint.complaint_id,
+        changes: { body: { from: null, to: fingerprint(hrNote.body) } },
+        details: { note_type }
+      });
+    }
+
     return NextResponse.json({
       success: true,
-      complaint
+      complaint: redactIdentity(decryptComplaint(complaint)),
+      note: hrNote ? decryptNote(hrNote) : null
     });
   } catch (error) {
     console.error('Error updating complaint:', error);
@@ -2,9 +2,18 @@ import { NextRequest, NextResponse } from 'next/server';
 import connectDB from '@/lib/mongodb';
 import ComplaintSession from '@/lib/models/ComplaintSession';
 import Employee from '@/lib/models/Employee';
+import { redactIdentity } from '@/lib/anonymity';
+import { authorizeHrRequest } from '@/lib/hr-authorization';
+import { recordAuditEvent } from '@/lib/audit';
+import { callBackendMutation } from '@/lib/backend-trpc';
 
 export async function GET(request: NextRequest) {
   try {
+    const { user, response: forbidden } = await authorizeHrRequest(request, 'complaint:read');
+    if (!user) {
+      return forbidden;
+    }
+
     await connectDB();
 
     const { searchParams } = new URL(request.url);
@@ -52,9 +61,18 @@ export async function GET(request: NextRequest) {
 
     // Apply pagination
     const skip = (page - 1) * limit;
-    const paginatedComplaints = allComplaints.slice(skip, skip + limit);
+    const paginatedComplaints = allComplaints.slice(skip, skip + limit).map(redactIdentity);
     const total = allComplaints.length;
 
+    await recordAuditEvent(request, user, 'complaints_listed', {
+      resource_type: 'complaint',
+      details: {
+        complaint_ids: paginatedComplaints.map((complaint: any) => complaint.complaint_id),
+        total,
+        filters: { status, department, page, limit }
+      }
+    });
+
     return NextResponse.json({
       complaints: paginatedComplaints,
       pagination: {
@@ -78,8 +96,11 @@ export async function GET(request: NextRequest) {
 
 export async function POST(request: NextRequest) {
   try {
-    await connectDB();
-    
+    const { user, response: forbidden } = await authorizeHrRequest(request, 'complaint:update');
+    if (!user) {
+      return forbidden;
+    }
+
     const body = await request.json();
     const { user_id, message, department } = body;
 
@@ -90,40 +111,24 @@ export async function POST(request: NextRequest) {
       );
     }
 
-    // Generate IDs
-    const sessionId = (ComplaintSession as any).generateSessionId();
-    const complaintId = (ComplaintSession as any).generateComplaintId();
-
-    // Create complaint session
-    const complaint = new ComplaintSession({
-      _id: sessionId,
-      complaint_id: complaintId,
-      user_id,
-      status: 'open',
-      start_time: new Date(),
-      department,
-      chat_logs: [
-        {
-          timestamp: new Date(),
-          direction: 'user',
-          message_type: 'command',
-          message: '/complain'
-        },
-        {
-          timestamp: new Date(),
-          direction: 'user',
-          message_type: 'text',
-          message
-        }
-      ]
-    });
+    // The backend conversation engine owns session creation and complaint IDs (and audits the create)
+    const result = await callBackendMutation('complaint.createForEmployee', {
+      userId: user_id,
+      message,
+      department
+    }, request);
 
-    await complaint.save();
+    if (!result?.success) {
+      return NextResponse.json(
+        { error: result?.error || 'Failed to create complaint', details: result?.message },
+        { status: result?.complaintId ? 409 : 422 }
+      );
+    }
 
     return NextResponse.json({
       success: true,
-      complaint_id: complaintId,
-      session_id: sessionId
+      complaint_id: result.session.complaint_id,
+      session_id: result.session.session_id
     });
   } catch (error) {
     console.error('Error creating complaint:', error);
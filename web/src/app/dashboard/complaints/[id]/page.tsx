@@ -5,14 +5,28 @@ import { useRouter } from 'next/navigation';
 import Link from 'next/link';
 import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
-import { formatDate, getStatusColor, getStatusIcon } from '@/lib/utils';
-import { ArrowLeft, RefreshCw, User, Clock, MessageCircle } from 'lucide-react';
+import AIAnalysisHistory from '@/components/AIAnalysisHistory';
+import { useHrUser } from '@/lib/use-hr-user';
+import { formatDate, formatFileSize, formatLabel, getStatusColor, getStatusIcon } from '@/lib/utils';
+import { RESOLUTION_CODES, RESOLUTION_TEXT_MAX_LENGTH, CaseStatus, CaseHistoryEntry } from '@/lib/case-workflow';
+import { ArrowLeft, RefreshCw, User, Clock, MessageCircle, GitBranch, StickyNote, Send, Paperclip, Download } from 'lucide-react';
+
+interface Attachment {
+  line_message_id: string;
+  mime_type: string;
+  size_bytes: number;
+  sha256: string;
+  file_name?: string;
+}
 
 interface ChatLog {
   timestamp: string;
-  direction: 'user' | 'bot';
-  message_type: 'text' | 'image' | 'file' | 'command';
+  direction: 'user' | 'bot' | 'system' | 'hr';
+  message_type: 'text' | 'image' | 'file' | 'video' | 'audio' | 'command';
   message: string;
+  author?: string;
+  delivery_failed?: boolean;
+  attachment?: Attachment;
 }
 
 interface Employee {
@@ -26,16 +40,35 @@ interface Complaint {
   _id: string;
   complaint_id: string;
   user_id: string;
+  is_anonymous?: boolean;
   status: 'open' | 'submitted';
+  case_status?: CaseStatus;
+  assignee?: string;
+  resolution_code?: string;
+  resolution_text?: string;
+  case_history?: CaseHistoryEntry[];
   start_time: string;
   end_time?: string;
   department?: string;
   chat_logs: ChatLog[];
+  legal_hold?: { active: boolean; reason?: string; placed_by?: string; placed_at?: string };
+}
+
+interface HrNote {
+  _id: string;
+  author: string;
+  author_name?: string;
+  note_type: 'internal' | 'visible_to_employee';
+  body: string;
+  edit_history: { body: string; edited_at: string; edited_by?: string }[];
+  created_at: string;
+  updated_at: string;
 }
 
 interface ComplaintDetailResponse {
   complaint: Complaint;
   employee: Employee | null;
+  allowed_transitions: CaseStatus[];
 }
 
 export default function ComplaintDetailPage({
@@ -47,6 +80,21 @@ export default function ComplaintDetailPage({
   const [data, setData] = useState<ComplaintDetailResponse | null>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  const [assigneeInput, setAssigneeInput] = useState('');
+  const [resolutionCode, setResolutionCode] = useState<string>('');
+  const [resolutionText, setResolutionText] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [actionError, setActionError] = useState<string | null>(null);
+  const [notes, setNotes] = useState<HrNote[]>([]);
+  const [noteBody, setNoteBody] = useState('');
+  const [noteType, setNoteType] = useState<HrNote['note_type']>('internal');
+  const [editingNoteId, setEditingNoteId] = useState<string | null>(null);
+  const [editingBody, setEditingBody] = useState('');
+  const [notesError, setNotesError] = useState<string | null>(null);
+  const [replyText, setReplyText] = useState('');
+  const [sendingReply, setSendingReply] = useState(false);
+  const [replyError, setReplyError] = useState<string | null>(null);
+  const { can } = useHrUser();
   const router = useRouter();
 
   const fetchComplaintDetail = () => {
@@ -65,7 +113,9 @@ export default function ComplaintDetailPage({
         return response.json();
       })
       .then((result: ComplaintDetailResponse) => {
+        if (!result) return;
         setData(result);
+        setAssigneeInput(result.complaint.assignee || '');
         setError(null);
         setLoading(false);
       })
@@ -75,8 +125,115 @@ export default function ComplaintDetailPage({
       });
   };
 
+  const fetchNotes = () => {
+    fetch(`/api/complaints/${id}/notes`)
+      .then(response => {
+        if (!response.ok) throw new Error('Failed to fetch HR notes');
+        return response.json();
+      })
+      .then((result: { notes: HrNote[] }) => {
+        setNotes(result.notes);
+        setNotesError(null);
+      })
+      .catch(err => {
+        setNotesError(err instanceof Error ? err.message : 'An error occurred');
+      });
+  };
+
+  const saveNote = async (url: string, method: 'POST' | 'PUT', body: Record<string, unknown>) => {
+    setNotesError(null);
+
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+
+      if (!response.ok) {
+        const result = await response.json();
+        throw new Error(result.error || 'Failed to save HR note');
+      }
+
+      fetchNotes();
+      return true;
+    } catch (err) {
+      setNotesError(err instanceof Error ? err.message : 'An error occurred');
+      return false;
+    }
+  };
+
+  const addNote = async () => {
+    const saved = await saveNote(`/api/complaints/${id}/notes`, 'POST', { body: noteBody, note_type: noteType });
+    if (saved) setNoteBody('');
+  };
+
+  const editNote = async (noteId: string) => {
+    const saved = await saveNote(`/api/complaints/${id}/notes/${noteId}`, 'PUT', { body: editingBody });
+    if (saved) setEditingNoteId(null);
+  };
+
+  const sendReply = async () => {
+    setSendingReply(true);
+    setReplyError(null);
+
+    try {
+      const response = await fetch(`/api/complaints/${id}/reply`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: replyText })
+      });
+
+      if (!response.ok) {
+        const result = await response.json();
+        throw new Error(result.error || 'Failed to send reply');
+      }
+
+      setReplyText('');
+      fetchComplaintDetail();
+    } catch (err) {
+      setReplyError(err instanceof Error ? err.message : 'An error occurred');
+    } finally {
+      setSendingReply(false);
+    }
+  };
+
+  const updateComplaint = async (body: Record<string, unknown>) => {
+    setSaving(true);
+    setActionError(null);
+
+    try {
+      const response = await fetch(`/api/complaints/${id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+
+      if (!response.ok) {
+        const result = await response.json();
+        throw new Error(result.error || 'Failed to update complaint');
+      }
+
+      fetchComplaintDetail();
+    } catch (err) {
+      setActionError(err instanceof Error ? err.message : 'An error occurred');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const transitionCase = (toStatus: CaseStatus) => {
+    const body: Record<string, unknown> = { case_status: toStatus };
+    if (toStatus === 'resolved') {
+      body.resolution_code = resolutionCode;
+      body.resolution_text = resolutionText;
+    }
+    updateComplaint(body);
+  };
+
   useEffect(() => {
     fetchComplaintDetail();
+    fetchNotes();
   }, [id]);
 
   if (loading) {
@@ -114,7 +271,7 @@ export default function ComplaintDetailPage({
 
   if (!data) return null;
 
-  const { complaint, employee } = data;
+  const { complaint, employee, allowed_transitions } = data;
 
   return (
     <div className="space-y-6">
@@ -132,10 +289,20 @@ export default function ComplaintDetailPage({
               <span className="mr-2">{getStatusIcon(complaint.status)}</span>
               {complaint.complaint_id}
             </h1>
-            <p className="text-gray-600">Complaint Details</p>
+            <p className="text-gray-600">
+              Complaint Details
+              {complaint.legal_hold?.active && (
+                <span
+                  className="ml-2 inline-flex items-center rounded bg-amber-100 px-2 py-0.5 text-xs font-medium text-amber-800"
+                  title={complaint.legal_hold.reason}
+                >
+                  ⚖️ Legal hold
+                </span>
+              )}
+            </p>
           </div>
         </div>
-        <Button onClick={fetchComplaintDetail}>
+        <Button onClick={() => { fetchComplaintDetail(); fetchNotes(); }}>
           <RefreshCw className="w-4 h-4 mr-2" />
           Refresh
         </Button>
@@ -154,7 +321,9 @@ export default function ComplaintDetailPage({
             <CardContent className="space-y-4">
               <div>
                 <p className="text-sm font-medium text-gray-600">Name</p>
-                <p className="text-lg">{employee?.display_name || 'Unknown User'}</p>
+                <p className="text-lg">
+                  {complaint.is_anonymous ? '🕶️ Anonymous reporter' : employee?.display_name || 'Unknown User'}
+                </p>
               </div>
               
               <div>
@@ -162,12 +331,18 @@ export default function ComplaintDetailPage({
                 <p className="text-lg">{employee?.department || complaint.department || 'Unknown'}</p>
               </div>
               
-              <div>
-                <p className="text-sm font-medium text-gray-600">User ID</p>
-                <p className="text-sm font-mono bg-gray-100 px-2 py-1 rounded">
-                  {complaint.user_id}
+              {complaint.is_anonymous ? (
+                <p className="text-xs text-gray-500">
+                  The reporter chose to stay anonymous. Replies are still delivered through the LINE bot.
                 </p>
-              </div>
+              ) : (
+                <div>
+                  <p className="text-sm font-medium text-gray-600">User ID</p>
+                  <p className="text-sm font-mono bg-gray-100 px-2 py-1 rounded">
+                    {complaint.user_id}
+                  </p>
+                </div>
+              )}
             </CardContent>
           </Card>
 
@@ -204,10 +379,122 @@ export default function ComplaintDetailPage({
               </div>
             </CardContent>
           </Card>
+
+          {complaint.status === 'submitted' && (
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center">
+                  <GitBranch className="w-5 h-5 mr-2" />
+                  Case Workflow
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <div>
+                  <p className="text-sm font-medium text-gray-600">Case Status</p>
+                  <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full border ${getStatusColor(complaint.case_status || 'triage')}`}>
+                    {getStatusIcon(complaint.case_status || 'triage')} {formatLabel(complaint.case_status || 'triage')}
+                  </span>
+                </div>
+
+                <div>
+                  <p className="text-sm font-medium text-gray-600">Assignee</p>
+                  {can('complaint:update') ? (
+                    <div className="flex space-x-2 mt-1">
+                      <input
+                        value={assigneeInput}
+                        onChange={(e) => setAssigneeInput(e.target.value)}
+                        placeholder="hr.member@company.com"
+                        className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded-md"
+                      />
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        disabled={saving || assigneeInput === (complaint.assignee || '')}
+                        onClick={() => updateComplaint({ assignee: assigneeInput })}
+                      >
+                        Save
+                      </Button>
+                    </div>
+                  ) : (
+                    <p className="text-sm">{complaint.assignee || 'Unassigned'}</p>
+                  )}
+                </div>
+
+                {complaint.resolution_code && (
+                  <div>
+                    <p className="text-sm font-medium text-gray-600">Resolution</p>
+                    <p className="text-sm">{formatLabel(complaint.resolution_code)}</p>
+                    {complaint.resolution_text && (
+                      <p className="text-sm text-gray-600 whitespace-pre-wrap">{complaint.resolution_text}</p>
+                    )}
+                  </div>
+                )}
+
+                {can('complaint:update') && allowed_transitions.includes('resolved') && (
+                  <div className="space-y-2">
+                    <p className="text-sm font-medium text-gray-600">Resolution details</p>
+                    <select
+                      value={resolutionCode}
+                      onChange={(e) => setResolutionCode(e.target.value)}
+                      className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md"
+                    >
+                      <option value="">Select resolution code...</option>
+                      {RESOLUTION_CODES.map(code => (
+                        <option key={code} value={code}>{formatLabel(code)}</option>
+                      ))}
+                    </select>
+                    <textarea
+                      value={resolutionText}
+                      onChange={(e) => setResolutionText(e.target.value)}
+                      placeholder="Describe the outcome..."
+                      maxLength={RESOLUTION_TEXT_MAX_LENGTH}
+                      rows={3}
+                      className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md"
+                    />
+                  </div>
+                )}
+
+                {can('complaint:update') && allowed_transitions.length > 0 && (
+                  <div className="flex flex-wrap gap-2">
+                    {allowed_transitions.map(toStatus => (
+                      <Button
+                        key={toStatus}
+                        size="sm"
+                        variant={toStatus === 'resolved' ? 'default' : 'outline'}
+                        disabled={saving || (toStatus === 'resolved' && !resolutionCode)}
+                        onClick={() => transitionCase(toStatus)}
+                      >
+                        Move to {formatLabel(toStatus)}
+                      </Button>
+                    ))}
+                  </div>
+                )}
+
+                {actionError && (
+                  <p className="text-sm text-red-600">{actionError}</p>
+                )}
+
+                {complaint.case_history && complaint.case_history.length > 0 && (
+                  <div>
+                    <p className="text-sm font-medium text-gray-600 mb-2">History</p>
+                    <ul className="space-y-1">
+                      {complaint.case_history.map((entry, index) => (
+                        <li key={index} className="text-xs text-gray-600">
+                          {formatDate(entry.changed_at)} • {entry.from_status ? `${formatLabel(entry.from_status)} → ` : ''}
+                          {formatLabel(entry.to_status)}
+                          {entry.changed_by && ` by ${entry.changed_by}`}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          )}
         </div>
 
         {/* Chat Logs */}
-        <div className="lg:col-span-2">
+        <div className="lg:col-span-2 space-y-6">
           <Card>
             <CardHeader>
               <CardTitle className="flex items-center">
@@ -228,14 +515,21 @@ export default function ComplaintDetailPage({
                       className={`max-w-xs lg:max-w-md px-4 py-2 rounded-lg ${
                         log.direction === 'user'
                           ? 'bg-blue-500 text-white'
-                          : log.message.startsWith('[HR Note]')
-                          ? 'bg-orange-100 text-orange-800 border border-orange-200'
+                          : log.direction === 'hr'
+                          ? 'bg-purple-100 text-purple-900 border border-purple-200'
                           : 'bg-gray-100 text-gray-800'
                       }`}
                     >
                       <div className="flex items-center justify-between mb-1">
                         <span className="text-xs font-medium">
-                          {log.direction === 'user' ? 'Employee' : 'Bot'}
+                          {log.direction === 'user'
+                            ? 'Employee'
+                            : log.direction === 'hr'
+                            ? `HR${log.author ? ` (${log.author})` : ''}`
+                            : 'Bot'}
+                          {log.delivery_failed && (
+                            <span className="ml-2 text-red-600">Not delivered</span>
+                          )}
                         </span>
                         <span className="text-xs opacity-75">
                           {new Date(log.timestamp).toLocaleTimeString()}
@@ -244,6 +538,33 @@ export default function ComplaintDetailPage({
                       <p className="text-sm whitespace-pre-wrap">
                         {log.message}
                       </p>
+                      {log.attachment && (
+                        <div className="mt-2">
+                          {log.attachment.mime_type.startsWith('image/') && (
+                            <a
+                              href={`/api/complaints/${complaint._id}/attachments/${log.attachment.line_message_id}`}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                            >
+                              <img
+                                src={`/api/complaints/${complaint._id}/attachments/${log.attachment.line_message_id}`}
+                                alt={log.attachment.file_name || 'Image attachment'}
+                                className="max-h-40 rounded border border-white border-opacity-40 mb-1"
+                              />
+                            </a>
+                          )}
+                          <a
+                            href={`/api/complaints/${complaint._id}/attachments/${log.attachment.line_message_id}?download=1`}
+                            className="text-xs underline inline-flex items-center"
+                            title={`SHA-256: ${log.attachment.sha256}`}
+                          >
+                            {log.attachment.mime_type.startsWith('image/')
+                              ? <Download className="w-3 h-3 mr-1" />
+                              : <Paperclip className="w-3 h-3 mr-1" />}
+                            {log.attachment.file_name || log.attachment.mime_type} • {formatFileSize(log.attachment.size_bytes)}
+                          </a>
+                        </div>
+                      )}
                       {log.message_type === 'command' && (
                         <span className="text-xs bg-black bg-opacity-20 px-1 rounded mt-1 inline-block">
                           command
@@ -259,6 +580,135 @@ export default function ComplaintDetailPage({
                   No messages in this conversation.
                 </div>
               )}
+
+              {can('complaint:reply') && complaint.status === 'submitted' && complaint.case_status !== 'closed' && (
+                <div className="mt-4 border-t pt-4 space-y-2">
+                  <textarea
+                    value={replyText}
+                    onChange={(e) => setReplyText(e.target.value)}
+                    placeholder="Ask the employee a follow-up question via LINE..."
+                    rows={3}
+                    maxLength={2000}
+                    className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md"
+                  />
+                  <div className="flex items-center justify-between">
+                    <p className="text-xs text-gray-500">
+                      Sent to the employee through the LINE bot. Their replies are added to this case.
+                    </p>
+                    <Button size="sm" disabled={sendingReply || !replyText.trim()} onClick={sendReply}>
+                      <Send className="w-4 h-4 mr-2" />
+                      {sendingReply ? 'Sending...' : 'Send Reply'}
+                    </Button>
+                  </div>
+                  {replyError && (
+                    <p className="text-sm text-red-600">{replyError}</p>
+                  )}
+                </div>
+              )}
+            </CardContent>
+          </Card>
+
+          {complaint.status === 'submitted' && (
+            <AIAnalysisHistory complaintId={complaint._id} />
+          )}
+
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center">
+                <StickyNote className="w-5 h-5 mr-2" />
+                HR Notes
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              {notes.length === 0 ? (
+                <div className="text-center py-4 text-gray-500">
+                  No HR notes yet.
+                </div>
+              ) : (
+                <ol className="relative border-l border-gray-200 ml-2 space-y-4">
+                  {notes.map(note => (
+                    <li key={note._id} className="ml-4">
+                      <div className="absolute w-3 h-3 bg-gray-300 rounded-full -left-1.5 mt-1.5 border border-white" />
+                      <div className="flex items-center justify-between">
+                        <span className="text-xs text-gray-500">
+                          {formatDate(note.created_at)} • {note.author_name || note.author}
+                          {note.edit_history.length > 0 && ` • edited ${note.edit_history.length}x`}
+                        </span>
+                        <span
+                          className={`text-xs px-2 py-0.5 rounded-full border ${
+                            note.note_type === 'internal'
+                              ? 'bg-orange-100 text-orange-800 border-orange-200'
+                              : 'bg-green-100 text-green-800 border-green-200'
+                          }`}
+                        >
+                          {note.note_type === 'internal' ? 'Internal' : 'Visible to employee'}
+                        </span>
+                      </div>
+                      {editingNoteId === note._id ? (
+                        <div className="mt-1 space-y-2">
+                          <textarea
+                            value={editingBody}
+                            onChange={(e) => setEditingBody(e.target.value)}
+                            rows={3}
+                            className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md"
+                          />
+                          <div className="flex space-x-2">
+                            <Button size="sm" disabled={!editingBody.trim()} onClick={() => editNote(note._id)}>
+                              Save
+                            </Button>
+                            <Button size="sm" variant="outline" onClick={() => setEditingNoteId(null)}>
+                              Cancel
+                            </Button>
+                          </div>
+                        </div>
+                      ) : (
+                        <div className="mt-1">
+                          <p className="text-sm whitespace-pre-wrap">{note.body}</p>
+                          {can('note:write') && (
+                            <button
+                              className="text-xs text-blue-600 hover:underline"
+                              onClick={() => {
+                                setEditingNoteId(note._id);
+                                setEditingBody(note.body);
+                              }}
+                            >
+                              Edit
+                            </button>
+                          )}
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ol>
+              )}
+
+              {can('note:write') && (
+                <div className="space-y-2 border-t pt-4">
+                  <textarea
+                    value={noteBody}
+                    onChange={(e) => setNoteBody(e.target.value)}
+                    placeholder="Add a note..."
+                    rows={3}
+                    className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md"
+                  />
+                  <div className="flex items-center justify-between">
+                    <select
+                      value={noteType}
+                      onChange={(e) => setNoteType(e.target.value as HrNote['note_type'])}
+                      className="px-2 py-1 text-sm border border-gray-300 rounded-md"
+                    >
+                      <option value="internal">Internal (HR only)</option>
+                      <option value="visible_to_employee">Visible to employee</option>
+                    </select>
+                    <Button size="sm" disabled={!noteBody.trim()} onClick={addNote}>
+                      Add Note
+                    </Button>
+                  </div>
+                </div>
+              )}
+              {notesError && (
+                <p className="text-sm text-red-600">{notesError}</p>
+              )}
             </CardContent>
           </Card>
         </div>
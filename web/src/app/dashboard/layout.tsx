@@ -1,8 +1,11 @@
 'use client';
 
 import Link from 'next/link';
+import { useRouter } from 'next/navigation';
 import { FileText, LogOut } from 'lucide-react';
 import { useEffect, useState } from 'react';
+import { useHrUser } from '@/lib/use-hr-user';
+import { formatLabel } from '@/lib/utils';
 
 export default function DashboardLayout({
   children,
@@ -10,6 +13,13 @@ export default function DashboardLayout({
   children: React.ReactNode;
 }) {
   const [current_date, set_current_date] = useState<string>('');
+  const router = useRouter();
+  const { user } = useHrUser();
+  
+  const handle_sign_out = async () => {
+    await fetch('/api/auth/logout', { method: 'POST' });
+    router.push('/login');
+  };
   
   useEffect(() => {
     set_current_date(new Date().toLocaleDateString());
@@ -37,13 +47,13 @@ export default function DashboardLayout({
         </nav>
         
         <div className="absolute bottom-0 w-64 p-6 border-t">
-          <Link 
-            href="/login"
+          <button
+            onClick={handle_sign_out}
             className="flex items-center text-gray-700 hover:text-red-600 transition-colors"
           >
             <LogOut className="w-5 h-5 mr-3" />
             Sign Out
-          </Link>
+          </button>
         </div>
       </div>
 
@@ -58,8 +68,14 @@ export default function DashboardLayout({
               <span className="text-sm text-gray-600">
                 {current_date}
               </span>
+              {user && (
+                <div className="text-right">
+                  <p className="text-sm font-medium text-gray-800">{user.name || user.email}</p>
+                  <p className="text-xs text-gray-500">{user.roles.map(formatLabel).join(', ')}</p>
+                </div>
+              )}
               <div className="w-8 h-8 bg-blue-500 rounded-full flex items-center justify-center text-white text-sm font-medium">
-                HR
+                {user ? (user.name || user.email).charAt(0).toUpperCase() : 'HR'}
               </div>
             </div>
           </div>
@@ -13,6 +13,7 @@ interface Complaint {
   _id: string;
   complaint_id: string;
   user_id: string;
+  is_anonymous?: boolean;
   status: 'open' | 'submitted';
   start_time: string;
   end_time?: string;
@@ -179,7 +180,7 @@ export default function DashboardPage() {
                           {complaint.complaint_id}
                         </h3>
                         <p className="text-sm text-gray-500">
-                          User: {complaint.user_id.slice(0, 8)}... • 
+                          {complaint.is_anonymous ? '🕶️ Anonymous' : `User: ${complaint.user_id.slice(0, 8)}...`} • 
                           {complaint.department && ` ${complaint.department} • `}
                           {formatRelativeTime(complaint.start_time)}
                         </p>
@@ -1,10 +1,16 @@
 'use client';
 
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { useRouter } from 'next/navigation';
 import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 
+const SSO_ERRORS: Record<string, string> = {
+  not_allowlisted: 'Your account is not on the HR allowlist. Please contact an HR administrator.',
+  sso_not_configured: 'Single sign-on is not configured.',
+  sso_failed: 'Single sign-on failed. Please try again.'
+};
+
 export default function LoginPage() {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
@@ -12,6 +18,19 @@ export default function LoginPage() {
   const [error, setError] = useState('');
   const router = useRouter();
 
+  // Errors passed back from the SSO callback
+  useEffect(() => {
+    const ssoError = new URLSearchParams(window.location.search).get('error');
+    if (ssoError) {
+      setError(SSO_ERRORS[ssoError] || 'Single sign-on failed');
+    }
+  }, []);
+
+  const handleSsoLogin = () => {
+    const next = new URLSearchParams(window.location.search).get('next') || '/dashboard';
+    window.location.href = `/api/auth/oidc/login?next=${encodeURIComponent(next)}`;
+  };
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     setLoading(true);
@@ -27,7 +46,9 @@ export default function LoginPage() {
       });
 
       if (response.ok) {
-        router.push('/dashboard');
+        // Return to the page the middleware redirected from
+        const next = new URLSearchParams(window.location.search).get('next');
+        router.push(next && next.startsWith('/') && !next.startsWith('//') ? next : '/dashboard');
       } else {
         const data = await response.json();
         setError(data.error || 'Login failed');
@@ -106,12 +127,24 @@ export default function LoginPage() {
                   {loading ? 'Signing in...' : 'Sign in'}
                 </Button>
               </div>
-              
-              <div className="text-sm text-center text-gray-600">
-                <p>Demo credentials:</p>
-                <p>Email: admin@company.com</p>
-                <p>Password: admin123</p>
+
+              <div className="relative">
+                <div className="absolute inset-0 flex items-center">
+                  <div className="w-full border-t border-gray-300" />
+                </div>
+                <div className="relative flex justify-center text-sm">
+                  <span className="px-2 bg-white text-gray-500">or</span>
+                </div>
               </div>
+
+              <Button
+                type="button"
+                variant="outline"
+                className="w-full"
+                onClick={handleSsoLogin}
+              >
+                Sign in with SSO
+              </Button>
             </form>
           </CardContent>
         </Card>
@@ -1,6 +1,6 @@
 import { redirect } from 'next/navigation';
 
 export default function HomePage() {
-  // Bypass login for MVP testing - go directly to dashboard
+  // The middleware sends visitors without an HR session on to /login
   redirect('/dashboard');
 }
\ No newline at end of file
@@ -0,0 +1,310 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Brain, History, RotateCcw, ShieldAlert } from 'lucide-react';
+import { useHrUser } from '@/lib/use-hr-user';
+import { formatDate, formatLabel } from '@/lib/utils';
+
+interface AnalysisChange {
+  field: 'primary_category' | 'secondary_categories' | 'severity_level' | 'urgency_score' | 'overall_sentiment' | 'ai_summary';
+  from: string | number | string[] | null;
+  to: string | number | string[] | null;
+}
+
+interface AnalysisVersion {
+  ai_tag_id: string;
+  version: number;
+  is_current: boolean;
+  created_at: string;
+  superseded_at?: string;
+  reanalysis_reason?: string;
+  requested_by?: string;
+  sentiment: string;
+  sentiment_score: number;
+  primary_issue: string;
+  secondary_issues: string[];
+  severity: string;
+  urgency_score: number;
+  ai_summary: string;
+  ai_summary_th: string | null;
+  recommended_actions: string[];
+  recommended_actions_th: string[];
+  detected_language: 'th' | 'en' | 'mixed' | 'other' | null;
+  analysis_method: 'llm' | 'heuristic';
+  provider?: string;
+  model_version?: string;
+  injection_detected: boolean;
+  injection_indicators: string[];
+  defaulted_fields: string[];
+  changes: AnalysisChange[];
+}
+
+const CHANGE_LABELS: Record<AnalysisChange['field'], string> = {
+  primary_category: 'Category',
+  secondary_categories: 'Secondary categories',
+  severity_level: 'Severity',
+  urgency_score: 'Urgency',
+  overall_sentiment: 'Sentiment',
+  ai_summary: 'Summary'
+};
+
+type SummaryLanguage = 'en' | 'th';
+
+const LANGUAGE_LABELS: Record<NonNullable<AnalysisVersion['detected_language']>, string> = {
+  th: 'Written in Thai',
+  en: 'Written in English',
+  mixed: 'Written in Thai and English',
+  other: 'Written in another language'
+};
+
+const SEVERITY_STYLES: Record<string, string> = {
+  low: 'bg-green-100 text-green-800 border-green-200',
+  medium: 'bg-yellow-100 text-yellow-800 border-yellow-200',
+  high: 'bg-orange-100 text-orange-800 border-orange-200',
+  critical: 'bg-red-100 text-red-800 border-red-200'
+};
+
+const formatChangeValue = (value: AnalysisChange['from']) => {
+  if (value === null || value === undefined) return '—';
+  if (Array.isArray(value)) return value.length > 0 ? value.map(formatLabel).join(', ') : 'none';
+  return typeof value === 'number' ? String(value) : formatLabel(value);
+};
+
+// AI analysis of one complaint: current version, earlier versions with their changes, re-analysis
+export default function AIAnalysisHistory({ complaintId }: { complaintId: string }) {
+  const { can } = useHrUser();
+  const [versions, setVersions] = useState<AnalysisVersion[]>([]);
+  const [selectedVersion, setSelectedVersion] = useState<number | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [reason, setReason] = useState('');
+  const [reanalyzing, setReanalyzing] = useState(false);
+  const [language, setLanguage] = useState<SummaryLanguage>('en');
+
+  const fetchHistory = async () => {
+    try {
+      const response = await fetch(`/api/complaints/${complaintId}/ai-analysis`);
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to fetch AI analysis');
+      }
+
+      setVersions(result.versions);
+      setSelectedVersion(result.versions.length > 0 ? result.versions[0].version : null);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch AI analysis');
+    }
+  };
+
+  const reanalyze = async () => {
+    setReanalyzing(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`/api/complaints/${complaintId}/ai-analysis`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reason })
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to re-analyze complaint');
+      }
+
+      setReason('');
+      await fetchHistory();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to re-analyze complaint');
+    } finally {
+      setReanalyzing(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchHistory();
+  }, [complaintId]);
+
+  const selected = versions.find(version => version.version === selectedVersion);
+  // Summary and actions in the chosen language; analyses made before Thai output have English only
+  const summary = selected && (language === 'th' ? selected.ai_summary_th : selected.ai_summary);
+  const actions = selected ? (language === 'th' ? selected.recommended_actions_th : selected.recommended_actions) : [];
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="flex items-center">
+            <Brain className="w-5 h-5 mr-2" />
+            AI Analysis
+          </CardTitle>
+          {versions.length > 0 && (
+            <div className="flex gap-1" role="group" aria-label="Summary language">
+              <Button size="sm" variant={language === 'en' ? 'default' : 'outline'} onClick={() => setLanguage('en')}>
+                EN
+              </Button>
+              <Button size="sm" variant={language === 'th' ? 'default' : 'outline'} onClick={() => setLanguage('th')}>
+                ไทย
+              </Button>
+            </div>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {versions.length === 0 && !error && (
+          <div className="text-center py-4 text-gray-500">
+            No AI analysis yet.
+          </div>
+        )}
+
+        {versions.length > 1 && (
+          <div className="flex flex-wrap gap-2">
+            {versions.map(version => (
+              <Button
+                key={version.version}
+                size="sm"
+                variant={version.version === selectedVersion ? 'default' : 'outline'}
+                onClick={() => setSelectedVersion(version.version)}
+              >
+                v{version.version}{version.is_current ? ' (current)' : ''}
+              </Button>
+            ))}
+          </div>
+        )}
+
+        {selected && (
+          <div className="space-y-3">
+            <div className="flex flex-wrap items-center gap-2">
+              <span className={`text-xs px-2 py-0.5 rounded-full border ${SEVERITY_STYLES[selected.severity] || SEVERITY_STYLES.medium}`}>
+                {formatLabel(selected.severity)} severity
+              </span>
+              <span className="text-xs px-2 py-0.5 rounded-full border bg-gray-100 text-gray-800 border-gray-200">
+                {formatLabel(selected.primary_issue)}
+              </span>
+              <span className="text-xs text-gray-600">
+                Urgency {selected.urgency_score}/10 • {formatLabel(selected.sentiment)} sentiment
+              </span>
+              {selected.detected_language && (
+                <span className="text-xs px-2 py-0.5 rounded-full border bg-blue-50 text-blue-800 border-blue-200">
+                  {LANGUAGE_LABELS[selected.detected_language]}
+                </span>
+              )}
+              {selected.analysis_method === 'heuristic' && (
+                <span
+                  className="text-xs px-2 py-0.5 rounded-full border bg-amber-100 text-amber-800 border-amber-200"
+                  title="Produced by the offline keyword classifier, not reviewed by an AI model"
+                >
+                  Heuristic result
+                </span>
+              )}
+              {selected.injection_detected && (
+                <span
+                  className="text-xs px-2 py-0.5 rounded-full border bg-red-100 text-red-800 border-red-200 flex items-center"
+                  title={`The employee messages contain text that tries to instruct the AI (${selected.injection_indicators.map(formatLabel).join(', ')}). Review the classification against the conversation.`}
+                >
+                  <ShieldAlert className="w-3 h-3 mr-1" />
+                  Possible prompt injection
+                </span>
+              )}
+            </div>
+
+            {selected.defaulted_fields.length > 0 && (
+              <p className="text-xs text-amber-800 bg-amber-50 px-2 py-1 rounded">
+                Default values (the model gave no valid answer): {selected.defaulted_fields.map(field => formatLabel(field.split('.').pop() || field)).join(', ')}
+              </p>
+            )}
+
+            {selected.secondary_issues.length > 0 && (
+              <p className="text-xs text-gray-600">
+                Also: {selected.secondary_issues.map(formatLabel).join(', ')}
+              </p>
+            )}
+
+            {summary ? (
+              <p lang={language} className="text-sm whitespace-pre-wrap">{summary}</p>
+            ) : (
+              <p className="text-sm text-gray-500">
+                No Thai summary for this version. Re-analyze the complaint to produce one.
+              </p>
+            )}
+
+            {actions.length > 0 && (
+              <ul lang={language} className="list-disc list-inside text-sm text-gray-700 space-y-1">
+                {actions.map((action, index) => (
+                  <li key={index}>{action}</li>
+                ))}
+              </ul>
+            )}
+
+            <p className="text-xs text-gray-500">
+              v{selected.version} • {formatDate(selected.created_at)}
+              {selected.model_version && ` • ${selected.provider ? `${selected.provider}/` : ''}${selected.model_version}`}
+              {selected.requested_by && ` • requested by ${selected.requested_by}`}
+            </p>
+            {selected.reanalysis_reason && (
+              <p className="text-xs text-gray-500">Reason: {selected.reanalysis_reason}</p>
+            )}
+
+            {selected.version > 1 && (
+              <div className="border-t pt-3">
+                <p className="text-sm font-medium text-gray-600 flex items-center mb-2">
+                  <History className="w-4 h-4 mr-2" />
+                  Changes from v{selected.version - 1}
+                </p>
+                {selected.changes.length === 0 ? (
+                  <p className="text-xs text-gray-500">No changes in category, severity, urgency, sentiment or summary.</p>
+                ) : (
+                  <ul className="space-y-2">
+                    {selected.changes.map(change => (
+                      <li key={change.field} className="text-sm">
+                        <span className="font-medium">{CHANGE_LABELS[change.field]}: </span>
+                        {change.field === 'ai_summary' ? (
+                          <div className="mt-1 space-y-1">
+                            <p className="text-xs bg-red-50 text-red-900 px-2 py-1 rounded line-through">{change.from}</p>
+                            <p className="text-xs bg-green-50 text-green-900 px-2 py-1 rounded">{change.to}</p>
+                          </div>
+                        ) : (
+                          <span>
+                            <span className="text-red-700 line-through">{formatChangeValue(change.from)}</span>
+                            {' → '}
+                            <span className="text-green-700">{formatChangeValue(change.to)}</span>
+                          </span>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        {can('ai:process') && (
+          <div className="space-y-2 border-t pt-4">
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="Why re-analyze? (e.g. new follow-up messages from the employee)"
+              rows={2}
+              maxLength={500}
+              className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md"
+            />
+            <div className="flex justify-end">
+              <Button size="sm" variant="outline" disabled={reanalyzing || reason.trim().length < 3} onClick={reanalyze}>
+                <RotateCcw className="w-4 h-4 mr-2" />
+                {reanalyzing ? 'Analyzing...' : versions.length > 0 ? 'Re-analyze' : 'Analyze'}
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {error && (
+          <p className="text-sm text-red-600">{error}</p>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -3,6 +3,8 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
+import AIQueueStatus from '@/components/AIQueueStatus';
+import AIUsageReport from '@/components/AIUsageReport';
 import { 
   LineChart, 
   Line, 
@@ -416,6 +418,12 @@ export default function AIAnalyticsDashboard() {
         </Card>
       </div>
 
+      {/* AI Job Queue */}
+      <AIQueueStatus />
+
+      {/* LLM usage and cost */}
+      <AIUsageReport />
+
       {/* Sentiment Analysis Row */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Sentiment Distribution Pie Chart */}
@@ -0,0 +1,181 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Inbox, PauseCircle, RefreshCw, RotateCcw, Skull } from 'lucide-react';
+import { useHrUser } from '@/lib/use-hr-user';
+
+interface DeadJob {
+  _id: string;
+  complaint_id?: string;
+  complaint_session_id: string;
+  attempts: number;
+  last_error?: string;
+  dead_at?: string;
+  source: string;
+}
+
+interface QueueStatus {
+  counts: Record<'queued' | 'running' | 'completed' | 'dead', number>;
+  oldest_queued_at: string | null;
+  next_retry_at: string | null;
+  dead_jobs: DeadJob[];
+  budget: {
+    month: string;
+    month_cost_usd: number;
+    monthly_budget_usd: number | null;
+    exceeded: boolean;
+  };
+}
+
+const COUNT_STYLES: { key: keyof QueueStatus['counts']; label: string; className: string }[] = [
+  { key: 'queued', label: 'Queued', className: 'text-blue-600' },
+  { key: 'running', label: 'Running', className: 'text-purple-600' },
+  { key: 'completed', label: 'Completed', className: 'text-green-600' },
+  { key: 'dead', label: 'Dead-lettered', className: 'text-red-600' }
+];
+
+// AI analysis job queue (backend ai_jobs) - refreshed every 30 seconds
+export default function AIQueueStatus() {
+  const { can } = useHrUser();
+  const [status, setStatus] = useState<QueueStatus | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [retrying, setRetrying] = useState<string | null>(null);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await fetch('/api/ai-queue');
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || `HTTP error! status: ${response.status}`);
+      }
+
+      setStatus(result.data);
+      setError(null);
+    } catch (err) {
+      console.error('AI queue fetch error:', err);
+      setError(err instanceof Error ? err.message : 'Failed to fetch AI queue status');
+    }
+  };
+
+  const retryJob = async (jobId: string) => {
+    setRetrying(jobId);
+
+    try {
+      const response = await fetch('/api/ai-queue', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jobId })
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.details || result.error || 'Failed to retry AI job');
+      }
+
+      await fetchStatus();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to retry AI job');
+    } finally {
+      setRetrying(null);
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+    const timer = setInterval(fetchStatus, 30000);
+    return () => clearInterval(timer);
+  }, []);
+
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <div className="flex items-center justify-between">
+          <CardTitle className="text-lg font-semibold flex items-center">
+            <Inbox className="w-5 h-5 mr-2 text-purple-600" />
+            AI Analysis Queue
+          </CardTitle>
+          <Button variant="outline" size="sm" onClick={fetchStatus}>
+            <RefreshCw className="w-4 h-4 mr-2" />
+            Refresh
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+        {status && (
+          <>
+            {status.budget.exceeded && (
+              <div className="mb-4 p-3 rounded-md border border-red-200 bg-red-50 text-sm text-red-800 flex items-start">
+                <PauseCircle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+                <span>
+                  Queue paused: the monthly AI budget is used up (${status.budget.month_cost_usd.toFixed(2)} of ${status.budget.monthly_budget_usd?.toFixed(2)} in {status.budget.month}).
+                  Queued complaints are analyzed next month or once the budget (AI_MONTHLY_BUDGET_USD) is raised.
+                </span>
+              </div>
+            )}
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              {COUNT_STYLES.map(({ key, label, className }) => (
+                <div key={key}>
+                  <div className={`text-2xl font-bold ${className}`}>{status.counts[key]}</div>
+                  <p className="text-sm text-gray-500">{label}</p>
+                </div>
+              ))}
+            </div>
+
+            <div className="mt-3 text-sm text-gray-500 space-y-1">
+              {status.oldest_queued_at && (
+                <p>Oldest queued since {new Date(status.oldest_queued_at).toLocaleString()}</p>
+              )}
+              {status.next_retry_at && (
+                <p>Next retry at {new Date(status.next_retry_at).toLocaleString()}</p>
+              )}
+              {status.budget.monthly_budget_usd !== null && !status.budget.exceeded && (
+                <p>AI spend this month: ${status.budget.month_cost_usd.toFixed(2)} of ${status.budget.monthly_budget_usd.toFixed(2)}</p>
+              )}
+            </div>
+
+            {status.dead_jobs.length > 0 && (
+              <div className="mt-4">
+                <h4 className="text-sm font-semibold text-gray-700 flex items-center mb-2">
+                  <Skull className="w-4 h-4 mr-2 text-red-500" />
+                  Dead-lettered jobs
+                </h4>
+                <ul className="divide-y border rounded-md">
+                  {status.dead_jobs.map(job => (
+                    <li key={job._id} className="flex items-start justify-between gap-4 p-3 text-sm">
+                      <div className="min-w-0">
+                        <p className="font-medium">{job.complaint_id || job.complaint_session_id}</p>
+                        <p className="text-gray-500 truncate">
+                          {job.attempts} attempts · {job.last_error || 'Unknown error'}
+                        </p>
+                        {job.dead_at && (
+                          <p className="text-gray-400">{new Date(job.dead_at).toLocaleString()}</p>
+                        )}
+                      </div>
+                      {can('ai:process') && (
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          disabled={retrying === job._id}
+                          onClick={() => retryJob(job._id)}
+                        >
+                          <RotateCcw className="w-4 h-4 mr-2" />
+                          Retry
+                        </Button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,165 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Coins, RefreshCw } from 'lucide-react';
+
+interface UsageRow {
+  day?: string;
+  provider?: string;
+  model?: string;
+  calls: number;
+  failed_calls: number;
+  prompt_tokens: number;
+  completion_tokens: number;
+  total_tokens: number;
+  estimated_cost_usd: number;
+  avg_latency_ms: number;
+  max_latency_ms: number;
+}
+
+interface UsageReport {
+  from_day: string;
+  to_day: string;
+  by_day: UsageRow[];
+  by_model: UsageRow[];
+  totals: UsageRow;
+  budget: {
+    month: string;
+    month_cost_usd: number;
+    monthly_budget_usd: number | null;
+    exceeded: boolean;
+  };
+}
+
+const formatCost = (value: number) => `$${value < 1 ? value.toFixed(4) : value.toFixed(2)}`;
+
+// LLM calls, tokens, latency and estimated cost for the current month (backend llm_usage)
+export default function AIUsageReport() {
+  const [report, setReport] = useState<UsageReport | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchReport = async () => {
+    try {
+      const response = await fetch('/api/ai-usage');
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || `HTTP error! status: ${response.status}`);
+      }
+
+      setReport(result.data);
+      setError(null);
+    } catch (err) {
+      console.error('AI usage fetch error:', err);
+      setError(err instanceof Error ? err.message : 'Failed to fetch AI usage');
+    }
+  };
+
+  useEffect(() => {
+    fetchReport();
+  }, []);
+
+  const budgetShare = report?.budget.monthly_budget_usd
+    ? Math.min(100, (report.budget.month_cost_usd / report.budget.monthly_budget_usd) * 100)
+    : null;
+
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <div className="flex items-center justify-between">
+          <CardTitle className="text-lg font-semibold flex items-center">
+            <Coins className="w-5 h-5 mr-2 text-amber-600" />
+            AI Usage &amp; Cost
+          </CardTitle>
+          <Button variant="outline" size="sm" onClick={fetchReport}>
+            <RefreshCw className="w-4 h-4 mr-2" />
+            Refresh
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+        {report && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <div>
+                <div className="text-2xl font-bold text-amber-600">{formatCost(report.totals.estimated_cost_usd)}</div>
+                <p className="text-sm text-gray-500">Estimated cost</p>
+              </div>
+              <div>
+                <div className="text-2xl font-bold text-blue-600">{report.totals.calls}</div>
+                <p className="text-sm text-gray-500">
+                  LLM calls{report.totals.failed_calls > 0 && ` (${report.totals.failed_calls} failed)`}
+                </p>
+              </div>
+              <div>
+                <div className="text-2xl font-bold text-purple-600">{report.totals.total_tokens.toLocaleString()}</div>
+                <p className="text-sm text-gray-500">Tokens</p>
+              </div>
+              <div>
+                <div className="text-2xl font-bold text-gray-700">{(report.totals.avg_latency_ms / 1000).toFixed(1)}s</div>
+                <p className="text-sm text-gray-500">Average latency</p>
+              </div>
+            </div>
+
+            {budgetShare !== null && (
+              <div>
+                <div className="flex justify-between text-sm text-gray-600 mb-1">
+                  <span>Monthly budget ({report.budget.month})</span>
+                  <span>
+                    {formatCost(report.budget.month_cost_usd)} of {formatCost(report.budget.monthly_budget_usd || 0)}
+                  </span>
+                </div>
+                <div className="w-full h-2 bg-gray-100 rounded-full overflow-hidden">
+                  <div
+                    className={`h-2 ${report.budget.exceeded ? 'bg-red-500' : budgetShare > 80 ? 'bg-amber-500' : 'bg-green-500'}`}
+                    style={{ width: `${budgetShare}%` }}
+                  />
+                </div>
+              </div>
+            )}
+
+            {report.by_day.length === 0 ? (
+              <p className="text-sm text-gray-500">No LLM calls between {report.from_day} and {report.to_day}.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-2 pr-4 font-medium">Day</th>
+                      <th className="py-2 pr-4 font-medium">Model</th>
+                      <th className="py-2 pr-4 font-medium text-right">Calls</th>
+                      <th className="py-2 pr-4 font-medium text-right">Prompt / completion tokens</th>
+                      <th className="py-2 pr-4 font-medium text-right">Avg latency</th>
+                      <th className="py-2 font-medium text-right">Cost</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y">
+                    {report.by_day.map(row => (
+                      <tr key={`${row.day}-${row.provider}-${row.model}`}>
+                        <td className="py-2 pr-4">{row.day}</td>
+                        <td className="py-2 pr-4">{row.provider}/{row.model}</td>
+                        <td className="py-2 pr-4 text-right">
+                          {row.calls}
+                          {row.failed_calls > 0 && <span className="text-red-600"> ({row.failed_calls} failed)</span>}
+                        </td>
+                        <td className="py-2 pr-4 text-right">
+                          {row.prompt_tokens.toLocaleString()} / {row.completion_tokens.toLocaleString()}
+                        </td>
+                        <td className="py-2 pr-4 text-right">{(row.avg_latency_ms / 1000).toFixed(1)}s</td>
+                        <td className="py-2 text-right">{formatCost(row.estimated_cost_usd)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,7 @@
+// Anonymous complaints keep user_id in the database only so the LINE bot can relay HR replies
+export const ANONYMOUS_USER_ID = 'anonymous';
+
+export function redactIdentity<T extends Record<string, any>>(complaint: T): T {
+  if (!complaint?.is_anonymous) return complaint;
+  return { ...complaint, user_id: ANONYMOUS_USER_ID };
+}
@@ -0,0 +1,120 @@
+import { createHash } from 'crypto';
+import mongoose from 'mongoose';
+import { NextRequest } from 'next/server';
+import connectDB from './mongodb';
+import { config } from './config';
+
+// Append-only, hash-chained audit log - mirrors backend/src/models/audit_event.js
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 10;
+
+export interface AuditActor {
+  type: 'hr' | 'system';
+  id?: string;
+  email?: string;
+  name?: string;
+  roles?: string[];
+}
+
+export interface AuditEventInput {
+  resource_type?: string;
+  resource_id?: string;
+  complaint_id?: string;
+  changes?: Record<string, { from: unknown; to: unknown }>;
+  details?: Record<string, unknown>;
+}
+
+// Object keys are sorted so the hash does not depend on key order
+function canonicalize(value: unknown): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const record = value as Record<string, unknown>;
+    return `{${Object.keys(record).sort().map(key => `${JSON.stringify(key)}:${canonicalize(record[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+function computeHash(event: Record<string, any>): string {
+  const { hash, ...rest } = event;
+  const payload = { ...rest, occurred_at: new Date(rest.occurred_at).toISOString() };
+  return createHash('sha256').update(canonicalize(payload)).digest('hex');
+}
+
+// Entries left of what our own proxies appended are client-controlled, so the client address is
+// the one added by the outermost trusted proxy, counted from the right
+export function getClientIp(request: NextRequest): string | undefined {
+  const hops = config.app.trustedProxyHops;
+  if (!(hops > 0)) {
+    return undefined;
+  }
+
+  const forwardedFor = request.headers.get('x-forwarded-for');
+  if (forwardedFor) {
+    const addresses = forwardedFor.split(',').map(address => address.trim()).filter(Boolean);
+    return addresses[Math.max(addresses.length - hops, 0)];
+  }
+
+  return request.headers.get('x-real-ip') ?? undefined;
+}
+
+export async function appendAuditEvent(event: Record<string, unknown>) {
+  await connectDB();
+  const collection = mongoose.connection.db!.collection('audit_events');
+
+  // JSON round trip drops undefined fields so the stored document reads back exactly as hashed
+  const body = JSON.parse(JSON.stringify(event));
+
+  for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+    const head = await collection.findOne({}, { sort: { _id: -1 }, projection: { _id: 1, hash: 1 } });
+
+    const doc: Record<string, any> = {
+      ...body,
+      _id: head ? (head._id as unknown as number) + 1 : 1,
+      occurred_at: new Date(),
+      prev_hash: head ? head.hash : GENESIS_HASH
+    };
+    doc.hash = computeHash(doc);
+
+    try {
+      await collection.insertOne(doc);
+      console.log(`🧾 Audit #${doc._id} ${doc.action} by ${doc.actor.email || doc.actor.type}`);
+      return doc;
+    } catch (error) {
+      if ((error as { code?: number }).code !== 11000) {
+        throw error;
+      }
+      // Another writer took this sequence number; retry on the new head
+    }
+  }
+
+  throw new Error('Failed to append audit event: too much contention on the chain head');
+}
+
+// Records an action by the HR user making this request
+export function recordAuditEvent(
+  request: NextRequest,
+  hrUser: Omit<AuditActor, 'type'>,
+  action: string,
+  event: AuditEventInput = {}
+) {
+  const actor: AuditActor = {
+    type: 'hr',
+    id: hrUser.id,
+    email: hrUser.email,
+    name: hrUser.name,
+    roles: hrUser.roles
+  };
+
+  return appendAuditEvent({
+    actor,
+    action,
+    ip: getClientIp(request),
+    user_agent: request.headers.get('user-agent') ?? undefined,
+    source: 'web',
+    ...event
+  });
+}
@@ -0,0 +1,83 @@
+import { NextRequest } from 'next/server';
+import { getSessionTokenFromRequest } from './hr-auth';
+import { getClientIp } from './audit';
+
+// Thin client for calling backend tRPC procedures from Next.js API routes
+export const backendUrl = process.env.BACKEND_URL || 'http://localhost:3001';
+
+interface BackendResult<T = any> {
+  success: boolean;
+  error?: string;
+  message?: string;
+  [key: string]: any;
+  data?: T;
+}
+
+// The backend hrProcedure verifies the same HR session token the dashboard holds;
+// the client IP is forwarded so backend audit events record the browser, not this server
+export function backendRequestHeaders(request?: NextRequest): Record<string, string> {
+  if (!request) {
+    return {};
+  }
+
+  const headers: Record<string, string> = {};
+  const token = getSessionTokenFromRequest(request);
+  const clientIp = getClientIp(request);
+  const userAgent = request.headers.get('user-agent');
+
+  if (token) headers['Authorization'] = `Bearer ${token}`;
+  if (clientIp) headers['X-Forwarded-For'] = clientIp;
+  if (userAgent) headers['User-Agent'] = userAgent;
+
+  return headers;
+}
+
+async function parseTrpcResponse<T>(response: Response, path: string): Promise<BackendResult<T>> {
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const message = body?.error?.message || `${response.status} ${response.statusText}`;
+    console.error(`❌ Backend tRPC ${path} failed:`, message);
+    throw new Error(`Backend API error: ${message}`);
+  }
+
+  // tRPC response format: { result: { data: { success: bool, ... } } }
+  return body?.result?.data;
+}
+
+// tRPC GET request format: /api/trpc/[procedure]?input=[encoded_input]
+export async function callBackendQuery<T = any>(
+  path: string,
+  input: unknown = {},
+  request?: NextRequest
+): Promise<BackendResult<T>> {
+  const encodedInput = encodeURIComponent(JSON.stringify(input));
+  const response = await fetch(`${backendUrl}/api/trpc/${path}?input=${encodedInput}`, {
+    method: 'GET',
+    headers: {
+      'Accept': 'application/json',
+      ...backendRequestHeaders(request)
+    }
+  });
+
+  return parseTrpcResponse<T>(response, path);
+}
+
+// tRPC POST request format: /api/trpc/[procedure] with the input as the JSON body
+export async function callBackendMutation<T = any>(
+  path: string,
+  input: unknown,
+  request?: NextRequest
+): Promise<BackendResult<T>> {
+  const response = await fetch(`${backendUrl}/api/trpc/${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      ...backendRequestHeaders(request)
+    },
+    body: JSON.stringify(input)
+  });
+
+  return parseTrpcResponse<T>(response, path);
+}
@@ -0,0 +1,56 @@
+// HR case workflow - mirrors backend/src/models/complaint_session.js
+export type CaseStatus = 'triage' | 'investigating' | 'resolved' | 'closed';
+
+export const CASE_STATUSES: CaseStatus[] = ['triage', 'investigating', 'resolved', 'closed'];
+
+// Allowed case transitions: from -> [to]
+export const CASE_TRANSITIONS: Record<CaseStatus, CaseStatus[]> = {
+  triage: ['investigating', 'closed'],
+  investigating: ['triage', 'resolved'],
+  resolved: ['investigating', 'closed'],
+  closed: ['investigating']
+};
+
+export const RESOLUTION_CODES = [
+  'substantiated',
+  'partially_substantiated',
+  'unsubstantiated',
+  'withdrawn',
+  'duplicate',
+  'no_action_required'
+] as const;
+
+export type ResolutionCode = typeof RESOLUTION_CODES[number];
+
+// Same limits as the backend complaint.transition input
+export const RESOLUTION_TEXT_MAX_LENGTH = 2000;
+export const CASE_NOTE_MAX_LENGTH = 1000;
+// Assignees are HR allowlist emails (RFC 5321 length limit)
+export const ASSIGNEE_MAX_LENGTH = 254;
+
+export interface CaseHistoryEntry {
+  from_status: CaseStatus | null;
+  to_status: CaseStatus;
+  changed_at: Date | string;
+  changed_by?: string;
+  note?: string;
+}
+
+// Submitted sessions created before the workflow existed are treated as triage
+export function getCurrentCaseStatus(complaint: { status: string; case_status?: CaseStatus | null }): CaseStatus | null {
+  if (complaint.status !== 'submitted') return null;
+  return complaint.case_status || 'triage';
+}
+
+export function getAllowedTransitions(complaint: { status: string; case_status?: CaseStatus | null }): CaseStatus[] {
+  const current = getCurrentCaseStatus(complaint);
+  return current ? CASE_TRANSITIONS[current] : [];
+}
+
+export function isCaseStatus(value: unknown): value is CaseStatus {
+  return typeof value === 'string' && (CASE_STATUSES as string[]).includes(value);
+}
+
+export function isResolutionCode(value: unknown): value is ResolutionCode {
+  return typeof value === 'string' && (RESOLUTION_CODES as readonly string[]).includes(value);
+}
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+import ComplaintSession from './models/ComplaintSession';
+
+// The backend writes to complaint_sessions; older web-created sessions live in complaintsessions
+const COMPLAINT_COLLECTIONS = ['complaint_sessions', 'complaintsessions'];
+
+type Collection = mongoose.mongo.Collection;
+
+export interface ComplaintLookupResult {
+  collection: Collection;
+  complaint: any;
+}
+
+// Find a complaint by session _id or complaint_id across both collections
+export async function findComplaint(id: string): Promise<ComplaintLookupResult | null> {
+  const db = (ComplaintSession as any).db;
+
+  for (const name of COMPLAINT_COLLECTIONS) {
+    const collection: Collection = db.collection(name);
+    const complaint = await collection.findOne({
+      $or: [
+        { _id: id as any },
+        { complaint_id: id }
+      ]
+    });
+
+    if (complaint) {
+      return { collection, complaint };
+    }
+  }
+
+  return null;
+}
@@ -16,13 +16,35 @@ export const config = {
     betterAuth: {
       secret: process.env.BETTER_AUTH_SECRET!,
       url: process.env.BETTER_AUTH_URL || 'http://localhost:3000'
+    },
+    // HR session tokens (shared with the backend, which verifies them in hrProcedure); required, no fallback
+    session: {
+      secret: process.env.SESSION_SECRET || '',
+      ttlHours: parseInt(process.env.HR_SESSION_TTL_HOURS || '8', 10)
+    },
+    // OIDC single sign-on (authorization code + PKCE); disabled when no issuer is set
+    oidc: {
+      issuer: process.env.OIDC_ISSUER || '',
+      clientId: process.env.OIDC_CLIENT_ID || '',
+      clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+      redirectUri: process.env.OIDC_REDIRECT_URI ||
+        `${process.env.BETTER_AUTH_URL || 'http://localhost:3000'}/api/auth/oidc/callback`,
+      scopes: process.env.OIDC_SCOPES || 'openid email profile'
     }
   },
 
+  // Field-level encryption of complaint content at rest (same keys as the backend)
+  encryption: {
+    keys: process.env.FIELD_ENCRYPTION_KEYS || '',
+    currentKeyVersion: process.env.FIELD_ENCRYPTION_KEY_VERSION || ''
+  },
+
   // Application
   app: {
     nodeEnv: process.env.NODE_ENV || 'development',
-    url: process.env.BETTER_AUTH_URL || 'http://localhost:3000'
+    url: process.env.BETTER_AUTH_URL || 'http://localhost:3000',
+    // Proxies in front of the web app that append to X-Forwarded-For (0 ignores forwarding headers)
+    trustedProxyHops: parseInt(process.env.TRUSTED_PROXY_HOPS || '1', 10)
   }
 };
 
@@ -31,7 +53,8 @@ export const validateConfig = () => {
     'MONGODB_URI',
     'LINE_CHANNEL_SECRET', 
     'LINE_CHANNEL_ACCESS_TOKEN',
-    'BETTER_AUTH_SECRET'
+    'BETTER_AUTH_SECRET',
+    'SESSION_SECRET'
   ];
 
   const missing = required.filter(key => !process.env[key]);
@@ -0,0 +1,148 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+import { config } from './config';
+
+// AES-256-GCM field encryption of complaint content - mirrors backend/src/services/field_encryption.js
+// Stored format: aesgcm:<keyVersion>:<iv>:<authTag>:<ciphertext> (base64 parts)
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const ENCRYPTED_PATTERN = /^aesgcm:([A-Za-z0-9_-]+):([A-Za-z0-9+/=]+):([A-Za-z0-9+/=]+):([A-Za-z0-9+/=]*)$/;
+
+interface KeyRing {
+  keys: Record<string, Buffer>;
+  currentVersion: string | null;
+}
+
+let keyRing: KeyRing | null = null;
+
+function parseKeys(value: string): Record<string, Buffer> {
+  const keys: Record<string, Buffer> = {};
+
+  value.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    const version = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator <= 0 || !/^[A-Za-z0-9_-]+$/.test(version)) {
+      throw new Error('FIELD_ENCRYPTION_KEYS entries must look like <version>:<base64 key>');
+    }
+    if (key.length !== 32) {
+      throw new Error(`Field encryption key ${version} must be 32 bytes (AES-256)`);
+    }
+
+    keys[version] = key;
+  });
+
+  return keys;
+}
+
+// Keys are read on first use so builds without the environment still succeed
+function getKeyRing(): KeyRing {
+  if (!keyRing) {
+    const keys = parseKeys(config.encryption.keys);
+    const versions = Object.keys(keys);
+    const currentVersion = config.encryption.currentKeyVersion || versions[versions.length - 1] || null;
+
+    if (currentVersion && !keys[currentVersion]) {
+      throw new Error(`FIELD_ENCRYPTION_KEY_VERSION ${currentVersion} is not in FIELD_ENCRYPTION_KEYS`);
+    }
+    if (!currentVersion) {
+      console.warn('⚠️ FIELD_ENCRYPTION_KEYS not set - complaint content will be stored in plaintext');
+    }
+
+    keyRing = { keys, currentVersion };
+  }
+
+  return keyRing;
+}
+
+export function isEncrypted(value: unknown): boolean {
+  return typeof value === 'string' && ENCRYPTED_PATTERN.test(value);
+}
+
+// Always encrypts: text shaped like an envelope is still untrusted input
+export function encryptField<T>(value: T): T | string {
+  const { keys, currentVersion } = getKeyRing();
+  if (typeof value !== 'string' || !currentVersion) {
+    return value;
+  }
+
+  const iv = randomBytes(IV_BYTES);
+  const cipher = createCipheriv(ALGORITHM, keys[currentVersion], iv);
+  const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+  return [
+    'aesgcm',
+    currentVersion,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+}
+
+// Plaintext from before encryption was enabled passes through unchanged
+export function decryptField<T>(value: T): T | string {
+  const match = typeof value === 'string' ? value.match(ENCRYPTED_PATTERN) : null;
+  if (!match) {
+    return value;
+  }
+
+  const [, version, iv, authTag, ciphertext] = match;
+  const key = getKeyRing().keys[version];
+  if (!key) {
+    throw new Error(`Field encryption key ${version} is not configured`);
+  }
+
+  const decipher = createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+// Mongoose validator on the plaintext length (maxlength would see the ciphertext)
+export function plaintextMaxLength(max: number) {
+  return {
+    validator: (value: unknown) => typeof value !== 'string' || String(decryptField(value)).length <= max,
+    message: `{PATH} must be at most ${max} characters`
+  };
+}
+
+// Records that content changed in the audit log without storing the content
+export function fingerprint(value: unknown): string | null {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  return `sha256:${createHash('sha256').update(String(decryptField(value)), 'utf8').digest('hex')}`;
+}
+
+// Plain copies for authorized HR reads; stored documents stay encrypted
+export function decryptChatLogs<T extends { message?: unknown }>(chatLogs: T[] = []): T[] {
+  return chatLogs.map(log => ({ ...log, message: decryptField(log.message) }));
+}
+
+// Complaint with its chat logs, resolution text and case history notes readable
+export function decryptComplaint(complaint: any) {
+  return {
+    ...complaint,
+    chat_logs: decryptChatLogs(complaint.chat_logs),
+    resolution_text: decryptField(complaint.resolution_text),
+    case_history: (complaint.case_history || []).map((entry: any) => ({
+      ...entry,
+      note: decryptField(entry.note)
+    }))
+  };
+}
+
+export function decryptNote(note: any) {
+  const plain = typeof note?.toObject === 'function' ? note.toObject() : note;
+  return {
+    ...plain,
+    body: decryptField(plain.body),
+    edit_history: (plain.edit_history || []).map((entry: any) => ({
+      ...entry,
+      body: decryptField(entry.body)
+    }))
+  };
+}
@@ -0,0 +1,27 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { HR_SESSION_COOKIE, HrSession, verifySessionToken } from './session-token';
+
+// Dashboard requests carry the session cookie; scripts may send it as a Bearer token
+export function getSessionTokenFromRequest(request: NextRequest): string | null {
+  const authorization = request.headers.get('authorization');
+  if (authorization?.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+
+  return request.cookies.get(HR_SESSION_COOKIE)?.value ?? null;
+}
+
+export function getHrSession(request: NextRequest): Promise<HrSession | null> {
+  return verifySessionToken(getSessionTokenFromRequest(request));
+}
+
+// Pass an empty token and a zero max age to sign out
+export function setHrSessionCookie(response: NextResponse, token: string, maxAgeSeconds: number): void {
+  response.cookies.set(HR_SESSION_COOKIE, token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/',
+    maxAge: maxAgeSeconds
+  });
+}
@@ -0,0 +1,66 @@
+import { NextRequest, NextResponse } from 'next/server';
+import connectDB from './mongodb';
+import HrAllowlist from './models/HrAllowlist';
+import { getHrSession } from './hr-auth';
+import { Permission, permissionsForRoles } from './permissions';
+
+export interface HrUser {
+  id: string;
+  email: string;
+  name?: string;
+  roles: string[];
+  permissions: Permission[];
+}
+
+type AuthorizationResult =
+  | { user: HrUser; response?: undefined }
+  | { user?: undefined; response: NextResponse };
+
+// Roles come from the live allowlist (like the backend hrProcedure), so role
+// changes and deactivation apply before the session token expires
+export async function getHrUser(request: NextRequest): Promise<HrUser | null> {
+  const session = await getHrSession(request);
+  if (!session) {
+    return null;
+  }
+
+  await connectDB();
+  const user = await (HrAllowlist as any).findById(session.sub).lean();
+  if (!user || user.active === false) {
+    return null;
+  }
+
+  return {
+    id: user._id,
+    email: user.email,
+    name: user.name,
+    roles: user.roles,
+    permissions: permissionsForRoles(user.roles)
+  };
+}
+
+// Route handlers return `response` as-is when it is set
+export async function authorizeHrRequest(request: NextRequest, permission: Permission): Promise<AuthorizationResult> {
+  const user = await getHrUser(request);
+
+  if (!user) {
+    return {
+      response: NextResponse.json(
+        { error: 'HR access revoked' },
+        { status: 403 }
+      )
+    };
+  }
+
+  if (!user.permissions.includes(permission)) {
+    console.log(`🚫 ${user.email} lacks ${permission} for ${request.nextUrl.pathname}`);
+    return {
+      response: NextResponse.json(
+        { error: 'Forbidden', details: `Missing permission: ${permission}` },
+        { status: 403 }
+      )
+    };
+  }
+
+  return { user };
+}
@@ -1,17 +1,41 @@
 import mongoose, { Document, Schema } from 'mongoose';
+import { encryptField, plaintextMaxLength } from '../field-encryption';
+import { CASE_STATUSES, RESOLUTION_CODES, CaseStatus, CaseHistoryEntry, ResolutionCode } from '../case-workflow';
+
+export interface IAttachment {
+  line_message_id: string;
+  storage_backend: string;
+  storage_key: string;
+  mime_type: string;
+  size_bytes: number;
+  sha256: string;
+  file_name?: string;
+  duration_ms?: number;
+}
 
 export interface IChatLog {
   timestamp: Date;
-  direction: 'user' | 'bot';
-  message_type: 'text' | 'image' | 'file' | 'command';
+  direction: 'user' | 'bot' | 'hr';
+  message_type: 'text' | 'image' | 'file' | 'video' | 'audio' | 'command';
   message: string;
+  author?: string;
+  delivery_failed?: boolean;
+  attachment?: IAttachment;
 }
 
 export interface IComplaintSession extends Document {
   _id: string;
   complaint_id: string;
   user_id: string;
+  is_anonymous?: boolean;
   status: 'open' | 'submitted';
+  case_status?: CaseStatus;
+  assignee?: string;
+  resolution_code?: ResolutionCode;
+  resolution_text?: string;
+  case_history: CaseHistoryEntry[];
+  last_hr_reply_at?: Date;
+  expires_at?: Date;
   start_time: Date;
   end_time?: Date;
   department?: string;
@@ -28,17 +52,38 @@ const chatLogSchema = new Schema<IChatLog>({
   },
   direction: {
     type: String,
-    enum: ['user', 'bot'],
+    enum: ['user', 'bot', 'hr'],
     required: true
   },
   message_type: {
     type: String,
-    enum: ['text', 'image', 'file', 'command'],
+    enum: ['text', 'image', 'file', 'video', 'audio', 'command'],
     default: 'text'
   },
+  // Encrypted at rest; decrypt only in authorized read paths
   message: {
     type: String,
-    required: true
+    required: true,
+    set: (value: string) => encryptField(value)
+  },
+  author: {
+    type: String
+  },
+  // HR reply recorded but not delivered by LINE
+  delivery_failed: {
+    type: Boolean
+  },
+  attachment: {
+    type: new Schema<IAttachment>({
+      line_message_id: { type: String, required: true },
+      storage_backend: { type: String, required: true },
+      storage_key: { type: String, required: true },
+      mime_type: { type: String, required: true },
+      size_bytes: { type: Number, required: true },
+      sha256: { type: String, required: true },
+      file_name: { type: String },
+      duration_ms: { type: Number }
+    }, { _id: false })
   }
 }, { _id: false });
 
@@ -63,6 +108,40 @@ const complaintSessionSchema = new Schema<IComplaintSession>({
     default: 'open',
     index: true
   },
+  case_status: {
+    type: String,
+    enum: CASE_STATUSES,
+    index: true
+  },
+  assignee: {
+    type: String
+  },
+  resolution_code: {
+    type: String,
+    enum: RESOLUTION_CODES
+  },
+  resolution_text: {
+    type: String,
+    set: (value: string) => encryptField(value),
+    validate: plaintextMaxLength(2000)
+  },
+  case_history: {
+    type: [{
+      _id: false,
+      from_status: { type: String, enum: [...CASE_STATUSES, null] },
+      to_status: { type: String, enum: CASE_STATUSES, required: true },
+      changed_at: { type: Date, required: true },
+      changed_by: { type: String },
+      note: { type: String, set: (value: string) => encryptField(value), validate: plaintextMaxLength(1000) }
+    }],
+    default: []
+  },
+  last_hr_reply_at: {
+    type: Date
+  },
+  expires_at: {
+    type: Date
+  },
   start_time: {
     type: Date,
     required: true,
@@ -90,23 +169,6 @@ complaintSessionSchema.index({ status: 1, start_time: -1 });
 complaintSessionSchema.index({ user_id: 1, start_time: -1 });
 complaintSessionSchema.index({ complaint_id: 1 }, { unique: true });
 
-// Static methods
-complaintSessionSchema.statics.generateComplaintId = function() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  const timestamp = now.getTime().toString().slice(-4);
-  
-  return `CMP-${year}-${month}-${day}-${timestamp}`;
-};
-
-complaintSessionSchema.statics.generateSessionId = function() {
-  const now = new Date();
-  const dateStr = now.toISOString().slice(0, 10).replace(/-/g, '');
-  const randomStr = Math.random().toString(36).substring(2, 8).toUpperCase();
-  
-  return `sess_${dateStr}_${randomStr}`;
-};
-
+// New sessions are created by the backend conversation engine (complaint_sessions); this model
+// reads and updates legacy sessions the web bot created before the webhooks were unified
 export default mongoose.models.ComplaintSession || mongoose.model<IComplaintSession>('ComplaintSession', complaintSessionSchema);
\ No newline at end of file
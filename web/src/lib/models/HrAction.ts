@@ -0,0 +1,97 @@
+import mongoose, { Document, Schema } from 'mongoose';
+import { randomBytes } from 'crypto';
+import { encryptField, plaintextMaxLength } from '../field-encryption';
+
+export type HrNoteType = 'internal' | 'visible_to_employee';
+
+export const HR_NOTE_TYPES: HrNoteType[] = ['internal', 'visible_to_employee'];
+
+export interface IHrNoteEdit {
+  body: string;
+  edited_at: Date;
+  edited_by?: string;
+}
+
+export interface IHrAction extends Document {
+  _id: string;
+  complaint_session_id: string;
+  complaint_id: string;
+  author: string;
+  author_name?: string;
+  note_type: HrNoteType;
+  body: string;
+  edit_history: IHrNoteEdit[];
+  created_at: Date;
+  updated_at: Date;
+}
+
+const hrNoteEditSchema = new Schema<IHrNoteEdit>({
+  body: {
+    type: String,
+    required: true,
+    set: (value: string) => encryptField(value)
+  },
+  edited_at: {
+    type: Date,
+    required: true
+  },
+  edited_by: {
+    type: String
+  }
+}, { _id: false });
+
+const hrActionSchema = new Schema<IHrAction>({
+  _id: {
+    type: String,
+    required: true
+  },
+  complaint_session_id: {
+    type: String,
+    required: true
+  },
+  complaint_id: {
+    type: String,
+    required: true
+  },
+  author: {
+    type: String,
+    required: true
+  },
+  author_name: {
+    type: String
+  },
+  note_type: {
+    type: String,
+    enum: HR_NOTE_TYPES,
+    default: 'internal',
+    required: true
+  },
+  // Encrypted at rest; decrypt only in authorized read paths
+  body: {
+    type: String,
+    required: true,
+    set: (value: string) => encryptField(value),
+    validate: plaintextMaxLength(5000)
+  },
+  edit_history: {
+    type: [hrNoteEditSchema],
+    default: []
+  }
+}, {
+  // Shared with the backend, which owns the hr_actions naming
+  collection: 'hr_actions',
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false,
+  _id: false
+});
+
+// Indexes
+hrActionSchema.index({ complaint_session_id: 1, created_at: -1 });
+hrActionSchema.index({ complaint_id: 1, created_at: -1 });
+
+// Static methods
+hrActionSchema.statics.generateActionId = function() {
+  return `hra_${randomBytes(6).toString('hex')}`;
+};
+
+export default mongoose.models.HrAction || mongoose.model<IHrAction>('HrAction', hrActionSchema);
@@ -1,11 +1,14 @@
 import mongoose, { Document, Schema } from 'mongoose';
+import { HR_ROLES, HrRole } from '../permissions';
 
 export interface IHrAllowlist extends Document {
   _id: string;
   email: string;
   name: string;
-  roles: ('hr_viewer' | 'hr_admin')[];
+  roles: HrRole[];
   active: boolean;
+  password_hash?: string;
+  last_login_at?: Date;
   createdAt: Date;
   updatedAt: Date;
 }
@@ -29,7 +32,7 @@ const hrAllowlistSchema = new Schema<IHrAllowlist>({
   },
   roles: {
     type: [String],
-    enum: ['hr_viewer', 'hr_admin'],
+    enum: HR_ROLES,
     default: ['hr_viewer'],
     index: true
   },
@@ -37,8 +40,17 @@ const hrAllowlistSchema = new Schema<IHrAllowlist>({
     type: Boolean,
     default: true,
     index: true
+  },
+  password_hash: {
+    type: String,
+    select: false
+  },
+  last_login_at: {
+    type: Date
   }
 }, {
+  // Same collection the backend checks in hrProcedure
+  collection: 'hr_allowlist',
   timestamps: true,
   _id: false
 });
@@ -0,0 +1,214 @@
+import { config } from './config';
+import { base64UrlDecode, base64UrlEncode } from './session-token';
+
+// OIDC single sign-on for HR users: authorization code flow with PKCE (S256)
+export const OIDC_STATE_COOKIE = 'hr-oidc';
+
+// Allowed clock difference between us and the IdP when checking token times
+const CLOCK_SKEW_SECONDS = 60;
+
+interface OidcDiscovery {
+  issuer: string;
+  authorization_endpoint: string;
+  token_endpoint: string;
+  jwks_uri: string;
+}
+
+export interface OidcLoginState {
+  state: string;
+  nonce: string;
+  codeVerifier: string;
+  next: string;
+}
+
+export interface OidcIdTokenClaims {
+  iss: string;
+  sub: string;
+  aud: string | string[];
+  exp: number;
+  iat: number;
+  nonce?: string;
+  email?: string;
+  name?: string;
+}
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+let discoveryCache: { issuer: string; discovery: OidcDiscovery } | null = null;
+let jwksCache: { uri: string; keys: JsonWebKey[] } | null = null;
+
+export function isOidcEnabled(): boolean {
+  return Boolean(config.auth.oidc.issuer && config.auth.oidc.clientId);
+}
+
+function normalizeIssuer(issuer: string): string {
+  return issuer.replace(/\/+$/, '');
+}
+
+function randomString(byteLength = 32): string {
+  return base64UrlEncode(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+async function createCodeChallenge(codeVerifier: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', encoder.encode(codeVerifier));
+  return base64UrlEncode(new Uint8Array(digest));
+}
+
+async function getDiscovery(): Promise<OidcDiscovery> {
+  const issuer = normalizeIssuer(config.auth.oidc.issuer);
+
+  if (discoveryCache?.issuer === issuer) {
+    return discoveryCache.discovery;
+  }
+
+  const response = await fetch(`${issuer}/.well-known/openid-configuration`);
+  if (!response.ok) {
+    throw new Error(`OIDC discovery failed: ${response.status}`);
+  }
+
+  const discovery = await response.json() as OidcDiscovery;
+  if (normalizeIssuer(discovery.issuer) !== issuer) {
+    throw new Error(`OIDC issuer mismatch: ${discovery.issuer}`);
+  }
+
+  discoveryCache = { issuer, discovery };
+  return discovery;
+}
+
+async function getSigningKey(kid: string | undefined): Promise<JsonWebKey> {
+  const { jwks_uri } = await getDiscovery();
+
+  const findKey = () => jwksCache?.uri === jwks_uri
+    ? jwksCache.keys.find(key => (key as any).kid === kid || (!kid && jwksCache!.keys.length === 1))
+    : undefined;
+
+  let key = findKey();
+  if (!key) {
+    // Unknown kid usually means the IdP rotated its keys
+    const response = await fetch(jwks_uri);
+    if (!response.ok) {
+      throw new Error(`OIDC JWKS fetch failed: ${response.status}`);
+    }
+    jwksCache = { uri: jwks_uri, keys: (await response.json()).keys || [] };
+    key = findKey();
+  }
+
+  if (!key) {
+    throw new Error(`OIDC signing key not found: ${kid}`);
+  }
+
+  return key;
+}
+
+// Builds the IdP redirect plus the state we must remember until the callback
+export async function createAuthorizationRequest(next: string): Promise<{ url: string; loginState: OidcLoginState }> {
+  const { authorization_endpoint } = await getDiscovery();
+
+  const loginState: OidcLoginState = {
+    state: randomString(),
+    nonce: randomString(),
+    codeVerifier: randomString(48),
+    next
+  };
+
+  const url = new URL(authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', config.auth.oidc.clientId);
+  url.searchParams.set('redirect_uri', config.auth.oidc.redirectUri);
+  url.searchParams.set('scope', config.auth.oidc.scopes);
+  url.searchParams.set('state', loginState.state);
+  url.searchParams.set('nonce', loginState.nonce);
+  url.searchParams.set('code_challenge', await createCodeChallenge(loginState.codeVerifier));
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  return { url: url.toString(), loginState };
+}
+
+// Exchanges the authorization code (with the PKCE verifier) for an ID token
+export async function exchangeCode(code: string, codeVerifier: string): Promise<string> {
+  const { token_endpoint } = await getDiscovery();
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.auth.oidc.redirectUri,
+    client_id: config.auth.oidc.clientId,
+    code_verifier: codeVerifier
+  });
+  if (config.auth.oidc.clientSecret) {
+    body.set('client_secret', config.auth.oidc.clientSecret);
+  }
+
+  const response = await fetch(token_endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Accept': 'application/json'
+    },
+    body
+  });
+
+  const tokens = await response.json().catch(() => null);
+  if (!response.ok || !tokens?.id_token) {
+    throw new Error(`OIDC token exchange failed: ${tokens?.error || response.status}`);
+  }
+
+  return tokens.id_token;
+}
+
+// Verifies the ID token signature (RS256) and its issuer, audience, expiry and nonce
+export async function verifyIdToken(idToken: string, nonce: string): Promise<OidcIdTokenClaims> {
+  const parts = idToken.split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed ID token');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  const header = JSON.parse(decoder.decode(base64UrlDecode(encodedHeader)));
+
+  if (header.alg !== 'RS256') {
+    throw new Error(`Unsupported ID token algorithm: ${header.alg}`);
+  }
+
+  const jwk = await getSigningKey(header.kid);
+  const key = await crypto.subtle.importKey(
+    'jwk',
+    jwk,
+    { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    false,
+    ['verify']
+  );
+
+  const valid = await crypto.subtle.verify(
+    'RSASSA-PKCS1-v1_5',
+    key,
+    base64UrlDecode(encodedSignature),
+    encoder.encode(`${encodedHeader}.${encodedPayload}`)
+  );
+  if (!valid) {
+    throw new Error('Invalid ID token signature');
+  }
+
+  const claims = JSON.parse(decoder.decode(base64UrlDecode(encodedPayload))) as OidcIdTokenClaims;
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+  if (normalizeIssuer(claims.iss) !== normalizeIssuer(config.auth.oidc.issuer)) {
+    throw new Error('ID token issuer mismatch');
+  }
+  if (!audiences.includes(config.auth.oidc.clientId)) {
+    throw new Error('ID token audience mismatch');
+  }
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new Error('ID token expired');
+  }
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+  if (!claims.sub) {
+    throw new Error('ID token has no subject');
+  }
+
+  return claims;
+}
@@ -0,0 +1,55 @@
+// HR roles and permission matrix - mirrors backend/src/models/hr_allowlist.js
+export type HrRole = 'hr_viewer' | 'hr_investigator' | 'hr_admin' | 'auditor';
+
+export type Permission =
+  | 'complaint:read'
+  | 'complaint:update'
+  | 'complaint:reply'
+  | 'note:write'
+  | 'analytics:read'
+  | 'ai:process'
+  | 'employee:read'
+  | 'employee:update'
+  | 'privacy:manage'
+  | 'webhook:replay'
+  | 'audit:read';
+
+export const ROLE_PERMISSIONS: Record<HrRole, Permission[]> = {
+  hr_viewer: [
+    'complaint:read',
+    'analytics:read',
+    'employee:read'
+  ],
+  hr_investigator: [
+    'complaint:read',
+    'complaint:update',
+    'complaint:reply',
+    'note:write',
+    'analytics:read',
+    'ai:process',
+    'employee:read'
+  ],
+  hr_admin: [
+    'complaint:read',
+    'complaint:update',
+    'complaint:reply',
+    'note:write',
+    'analytics:read',
+    'ai:process',
+    'employee:read',
+    'employee:update',
+    'privacy:manage',
+    'webhook:replay'
+  ],
+  auditor: [
+    'complaint:read',
+    'analytics:read',
+    'audit:read'
+  ]
+};
+
+export const HR_ROLES = Object.keys(ROLE_PERMISSIONS) as HrRole[];
+
+export function permissionsForRoles(roles: string[] = []): Permission[] {
+  return [...new Set(roles.flatMap(role => ROLE_PERMISSIONS[role as HrRole] || []))];
+}
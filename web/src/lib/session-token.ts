@@ -0,0 +1,86 @@
+import { config } from './config';
+
+// Signed HR session tokens (HS256 JWT). Uses Web Crypto so it also runs in Edge middleware.
+export const HR_SESSION_COOKIE = 'hr-session';
+
+export interface HrSession {
+  sub: string;
+  email: string;
+  name?: string;
+  roles: string[];
+  iat: number;
+  exp: number;
+}
+
+const encoder = new TextEncoder();
+
+export function base64UrlEncode(bytes: Uint8Array): string {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function base64UrlDecode(value: string): Uint8Array<ArrayBuffer> {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(value.length / 4) * 4, '=');
+  const binary = atob(base64);
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+function getSigningKey(): Promise<CryptoKey> {
+  if (!config.auth.session.secret) {
+    throw new Error('SESSION_SECRET is required to sign or verify HR session tokens');
+  }
+
+  return crypto.subtle.importKey(
+    'raw',
+    encoder.encode(config.auth.session.secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+export async function signSessionToken(
+  claims: Omit<HrSession, 'iat' | 'exp'>,
+  ttlSeconds: number = config.auth.session.ttlHours * 60 * 60
+): Promise<string> {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64UrlEncode(encoder.encode(JSON.stringify({ alg: 'HS256', typ: 'JWT' })));
+  const payload = base64UrlEncode(encoder.encode(JSON.stringify({ ...claims, iat: now, exp: now + ttlSeconds })));
+
+  const signature = await crypto.subtle.sign('HMAC', await getSigningKey(), encoder.encode(`${header}.${payload}`));
+
+  return `${header}.${payload}.${base64UrlEncode(new Uint8Array(signature))}`;
+}
+
+// Returns the session claims, or null if the token is malformed, forged or expired
+export async function verifySessionToken(token: string | undefined | null): Promise<HrSession | null> {
+  if (!token) return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+
+  try {
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      await getSigningKey(),
+      base64UrlDecode(signature),
+      encoder.encode(`${header}.${payload}`)
+    );
+    if (!valid) return null;
+
+    const { alg } = JSON.parse(new TextDecoder().decode(base64UrlDecode(header)));
+    if (alg !== 'HS256') return null;
+
+    const session = JSON.parse(new TextDecoder().decode(base64UrlDecode(payload))) as HrSession;
+    if (!session.sub || typeof session.exp !== 'number' || session.exp <= Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+
+    return session;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,25 @@
+import { useEffect, useState } from 'react';
+import type { Permission } from './permissions';
+
+export interface CurrentHrUser {
+  email: string;
+  name?: string;
+  roles: string[];
+  permissions: Permission[];
+}
+
+// Signed-in HR user for hiding actions in the dashboard; the API routes enforce the same permissions
+export function useHrUser() {
+  const [user, setUser] = useState<CurrentHrUser | null>(null);
+
+  useEffect(() => {
+    fetch('/api/auth/me')
+      .then(response => (response.ok ? response.json() : null))
+      .then((result: { user: CurrentHrUser } | null) => setUser(result?.user ?? null))
+      .catch(() => setUser(null));
+  }, []);
+
+  const can = (permission: Permission) => Boolean(user?.permissions.includes(permission));
+
+  return { user, can };
+}
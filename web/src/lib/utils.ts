@@ -38,6 +38,14 @@ export function getStatusColor(status: string) {
       return 'bg-yellow-100 text-yellow-800 border-yellow-200';
     case 'submitted':
       return 'bg-green-100 text-green-800 border-green-200';
+    case 'triage':
+      return 'bg-purple-100 text-purple-800 border-purple-200';
+    case 'investigating':
+      return 'bg-blue-100 text-blue-800 border-blue-200';
+    case 'resolved':
+      return 'bg-teal-100 text-teal-800 border-teal-200';
+    case 'closed':
+      return 'bg-slate-100 text-slate-800 border-slate-200';
     default:
       return 'bg-gray-100 text-gray-800 border-gray-200';
   }
@@ -49,7 +57,28 @@ export function getStatusIcon(status: string) {
       return '🟡';
     case 'submitted':
       return '✅';
+    case 'triage':
+      return '📥';
+    case 'investigating':
+      return '🔍';
+    case 'resolved':
+      return '🟢';
+    case 'closed':
+      return '🔒';
     default:
       return '⭕';
   }
-}
\ No newline at end of file
+}
+
+export function formatLabel(value: string) {
+  return value
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+export function formatFileSize(bytes: number) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
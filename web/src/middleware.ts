@@ -0,0 +1,40 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getHrSession } from '@/lib/hr-auth';
+
+// API routes reachable without an HR session
+const PUBLIC_API_PATHS = [
+  '/api/auth/login',
+  '/api/auth/logout',
+  '/api/auth/oidc',
+  '/api/health',
+  '/api/line/webhook' // Authenticated by the LINE signature instead
+];
+
+export async function middleware(request: NextRequest) {
+  const { pathname } = request.nextUrl;
+
+  if (PUBLIC_API_PATHS.some(path => pathname === path || pathname.startsWith(`${path}/`))) {
+    return NextResponse.next();
+  }
+
+  const session = await getHrSession(request);
+
+  if (session) {
+    return NextResponse.next();
+  }
+
+  if (pathname.startsWith('/api/')) {
+    return NextResponse.json(
+      { error: 'Authentication required' },
+      { status: 401 }
+    );
+  }
+
+  const loginUrl = new URL('/login', request.url);
+  loginUrl.searchParams.set('next', pathname);
+  return NextResponse.redirect(loginUrl);
+}
+
+export const config = {
+  matcher: ['/dashboard/:path*', '/api/:path*']
+};